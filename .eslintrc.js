@@ -22,4 +22,13 @@ module.exports = {
     'no-underscore-dangle': ['error', { allowAfterThis: true }],
   },
   parser: 'babel-eslint',
+  overrides: [
+    {
+      files: ['test/**/*.js'],
+      rules: {
+        // The node: built-in modules e.g. node:test are not resolved by eslint-plugin-import
+        'import/no-unresolved': ['error', { ignore: ['^node:'] }],
+      },
+    },
+  ],
 };
@@ -5,5 +5,19 @@ config.sharepoint.url = 'SPURL';
 config.sharepoint.username = 'SPUSERNAME';
 config.sharepoint.password = 'SPPASSWORD';
 config.sharepoint.list = 'SPLIST';
+config.sharepoint.library = 'SPLIBRARY';
+
+config.auth = {};
+config.auth.strategy = 'SPAUTHSTRATEGY';
+config.auth.clientId = 'SPCLIENTID';
+config.auth.clientSecret = 'SPCLIENTSECRET';
+config.auth.realm = 'SPREALM';
+config.auth.tenantId = 'SPTENANTID';
+config.auth.certificatePath = 'SPCERTIFICATEPATH';
+config.auth.thumbprint = 'SPCERTIFICATETHUMBPRINT';
+config.auth.domain = 'SPDOMAIN';
+config.auth.workstation = 'SPWORKSTATION';
+config.auth.headers = { __name: 'SPAUTHHEADERS', __format: 'json' };
+config.auth.cookie = 'SPCOOKIE';
 
 module.exports = config;
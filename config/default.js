@@ -27,13 +27,59 @@ config.sharepoint.username = null;
 config.sharepoint.password = null;
 // Sharepoint List Title
 config.sharepoint.list = null;
+// Sharepoint Document Library Title
+config.sharepoint.library = null;
 // Sharepoint Timeout ms
 config.sharepoint.timeout = 5000;
+// Sharepoint Upload and Download Timeout ms
+config.sharepoint.uploadtimeout = 120000;
+// Files larger than the chunk size in bytes are uploaded in chunks
+config.sharepoint.chunksize = 8 * 1024 * 1024;
+// The UTC offset e.g. +10:00 of typed dates without an offset, and typed dates are read in
+// null is UTC
+config.sharepoint.utcoffset = null;
+// When an update with an ETag conflicts, fail or merge the non-conflicting fields and retry
+config.sharepoint.conflictpolicy = 'fail';
+// The number of times a merged update is retried
+config.sharepoint.conflictretries = 3;
+// Deleted items are moved to the recycle bin so they can be restored, false deletes them
+// permanently
+config.sharepoint.recycle = true;
 // Sharepoint Axios Client Debug
 // If false the response returned is the data, status/status text, timings.
 // If true teh request, config and other Axios values are returned as well.
 config.sharepoint.clientdebug = false;
 
+// Bulk Operations
+// The maximum number of addItems, updateItems, upsertItems and deleteItems requests in flight,
+// the report of each bulk operation is written to output.path
+config.bulk = {};
+config.bulk.concurrency = 4;
+
+// Sharepoint Authentication
+// strategy online - SharePoint Online username and password, default sharepoint.username/password
+// strategy addin - SharePoint add-in app-only clientId, clientSecret and optional realm
+// strategy certificate - Azure AD app-only tenantId, clientId, certificatePath (PEM private key)
+// and thumbprint (SHA-1 hex)
+// strategy onpremise - on-premises username, password, optional domain and workstation for NTLM
+// strategy static - fixed headers object and/or cookie string
+config.auth = {};
+config.auth.strategy = 'online';
+config.auth.username = null;
+config.auth.password = null;
+config.auth.clientId = null;
+config.auth.clientSecret = null;
+config.auth.realm = null;
+config.auth.tenantId = null;
+config.auth.certificatePath = null;
+config.auth.thumbprint = null;
+config.auth.domain = null;
+config.auth.workstation = null;
+config.auth.headers = null;
+config.auth.cookie = null;
+// Seconds before the online, addin and onpremise auth headers are refreshed
+config.auth.ttl = 1800;
+
 // Global Axios Retry Settings
 // see https://github.com/JustinBeckwith/retry-axios
 config.rax = {};
@@ -44,11 +90,23 @@ config.rax.noResponseRetries = 2;
 // You can set the backoff type.
 // options are 'exponential' (default), 'static' or 'linear'
 config.rax.backoffType = 'exponential';
+// The retry waits for the Retry-After of 429 and 503 responses, up to this many ms.
+config.rax.maxRetryAfter = 120000;
 
 // Global Axios Rate Limiting#
 // see https://github.com/aishek/axios-rate-limit
 config.ratelimit = {};
 config.ratelimit.maxRequests = 1;
 config.ratelimit.perMilliseconds = 2000;
+// Adaptive Rate Limiting
+// After a 429 or 503 perMilliseconds is multiplied by slowdown and is at least the
+// Retry-After, after increaseAfter successful requests it is multiplied by speedup.
+// perMilliseconds stays between the configured perMilliseconds and maxPerMilliseconds.
+config.ratelimit.adaptive = {};
+config.ratelimit.adaptive.enabled = true;
+config.ratelimit.adaptive.maxPerMilliseconds = 60000;
+config.ratelimit.adaptive.increaseAfter = 20;
+config.ratelimit.adaptive.speedup = 0.8;
+config.ratelimit.adaptive.slowdown = 2;
 
 module.exports = config;
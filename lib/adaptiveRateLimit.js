@@ -0,0 +1,139 @@
+const _ = require('lodash');
+const { accessSafe } = require('access-safe');
+
+const nullLogger = require('./nulllogger');
+
+/**
+ * The status codes SharePoint uses when throttling
+ */
+const THROTTLE_STATUS_CODES = [429, 503];
+
+/**
+ * Is the error a SharePoint throttling response
+ *
+ * @param {*} err The axios error
+ * @returns {boolean}
+ */
+const isThrottled = (err) =>
+  THROTTLE_STATUS_CODES.includes(accessSafe(() => err.response.status, null));
+
+/**
+ * Get the Retry-After header of the error response in ms, the header is
+ * either the seconds to wait or a http date
+ *
+ * @param {*} err The axios error
+ * @returns {number} The ms to wait or null if there is no Retry-After header
+ */
+const getRetryAfter = (err) => {
+  const value = accessSafe(() => err.response.headers['retry-after'], null);
+  if (_.isNil(value) || value === '') return null;
+
+  if (/^\d+(\.\d+)?$/.test(`${value}`.trim())) {
+    return Math.round(_.toNumber(value) * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Create the adaptive rate limit, the rate limited axios instance is slowed down when
+ * SharePoint throttles the requests and sped up while requests succeed, but never faster
+ * than the configured rate
+ *
+ * @param {*} axiosInstance The axios instance created with axios-rate-limit
+ * @param {object} ratelimit The config.ratelimit options
+ * @param {*} [logger=nullLogger] The logger
+ * @returns {object} { onSuccess, onThrottle, getRate }
+ */
+const createAdaptiveRateLimit = (axiosInstance, ratelimit, logger = nullLogger) => {
+  const loggingOptions = {
+    label: 'adaptiveRateLimit',
+  };
+
+  const {
+    enabled = true,
+    maxPerMilliseconds = 60000,
+    increaseAfter = 20,
+    speedup = 0.8,
+    slowdown = 2,
+  } = ratelimit.adaptive || {};
+
+  const { maxRequests } = ratelimit;
+  const minPerMilliseconds = ratelimit.perMilliseconds;
+  let { perMilliseconds } = ratelimit;
+  let successes = 0;
+
+  const getRate = () => ({
+    maxRequests,
+    perMilliseconds,
+    requestsPerSecond: _.round((maxRequests * 1000) / perMilliseconds, 3),
+  });
+
+  const setPerMilliseconds = (value, reason) => {
+    const clamped = _.clamp(
+      Math.round(value),
+      minPerMilliseconds,
+      Math.max(minPerMilliseconds, maxPerMilliseconds)
+    );
+    if (clamped === perMilliseconds) return;
+
+    perMilliseconds = clamped;
+    axiosInstance.setRateLimitOptions({ maxRequests, perMilliseconds });
+
+    const { requestsPerSecond } = getRate();
+    logger.info(
+      `${reason}. Rate limit now ${maxRequests} requests per ${perMilliseconds}ms (${requestsPerSecond} requests/second)`,
+      loggingOptions
+    );
+  };
+
+  return {
+    getRate,
+
+    /**
+     * Called for each successful response, the rate is increased after
+     * increaseAfter consecutive successes, up to the configured rate
+     */
+    onSuccess: () => {
+      if (!enabled) return;
+
+      successes += 1;
+      if (successes >= increaseAfter) {
+        successes = 0;
+        setPerMilliseconds(perMilliseconds * speedup, `${increaseAfter} requests succeeded`);
+      }
+    },
+
+    /**
+     * Called for each throttled response, the rate is decreased and the interval is at
+     * least the Retry-After the server asked for
+     *
+     * @param {*} err The axios error
+     */
+    onThrottle: (err) => {
+      const retryAfter = getRetryAfter(err);
+      logger.warn(
+        `CorrelationId: ${accessSafe(() => err.config.correlationid, null)}. Throttled ${
+          err.response.status
+        }${_.isNull(retryAfter) ? '' : ` Retry-After ${retryAfter}ms`}`,
+        loggingOptions
+      );
+
+      if (!enabled) return;
+
+      successes = 0;
+      setPerMilliseconds(
+        Math.max(perMilliseconds * slowdown, _.defaultTo(retryAfter, 0)),
+        `Throttled ${err.response.status}`
+      );
+    },
+  };
+};
+
+module.exports = {
+  THROTTLE_STATUS_CODES,
+  createAdaptiveRateLimit,
+  getRetryAfter,
+  isThrottled,
+};
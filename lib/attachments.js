@@ -0,0 +1,124 @@
+const fs = require('fs');
+const Path = require('path');
+const _ = require('lodash');
+const { accessSafe } = require('access-safe');
+
+const nullLogger = require('./nulllogger');
+
+/**
+ * Separator between the file paths in an attachments cell
+ */
+const ATTACHMENT_SEPARATOR = ';';
+
+/**
+ * Split an attachments cell into the file paths, relative paths are resolved from the folder
+ *
+ * @param {string} value The cell value e.g. docs/a.pdf;docs/b.pdf
+ * @param {string} [folder='.'] The folder relative paths are resolved from
+ * @returns {string[]}
+ */
+const parseAttachmentPaths = (value, folder = '.') =>
+  `${value || ''}`
+    .split(ATTACHMENT_SEPARATOR)
+    .map(_.trim)
+    .filter((path) => !_.isEmpty(path))
+    .map((path) => Path.resolve(folder, path));
+
+/**
+ * Get the attachment file names of an item
+ *
+ * @param {ListClient} listClient The ListClient
+ * @param {number} itemid The ID number of the item
+ * @returns {Promise} Promise object with the array of file names
+ */
+const getAttachmentNames = async (listClient, itemid) => {
+  const response = await listClient.getAttachments(itemid);
+  return accessSafe(() => response.data.d.results, []).map((file) => file.FileName);
+};
+
+/**
+ * Upload the files as attachments of an item, files whose name is already
+ * attached to the item are skipped
+ *
+ * @param {ListClient} listClient The ListClient
+ * @param {number} itemid The ID number of the item
+ * @param {string[]} paths The local file paths
+ * @param {*} [logger=nullLogger] The logger
+ * @returns {Promise} Promise object with the summary { added, skipped, failed, errors }
+ */
+const uploadAttachments = async (listClient, itemid, paths, logger = nullLogger) => {
+  const loggingOptions = {
+    label: 'uploadAttachments',
+  };
+
+  const summary = { added: [], skipped: [], failed: 0, errors: [] };
+  if (_.isEmpty(paths)) return summary;
+
+  const existing = await getAttachmentNames(listClient, itemid);
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const path of paths) {
+    const fileName = Path.basename(path);
+    if (existing.includes(fileName)) {
+      summary.skipped.push(fileName);
+      logger.debug(`Item ${itemid} already has attachment ${fileName}`, loggingOptions);
+    } else {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await listClient.addAttachmentFromFile(itemid, path, fileName);
+        summary.added.push(fileName);
+        existing.push(fileName);
+        logger.debug(`Item ${itemid} attachment ${fileName} added`, loggingOptions);
+      } catch (err) {
+        const { message } = err;
+        summary.failed += 1;
+        summary.errors.push({ path, message });
+        logger.error(`Item ${itemid} attachment ${path} failed. ${message}`, loggingOptions);
+      }
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Download the attachments of an item to the folder
+ *
+ * @param {ListClient} listClient The ListClient
+ * @param {number} itemid The ID number of the item
+ * @param {string} folder The folder the files are written to
+ * @param {*} [logger=nullLogger] The logger
+ * @returns {Promise} Promise object with the array of file paths written
+ */
+const downloadAttachments = async (listClient, itemid, folder, logger = nullLogger) => {
+  const loggingOptions = {
+    label: 'downloadAttachments',
+  };
+
+  const fileNames = await getAttachmentNames(listClient, itemid);
+  if (fileNames.length === 0) return [];
+
+  await fs.promises.mkdir(folder, { recursive: true });
+
+  const paths = [];
+  // eslint-disable-next-line no-restricted-syntax
+  for (const fileName of fileNames) {
+    // eslint-disable-next-line no-await-in-loop
+    const response = await listClient.downloadAttachment(itemid, fileName);
+    const path = Path.join(folder, fileName);
+    // eslint-disable-next-line no-await-in-loop
+    await fs.promises.writeFile(path, Buffer.from(response.data));
+    paths.push(path);
+    logger.debug(`Item ${itemid} attachment ${fileName} saved to ${path}`, loggingOptions);
+  }
+
+  return paths;
+};
+
+module.exports = {
+  ATTACHMENT_SEPARATOR,
+  downloadAttachments,
+  getAttachmentNames,
+  parseAttachmentPaths,
+  uploadAttachments,
+};
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const Axios = require('axios');
+const _ = require('lodash');
+const { accessSafe } = require('access-safe');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Base64url encode the value
+ *
+ * @param {Buffer|string} value
+ * @returns {string}
+ */
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+/**
+ * Build the signed client assertion JWT for the Azure AD token request
+ *
+ * @param {object} assertionOptions
+ * @param {string} assertionOptions.tokenUrl The token endpoint, the audience of the assertion
+ * @param {string} assertionOptions.clientId The Azure AD application id
+ * @param {string} assertionOptions.privateKey The PEM private key of the certificate
+ * @param {string} assertionOptions.thumbprint The SHA-1 thumbprint of the certificate in hex
+ * @returns {string} The signed JWT
+ */
+const buildClientAssertion = ({ tokenUrl, clientId, privateKey, thumbprint }) => {
+  const now = Math.floor(Date.now() / 1000);
+
+  const header = {
+    alg: 'RS256',
+    typ: 'JWT',
+    x5t: base64url(Buffer.from(thumbprint.replace(/[^0-9a-f]/gi, ''), 'hex')),
+  };
+  const payload = {
+    aud: tokenUrl,
+    iss: clientId,
+    sub: clientId,
+    jti: uuidv4(),
+    nbf: now,
+    exp: now + 600,
+  };
+
+  const unsigned = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+  const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(privateKey);
+
+  return `${unsigned}.${base64url(signature)}`;
+};
+
+/**
+ * Get an app-only access token for SharePoint Online from Azure AD using
+ * the client credentials flow with a certificate
+ *
+ * @param {string} url The Sharepoint Site Url
+ * @param {object} auth The auth config, tenantId, clientId, certificatePath and thumbprint
+ * @param {*} [axiosInstance=Axios] The axios instance used for the token request
+ * @returns {Promise} Promise object with { headers, expiresAt }
+ */
+const getCertificateAuth = async (url, auth, axiosInstance = Axios) => {
+  const { tenantId, clientId, certificatePath, thumbprint } = auth;
+
+  const tokenUrl = `https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/token`;
+  const { origin } = new URL(url);
+
+  const clientAssertion = buildClientAssertion({
+    tokenUrl,
+    clientId,
+    privateKey: fs.readFileSync(certificatePath, 'utf8'),
+    thumbprint,
+  });
+
+  const response = await axiosInstance
+    .post(
+      tokenUrl,
+      new URLSearchParams({
+        grant_type: 'client_credentials',
+        client_id: clientId,
+        scope: `${origin}/.default`,
+        client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+        client_assertion: clientAssertion,
+      }).toString(),
+      { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
+    )
+    .catch((err) => {
+      const description = accessSafe(() => err.response.data.error_description, null);
+      throw new Error(_.isNil(description) ? err.message : description);
+    });
+
+  const { access_token: accessToken, expires_in: expiresIn } = response.data;
+
+  return {
+    headers: { Authorization: `Bearer ${accessToken}` },
+    expiresAt: Date.now() + _.toNumber(expiresIn) * 1000,
+  };
+};
+
+module.exports = {
+  buildClientAssertion,
+  getCertificateAuth,
+};
@@ -0,0 +1,127 @@
+const _ = require('lodash');
+const spauth = require('node-sp-auth');
+
+const { getCertificateAuth } = require('./certificate');
+
+/**
+ * The authentication strategies and the auth config they require
+ * online - SharePoint Online username and password
+ * addin - SharePoint add-in app-only client id and secret
+ * certificate - Azure AD app-only client id and certificate
+ * onpremise - SharePoint on-premises user credentials, NTLM when the domain is set
+ * static - fixed headers and/or cookie e.g. captured from a browser session
+ */
+const STRATEGIES = {
+  online: ['username', 'password'],
+  addin: ['clientId', 'clientSecret'],
+  certificate: ['tenantId', 'clientId', 'certificatePath', 'thumbprint'],
+  onpremise: ['username', 'password'],
+  static: [],
+};
+
+/**
+ * Get the auth config, the username and password default to
+ * sharepoint.username and sharepoint.password
+ *
+ * @param {*} options The config object details see config/default.js
+ * @returns {object} The auth config
+ */
+const getAuthConfig = (options) => {
+  const { username, password } = options.sharepoint;
+  return _.defaults(_.omitBy(_.clone(options.auth || {}), _.isNil), {
+    strategy: 'online',
+    username,
+    password,
+  });
+};
+
+/**
+ * Check the auth config has the values required by the strategy
+ *
+ * @param {object} auth The auth config
+ */
+const validateAuthConfig = (auth) => {
+  const { strategy } = auth;
+
+  if (!_.has(STRATEGIES, strategy)) {
+    throw new Error(`Invalid auth strategy ${strategy}, expected ${_.keys(STRATEGIES).join(', ')}`);
+  }
+
+  const missing = STRATEGIES[strategy].filter((key) => _.isEmpty(auth[key]));
+  if (missing.length > 0) {
+    throw new Error(`The ${strategy} auth strategy requires auth.${missing.join(', auth.')}`);
+  }
+
+  if (strategy === 'static' && _.isEmpty(auth.headers) && _.isEmpty(auth.cookie)) {
+    throw new Error('The static auth strategy requires auth.headers or auth.cookie');
+  }
+};
+
+/**
+ * Get the node-sp-auth credentials for the strategy
+ *
+ * @param {object} auth The auth config
+ * @returns {object}
+ */
+const getSpauthCredentials = (auth) => {
+  switch (auth.strategy) {
+    case 'addin':
+      return _.omitBy(
+        { clientId: auth.clientId, clientSecret: auth.clientSecret, realm: auth.realm },
+        _.isEmpty
+      );
+    case 'onpremise':
+      return _.omitBy(
+        {
+          username: auth.username,
+          password: auth.password,
+          domain: auth.domain,
+          workstation: auth.workstation,
+          online: false,
+        },
+        _.isNil
+      );
+    default:
+      return { username: auth.username, password: auth.password, online: true };
+  }
+};
+
+/**
+ * Authenticate to Sharepoint using the configured strategy
+ *
+ * @param {*} options The config object details see config/default.js
+ * @returns {Promise} Promise object with { headers, expiresAt }, expiresAt is the
+ * expiry time in ms or null if the headers do not expire
+ */
+const authenticate = async (options) => {
+  const { url } = options.sharepoint;
+  const auth = getAuthConfig(options);
+
+  validateAuthConfig(auth);
+
+  try {
+    if (auth.strategy === 'static') {
+      const headers = _.isEmpty(auth.cookie)
+        ? { ...auth.headers }
+        : { ...auth.headers, Cookie: auth.cookie };
+      return { headers, expiresAt: null };
+    }
+
+    if (auth.strategy === 'certificate') {
+      return await getCertificateAuth(url, auth);
+    }
+
+    // node-sp-auth does not report the expiry so the headers are refreshed after the ttl
+    const response = await spauth.getAuth(url, getSpauthCredentials(auth));
+    const expiresAt = _.isNil(auth.ttl) ? null : Date.now() + auth.ttl * 1000;
+    return { headers: response.headers, expiresAt };
+  } catch (err) {
+    throw new Error(`Authentication failed using the ${auth.strategy} strategy. ${err.message}`);
+  }
+};
+
+module.exports = {
+  STRATEGIES,
+  authenticate,
+  getAuthConfig,
+};
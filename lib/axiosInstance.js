@@ -0,0 +1,129 @@
+const Axios = require('axios');
+const _ = require('lodash');
+const rateLimit = require('axios-rate-limit');
+const rax = require('retry-axios');
+
+const timingAdapter = require('./timingAdapter');
+const nullLogger = require('./nulllogger');
+const { createAdaptiveRateLimit, getRetryAfter, isThrottled } = require('./adaptiveRateLimit');
+
+/**
+ * The default maximum ms to wait for the Retry-After of a throttled request
+ */
+const DEFAULT_MAX_RETRY_AFTER = 120000;
+
+/**
+ * Create an Axios instance with rate limiting, retries and timings
+ *
+ * @param {*} options The config object details see config/defaults.js
+ * @returns {Axios} The configured Axios instance
+ */
+const createAxiosInstance = (options) => {
+  const logger = options.logger || nullLogger;
+
+  // Create an axios instance that this will allow us to replace
+  // with ratelimiting
+  // see https://github.com/aishek/axios-rate-limit
+  const { maxRequests, perMilliseconds } = options.ratelimit;
+  const axiosInstance = rateLimit(Axios.create({ adapter: timingAdapter }), {
+    maxRequests,
+    perMilliseconds,
+  });
+
+  // Speed up while the requests succeed and slow down when throttled, registered
+  // before retry-axios so every attempt is counted
+  const adaptiveRateLimit = createAdaptiveRateLimit(axiosInstance, options.ratelimit, logger);
+  axiosInstance.interceptors.response.use(
+    (response) => {
+      adaptiveRateLimit.onSuccess();
+      return response;
+    },
+    (err) => {
+      if (isThrottled(err)) adaptiveRateLimit.onThrottle(err);
+      return Promise.reject(err);
+    }
+  );
+
+  // Add Axios Retry
+  // see https://github.com/JustinBeckwith/retry-axios
+  axiosInstance.defaults.raxConfig = _.merge(
+    {},
+    {
+      instance: axiosInstance,
+      // You can detect when a retry is happening, and figure out how many
+      // retry attempts have been made
+      // The retry waits for the backoff and the returned promise, so waiting for the
+      // Retry-After here honours the time the server asked for
+      onRetryAttempt: (err) => {
+        const raxcfg = rax.getConfig(err);
+        const retryAfter = getRetryAfter(err);
+        const wait = _.isNull(retryAfter)
+          ? 0
+          : Math.min(retryAfter, _.defaultTo(raxcfg.maxRetryAfter, DEFAULT_MAX_RETRY_AFTER));
+        logger.warn(
+          `CorrelationId: ${err.config.correlationid}. Retry attempt #${
+            raxcfg.currentRetryAttempt
+          }${wait > 0 ? ` after Retry-After ${wait}ms` : ''}`,
+          {
+            label: 'onRetryAttempt',
+          }
+        );
+        return new Promise((resolve) => setTimeout(resolve, wait));
+      },
+      // Override the decision making process on if you should retry
+      shouldRetry: (err) => {
+        const cfg = rax.getConfig(err);
+        // ensure max retries is always respected
+        if (cfg.currentRetryAttempt >= cfg.retry) {
+          logger.warn(`CorrelationId: ${err.config.correlationid}. Maximum retries reached.`, {
+            label: `shouldRetry`,
+          });
+          return false;
+        }
+
+        // ensure max retries for NO RESPONSE errors is always respected
+        if (!err.response && cfg.currentRetryAttempt >= cfg.noResponseRetries) {
+          logger.warn(
+            `CorrelationId: ${err.config.correlationid}. Maximum retries reached for No Response Errors.`,
+            {
+              label: `shouldRetry`,
+            }
+          );
+          return false;
+        }
+
+        // Always retry if response was not JSON
+        if (err.message.includes('Request did not return JSON')) {
+          logger.warn(
+            `CorrelationId: ${err.config.correlationid}. Request did not return JSON. Retrying.`,
+            {
+              label: `shouldRetry`,
+            }
+          );
+          return true;
+        }
+
+        // Throttled requests were not processed so are retried for every method
+        if (isThrottled(err)) {
+          return true;
+        }
+
+        // Handle the request based on your other config options, e.g. `statusCodesToRetry`
+        if (rax.shouldRetryRequest(err)) {
+          return true;
+        }
+
+        logger.error(`CorrelationId: ${err.config.correlationid}. None retryable error.`, {
+          label: `shouldRetry`,
+        });
+        return false;
+      },
+    },
+    options.rax
+  );
+  rax.attach(axiosInstance);
+
+  return axiosInstance;
+};
+
+module.exports = createAxiosInstance;
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const Path = require('path');
+const _ = require('lodash');
+const { accessSafe } = require('access-safe');
+
+const { run } = require('./context');
+const { getResponseData } = require('./output');
+const { mapSeries } = require('./utils');
+const { downloadAttachments, uploadAttachments } = require('../attachments');
+
+const list = {
+  command: 'list <id>',
+  describe: 'List the attachments of the item',
+  builder: (yargs) =>
+    yargs.positional('id', {
+      type: 'number',
+      describe: 'The item ID',
+    }),
+  handler: (argv) =>
+    run(argv, async ({ listClient }) => {
+      const response = await listClient.getAttachments(argv.id);
+      return accessSafe(() => response.data.d.results, []);
+    }),
+};
+
+const add = {
+  command: 'add <id> <files..>',
+  describe: 'Attach the files to the item, files already attached are skipped',
+  builder: (yargs) =>
+    yargs
+      .positional('id', {
+        type: 'number',
+        describe: 'The item ID',
+      })
+      .positional('files', {
+        type: 'string',
+        describe: 'The files to attach',
+      }),
+  handler: (argv) =>
+    run(argv, ({ options, listClient }) =>
+      uploadAttachments(listClient, argv.id, argv.files, options.logger)
+    ),
+};
+
+const download = {
+  command: 'download <id> [name]',
+  describe: 'Download the attachment, or all the attachments, of the item',
+  builder: (yargs) =>
+    yargs
+      .positional('id', {
+        type: 'number',
+        describe: 'The item ID',
+      })
+      .positional('name', {
+        type: 'string',
+        describe: 'The attachment file name, all attachments if not specified',
+      })
+      .option('output', {
+        alias: 'o',
+        type: 'string',
+        describe: 'The folder the files are written to, defaults to <output.path>/attachments/<id>',
+      }),
+  handler: (argv) =>
+    run(argv, async ({ options, listClient }) => {
+      const folder = _.isEmpty(argv.output)
+        ? Path.join(options.output.path || '', 'attachments', `${argv.id}`)
+        : argv.output;
+
+      if (_.isEmpty(argv.name)) {
+        return downloadAttachments(listClient, argv.id, folder, options.logger);
+      }
+
+      const response = await listClient.downloadAttachment(argv.id, argv.name);
+      const path = Path.join(folder, argv.name);
+      await fs.promises.mkdir(folder, { recursive: true });
+      await fs.promises.writeFile(path, Buffer.from(response.data));
+      return [path];
+    }),
+};
+
+const remove = {
+  command: 'delete <id> <names..>',
+  describe: 'Delete the attachments from the item',
+  builder: (yargs) =>
+    yargs
+      .positional('id', {
+        type: 'number',
+        describe: 'The item ID',
+      })
+      .positional('names', {
+        type: 'string',
+        describe: 'The attachment file names',
+      }),
+  handler: (argv) =>
+    run(argv, async ({ listClient }) =>
+      mapSeries(argv.names, async (name) => ({
+        FileName: name,
+        ...getResponseData(await listClient.deleteAttachment(argv.id, name)),
+      }))
+    ),
+};
+
+module.exports = {
+  command: 'attachments <command>',
+  describe: 'Manage the item attachments',
+  builder: (yargs) =>
+    yargs
+      .command(list)
+      .command(add)
+      .command(download)
+      .command(remove)
+      .demandCommand(1, 'Specify an attachments command'),
+  handler: () => {},
+};
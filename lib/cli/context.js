@@ -0,0 +1,162 @@
+const config = require('config');
+const fs = require('fs');
+const Path = require('path');
+const _ = require('lodash');
+const mkdirp = require('mkdirp');
+const stringifySafe = require('json-stringify-safe');
+const { transports } = require('winston');
+
+const logger = require('../logger');
+const { authenticate } = require('../auth');
+const createAxiosInstance = require('../axiosInstance');
+const { BaseClient, LibraryClient, ListClient } = require('../sharepoint/');
+const { getErrorMessage, writeResult } = require('./output');
+
+const pjson = require('../../package.json');
+
+/**
+ * Parse a command line override value, JSON values are parsed
+ * everything else is treated as a string
+ *
+ * @param {string} value
+ * @returns {*}
+ */
+const parseOverrideValue = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+/**
+ * Build the options from the config and the command line overrides
+ *
+ * @param {*} argv The parsed command line arguments
+ * @returns {object} The options
+ */
+const buildOptions = (argv) => {
+  const options = _.merge({}, config);
+
+  _.castArray(argv.set || []).forEach((override) => {
+    const [key, ...rest] = `${override}`.split('=');
+    if (_.isEmpty(key) || rest.length === 0) {
+      throw new Error(`Invalid config override ${override}, expected key=value`);
+    }
+    _.set(options, key, parseOverrideValue(rest.join('=')));
+  });
+
+  if (!_.isNil(argv.url)) options.sharepoint.url = argv.url;
+  if (!_.isNil(argv.list)) options.sharepoint.list = argv.list;
+  if (!_.isNil(argv.library)) options.sharepoint.library = argv.library;
+
+  options.logger = logger;
+  if (!_.isNil(argv.logLevel)) options.logger.level = argv.logLevel;
+
+  return options;
+};
+
+/**
+ * Create the logging and output folders and add the file logging
+ *
+ * @param {*} options
+ */
+const prepare = (options) => {
+  // Create logging folder if one does not exist
+  if (!_.isNull(options.debug.path)) {
+    if (!fs.existsSync(options.debug.path)) {
+      mkdirp.sync(options.debug.path);
+    }
+  }
+
+  // Create output folder if one does not exist
+  if (!_.isNull(options.output.path)) {
+    if (!fs.existsSync(options.output.path)) {
+      mkdirp.sync(options.output.path);
+    }
+  }
+
+  // Add logging to a file
+  options.logger.add(
+    new transports.File({
+      filename: Path.join(options.debug.path, options.debug.filename),
+      options: {
+        flags: 'w',
+      },
+    })
+  );
+};
+
+/**
+ * Create the context for a command, authenticate and get the X-RequestDigest.
+ * The ListClient is created when a command first uses it, so the library commands
+ * do not need a list, and the LibraryClient is created if a library is configured
+ *
+ * @param {*} argv The parsed command line arguments
+ * @returns {Promise} Promise object with the options, listClient and libraryClient
+ */
+const createContext = async (argv) => {
+  const loggingOptions = {
+    label: 'createContext',
+  };
+
+  const options = buildOptions(argv);
+  prepare(options);
+
+  options.logger.info(`Start ${pjson.name} - v${pjson.version}`, loggingOptions);
+  options.logger.debug(`Options: ${stringifySafe(options)}`, loggingOptions);
+
+  const axiosInstance = createAxiosInstance(options);
+
+  // Authentication errors stop the run, the clients use the authProvider to refresh
+  options.authProvider = () => authenticate(options);
+  const authresponse = await options.authProvider();
+  options.logger.info(`Authenticated Successfully`, loggingOptions);
+  options.sharepoint.authheaders = authresponse.headers;
+  options.sharepoint.authexpires = authresponse.expiresAt;
+
+  // The clients share options.sharepoint so the X-RequestDigest is shared as well
+  await new BaseClient(options, axiosInstance).getContextInfo();
+
+  const getListClient = _.once(() => new ListClient(options, axiosInstance));
+  const libraryClient = _.isEmpty(options.sharepoint.library)
+    ? null
+    : new LibraryClient(options, axiosInstance);
+
+  return {
+    options,
+    axiosInstance,
+    get listClient() {
+      return getListClient();
+    },
+    libraryClient,
+  };
+};
+
+/**
+ * Run a command task within a context and write the result
+ *
+ * @param {*} argv The parsed command line arguments
+ * @param {Function} task The async task, called with the context
+ * @returns {Promise}
+ */
+const run = async (argv, task) => {
+  const loggingOptions = {
+    label: argv._.join(' ') || 'run',
+  };
+
+  try {
+    const context = await createContext(argv);
+    writeResult(await task(context));
+    context.options.logger.info(`End ${pjson.name} - v${pjson.version}`, loggingOptions);
+  } catch (err) {
+    logger.error(`Error: ${getErrorMessage(err)}`, loggingOptions);
+    process.exitCode = 1;
+  }
+};
+
+module.exports = {
+  buildOptions,
+  createContext,
+  run,
+};
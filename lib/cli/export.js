@@ -0,0 +1,69 @@
+const Path = require('path');
+const _ = require('lodash');
+
+const { run } = require('./context');
+const { buildQuery, queryOptions } = require('./query');
+const { EXPORT_FORMATS, exportChanges, exportItems, getExportPath } = require('../itemExport');
+const { getChangeTokenPath } = require('../sharepoint/changes');
+
+module.exports = {
+  command: 'export',
+  describe: 'Export the list items to a JSON, NDJSON or CSV file',
+  builder: (yargs) =>
+    queryOptions(yargs)
+      .option('format', {
+        choices: EXPORT_FORMATS,
+        default: 'json',
+        describe: 'The export format',
+      })
+      .option('columns', {
+        alias: 'c',
+        type: 'array',
+        describe:
+          'The columns and their order, expanded values use Field/Property e.g. Author/Title. Defaults to the columns of the first item.',
+      })
+      .option('output', {
+        alias: 'o',
+        type: 'string',
+        describe: 'The export file, defaults to the config output.path and output.filename',
+      })
+      .option('typed', {
+        type: 'boolean',
+        default: false,
+        describe:
+          'Convert the values using the list fields, e.g. lookup display text, arrays for multi value fields and dates in sharepoint.utcoffset',
+      })
+      .option('delta', {
+        type: 'boolean',
+        default: false,
+        describe:
+          'Only export the items changed since the last --delta export, the deleted IDs are written to <name>_deleted.json and the change token to output.path',
+      })
+      .option('attachments', {
+        type: 'boolean',
+        default: false,
+        describe:
+          'Download the item attachments to attachments/<ID>/ next to the export file and add the AttachmentFiles column',
+      }),
+  handler: (argv) =>
+    run(argv, ({ options, listClient }) => {
+      const path = _.isEmpty(argv.output) ? getExportPath(options, argv.format) : argv.output;
+      const exportOptions = {
+        path,
+        format: argv.format,
+        query: buildQuery(argv),
+        columns: argv.columns,
+        attachmentsPath: argv.attachments ? Path.join(Path.dirname(path), 'attachments') : null,
+        typed: argv.typed,
+        logger: options.logger,
+      };
+
+      if (!argv.delta) return exportItems(listClient, exportOptions);
+
+      const tokenPath = getChangeTokenPath(options.output, options.sharepoint.list);
+      if (_.isNull(tokenPath)) {
+        throw new Error('output.path not set, it is needed to save the change token');
+      }
+      return exportChanges(listClient, { ...exportOptions, tokenPath });
+    }),
+};
@@ -0,0 +1,55 @@
+const _ = require('lodash');
+const { accessSafe } = require('access-safe');
+
+const { run } = require('./context');
+const { inputOptions, readJsonInput } = require('./input');
+const { getResponseData } = require('./output');
+const { mapSeries } = require('./utils');
+const { toFieldInfo } = require('../schema');
+const { encodeFilter } = require('../sharepoint/QueryBuilder');
+
+const list = {
+  command: 'list',
+  describe: 'List the fields',
+  builder: (yargs) =>
+    yargs
+      .option('filter', {
+        alias: 'f',
+        type: 'string',
+        describe: 'ODATA $filter, e.g. "Hidden eq false"',
+      })
+      .option('select', {
+        alias: 's',
+        type: 'array',
+        describe: 'Properties to $select',
+      }),
+  handler: (argv) =>
+    run(argv, async ({ listClient }) => {
+      const filter = _.omitBy(
+        { Filter: encodeFilter(argv.filter || ''), Select: argv.select },
+        _.isEmpty
+      );
+      const response = await listClient.getFields(filter);
+      return accessSafe(() => response.data.d.results, []);
+    }),
+};
+
+const add = {
+  command: 'add',
+  describe: 'Add the field or array of fields if they do not exist',
+  builder: (yargs) => inputOptions(yargs),
+  handler: (argv) =>
+    run(argv, async ({ listClient }) => {
+      const fields = await readJsonInput(argv);
+      return mapSeries(fields, async (field) =>
+        getResponseData(await listClient.addField(toFieldInfo(field)))
+      );
+    }),
+};
+
+module.exports = {
+  command: 'fields <command>',
+  describe: 'Manage the list fields',
+  builder: (yargs) => yargs.command(list).command(add).demandCommand(1, 'Specify a fields command'),
+  handler: () => {},
+};
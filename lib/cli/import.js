@@ -0,0 +1,75 @@
+const { run } = require('./context');
+const { checkBulkReport } = require('./output');
+const { EMPTY_CELL_MODES, importCsv, readMapping } = require('../csvImport');
+
+module.exports = {
+  command: 'import <file>',
+  describe: 'Import the CSV file, upserting each row using the lookup fields',
+  builder: (yargs) =>
+    yargs
+      .positional('file', {
+        type: 'string',
+        describe: 'The CSV file, use - for stdin',
+      })
+      .option('mapping', {
+        alias: 'm',
+        type: 'string',
+        describe:
+          'JSON file mapping the CSV column headers to the field internal names, { "Column Header": "FieldName" }. If not specified the column headers are used.',
+      })
+      .option('lookup', {
+        alias: 'k',
+        type: 'array',
+        default: ['Title'],
+        describe: 'The fields used to find an existing item',
+      })
+      .option('encoding', {
+        type: 'string',
+        default: 'utf8',
+        describe: 'The file encoding, e.g. utf8, utf16le, latin1, win1252',
+      })
+      .option('delimiter', {
+        type: 'string',
+        default: ',',
+        describe: 'The CSV delimiter',
+      })
+      .option('empty-cells', {
+        choices: EMPTY_CELL_MODES,
+        default: 'skip',
+        describe:
+          'How empty cells are handled, skip leaves the field unchanged, null clears the field, empty sets an empty string',
+      })
+      .option('trim', {
+        type: 'boolean',
+        default: false,
+        describe: 'Remove the leading and trailing whitespace of each cell',
+      })
+      .option('typed', {
+        type: 'boolean',
+        default: false,
+        describe:
+          'Convert the values using the list fields, e.g. lookup display text to the ID, ; separated multi values and dates in sharepoint.utcoffset',
+      })
+      .option('attachments-column', {
+        type: 'string',
+        describe:
+          'The column with the ; separated files to attach to the item, relative paths are resolved from the CSV file folder. Files already attached are skipped.',
+      }),
+  handler: (argv) =>
+    run(argv, async ({ options, listClient }) =>
+      checkBulkReport(
+        await importCsv(listClient, {
+          path: argv.file,
+          lookup: argv.lookup,
+          mapping: argv.mapping ? readMapping(argv.mapping) : null,
+          encoding: argv.encoding,
+          delimiter: argv.delimiter,
+          emptyCells: argv.emptyCells,
+          trim: argv.trim,
+          attachmentsColumn: argv.attachmentsColumn,
+          typed: argv.typed,
+          logger: options.logger,
+        })
+      )
+    ),
+};
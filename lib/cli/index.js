@@ -0,0 +1,67 @@
+const yargs = require('yargs/yargs');
+
+const items = require('./items');
+const list = require('./list');
+const fields = require('./fields');
+const attachments = require('./attachments');
+const library = require('./library');
+const recycleBin = require('./recycleBin');
+const permissions = require('./permissions');
+const importCommand = require('./import');
+const exportCommand = require('./export');
+const syncCommand = require('./sync');
+const mockServer = require('./mockServer');
+
+const pjson = require('../../package.json');
+
+/**
+ * Create the command line parser
+ *
+ * @param {string[]} args The command line arguments
+ * @returns {*} yargs
+ */
+const createCli = (args) =>
+  yargs(args)
+    .scriptName('splm')
+    .usage('$0 <command> [options]')
+    .option('url', {
+      type: 'string',
+      describe: 'Sharepoint Site Url, overrides sharepoint.url',
+    })
+    .option('list', {
+      alias: 'l',
+      type: 'string',
+      describe: 'Sharepoint List Title, overrides sharepoint.list',
+    })
+    .option('library', {
+      type: 'string',
+      describe: 'Sharepoint Document Library Title, overrides sharepoint.library',
+    })
+    .option('set', {
+      type: 'array',
+      describe: 'Override a config option, e.g. --set ratelimit.maxRequests=2',
+    })
+    .option('log-level', {
+      type: 'string',
+      choices: ['error', 'warn', 'info', 'verbose', 'debug', 'silly'],
+      describe: 'The console logging level',
+    })
+    .command(items)
+    .command(list)
+    .command(fields)
+    .command(attachments)
+    .command(library)
+    .command(recycleBin)
+    .command(permissions)
+    .command(importCommand)
+    .command(exportCommand)
+    .command(syncCommand)
+    .command(mockServer)
+    .demandCommand(1, 'Specify a command')
+    .strict()
+    .version(pjson.version)
+    .help();
+
+module.exports = {
+  createCli,
+};
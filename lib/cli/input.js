@@ -0,0 +1,73 @@
+const fs = require('fs');
+const _ = require('lodash');
+
+/**
+ * Read the contents of a file, or stdin when the path is -
+ *
+ * @param {string} path The file path or -
+ * @returns {Promise} Promise object with the file contents as a Buffer
+ */
+const readSource = (path) => {
+  return new Promise((resolve, reject) => {
+    if (path !== '-') {
+      fs.readFile(path, (err, data) => (err ? reject(err) : resolve(data)));
+      return;
+    }
+
+    const chunks = [];
+    process.stdin.on('data', (chunk) => chunks.push(chunk));
+    process.stdin.on('end', () => resolve(Buffer.concat(chunks)));
+    process.stdin.on('error', (err) => reject(err));
+  });
+};
+
+/**
+ * Get the JSON input for a command, from the --data argument
+ * or from the --input file or stdin
+ *
+ * @param {*} argv The parsed command line arguments
+ * @returns {Promise} Promise object with the parsed JSON
+ */
+const readJsonInput = async (argv) => {
+  let json = null;
+
+  if (!_.isNil(argv.data)) {
+    json = argv.data;
+  } else if (!_.isNil(argv.input)) {
+    json = (await readSource(argv.input)).toString('utf8');
+  } else {
+    throw new Error('No input specified, use --data or --input');
+  }
+
+  try {
+    return JSON.parse(json);
+  } catch (err) {
+    throw new Error(`Input is not valid JSON. ${err.message}`);
+  }
+};
+
+/**
+ * Yargs builder for the JSON input options
+ *
+ * @param {*} yargs
+ * @returns {*} yargs
+ */
+const inputOptions = (yargs) =>
+  yargs
+    .option('data', {
+      alias: 'd',
+      type: 'string',
+      describe: 'JSON input',
+    })
+    .option('input', {
+      alias: 'i',
+      type: 'string',
+      describe: 'File containing the JSON input, use - for stdin',
+    })
+    .conflicts('data', 'input');
+
+module.exports = {
+  inputOptions,
+  readJsonInput,
+  readSource,
+};
@@ -0,0 +1,311 @@
+const _ = require('lodash');
+const { accessSafe } = require('access-safe');
+
+const { run } = require('./context');
+const { inputOptions, readJsonInput } = require('./input');
+const { checkBulkReport, getResponseData } = require('./output');
+const { buildQuery, queryOptions } = require('./query');
+const { MAX_BATCH_SIZE } = require('../sharepoint/batch');
+const { CONFLICT_POLICIES } = require('../sharepoint/etag');
+
+/**
+ * Add the typed option
+ *
+ * @param {*} yargs
+ * @returns {*} yargs
+ */
+const typedOption = (yargs) =>
+  yargs.option('typed', {
+    type: 'boolean',
+    default: false,
+    describe:
+      'Convert the values using the list fields, e.g. lookup display text, arrays for multi value fields and dates in sharepoint.utcoffset',
+  });
+
+const get = {
+  command: 'get [id]',
+  describe: 'Get items, by ID, by Title or using an ODATA query',
+  builder: (yargs) =>
+    typedOption(queryOptions(yargs))
+      .positional('id', {
+        type: 'number',
+        describe: 'The item ID',
+      })
+      .option('title', {
+        alias: 't',
+        type: 'string',
+        describe: 'The item Title',
+      })
+      .option('all', {
+        alias: 'a',
+        type: 'boolean',
+        default: false,
+        describe: 'Follow the paging links and return all the items',
+      })
+      .option('caml', {
+        type: 'string',
+        describe:
+          'CAML ViewXml used instead of the ODATA query, for lists over the list view threshold',
+      }),
+  handler: (argv) =>
+    run(argv, async ({ listClient }) => {
+      const query = buildQuery(argv);
+
+      if (!_.isNil(argv.id)) {
+        const item = getResponseData(await listClient.getItemById(argv.id, query));
+        return argv.typed ? listClient.getFieldConverter().fromSharePoint(item) : item;
+      }
+
+      let response = null;
+      if (!_.isNil(argv.title)) {
+        response = await listClient.getItemByTitle(argv.title, query);
+      } else if (!_.isEmpty(argv.caml)) {
+        response = argv.all
+          ? await listClient.getAllItemsByCaml(argv.caml)
+          : await listClient.getItemsByCaml(argv.caml);
+      } else if (argv.all) {
+        response = await listClient.getAllItems(query);
+      } else {
+        response = await listClient.getItems(query);
+      }
+      const items = accessSafe(() => response.data.d.results, []);
+      return argv.typed
+        ? Promise.all(items.map((item) => listClient.getFieldConverter().fromSharePoint(item)))
+        : items;
+    }),
+};
+
+/**
+ * Add the concurrency option
+ *
+ * @param {*} yargs
+ * @returns {*} yargs
+ */
+const concurrencyOption = (yargs) =>
+  yargs.option('concurrency', {
+    type: 'number',
+    describe: 'The maximum number of requests in flight, defaults to the config bulk.concurrency',
+  });
+
+/**
+ * Add the bulk options
+ *
+ * @param {*} yargs
+ * @returns {*} yargs
+ */
+const bulkOptions = (yargs) => concurrencyOption(typedOption(yargs));
+
+/**
+ * Get the bulk options from the command line arguments
+ *
+ * @param {*} argv The parsed command line arguments
+ * @returns {object} { concurrency, typed }
+ */
+const getBulkOptions = (argv) =>
+  _.omitBy({ concurrency: argv.concurrency, typed: argv.typed }, _.isNil);
+
+const add = {
+  command: 'add',
+  describe: 'Add the item or array of items, the report of each item is written to output.path',
+  builder: (yargs) => bulkOptions(inputOptions(yargs)),
+  handler: (argv) =>
+    run(argv, async ({ listClient }) => {
+      const items = await readJsonInput(argv);
+      return checkBulkReport(await listClient.addItems(items, getBulkOptions(argv)));
+    }),
+};
+
+const update = {
+  command: 'update [id]',
+  describe:
+    'Update the item or array of items, each item must have an ID. The report of each item is written to output.path',
+  builder: (yargs) =>
+    bulkOptions(inputOptions(yargs))
+      .positional('id', {
+        type: 'number',
+        describe: 'The item ID, overrides the ID in the input',
+      })
+      .option('etag', {
+        type: 'boolean',
+        default: false,
+        describe:
+          'Use the __metadata.etag of each item, items changed since they were read fail with a conflict',
+      })
+      .option('conflict-policy', {
+        type: 'string',
+        choices: CONFLICT_POLICIES,
+        describe:
+          'fail or merge the items changed since they were read, defaults to the config sharepoint.conflictpolicy',
+      })
+      .option('original', {
+        type: 'string',
+        describe:
+          'File containing the JSON items as they were read, e.g. from items get, required to merge',
+      })
+      .implies('original', 'etag'),
+  handler: (argv) =>
+    run(argv, async ({ listClient }) => {
+      const input = await readJsonInput(argv);
+      if (!_.isNil(argv.id) && !_.isPlainObject(input)) {
+        throw new Error('The input must be a single item when the id is specified');
+      }
+
+      const items = _.isNil(argv.id) ? input : { ...input, ID: argv.id };
+      const originals = _.isNil(argv.original)
+        ? null
+        : await readJsonInput({ input: argv.original });
+      return checkBulkReport(
+        await listClient.updateItems(items, {
+          ...getBulkOptions(argv),
+          etags: argv.etag,
+          ..._.omitBy({ originals, conflictpolicy: argv.conflictPolicy }, _.isNil),
+        })
+      );
+    }),
+};
+
+const upsert = {
+  command: 'upsert',
+  describe:
+    'Add or update the item or array of items, matching on the lookup fields. The report of each item is written to output.path',
+  builder: (yargs) =>
+    bulkOptions(inputOptions(yargs)).option('lookup', {
+      alias: 'k',
+      type: 'array',
+      default: ['ID'],
+      describe: 'The fields on the item used to find an existing item',
+    }),
+  handler: (argv) =>
+    run(argv, async ({ listClient }) => {
+      const items = await readJsonInput(argv);
+      return checkBulkReport(
+        await listClient.upsertItems(items, argv.lookup, getBulkOptions(argv))
+      );
+    }),
+};
+
+const remove = {
+  command: 'delete [ids..]',
+  describe:
+    'Delete the items by ID, or the items in the input, the items are moved to the recycle bin unless sharepoint.recycle is false. The report of each item is written to output.path',
+  builder: (yargs) =>
+    inputOptions(concurrencyOption(yargs))
+      .positional('ids', {
+        type: 'number',
+        describe: 'The item IDs',
+      })
+      .option('permanent', {
+        type: 'boolean',
+        default: false,
+        describe: 'Delete the items permanently rather than moving them to the recycle bin',
+      })
+      .option('etag', {
+        type: 'boolean',
+        default: false,
+        describe:
+          'Use the __metadata.etag of each input item, items changed since they were read fail with a conflict',
+      }),
+  handler: (argv) =>
+    run(argv, async ({ listClient }) => {
+      const ids = _.castArray(argv.ids || []);
+      if (argv.etag && ids.length > 0) {
+        throw new Error('The --etag option deletes the input items, not the ids');
+      }
+
+      const items = ids.length > 0 ? ids : _.castArray(await readJsonInput(argv));
+      return checkBulkReport(
+        await listClient.deleteItems(items, {
+          ..._.omitBy({ concurrency: argv.concurrency }, _.isNil),
+          ...(argv.permanent ? { recycle: false } : {}),
+          etags: argv.etag,
+        })
+      );
+    }),
+};
+
+const versions = {
+  command: 'versions <id>',
+  describe:
+    'List the versions of the item with the editor and values, or the changed fields between two versions using --from',
+  builder: (yargs) =>
+    yargs
+      .positional('id', {
+        type: 'number',
+        describe: 'The item ID',
+      })
+      .option('from', {
+        type: 'string',
+        describe: 'Compare the fields of this version label, e.g. 1.0, to the --to version',
+      })
+      .option('to', {
+        type: 'string',
+        describe: 'The version label compared to --from, defaults to the current version',
+      }),
+  handler: (argv) =>
+    run(argv, ({ listClient }) =>
+      _.isNil(argv.from)
+        ? listClient.getItemVersions(argv.id)
+        : listClient.compareItemVersions(argv.id, argv.from, argv.to)
+    ),
+};
+
+const restoreVersion = {
+  command: 'restore-version <id> <label>',
+  describe:
+    'Restore the field values of the item version, the fields changed since the version are updated',
+  builder: (yargs) =>
+    yargs
+      .positional('id', {
+        type: 'number',
+        describe: 'The item ID',
+      })
+      .positional('label', {
+        type: 'string',
+        describe: 'The version label, e.g. 2.0',
+      }),
+  handler: (argv) =>
+    run(argv, ({ listClient }) => listClient.restoreItemVersion(argv.id, argv.label)),
+};
+
+const batch = {
+  command: 'batch',
+  describe:
+    'Add, update and delete items using $batch requests, the input is an array of operations { "action": "add|update|delete", "item": {}, "id": 1 }',
+  builder: (yargs) =>
+    inputOptions(yargs).option('batch-size', {
+      type: 'number',
+      default: MAX_BATCH_SIZE,
+      describe: `The number of operations per $batch request, maximum ${MAX_BATCH_SIZE}`,
+    }),
+  handler: (argv) =>
+    run(argv, async ({ options, listClient }) => {
+      const operations = _.castArray(await readJsonInput(argv));
+      const results = await listClient.batch(operations, argv.batchSize);
+      const failed = results.filter((result) => !result.ok).length;
+      if (failed > 0) process.exitCode = 1;
+      options.logger.info(
+        `Batch complete. Operations: ${results.length} Succeeded: ${
+          results.length - failed
+        } Failed: ${failed}`,
+        { label: 'items batch' }
+      );
+      return results;
+    }),
+};
+
+module.exports = {
+  command: 'items <command>',
+  describe: 'Manage the items in the list',
+  builder: (yargs) =>
+    yargs
+      .command(get)
+      .command(add)
+      .command(update)
+      .command(upsert)
+      .command(remove)
+      .command(versions)
+      .command(restoreVersion)
+      .command(batch)
+      .demandCommand(1, 'Specify an items command'),
+  handler: () => {},
+};
@@ -0,0 +1,154 @@
+const Path = require('path');
+const _ = require('lodash');
+const { accessSafe } = require('access-safe');
+
+const { run } = require('./context');
+const { inputOptions, readJsonInput } = require('./input');
+const { getResponseData } = require('./output');
+const { mapSeries } = require('./utils');
+
+/**
+ * Get the LibraryClient from the context
+ *
+ * @param {object} context The command context
+ * @returns {LibraryClient}
+ */
+const requireLibrary = ({ libraryClient }) => {
+  if (_.isNil(libraryClient)) {
+    throw new Error('No document library specified, use --library or sharepoint.library');
+  }
+  return libraryClient;
+};
+
+const ls = {
+  command: 'ls [path]',
+  describe: 'List the folders and files in the folder',
+  builder: (yargs) =>
+    yargs.positional('path', {
+      type: 'string',
+      default: '',
+      describe: 'The folder path relative to the library root folder',
+    }),
+  handler: (argv) =>
+    run(argv, async (context) => {
+      const libraryClient = requireLibrary(context);
+      const folders = await libraryClient.getFolders(argv.path);
+      const files = await libraryClient.getFiles(argv.path);
+      return {
+        folders: accessSafe(() => folders.data.d.results, []).map((folder) => ({
+          Name: folder.Name,
+          ServerRelativeUrl: folder.ServerRelativeUrl,
+          ItemCount: folder.ItemCount,
+        })),
+        files: accessSafe(() => files.data.d.results, []).map((file) => ({
+          Name: file.Name,
+          ServerRelativeUrl: file.ServerRelativeUrl,
+          Length: _.toNumber(file.Length),
+          TimeLastModified: file.TimeLastModified,
+        })),
+      };
+    }),
+};
+
+const mkdir = {
+  command: 'mkdir <path>',
+  describe: 'Create the folder, missing parent folders are created as well',
+  builder: (yargs) =>
+    yargs.positional('path', {
+      type: 'string',
+      describe: 'The folder path relative to the library root folder',
+    }),
+  handler: (argv) =>
+    run(argv, async (context) =>
+      getResponseData(await requireLibrary(context).createFolder(argv.path))
+    ),
+};
+
+const upload = {
+  command: 'upload <files..>',
+  describe: 'Upload the files to the folder, large files are uploaded in chunks',
+  builder: (yargs) =>
+    yargs
+      .positional('files', {
+        type: 'string',
+        describe: 'The local files',
+      })
+      .option('folder', {
+        alias: 'f',
+        type: 'string',
+        default: '',
+        describe: 'The folder path relative to the library root folder',
+      })
+      .option('overwrite', {
+        type: 'boolean',
+        default: true,
+        describe: 'Overwrite existing files, use --no-overwrite to fail instead',
+      }),
+  handler: (argv) =>
+    run(argv, async (context) => {
+      const libraryClient = requireLibrary(context);
+      return mapSeries(argv.files, async (file) => {
+        const path = _.compact([argv.folder, Path.basename(file)]).join('/');
+        const response = await libraryClient.uploadFileFromPath(file, path, argv.overwrite);
+        return { path, ...getResponseData(response) };
+      });
+    }),
+};
+
+const download = {
+  command: 'download <paths..>',
+  describe: 'Download the files',
+  builder: (yargs) =>
+    yargs
+      .positional('paths', {
+        type: 'string',
+        describe: 'The file paths relative to the library root folder',
+      })
+      .option('output', {
+        alias: 'o',
+        type: 'string',
+        describe: 'The folder the files are written to, defaults to output.path',
+      }),
+  handler: (argv) =>
+    run(argv, async (context) => {
+      const { options } = context;
+      const libraryClient = requireLibrary(context);
+      const folder = _.isEmpty(argv.output) ? options.output.path || '' : argv.output;
+      return mapSeries(argv.paths, (path) =>
+        libraryClient.downloadFileToPath(path, Path.join(folder, Path.posix.basename(path)))
+      );
+    }),
+};
+
+const metadata = {
+  command: 'metadata <path>',
+  describe: 'Get the metadata fields of the file, or set them using --data or --input',
+  builder: (yargs) =>
+    inputOptions(yargs).positional('path', {
+      type: 'string',
+      describe: 'The file path relative to the library root folder',
+    }),
+  handler: (argv) =>
+    run(argv, async (context) => {
+      const libraryClient = requireLibrary(context);
+      if (_.isNil(argv.data) && _.isNil(argv.input)) {
+        return getResponseData(await libraryClient.getFileMetadata(argv.path));
+      }
+      const fields = await readJsonInput(argv);
+      return getResponseData(await libraryClient.setFileMetadata(argv.path, fields));
+    }),
+};
+
+module.exports = {
+  command: 'library <command>',
+  describe: 'Manage the files and folders in the document library',
+  builder: (yargs) =>
+    yargs
+      .command(ls)
+      .command(mkdir)
+      .command(upload)
+      .command(download)
+      .command(metadata)
+      .demandCommand(1, 'Specify a library command'),
+  handler: () => {},
+};
@@ -0,0 +1,112 @@
+const $REST = require('gd-sprest');
+const Path = require('path');
+const _ = require('lodash');
+
+const { run } = require('./context');
+const { getResponseData } = require('./output');
+const { applySchema, exportSchema, readSchema, writeSchema } = require('../schema');
+const { ListClient } = require('../sharepoint/');
+
+const info = {
+  command: 'info',
+  describe: 'Get information about the list',
+  builder: (yargs) =>
+    yargs.option('fields', {
+      type: 'boolean',
+      default: false,
+      describe: 'Include the list fields',
+    }),
+  handler: (argv) =>
+    run(argv, async ({ listClient }) => getResponseData(await listClient.getListInfo(argv.fields))),
+};
+
+const create = {
+  command: 'create',
+  describe: 'Create the list',
+  builder: (yargs) =>
+    yargs.option('template', {
+      type: 'string',
+      default: 'GenericList',
+      describe: 'The list template name or number, see $REST.SPTypes.ListTemplateType',
+    }),
+  handler: (argv) =>
+    run(argv, async ({ listClient }) => {
+      const template = _.get(
+        $REST.SPTypes.ListTemplateType,
+        argv.template,
+        _.toNumber(argv.template)
+      );
+      if (_.isNaN(template)) {
+        throw new Error(`Unknown list template ${argv.template}`);
+      }
+      return getResponseData(await listClient.createList(template));
+    }),
+};
+
+const applySchemaCommand = {
+  command: 'apply-schema <file>',
+  describe:
+    'Create the list if it does not exist, add the missing fields and report the drift from the JSON or YAML schema file',
+  builder: (yargs) =>
+    yargs
+      .positional('file', {
+        type: 'string',
+        describe: 'The JSON or YAML schema file',
+      })
+      .option('dry-run', {
+        type: 'boolean',
+        default: false,
+        describe: 'Report the changes without making them',
+      }),
+  handler: (argv) =>
+    run(argv, async ({ options, axiosInstance, listClient }) => {
+      const schema = readSchema(argv.file);
+
+      // The schema title is used unless the list is specified on the command line
+      const schemaClient =
+        !_.isEmpty(schema.title) && _.isNil(argv.list)
+          ? new ListClient(
+              { ...options, sharepoint: { ...options.sharepoint, list: schema.title } },
+              axiosInstance
+            )
+          : listClient;
+
+      return applySchema(schemaClient, schema, { dryRun: argv.dryRun, logger: options.logger });
+    }),
+};
+
+const exportSchemaCommand = {
+  command: 'export-schema',
+  describe: 'Export the list schema to a JSON or YAML schema file',
+  builder: (yargs) =>
+    yargs.option('output', {
+      alias: 'o',
+      type: 'string',
+      describe:
+        'The schema file, .yml or .yaml files are written as YAML. Defaults to <list>.schema.json in the config output.path',
+    }),
+  handler: (argv) =>
+    run(argv, async ({ options, listClient }) => {
+      const schema = await exportSchema(listClient, options.logger);
+      const path = _.isEmpty(argv.output)
+        ? Path.join(options.output.path || '', `${_.kebabCase(schema.title)}.schema.json`)
+        : argv.output;
+
+      writeSchema(path, schema);
+      options.logger.info(`Schema written to ${path}`, { label: 'list export-schema' });
+      return schema;
+    }),
+};
+
+module.exports = {
+  command: 'list <command>',
+  describe: 'Manage the list',
+  builder: (yargs) =>
+    yargs
+      .command(info)
+      .command(create)
+      .command(applySchemaCommand)
+      .command(exportSchemaCommand)
+      .demandCommand(1, 'Specify a list command'),
+  handler: () => {},
+};
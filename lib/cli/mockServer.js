@@ -0,0 +1,78 @@
+const fs = require('fs');
+const _ = require('lodash');
+
+const { buildOptions } = require('./context');
+const { MockSharePointServer } = require('../mock');
+
+module.exports = {
+  command: 'mock-server',
+  describe: 'Run a local mock SharePoint REST server for offline development',
+  builder: (yargs) =>
+    yargs
+      .option('port', {
+        alias: 'p',
+        type: 'number',
+        default: 8080,
+        describe: 'The port to listen on',
+      })
+      .option('host', {
+        type: 'string',
+        default: '127.0.0.1',
+        describe: 'The host to listen on',
+      })
+      .option('site-path', {
+        type: 'string',
+        default: '/sites/mock',
+        describe: 'The site path, the site url is http://<host>:<port><site-path>',
+      })
+      .option('state', {
+        type: 'string',
+        describe:
+          'JSON file the lists and items are loaded from and saved to, in memory if not set',
+      })
+      .option('lists', {
+        type: 'array',
+        describe: 'The lists to create if they do not exist, defaults to --list or sharepoint.list',
+      })
+      .option('page-size', {
+        type: 'number',
+        default: 100,
+        describe: 'The maximum items in a page before the __next link is returned',
+      })
+      .option('list-view-threshold', {
+        type: 'number',
+        default: 5000,
+        describe: 'Fail $filter queries of lists with more items, as for non-indexed columns',
+      })
+      .option('faults', {
+        type: 'string',
+        describe:
+          'JSON file with the array of faults to inject, e.g. [{ "type": "status", "status": 429, "retryAfter": 2, "rate": 0.1 }]',
+      }),
+  handler: async (argv) => {
+    const options = buildOptions(argv);
+    const lists = _.isEmpty(argv.lists) ? _.compact([options.sharepoint.list]) : argv.lists;
+
+    const server = new MockSharePointServer({
+      sitePath: argv.sitePath,
+      statePath: argv.state,
+      lists: lists.map(String),
+      pageSize: argv.pageSize,
+      listViewThreshold: argv.listViewThreshold,
+      faults: argv.faults ? JSON.parse(fs.readFileSync(argv.faults, 'utf8')) : [],
+      logger: options.logger,
+    });
+
+    const url = await server.listen(argv.port, argv.host);
+    options.logger.info(
+      `Use SPURL=${url} SPAUTHSTRATEGY=static SPCOOKIE=mock, press Ctrl+C to stop`,
+      { label: 'mock-server' }
+    );
+
+    await new Promise((resolve) => {
+      process.once('SIGINT', resolve);
+      process.once('SIGTERM', resolve);
+    });
+    await server.close();
+  },
+};
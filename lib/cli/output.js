@@ -0,0 +1,59 @@
+const _ = require('lodash');
+const stringifySafe = require('json-stringify-safe');
+const { accessSafe } = require('access-safe');
+
+const { SharePointError } = require('../sharepoint/errors');
+
+/**
+ * Get the error message, SharePoint errors include the error type, status and correlation id
+ *
+ * @param {Error} err
+ * @returns {string}
+ */
+const getErrorMessage = (err) =>
+  err instanceof SharePointError
+    ? `${err.name}${_.isNil(err.status) ? '' : ` ${err.status}`}: ${err.message} CorrelationId: ${
+        err.correlationid
+      }`
+    : err.message;
+
+/**
+ * Get the ODATA data from the response, or the status for responses with no content
+ *
+ * @param {object} response The cleaned Axios response
+ * @returns {object}
+ */
+const getResponseData = (response) =>
+  accessSafe(() => response.data.d, {
+    status: accessSafe(() => response.status, null),
+    statusText: accessSafe(() => response.statusText, null),
+  });
+
+/**
+ * Set the exit code to 1 when any item of the bulk report failed, so scripts can detect
+ * a partial failure
+ *
+ * @param {object} report The bulk report { failed }
+ * @returns {object} The report
+ */
+const checkBulkReport = (report) => {
+  if (_.get(report, 'failed', 0) > 0) process.exitCode = 1;
+  return report;
+};
+
+/**
+ * Write the result to stdout as JSON
+ *
+ * @param {*} result
+ */
+const writeResult = (result) => {
+  if (_.isUndefined(result)) return;
+  process.stdout.write(`${stringifySafe(result, null, 2)}\n`);
+};
+
+module.exports = {
+  checkBulkReport,
+  getErrorMessage,
+  getResponseData,
+  writeResult,
+};
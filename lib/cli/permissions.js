@@ -0,0 +1,159 @@
+const _ = require('lodash');
+
+const { run } = require('./context');
+const { inputOptions, readJsonInput } = require('./input');
+const { checkBulkReport } = require('./output');
+
+/**
+ * Add the item ID positional, the list when it is not set
+ *
+ * @param {*} yargs
+ * @returns {*} yargs
+ */
+const idPositional = (yargs) =>
+  yargs.positional('id', {
+    type: 'number',
+    describe: 'The item ID, the list if not specified',
+  });
+
+/**
+ * Add the user and group options
+ *
+ * @param {*} yargs
+ * @returns {*} yargs
+ */
+const principalOptions = (yargs) =>
+  yargs
+    .option('user', {
+      type: 'string',
+      describe: 'The user email or login name',
+    })
+    .option('group', {
+      type: 'string',
+      describe: 'The site group name',
+    })
+    .check((argv) => {
+      if (_.isEmpty(argv.user) === _.isEmpty(argv.group)) {
+        throw new Error('Specify either --user or --group');
+      }
+      return true;
+    });
+
+/**
+ * Get the principal from the command line arguments
+ *
+ * @param {*} argv The parsed command line arguments
+ * @returns {object} { user } or { group }
+ */
+const getPrincipal = (argv) => (_.isEmpty(argv.user) ? { group: argv.group } : { user: argv.user });
+
+const list = {
+  command: 'list [id]',
+  describe: 'List the role assignments in effect on the item or the list',
+  builder: (yargs) => idPositional(yargs),
+  handler: (argv) => run(argv, ({ listClient }) => listClient.getRoleAssignments(argv.id)),
+};
+
+const breakInheritance = {
+  command: 'break [id]',
+  describe: 'Give the item, or the list, its own permissions rather than inheriting them',
+  builder: (yargs) =>
+    idPositional(yargs)
+      .option('copy', {
+        type: 'boolean',
+        default: true,
+        describe: 'Start with a copy of the inherited role assignments, --no-copy starts with none',
+      })
+      .option('clear-subscopes', {
+        type: 'boolean',
+        default: false,
+        describe: 'Reset the items with their own permissions to inherit',
+      }),
+  handler: (argv) =>
+    run(argv, async ({ listClient }) => {
+      await listClient.breakRoleInheritance(argv.id, {
+        copyRoleAssignments: argv.copy,
+        clearSubscopes: argv.clearSubscopes,
+      });
+      return listClient.getRoleAssignments(argv.id);
+    }),
+};
+
+const reset = {
+  command: 'reset [id]',
+  describe: 'Remove the permissions of the item, or the list, so it inherits them again',
+  builder: (yargs) => idPositional(yargs),
+  handler: (argv) =>
+    run(argv, async ({ listClient }) => {
+      await listClient.resetRoleInheritance(argv.id);
+      return listClient.getRoleAssignments(argv.id);
+    }),
+};
+
+const grant = {
+  command: 'grant <role> [id]',
+  describe: 'Give the --user or --group the role on the item or the list',
+  builder: (yargs) =>
+    principalOptions(
+      idPositional(yargs).positional('role', {
+        type: 'string',
+        describe: 'The role definition name, e.g. Contribute',
+      })
+    ),
+  handler: (argv) =>
+    run(argv, async ({ listClient }) => {
+      await listClient.addRoleAssignment(argv.id, getPrincipal(argv), argv.role);
+      return listClient.getRoleAssignments(argv.id);
+    }),
+};
+
+const revoke = {
+  command: 'revoke [id]',
+  describe: 'Remove the --role, or all the roles, of the --user or --group on the item or the list',
+  builder: (yargs) =>
+    principalOptions(idPositional(yargs)).option('role', {
+      type: 'string',
+      describe: 'The role definition name, all the roles if not specified',
+    }),
+  handler: (argv) =>
+    run(argv, async ({ listClient }) => {
+      await listClient.removeRoleAssignment(argv.id, getPrincipal(argv), argv.role);
+      return listClient.getRoleAssignments(argv.id);
+    }),
+};
+
+const apply = {
+  command: 'apply',
+  describe:
+    'Apply the permissions mapping or array of mappings { "ID": 1, "inherit": false, "copyRoleAssignments": false, "remove": [], "add": [{ "user": "", "role": "" }] }. The report of each mapping is written to output.path',
+  builder: (yargs) =>
+    inputOptions(yargs).option('concurrency', {
+      type: 'number',
+      describe: 'The maximum number of requests in flight, defaults to the config bulk.concurrency',
+    }),
+  handler: (argv) =>
+    run(argv, async ({ listClient }) => {
+      const mappings = await readJsonInput(argv);
+      return checkBulkReport(
+        await listClient.applyPermissions(
+          mappings,
+          _.omitBy({ concurrency: argv.concurrency }, _.isNil)
+        )
+      );
+    }),
+};
+
+module.exports = {
+  command: 'permissions <command>',
+  describe: 'Manage the permissions of the list and its items',
+  builder: (yargs) =>
+    yargs
+      .command(list)
+      .command(breakInheritance)
+      .command(reset)
+      .command(grant)
+      .command(revoke)
+      .command(apply)
+      .demandCommand(1, 'Specify a permissions command'),
+  handler: () => {},
+};
@@ -0,0 +1,58 @@
+const _ = require('lodash');
+
+const { encodeFilter } = require('../sharepoint/QueryBuilder');
+
+/**
+ * Yargs builder for the ODATA query options
+ *
+ * @param {*} yargs
+ * @returns {*} yargs
+ */
+const queryOptions = (yargs) =>
+  yargs
+    .option('filter', {
+      alias: 'f',
+      type: 'string',
+      describe: 'ODATA $filter, e.g. "MODALITY eq \'READ\'"',
+    })
+    .option('select', {
+      alias: 's',
+      type: 'array',
+      describe: 'Fields to $select',
+    })
+    .option('expand', {
+      alias: 'e',
+      type: 'array',
+      describe: 'Fields to $expand',
+    })
+    .option('orderby', {
+      type: 'array',
+      describe: 'Fields to $orderby, e.g. "Modified desc"',
+    })
+    .option('top', {
+      type: 'number',
+      describe: 'Maximum number of items per request',
+    });
+
+/**
+ * Build the ODATA query from the command line arguments
+ *
+ * @param {*} argv The parsed command line arguments
+ * @returns {object} The ODATA query
+ */
+const buildQuery = (argv) => {
+  const query = {};
+
+  if (!_.isEmpty(argv.filter)) query.Filter = encodeFilter(argv.filter);
+  if (!_.isEmpty(argv.select)) query.Select = argv.select;
+  if (!_.isEmpty(argv.expand)) query.Expand = argv.expand;
+  if (!_.isEmpty(argv.orderby)) query.OrderBy = argv.orderby;
+  if (!_.isNil(argv.top)) query.Top = argv.top;
+
+  return query;
+};
+
+module.exports = {
+  buildQuery,
+  queryOptions,
+};
@@ -0,0 +1,139 @@
+const _ = require('lodash');
+const moment = require('moment');
+const { accessSafe } = require('access-safe');
+
+const { run } = require('./context');
+const { checkBulkReport } = require('./output');
+const { RECYCLE_BIN_SCOPES } = require('../sharepoint/BaseClient');
+
+const DURATION_PATTERN = /^(\d+)\s*(m|h|d|w)$/i;
+
+/**
+ * Parse the time, either a duration before now e.g. 30m, 1h, 2d or 1w, or a date
+ *
+ * @param {string} value
+ * @returns {Date} null if there is no value
+ */
+const parseTime = (value) => {
+  if (_.isNil(value) || value === '') return null;
+
+  const duration = DURATION_PATTERN.exec(`${value}`.trim());
+  if (!_.isNull(duration)) {
+    return moment().subtract(_.toNumber(duration[1]), duration[2].toLowerCase()).toDate();
+  }
+
+  const date = moment(`${value}`.trim(), moment.ISO_8601, true);
+  if (!date.isValid()) {
+    throw new Error(`Invalid time ${value}, expected a duration e.g. 1h or an ISO 8601 date`);
+  }
+  return date.toDate();
+};
+
+/**
+ * Add the recycle bin filter options
+ *
+ * @param {*} yargs
+ * @returns {*} yargs
+ */
+const filterOptions = (yargs) =>
+  yargs
+    .option('scope', {
+      choices: ['list', ...RECYCLE_BIN_SCOPES],
+      default: 'list',
+      describe:
+        'list is the items deleted from the list, web the site recycle bin and site the site collection recycle bin including the second stage',
+    })
+    .option('deleted-by', {
+      type: 'string',
+      describe: 'The email, or display name, of who deleted the items',
+    })
+    .option('since', {
+      type: 'string',
+      describe: 'Deleted since the duration ago e.g. 30m, 1h, 2d or 1w, or an ISO 8601 date',
+    })
+    .option('until', {
+      type: 'string',
+      describe: 'Deleted before the duration ago or ISO 8601 date',
+    });
+
+/**
+ * Get the recycle bin items matching the filter options
+ *
+ * @param {ListClient} listClient
+ * @param {*} argv The parsed command line arguments
+ * @returns {Promise} Promise object with the recycle bin items
+ */
+const getRecycleBinItems = async (listClient, argv) => {
+  const recycleOptions = {
+    scope: argv.scope === 'list' ? 'web' : argv.scope,
+    deletedBy: argv.deletedBy,
+    since: parseTime(argv.since),
+    until: parseTime(argv.until),
+  };
+
+  const response =
+    argv.scope === 'list'
+      ? await listClient.getListRecycleBinItems(recycleOptions)
+      : await listClient.getRecycleBinItems(recycleOptions);
+  return accessSafe(() => response.data.d.results, []);
+};
+
+const list = {
+  command: 'list',
+  describe: 'List the recycle bin items, newest first',
+  builder: (yargs) => filterOptions(yargs),
+  handler: (argv) => run(argv, ({ listClient }) => getRecycleBinItems(listClient, argv)),
+};
+
+const restore = {
+  command: 'restore [ids..]',
+  describe:
+    'Restore the recycle bin items by ID, or the items matching the filter options. The report of each item is written to output.path',
+  builder: (yargs) =>
+    filterOptions(yargs)
+      .positional('ids', {
+        type: 'string',
+        describe: 'The recycle bin item IDs',
+      })
+      .option('concurrency', {
+        type: 'number',
+        describe:
+          'The maximum number of requests in flight, defaults to the config bulk.concurrency',
+      })
+      .option('dry-run', {
+        type: 'boolean',
+        default: false,
+        describe: 'List the items that would be restored without restoring them',
+      }),
+  handler: (argv) =>
+    run(argv, async ({ listClient }) => {
+      const scope = argv.scope === 'list' ? 'web' : argv.scope;
+
+      let ids = _.castArray(argv.ids || []).map((id) => `${id}`);
+      if (_.isEmpty(ids)) {
+        if (_.every([argv.deletedBy, argv.since, argv.until], _.isEmpty)) {
+          throw new Error('Specify the ids, or at least one of --deleted-by, --since or --until');
+        }
+        const recycleBinItems = await getRecycleBinItems(listClient, argv);
+        if (argv.dryRun) return recycleBinItems;
+        ids = recycleBinItems.map((recycleBinItem) => recycleBinItem.Id);
+      } else if (argv.dryRun) {
+        return ids;
+      }
+
+      return checkBulkReport(
+        await listClient.restoreRecycleBinItems(
+          ids,
+          _.omitBy({ concurrency: argv.concurrency, scope }, _.isNil)
+        )
+      );
+    }),
+};
+
+module.exports = {
+  command: 'recyclebin <command>',
+  describe: 'List and restore the deleted items in the recycle bin',
+  builder: (yargs) =>
+    yargs.command(list).command(restore).demandCommand(1, 'Specify a recyclebin command'),
+  handler: () => {},
+};
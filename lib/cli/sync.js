@@ -0,0 +1,122 @@
+const readline = require('readline');
+const _ = require('lodash');
+
+const { run } = require('./context');
+const { readSource } = require('./input');
+const { checkBulkReport } = require('./output');
+const { MAX_BATCH_SIZE } = require('../sharepoint/batch');
+const { encodeFilter } = require('../sharepoint/QueryBuilder');
+const sync = require('../sync');
+
+/**
+ * Ask the user to confirm the plan should be applied
+ *
+ * @returns {Promise} Promise object with true if confirmed
+ */
+const confirm = () => {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    rl.question('Apply the plan? Only "yes" will be accepted: ', (answer) => {
+      rl.close();
+      resolve(answer.trim() === 'yes');
+    });
+  });
+};
+
+/**
+ * Read the desired state file, either an array of items or
+ * { keys, deletePolicy, filter, items }
+ *
+ * @param {string} path The file path, use - for stdin
+ * @returns {Promise} Promise object with the desired state
+ */
+const readDesired = async (path) => {
+  const json = JSON.parse((await readSource(path)).toString('utf8'));
+  const desired = _.isArray(json) ? { items: json } : json;
+
+  if (!_.isArray(desired.items)) {
+    throw new Error(`Invalid desired state file ${path}, expected an array of items`);
+  }
+  return desired;
+};
+
+module.exports = {
+  command: 'sync <file>',
+  describe: 'Sync the list with the desired items in the JSON file, prints the plan and applies it',
+  builder: (yargs) =>
+    yargs
+      .positional('file', {
+        type: 'string',
+        describe:
+          'JSON file with the array of items, or { "keys": [], "deletePolicy": "", "filter": "", "items": [] }. Use - for stdin.',
+      })
+      .option('keys', {
+        alias: 'k',
+        type: 'array',
+        describe: 'The fields used to match the desired and live items, defaults to Title',
+      })
+      .option('delete-policy', {
+        choices: sync.DELETE_POLICIES,
+        describe:
+          'none only adds and updates, delete also deletes the live items not in the file, defaults to none',
+      })
+      .option('filter', {
+        alias: 'f',
+        type: 'string',
+        describe: 'ODATA $filter to limit the live items that are synced',
+      })
+      .option('apply', {
+        type: 'boolean',
+        default: false,
+        describe: 'Apply the plan after confirmation',
+      })
+      .option('yes', {
+        alias: 'y',
+        type: 'boolean',
+        default: false,
+        describe: 'Apply the plan without confirmation',
+      })
+      .option('batch-size', {
+        type: 'number',
+        default: MAX_BATCH_SIZE,
+        describe: `The number of operations per $batch request, maximum ${MAX_BATCH_SIZE}`,
+      }),
+  handler: (argv) =>
+    run(argv, async ({ options, listClient }) => {
+      const loggingOptions = {
+        label: 'sync',
+      };
+
+      const desired = await readDesired(argv.file);
+      const syncOptions = {
+        keys: argv.keys || desired.keys || ['Title'],
+        deletePolicy: argv.deletePolicy || desired.deletePolicy || 'none',
+        filter: encodeFilter(argv.filter || desired.filter || ''),
+      };
+
+      const plan = await sync.plan(listClient, desired.items, syncOptions);
+      sync.formatPlan(plan).forEach((line) => options.logger.info(line, loggingOptions));
+
+      const changes = plan.adds.length + plan.updates.length + plan.deletes.length;
+      if (!argv.apply || changes === 0) {
+        return { plan };
+      }
+
+      if (!argv.yes) {
+        if (argv.file === '-' || !process.stdin.isTTY) {
+          throw new Error('Cannot confirm the plan, use --yes to apply without confirmation');
+        }
+        if (!(await confirm())) {
+          options.logger.info('Apply cancelled', loggingOptions);
+          return { plan };
+        }
+      }
+
+      const applied = await sync.apply(listClient, plan, {
+        batchSize: argv.batchSize,
+        logger: options.logger,
+      });
+      checkBulkReport(applied.summary);
+      return { plan, ...applied };
+    }),
+};
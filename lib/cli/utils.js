@@ -0,0 +1,26 @@
+const _ = require('lodash');
+
+/**
+ * Call the task for each item in turn
+ *
+ * @param {object|object[]} items
+ * @param {Function} task The async task, called with each item
+ * @returns {Promise} Promise object with the result or array of results
+ */
+const mapSeries = async (items, task) => {
+  if (!_.isArray(items)) {
+    return task(items);
+  }
+
+  const results = [];
+  // eslint-disable-next-line no-restricted-syntax
+  for (const item of items) {
+    // eslint-disable-next-line no-await-in-loop
+    results.push(await task(item));
+  }
+  return results;
+};
+
+module.exports = {
+  mapSeries,
+};
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const Path = require('path');
+const { pipeline } = require('stream');
+const _ = require('lodash');
+const iconv = require('iconv-lite');
+const { parse } = require('csv-parse');
+
+const nullLogger = require('./nulllogger');
+const { parseAttachmentPaths, uploadAttachments } = require('./attachments');
+
+/**
+ * How empty cells are handled
+ * skip - the field is not included in the item so the existing value is kept
+ * null - the field is set to null so the existing value is cleared
+ * empty - the field is set to an empty string
+ */
+const EMPTY_CELL_MODES = ['skip', 'null', 'empty'];
+
+/**
+ * Map the CSV record to the SharePoint item using the column mapping
+ *
+ * @param {object} record The CSV record, keyed by the column header
+ * @param {object} [mapping=null] The column header to SharePoint internal field name mapping,
+ * if null the column headers are used as the field names
+ * @param {string} [emptyCells='skip'] How empty cells are handled, see EMPTY_CELL_MODES
+ * @returns {object} The SharePoint item
+ */
+const mapRecord = (record, mapping = null, emptyCells = 'skip') => {
+  const columns = _.isNil(mapping) ? _.zipObject(_.keys(record), _.keys(record)) : mapping;
+
+  return _.reduce(
+    columns,
+    (item, fieldName, column) => {
+      if (!_.has(record, column) || _.isEmpty(fieldName)) {
+        return item;
+      }
+
+      const value = record[column];
+      if (value === '') {
+        if (emptyCells === 'null') {
+          _.set(item, fieldName, null);
+        } else if (emptyCells === 'empty') {
+          _.set(item, fieldName, '');
+        }
+        return item;
+      }
+
+      _.set(item, fieldName, value);
+      return item;
+    },
+    {}
+  );
+};
+
+/**
+ * Read the column mapping file
+ *
+ * @param {string} path The path to the JSON mapping file
+ * @returns {object} The column header to SharePoint internal field name mapping
+ */
+const readMapping = (path) => {
+  const mapping = JSON.parse(fs.readFileSync(path, 'utf8'));
+
+  if (!_.isPlainObject(mapping) || !_.every(mapping, _.isString)) {
+    throw new Error(`Invalid mapping file ${path}, expected { "Column Header": "FieldName" }`);
+  }
+  return mapping;
+};
+
+/**
+ * Import the CSV file into the list, each row is upserted using the lookup fields
+ *
+ * @param {ListClient} listClient The ListClient
+ * @param {object} importOptions
+ * @param {string} importOptions.path The CSV file path, use - for stdin
+ * @param {string|string[]} [importOptions.lookup='Title'] The field[s] used to match existing items
+ * @param {object} [importOptions.mapping=null] The column header to field name mapping
+ * @param {string} [importOptions.encoding='utf8'] The file encoding, any iconv-lite encoding
+ * @param {string} [importOptions.delimiter=','] The CSV delimiter
+ * @param {string} [importOptions.emptyCells='skip'] How empty cells are handled
+ * @param {boolean} [importOptions.trim=false] Remove the leading and trailing whitespace
+ * of each cell
+ * @param {string} [importOptions.attachmentsColumn=null] The column with the ; separated
+ * attachment file paths, relative paths are resolved from the CSV file folder
+ * @param {boolean} [importOptions.typed=false] Convert the values using the list fields
+ * e.g. lookup display text to the ID, see FieldConverter
+ * @param {*} [importOptions.logger=nullLogger] The logger
+ * @returns {Promise} Promise object with the import summary
+ */
+const importCsv = async (listClient, importOptions) => {
+  const loggingOptions = {
+    label: 'importCsv',
+  };
+
+  const {
+    path,
+    lookup = 'Title',
+    mapping = null,
+    encoding = 'utf8',
+    delimiter = ',',
+    emptyCells = 'skip',
+    trim = false,
+    attachmentsColumn = null,
+    typed = false,
+    logger = nullLogger,
+  } = importOptions;
+
+  if (!iconv.encodingExists(encoding)) {
+    throw new Error(`Unsupported encoding ${encoding}`);
+  }
+
+  if (!EMPTY_CELL_MODES.includes(emptyCells)) {
+    throw new Error(`Invalid emptyCells ${emptyCells}, expected ${EMPTY_CELL_MODES.join(', ')}`);
+  }
+
+  const lookupArray = _.castArray(lookup);
+  const summary = { rows: 0, added: 0, updated: 0, skipped: 0, failed: 0, errors: [] };
+  if (!_.isEmpty(attachmentsColumn)) {
+    summary.attachments = 0;
+  }
+  const attachmentsFolder = path === '-' ? process.cwd() : Path.dirname(path);
+
+  // pipeline destroys the parser with the error of any stream, e.g. the file does not exist,
+  // which is then thrown by the for await
+  const parser = pipeline(
+    path === '-' ? process.stdin : fs.createReadStream(path),
+    iconv.decodeStream(encoding),
+    parse({
+      bom: true,
+      columns: true,
+      delimiter,
+      skip_empty_lines: true,
+      trim,
+    }),
+    _.noop
+  );
+
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const record of parser) {
+    summary.rows += 1;
+    const row = summary.rows;
+    const item = mapRecord(_.omit(record, [attachmentsColumn]), mapping, emptyCells);
+    const attachmentPaths = _.isEmpty(attachmentsColumn)
+      ? []
+      : parseAttachmentPaths(record[attachmentsColumn], attachmentsFolder);
+
+    const missingLookups = lookupArray.filter((field) => _.isEmpty(_.get(item, field)));
+
+    if (_.isEmpty(item) || missingLookups.length > 0) {
+      summary.skipped += 1;
+      logger.warn(
+        `Row ${row} skipped. ${
+          _.isEmpty(item) ? 'No values' : `Missing lookup values ${missingLookups.join(', ')}`
+        }`,
+        loggingOptions
+      );
+    } else {
+      try {
+        let spitem = item;
+        if (typed) {
+          // eslint-disable-next-line no-await-in-loop
+          spitem = await listClient.getFieldConverter().toSharePoint(item);
+        }
+
+        // eslint-disable-next-line no-await-in-loop
+        const response = await listClient.upsertItem(spitem, lookupArray);
+        // Add returns 201 Created, Update returns 204 No Content
+        if (response.status === 201) {
+          summary.added += 1;
+        } else {
+          summary.updated += 1;
+        }
+        logger.debug(`Row ${row} ${response.status === 201 ? 'added' : 'updated'}`, loggingOptions);
+
+        if (attachmentPaths.length > 0) {
+          // eslint-disable-next-line no-await-in-loop
+          const result = await uploadAttachments(
+            listClient,
+            response.data.d.ID,
+            attachmentPaths,
+            logger
+          );
+          summary.attachments += result.added.length;
+          if (result.failed > 0) {
+            summary.errors.push(...result.errors.map(({ message }) => ({ row, item, message })));
+          }
+        }
+      } catch (err) {
+        const { message } = err;
+        summary.failed += 1;
+        summary.errors.push({ row, item, message });
+        logger.error(`Row ${row} failed. ${message}`, loggingOptions);
+      }
+    }
+  }
+
+  logger.info(
+    `Import complete. Rows: ${summary.rows} Added: ${summary.added} Updated: ${summary.updated} Skipped: ${summary.skipped} Failed: ${summary.failed}`,
+    loggingOptions
+  );
+
+  return summary;
+};
+
+module.exports = {
+  EMPTY_CELL_MODES,
+  importCsv,
+  mapRecord,
+  readMapping,
+};
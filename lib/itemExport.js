@@ -0,0 +1,331 @@
+/* eslint no-param-reassign: ["error", { "props": false }] */
+
+const fs = require('fs');
+const { once } = require('events');
+const Path = require('path');
+const _ = require('lodash');
+const { stringify } = require('csv-stringify');
+
+const nullLogger = require('./nulllogger');
+const { downloadAttachments } = require('./attachments');
+const { QueryBuilder } = require('./sharepoint/QueryBuilder');
+const { readChangeToken, writeChangeToken } = require('./sharepoint/changes');
+
+const EXPORT_FORMATS = ['json', 'ndjson', 'csv'];
+
+/**
+ * Number of item IDs in each query when exporting the changed items
+ */
+const ID_QUERY_SIZE = 50;
+
+/**
+ * Flatten a SharePoint value, expanded lookup, person and url values
+ * are flattened to Field/Property keys e.g. Author/Title
+ *
+ * @param {object} target The flattened item
+ * @param {string} key The key
+ * @param {*} value The value
+ */
+const flattenValue = (target, key, value) => {
+  // Deferred navigation properties are not expanded so contain no data
+  if (_.has(value, '__deferred')) return;
+
+  // Multi value fields { results: [] }
+  if (_.isPlainObject(value) && _.isArray(value.results)) {
+    const results = value.results.map((result) => {
+      if (!_.isPlainObject(result)) return result;
+      const flattened = {};
+      _.forEach(_.omit(result, ['__metadata']), (v, k) => flattenValue(flattened, k, v));
+      return flattened;
+    });
+
+    if (_.every(results, (result) => !_.isPlainObject(result))) {
+      target[key] = results;
+      return;
+    }
+
+    const keys = _.uniq(_.flatMap(results, _.keys));
+    keys.forEach((subkey) => {
+      target[`${key}/${subkey}`] = results.map((result) => _.get(result, subkey, null));
+    });
+    return;
+  }
+
+  if (_.isPlainObject(value)) {
+    _.forEach(_.omit(value, ['__metadata']), (v, k) => flattenValue(target, `${key}/${k}`, v));
+    return;
+  }
+
+  target[key] = value;
+};
+
+/**
+ * Remove the __metadata and deferred properties and flatten the item
+ *
+ * @param {object} item The SharePoint item
+ * @returns {object} The flattened item
+ */
+const flattenItem = (item) => {
+  const flattened = {};
+  _.forEach(_.omit(item, ['__metadata']), (value, key) => flattenValue(flattened, key, value));
+  return flattened;
+};
+
+/**
+ * Create a writer for the format, the rows are written to the stream
+ *
+ * @param {stream.Writable} stream The output stream
+ * @param {string} format The format json, ndjson or csv
+ * @param {string[]} columns The columns
+ * @returns {object} The writer with write(row) and end() functions, write returns false
+ * when the caller should wait for the target to drain
+ */
+const createWriter = (stream, format, columns) => {
+  let count = 0;
+
+  switch (format) {
+    case 'ndjson':
+      return {
+        target: stream,
+        write: (row) => stream.write(`${JSON.stringify(row)}\n`),
+        end: () => stream.end(),
+      };
+    case 'csv': {
+      const stringifier = stringify({
+        header: true,
+        columns,
+        bom: true,
+        cast: {
+          object: (value) => (_.isArray(value) ? value.join(';') : JSON.stringify(value)),
+          boolean: (value) => (value ? 'TRUE' : 'FALSE'),
+        },
+      });
+      stringifier.pipe(stream);
+      return {
+        target: stringifier,
+        write: (row) => stringifier.write(row),
+        end: () => stringifier.end(),
+      };
+    }
+    default:
+      return {
+        target: stream,
+        write: (row) => {
+          const written = stream.write(`${count === 0 ? '[\n' : ',\n'}  ${JSON.stringify(row)}`);
+          count += 1;
+          return written;
+        },
+        end: () => stream.end(count === 0 ? '[]\n' : '\n]\n'),
+      };
+  }
+};
+
+/**
+ * Pick the columns from the item in order, missing columns are null
+ *
+ * @param {object} item The flattened item
+ * @param {string[]} columns The columns
+ * @returns {object}
+ */
+const toRow = (item, columns) =>
+  _.zipObject(
+    columns,
+    columns.map((column) => _.defaultTo(item[column], null))
+  );
+
+/**
+ * Iterate the items with the IDs, ID_QUERY_SIZE IDs at a time, the items that no longer
+ * exist or do not match the query Filter are skipped
+ *
+ * @param {ListClient} listClient The ListClient
+ * @param {number[]} ids The item IDs
+ * @param {object} query The ODATA Query
+ * @yields {object} The item
+ */
+const iterateItemsById = async function* iterateItemsById(listClient, ids, query) {
+  // eslint-disable-next-line no-restricted-syntax
+  for (const chunk of _.chunk(ids, ID_QUERY_SIZE)) {
+    const { Filter: idFilter } = new QueryBuilder().where('ID').in(chunk).toQuery();
+    const Filter = _.isEmpty(query.Filter) ? idFilter : `(${query.Filter}) and ${idFilter}`;
+    yield* listClient.iterateItems({ ...query, Filter });
+  }
+};
+
+/**
+ * Get the export file path, the filename extension matches the format
+ *
+ * @param {*} options The config object details see config/defaults.js
+ * @param {string} format The format json, ndjson or csv
+ * @returns {string}
+ */
+const getExportPath = (options, format) => {
+  const { path, filename } = options.output;
+  const { name } = Path.parse(filename);
+  return Path.join(path || '', `${name}.${format}`);
+};
+
+/**
+ * Export the list items to a file, the items are streamed to the file
+ * a page at a time
+ *
+ * @param {ListClient} listClient The ListClient
+ * @param {object} exportOptions
+ * @param {string} exportOptions.path The file path
+ * @param {string} [exportOptions.format='json'] The format json, ndjson or csv
+ * @param {object} [exportOptions.query={}] The ODATA Query
+ * @param {string[]} [exportOptions.columns=null] The columns and their order,
+ * defaults to the columns of the first item
+ * @param {string} [exportOptions.attachmentsPath=null] When set the item attachments are
+ * downloaded to <attachmentsPath>/<ID>/ and the file paths added as the AttachmentFiles column
+ * @param {boolean} [exportOptions.typed=false] Convert the values using the list fields
+ * e.g. lookup display text instead of the ID, see FieldConverter
+ * @param {number[]} [exportOptions.ids=null] Only export the items with the IDs
+ * @param {*} [exportOptions.logger=nullLogger] The logger
+ * @returns {Promise} Promise object with the export summary
+ */
+const exportItems = async (listClient, exportOptions) => {
+  const loggingOptions = {
+    label: 'exportItems',
+  };
+
+  const {
+    path,
+    format = 'json',
+    query = {},
+    columns = null,
+    attachmentsPath = null,
+    typed = false,
+    ids = null,
+    logger = nullLogger,
+  } = exportOptions;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Invalid format ${format}, expected ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const stream = fs.createWriteStream(path, { encoding: 'utf8' });
+  const finished = new Promise((resolve, reject) => {
+    stream.on('finish', () => resolve());
+    stream.on('error', (err) => reject(err));
+  });
+  // The rejection is handled by the await after the items are written, an error while the
+  // pages are fetched would otherwise be an unhandled rejection
+  finished.catch(_.noop);
+  // Fail before fetching any pages if the file can not be opened e.g. the folder does not exist
+  await once(stream, 'open');
+
+  let exportColumns = _.isEmpty(columns) ? null : columns;
+  let writer = null;
+  let count = 0;
+  let attachments = 0;
+
+  const items = _.isNull(ids)
+    ? listClient.iterateItems(query)
+    : iterateItemsById(listClient, ids, query);
+
+  try {
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const item of items) {
+      const flattened = flattenItem(
+        // eslint-disable-next-line no-await-in-loop
+        typed ? await listClient.getFieldConverter().fromSharePoint(item) : item
+      );
+
+      if (!_.isNil(attachmentsPath)) {
+        // eslint-disable-next-line no-await-in-loop
+        const files = await downloadAttachments(
+          listClient,
+          item.ID,
+          Path.join(attachmentsPath, `${item.ID}`),
+          logger
+        );
+        flattened.AttachmentFiles = files.map((file) => Path.relative(Path.dirname(path), file));
+        attachments += files.length;
+      }
+
+      if (_.isNull(writer)) {
+        exportColumns = exportColumns || _.keys(flattened);
+        writer = createWriter(stream, format, exportColumns);
+      }
+
+      count += 1;
+      if (!writer.write(toRow(flattened, exportColumns))) {
+        // eslint-disable-next-line no-await-in-loop
+        await once(writer.target, 'drain');
+      }
+    }
+  } finally {
+    writer = writer || createWriter(stream, format, exportColumns || []);
+    writer.end();
+  }
+  await finished;
+
+  logger.info(`Exported ${count} items to ${path}`, loggingOptions);
+
+  const summary = { path, format, items: count, columns: exportColumns || [] };
+  return _.isNil(attachmentsPath) ? summary : { ...summary, attachments, attachmentsPath };
+};
+
+/**
+ * Export the items added or updated since the change token saved in the tokenPath, and
+ * write the deleted item IDs to <export name>_deleted.json. When no token has been saved
+ * all the items are exported. The new change token is saved after the export.
+ *
+ * @param {ListClient} listClient The ListClient
+ * @param {object} exportOptions The exportItems options
+ * @param {string} exportOptions.tokenPath The change token file
+ * @returns {Promise} Promise object with the export summary, including the delta changes
+ */
+const exportChanges = async (listClient, exportOptions) => {
+  const loggingOptions = {
+    label: 'exportChanges',
+  };
+
+  const { path, tokenPath, logger = nullLogger } = exportOptions;
+  const { url, list } = listClient.sharepoint;
+
+  const since = await readChangeToken(tokenPath);
+  if (_.isNull(since)) {
+    logger.info(`No change token in ${tokenPath}, exporting all the items`, loggingOptions);
+    // Read the token first so changes made during the export are in the next delta
+    const token = await listClient.getCurrentChangeToken();
+    const summary = await exportItems(listClient, exportOptions);
+    await writeChangeToken(tokenPath, token, { url, list });
+    return { ...summary, delta: false, token, tokenPath };
+  }
+
+  const changes = await listClient.getChanges(since);
+  logger.info(
+    `${changes.added.length} added, ${changes.updated.length} updated and ${changes.deleted.length} deleted items since the last export`,
+    loggingOptions
+  );
+
+  const summary = await exportItems(listClient, {
+    ...exportOptions,
+    ids: [...changes.added, ...changes.updated],
+  });
+
+  const deletedPath = Path.join(Path.dirname(path), `${Path.parse(path).name}_deleted.json`);
+  await fs.promises.writeFile(deletedPath, JSON.stringify(changes.deleted), 'utf8');
+  await writeChangeToken(tokenPath, changes.token, { url, list });
+
+  return {
+    ...summary,
+    delta: true,
+    since,
+    token: changes.token,
+    tokenPath,
+    added: changes.added,
+    updated: changes.updated,
+    deleted: changes.deleted,
+    deletedPath,
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportChanges,
+  exportItems,
+  flattenItem,
+  getExportPath,
+};
@@ -36,6 +36,8 @@ const logger = createLogger({
   transports: [
     new transports.Console({
       colorize: true,
+      // Log to stderr so stdout can be used for the command output
+      stderrLevels: ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'],
     }),
   ],
 });
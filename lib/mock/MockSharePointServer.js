@@ -0,0 +1,1882 @@
+/* eslint no-param-reassign: ["error", { "props": false }] */
+
+const fs = require('fs');
+const http = require('http');
+const Path = require('path');
+const _ = require('lodash');
+const { v4: uuidv4 } = require('uuid');
+
+const nullLogger = require('../nulllogger');
+const { parseViewXml } = require('./caml');
+const { parseFilter } = require('./odataFilter');
+
+const JSON_CONTENT_TYPE = 'application/json;odata=verbose;charset=utf-8';
+
+/**
+ * The fields every new list has
+ */
+const BASE_FIELDS = [
+  { InternalName: 'ID', Title: 'ID', TypeAsString: 'Counter', ReadOnlyField: true },
+  { InternalName: 'Title', Title: 'Title', TypeAsString: 'Text', ReadOnlyField: false },
+  { InternalName: 'Created', Title: 'Created', TypeAsString: 'DateTime', ReadOnlyField: true },
+  { InternalName: 'Modified', Title: 'Modified', TypeAsString: 'DateTime', ReadOnlyField: true },
+  { InternalName: 'Author', Title: 'Created By', TypeAsString: 'User', ReadOnlyField: true },
+  { InternalName: 'Editor', Title: 'Modified By', TypeAsString: 'User', ReadOnlyField: true },
+  { InternalName: 'Attachments', Title: 'Attachments', TypeAsString: 'Attachments' },
+];
+
+/**
+ * The user all items are created and modified by
+ */
+const MOCK_USER = {
+  Id: 1,
+  Title: 'Mock User',
+  Email: 'mock.user@example.com',
+  LoginName: 'i:0#.f|membership|mock.user@example.com',
+};
+
+/**
+ * The site role definitions
+ */
+const ROLE_DEFINITIONS = [
+  { Id: 1073741829, Name: 'Full Control', RoleTypeKind: 5 },
+  { Id: 1073741828, Name: 'Design', RoleTypeKind: 4 },
+  { Id: 1073741830, Name: 'Edit', RoleTypeKind: 6 },
+  { Id: 1073741827, Name: 'Contribute', RoleTypeKind: 3 },
+  { Id: 1073741826, Name: 'Read', RoleTypeKind: 2 },
+  { Id: 1073741825, Name: 'Limited Access', RoleTypeKind: 1 },
+];
+
+/**
+ * The site groups and the role assignments of the site, which the lists inherit
+ */
+const MOCK_GROUPS = [
+  { Id: 3, Title: 'Mock Owners' },
+  { Id: 4, Title: 'Mock Members' },
+  { Id: 5, Title: 'Mock Visitors' },
+];
+const WEB_ROLE_ASSIGNMENTS = [
+  { PrincipalId: 3, RoleDefinitionIds: [1073741829] },
+  { PrincipalId: 4, RoleDefinitionIds: [1073741830] },
+  { PrincipalId: 5, RoleDefinitionIds: [1073741826] },
+];
+
+/**
+ * The message and code SharePoint returns when a user can not be found
+ */
+const USER_NOT_FOUND_CODE = '-2146232832, Microsoft.SharePoint.SPException';
+
+/**
+ * The SP.ChangeType values of the logged item changes
+ */
+const CHANGE_TYPES = { Add: 1, Update: 2, DeleteObject: 3, Restore: 7 };
+
+/**
+ * Create an error with the http status, written as a SharePoint error response
+ *
+ * @param {number} status The http status
+ * @param {string} message The error message
+ * @param {string} [code='-1, Microsoft.SharePoint.SPException'] The SharePoint error code
+ * @returns {Error}
+ */
+const mockError = (status, message, code = '-1, Microsoft.SharePoint.SPException') =>
+  Object.assign(new Error(message), { status, code });
+
+/**
+ * Get the value of a url function parameter e.g. getByTitle('Tasks')
+ *
+ * @param {string} value The quoted value
+ * @returns {string}
+ */
+const unquote = (value) =>
+  decodeURIComponent(value)
+    .replace(/^guid'|^'|'$/g, '')
+    .replace(/''/g, "'");
+
+/**
+ * Does the user match the email or login name
+ *
+ * @param {object} user
+ * @param {string} value The email or login name, the claims prefix is optional
+ * @returns {boolean}
+ */
+const isUser = (user, value) => {
+  const name = _.toLower(value);
+  const login = _.toLower(user.LoginName || `i:0#.f|membership|${user.Email}`);
+  return _.toLower(user.Email) === name || login === name || _.last(login.split('|')) === name;
+};
+
+/**
+ * Encode the list title as used in the list item entity type
+ *
+ * @param {string} title The list title
+ * @returns {string}
+ */
+const entityName = (title) =>
+  title.replace(
+    /[^A-Za-z0-9]/g,
+    (char) => `_x${char.charCodeAt(0).toString(16).padStart(4, '0')}_`
+  );
+
+/**
+ * In-process mock of the SharePoint REST endpoints used by the clients, the state is kept
+ * in memory and optionally saved to a JSON file. Faults can be injected to exercise the
+ * retry and refresh logic.
+ *
+ * @example
+ * const server = new MockSharePointServer({ lists: ['Courses'] });
+ * const url = await server.listen();
+ * server.injectFault({ type: 'status', status: 429, retryAfter: 1, match: '/Items' });
+ */
+class MockSharePointServer {
+  /**
+   * Creates an instance of MockSharePointServer.
+   *
+   * @param {object} [options={}]
+   * @param {string} [options.sitePath='/sites/mock'] The site path
+   * @param {string} [options.statePath=null] The JSON file the state is loaded from and saved to
+   * @param {string[]} [options.lists=[]] The lists to create if they do not exist
+   * @param {number} [options.pageSize=100] The maximum items in a page, the __next link
+   * is returned when there are more items
+   * @param {number} [options.listViewThreshold=5000] $filter queries of lists with more items
+   * fail, as SharePoint does when the filter is on a column that is not indexed
+   * @param {number} [options.digestTimeout=1800] The X-RequestDigest timeout in seconds
+   * @param {object[]} [options.faults=[]] The faults to inject, see injectFault
+   * @param {object[]} [options.users=[]] The directory users ensureuser can add to the site
+   * { Title, Email, LoginName }
+   * @param {*} [options.logger=nullLogger] The logger
+   * @memberof MockSharePointServer
+   */
+  constructor(options = {}) {
+    this.sitePath = `/${_.trim(options.sitePath || '/sites/mock', '/')}`;
+    this.statePath = options.statePath || null;
+    this.pageSize = options.pageSize || 100;
+    this.listViewThreshold = options.listViewThreshold || 5000;
+    this.digestTimeout = options.digestTimeout || 1800;
+    this.logger = options.logger || nullLogger;
+    this.directory = _.castArray(options.users || []);
+
+    this.state = this._loadState();
+    this.digests = new Map();
+    // The chunked upload sessions by uploadId
+    this.uploads = new Map();
+    this.faults = [];
+    this.requests = [];
+    this.server = null;
+    this.url = null;
+
+    _.castArray(options.lists || []).forEach((title) => {
+      if (_.isNull(this._findList(title))) this.createList(title);
+    });
+    _.castArray(options.faults || []).forEach((fault) => this.injectFault(fault));
+  }
+
+  /**
+   * Load the state from the statePath, or create an empty state
+   *
+   * @returns {object}
+   * @memberof MockSharePointServer
+   */
+  _loadState() {
+    if (!_.isNull(this.statePath) && fs.existsSync(this.statePath)) {
+      return JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+    }
+    return { lists: [], users: [MOCK_USER], recycleBin: [] };
+  }
+
+  /**
+   * Save the state to the statePath
+   *
+   * @memberof MockSharePointServer
+   */
+  _saveState() {
+    if (!_.isNull(this.statePath)) {
+      fs.writeFileSync(this.statePath, JSON.stringify(this.state, null, 2));
+    }
+  }
+
+  /**
+   * Start listening
+   *
+   * @param {number} [port=0] The port, 0 picks a free port
+   * @param {string} [host='127.0.0.1'] The host
+   * @returns {Promise} Promise object with the site url
+   * @memberof MockSharePointServer
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this._handle(req, res));
+      this.server.on('error', reject);
+      this.server.listen(port, host, () => {
+        this.url = `http://${host}:${this.server.address().port}${this.sitePath}`;
+        this.logger.info(`Mock SharePoint listening on ${this.url}`, {
+          label: 'MockSharePointServer',
+        });
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   *
+   * @returns {Promise}
+   * @memberof MockSharePointServer
+   */
+  close() {
+    return new Promise((resolve, reject) => {
+      if (_.isNull(this.server)) {
+        resolve();
+        return;
+      }
+      this.server.close((err) => (err ? reject(err) : resolve()));
+      this.server = null;
+    });
+  }
+
+  /**
+   * Inject a fault, the next matching requests fail
+   *
+   * @param {object} fault
+   * @param {string} [fault.type='status'] status - respond with the status code,
+   * html - respond with a non-JSON body, expiredDigest - expire the X-RequestDigest values,
+   * delay - wait before responding, reset - close the connection without a response
+   * @param {number} [fault.status=503] The status code for the status and html faults
+   * @param {number} [fault.retryAfter] The Retry-After seconds for the status fault
+   * @param {number} [fault.delay=0] The delay ms
+   * @param {string} [fault.match=''] Only requests whose "METHOD path" contains the string
+   * or matches the RegExp
+   * @param {number} [fault.times] The number of requests that fail, defaults to 1,
+   * or unlimited when a rate is set
+   * @param {number} [fault.rate] The probability 0-1 that a matching request fails
+   * @memberof MockSharePointServer
+   */
+  injectFault(fault) {
+    const type = fault.type || 'status';
+    if (!['status', 'html', 'expiredDigest', 'delay', 'reset'].includes(type)) {
+      throw new Error(`Invalid fault type ${type}`);
+    }
+
+    this.faults.push({
+      status: 503,
+      delay: 0,
+      match: '',
+      times: _.isNil(fault.rate) ? 1 : Infinity,
+      ...fault,
+      type,
+    });
+  }
+
+  /**
+   * Remove all the injected faults
+   *
+   * @memberof MockSharePointServer
+   */
+  clearFaults() {
+    this.faults = [];
+  }
+
+  /**
+   * Take the first fault that matches the request
+   *
+   * @param {string} description The "METHOD path" of the request
+   * @returns {object} The fault or null
+   * @memberof MockSharePointServer
+   */
+  _takeFault(description) {
+    const fault = this.faults.find((candidate) => {
+      const matches = _.isRegExp(candidate.match)
+        ? candidate.match.test(description)
+        : description.includes(candidate.match);
+      return matches && candidate.times > 0;
+    });
+
+    if (_.isUndefined(fault)) return null;
+    if (!_.isNil(fault.rate) && Math.random() >= fault.rate) return null;
+
+    fault.times -= 1;
+    this.faults = this.faults.filter((candidate) => candidate.times > 0);
+    return fault;
+  }
+
+  /**
+   * Create a list
+   *
+   * @param {string} title The list title
+   * @param {number} [baseTemplate=100] The list template
+   * @returns {object} The list
+   * @memberof MockSharePointServer
+   */
+  createList(title, baseTemplate = 100) {
+    if (!_.isNull(this._findList(title))) {
+      throw mockError(
+        500,
+        `A list, survey, discussion board, or document library with the specified title already exists in this Web site.  Please choose another title.`
+      );
+    }
+
+    const list = {
+      Id: uuidv4(),
+      Title: title,
+      BaseTemplate: baseTemplate,
+      Created: new Date().toISOString(),
+      fields: BASE_FIELDS.map((field) => this._createField(field, true)),
+      items: [],
+      nextId: 1,
+      changes: [],
+    };
+    this.state.lists.push(list);
+    this._saveState();
+    return list;
+  }
+
+  /**
+   * Create a field definition
+   *
+   * @param {object} field The field values
+   * @param {boolean} [fromBaseType=false] Is the field a base field
+   * @returns {object}
+   * @memberof MockSharePointServer
+   */
+  // eslint-disable-next-line class-methods-use-this
+  _createField(field, fromBaseType = false) {
+    return {
+      Id: uuidv4(),
+      Description: '',
+      Hidden: false,
+      Indexed: false,
+      Required: false,
+      ReadOnlyField: false,
+      Sealed: false,
+      DefaultValue: null,
+      ...field,
+      StaticName: field.StaticName || field.InternalName,
+      EntityPropertyName: field.InternalName,
+      FromBaseType: fromBaseType,
+      SchemaXml: `<Field Type="${field.TypeAsString}" Name="${field.InternalName}" DisplayName="${field.Title}" />`,
+    };
+  }
+
+  /**
+   * Find a list by title or id
+   *
+   * @param {string} title The list title
+   * @param {string} [id] The list id
+   * @returns {object} The list or null
+   * @memberof MockSharePointServer
+   */
+  _findList(title, id) {
+    return (
+      this.state.lists.find((list) =>
+        _.isNil(id)
+          ? _.toLower(list.Title) === _.toLower(title)
+          : _.toLower(list.Id) === _.toLower(id)
+      ) || null
+    );
+  }
+
+  /**
+   * Format the list for the response
+   *
+   * @param {object} list
+   * @param {object} query The query string values
+   * @returns {object}
+   * @memberof MockSharePointServer
+   */
+  _listInfo(list, query) {
+    const info = {
+      __metadata: {
+        id: `${this.url}/_api/Web/Lists(guid'${list.Id}')`,
+        uri: `${this.url}/_api/Web/Lists(guid'${list.Id}')`,
+        type: 'SP.List',
+      },
+      Id: list.Id,
+      Title: list.Title,
+      BaseTemplate: list.BaseTemplate,
+      Created: list.Created,
+      Hidden: false,
+      ItemCount: list.items.length,
+      ListItemEntityTypeFullName: `SP.Data.${entityName(list.Title)}ListItem`,
+      CurrentChangeToken: this._changeToken(list, _.get(_.last(list.changes), 'number', 0)),
+      HasUniqueRoleAssignments: !_.isNil(list.roleAssignments),
+    };
+
+    if (_.includes(_.split(query.$expand, ','), 'Fields')) {
+      info.Fields = { results: list.fields.map((field) => this._fieldInfo(field)) };
+    }
+    return this._select(info, query.$select);
+  }
+
+  /**
+   * Get the server relative url of the list root folder
+   *
+   * @param {object} list
+   * @returns {string}
+   * @memberof MockSharePointServer
+   */
+  _listUrl(list) {
+    return `${this.sitePath}/Lists/${list.Title.replace(/[^A-Za-z0-9]/g, '')}`;
+  }
+
+  /**
+   * Move the item to the recycle bin
+   *
+   * @param {object} list
+   * @param {object} item
+   * @returns {object} The recycle bin item
+   * @memberof MockSharePointServer
+   */
+  _recycleItem(list, item) {
+    const recycleBinItem = {
+      Id: uuidv4(),
+      ItemType: 3,
+      ItemState: 1,
+      Title: item.Title,
+      LeafName: `${item.ID}_.000`,
+      DirName: _.trimStart(this._listUrl(list), '/'),
+      DeletedDate: new Date().toISOString(),
+      DeletedByEmail: MOCK_USER.Email,
+      DeletedByName: MOCK_USER.Title,
+      listId: list.Id,
+      item,
+    };
+    this.state.recycleBin = this.state.recycleBin || [];
+    this.state.recycleBin.push(recycleBinItem);
+    return recycleBinItem;
+  }
+
+  /**
+   * Restore the recycle bin item to its list
+   *
+   * @param {string} id The recycle bin item ID
+   * @memberof MockSharePointServer
+   */
+  _restoreItem(id) {
+    const recycleBin = this.state.recycleBin || [];
+    const recycleBinItem = recycleBin.find(
+      (candidate) => _.toLower(candidate.Id) === _.toLower(id)
+    );
+    if (_.isUndefined(recycleBinItem)) {
+      throw mockError(
+        404,
+        'Value does not fall within the expected range.',
+        '-2147024809, System.ArgumentException'
+      );
+    }
+
+    const list = this._findList(null, recycleBinItem.listId);
+    if (_.isNull(list)) {
+      throw mockError(500, 'The list the item was deleted from no longer exists.');
+    }
+
+    list.items = _.sortBy([...list.items, recycleBinItem.item], 'ID');
+    this.state.recycleBin = recycleBin.filter((candidate) => candidate !== recycleBinItem);
+    this._logChange(list, CHANGE_TYPES.Restore, recycleBinItem.item.ID);
+  }
+
+  /**
+   * Format the change token, the change number is the last part
+   *
+   * @param {object} list
+   * @param {number} number The change number
+   * @returns {object} The SP.ChangeToken
+   * @memberof MockSharePointServer
+   */
+  // eslint-disable-next-line class-methods-use-this
+  _changeToken(list, number) {
+    return {
+      __metadata: { type: 'SP.ChangeToken' },
+      StringValue: `1;3;${list.Id};${new Date(list.Created).getTime()};${number}`,
+    };
+  }
+
+  /**
+   * Log the item change
+   *
+   * @param {object} list
+   * @param {number} changeType The SP.ChangeType
+   * @param {number} itemid
+   * @memberof MockSharePointServer
+   */
+  // eslint-disable-next-line class-methods-use-this
+  _logChange(list, changeType, itemid) {
+    list.changes = list.changes || [];
+    const number = _.get(_.last(list.changes), 'number', 0) + 1;
+    list.changes.push({ number, ChangeType: changeType, ItemId: itemid, Time: new Date() });
+  }
+
+  /**
+   * Save the item version, each add and update is a new major version
+   *
+   * @param {object} list
+   * @param {object} item
+   * @memberof MockSharePointServer
+   */
+  // eslint-disable-next-line class-methods-use-this
+  _logVersion(list, item) {
+    list.versions = list.versions || {};
+    list.versions[item.ID] = [
+      ...(list.versions[item.ID] || []),
+      {
+        VersionId: item.version * 512,
+        VersionLabel: `${item.version}.0`,
+        Created: item.Modified,
+        values: _.omit(item, ['version']),
+      },
+    ];
+  }
+
+  /**
+   * Format the item version for the response, lookup and person values are
+   * { LookupId, LookupValue } objects keyed by the field InternalName
+   *
+   * @param {object} list
+   * @param {object} version The saved version
+   * @param {boolean} isCurrentVersion
+   * @returns {object} The SP.ListItemVersion
+   * @memberof MockSharePointServer
+   */
+  _versionInfo(list, version, isCurrentVersion) {
+    const users = this.state.users || [MOCK_USER];
+    const lookupValue = (field, id) => {
+      if (!['User', 'UserMulti'].includes(field.TypeAsString)) {
+        return { __metadata: { type: 'SP.FieldLookupValue' }, LookupId: id, LookupValue: null };
+      }
+      const user = users.find((candidate) => candidate.Id === id) || {};
+      return {
+        __metadata: { type: 'SP.FieldUserValue' },
+        Email: user.Email || null,
+        LookupId: id,
+        LookupValue: user.Title || null,
+      };
+    };
+
+    const info = { __metadata: { type: 'SP.ListItemVersion' } };
+    list.fields.forEach((field) => {
+      const { InternalName: name, TypeAsString: type } = field;
+      if (!['Lookup', 'User', 'LookupMulti', 'UserMulti'].includes(type)) {
+        if (_.has(version.values, name)) info[name] = version.values[name];
+        return;
+      }
+
+      const value = version.values[`${name}Id`];
+      if (_.isNil(value)) {
+        info[name] = null;
+      } else if (_.isArray(_.get(value, 'results'))) {
+        info[name] = { results: value.results.map((id) => lookupValue(field, id)) };
+      } else {
+        info[name] = lookupValue(field, value);
+      }
+    });
+
+    return {
+      ...info,
+      Created: version.Created,
+      IsCurrentVersion: isCurrentVersion,
+      VersionId: version.VersionId,
+      VersionLabel: version.VersionLabel,
+    };
+  }
+
+  /**
+   * Get the role assignments in effect, items inherit from the list and lists from the site
+   *
+   * @param {object} list
+   * @param {number} [itemid=null] The item ID, the list if null
+   * @returns {object[]} [{ PrincipalId, RoleDefinitionIds }]
+   * @memberof MockSharePointServer
+   */
+  _getRoleAssignments(list, itemid = null) {
+    const own = _.isNil(itemid) ? list.roleAssignments : _.get(list.itemRoleAssignments, itemid);
+    if (!_.isNil(own)) return own;
+    if (!_.isNil(itemid)) return this._getRoleAssignments(list);
+    return WEB_ROLE_ASSIGNMENTS;
+  }
+
+  /**
+   * Set the role assignments of the list or item
+   *
+   * @param {object} list
+   * @param {number} itemid The item ID, the list if null
+   * @param {object[]} assignments The role assignments, null to inherit
+   * @memberof MockSharePointServer
+   */
+  // eslint-disable-next-line class-methods-use-this
+  _setRoleAssignments(list, itemid, assignments) {
+    if (_.isNil(itemid)) {
+      list.roleAssignments = assignments;
+      return;
+    }
+
+    list.itemRoleAssignments = list.itemRoleAssignments || {};
+    if (_.isNull(assignments)) {
+      delete list.itemRoleAssignments[itemid];
+    } else {
+      list.itemRoleAssignments[itemid] = assignments;
+    }
+  }
+
+  /**
+   * Format the user or group for the role assignment Member
+   *
+   * @param {number} principalId
+   * @returns {object} The SP.User or SP.Group, null if there is no principal with the ID
+   * @memberof MockSharePointServer
+   */
+  _principalInfo(principalId) {
+    const user = (this.state.users || [MOCK_USER]).find(
+      (candidate) => candidate.Id === principalId
+    );
+    if (!_.isUndefined(user)) return this._userInfo(user);
+
+    const group = MOCK_GROUPS.find((candidate) => candidate.Id === principalId);
+    if (_.isUndefined(group)) return null;
+    return { __metadata: { type: 'SP.Group' }, ...group, LoginName: group.Title, PrincipalType: 8 };
+  }
+
+  /**
+   * Route the permission requests of the list or item
+   *
+   * @param {object} list
+   * @param {number} itemid The item ID, the list if null
+   * @param {string} method
+   * @param {string} path The path after the list or item e.g. /RoleAssignments
+   * @returns {object} The response { status, data }
+   * @memberof MockSharePointServer
+   */
+  _routeRoleAssignments(list, itemid, method, path) {
+    const unique = _.isNil(itemid)
+      ? !_.isNil(list.roleAssignments)
+      : !_.isNil(_.get(list.itemRoleAssignments, itemid));
+    const assignments = _.cloneDeep(this._getRoleAssignments(list, itemid));
+    const parameter = (name) => _.get(new RegExp(`${name}='?([^',)]*)'?`, 'i').exec(path), 1);
+
+    if (/^\/roleAssignments$/i.test(path) && method === 'GET') {
+      const results = assignments.map((assignment) => ({
+        __metadata: { type: 'SP.RoleAssignment' },
+        PrincipalId: assignment.PrincipalId,
+        Member: this._principalInfo(assignment.PrincipalId),
+        RoleDefinitionBindings: {
+          results: ROLE_DEFINITIONS.filter((role) =>
+            assignment.RoleDefinitionIds.includes(role.Id)
+          ).map((role) => ({ __metadata: { type: 'SP.RoleDefinition' }, ...role })),
+        },
+      }));
+      return { status: 200, data: { d: { results } } };
+    }
+
+    if (method !== 'POST') return null;
+
+    if (/^\/breakRoleInheritance/i.test(path)) {
+      if (!unique) {
+        this._setRoleAssignments(
+          list,
+          itemid,
+          parameter('copyRoleAssignments') === 'true' ? assignments : []
+        );
+      }
+      if (_.isNil(itemid) && parameter('clearSubscopes') === 'true') list.itemRoleAssignments = {};
+      return { status: 200, data: { d: { BreakRoleInheritance: null } } };
+    }
+
+    if (/^\/resetRoleInheritance$/i.test(path)) {
+      this._setRoleAssignments(list, itemid, null);
+      return { status: 200, data: { d: { ResetRoleInheritance: null } } };
+    }
+
+    const match =
+      /^\/roleAssignments\/(addRoleAssignment|removeRoleAssignment|getByPrincipalId)\(/i.exec(path);
+    if (_.isNull(match)) return null;
+
+    if (!unique) {
+      throw mockError(
+        400,
+        'This operation is not allowed on an object that inherits permissions.',
+        '-2146232832, Microsoft.SharePoint.SPException'
+      );
+    }
+
+    const principalId = _.toNumber(
+      /getByPrincipalId/i.test(match[1]) ? /\((\d+)\)/.exec(path)[1] : parameter('principalId')
+    );
+    const assignment = assignments.find((candidate) => candidate.PrincipalId === principalId);
+    if (_.isNull(this._principalInfo(principalId))) {
+      throw mockError(400, `Can not find the principal with id: ${principalId}.`);
+    }
+
+    if (/getByPrincipalId/i.test(match[1])) {
+      if (_.isUndefined(assignment)) {
+        throw mockError(404, `Can not find the principal with id: ${principalId}.`);
+      }
+      this._setRoleAssignments(list, itemid, _.without(assignments, assignment));
+      return { status: 200, data: null };
+    }
+
+    const roleDefId = _.toNumber(parameter('roleDefId'));
+    if (!ROLE_DEFINITIONS.some((role) => role.Id === roleDefId)) {
+      throw mockError(400, `The role definition ${roleDefId} does not exist.`);
+    }
+
+    if (/addRoleAssignment/i.test(match[1])) {
+      if (_.isUndefined(assignment)) {
+        assignments.push({ PrincipalId: principalId, RoleDefinitionIds: [roleDefId] });
+      } else {
+        assignment.RoleDefinitionIds = _.union(assignment.RoleDefinitionIds, [roleDefId]);
+      }
+    } else if (!_.isUndefined(assignment)) {
+      assignment.RoleDefinitionIds = _.without(assignment.RoleDefinitionIds, roleDefId);
+    }
+
+    this._setRoleAssignments(
+      list,
+      itemid,
+      assignments.filter((candidate) => candidate.RoleDefinitionIds.length > 0)
+    );
+    return { status: 200, data: { d: { [match[1]]: null } } };
+  }
+
+  /**
+   * Find the list of a folder or file server relative url
+   *
+   * @param {string} url The server relative url
+   * @returns {object} The list or null
+   * @memberof MockSharePointServer
+   */
+  _findListByUrl(url) {
+    return (
+      this.state.lists.find((list) => {
+        const listUrl = this._listUrl(list);
+        return url === listUrl || _.startsWith(url, `${listUrl}/`);
+      }) || null
+    );
+  }
+
+  /**
+   * Format the library folder for the response
+   *
+   * @param {object} list
+   * @param {string} url The folder server relative url
+   * @returns {object}
+   * @memberof MockSharePointServer
+   */
+  // eslint-disable-next-line class-methods-use-this
+  _folderInfo(list, url) {
+    const isChild = (candidate) => Path.posix.dirname(candidate) === url;
+    return {
+      __metadata: { type: 'SP.Folder' },
+      Name: Path.posix.basename(url),
+      ServerRelativeUrl: url,
+      ItemCount:
+        _.get(list, 'folders', []).filter(isChild).length +
+        _.get(list, 'files', []).filter((file) => isChild(file.ServerRelativeUrl)).length,
+    };
+  }
+
+  /**
+   * Format the library file for the response
+   *
+   * @param {object} file
+   * @returns {object}
+   * @memberof MockSharePointServer
+   */
+  // eslint-disable-next-line class-methods-use-this
+  _fileInfo(file) {
+    return {
+      __metadata: { type: 'SP.File' },
+      Name: Path.posix.basename(file.ServerRelativeUrl),
+      ServerRelativeUrl: file.ServerRelativeUrl,
+      Length: `${Buffer.from(file.content, 'base64').length}`,
+      TimeLastModified: file.TimeLastModified,
+    };
+  }
+
+  /**
+   * Route the folder and file requests of the lists used as document libraries, each file
+   * has a list item and the content is kept base64 encoded
+   *
+   * @param {object} request { method, path, query, raw }
+   * @returns {object} The response { status, data } or { status, raw }, null if not a
+   * folder or file request
+   * @memberof MockSharePointServer
+   */
+  _routeFiles(request) {
+    const { method, path, query, raw } = request;
+    const notFound = () =>
+      mockError(404, 'File Not Found.', '-2147024894, System.IO.FileNotFoundException');
+    const folderExists = (list, url) =>
+      url === this._listUrl(list) || _.get(list, 'folders', []).includes(url);
+
+    let match = /^web\/folders\/add\(url=('(?:[^']|'')*')\)$/i.exec(path);
+    if (!_.isNull(match) && method === 'POST') {
+      const url = _.trimEnd(unquote(match[1]), '/');
+      const list = this._findListByUrl(url);
+      // Like SharePoint the parent folder must exist
+      if (_.isNull(list) || !folderExists(list, Path.posix.dirname(url))) throw notFound();
+
+      if (!folderExists(list, url)) {
+        list.folders = [..._.get(list, 'folders', []), url];
+        this._saveState();
+      }
+      return { status: 200, data: { d: this._folderInfo(list, url) } };
+    }
+
+    match =
+      /^web\/(getFolderByServerRelativeUrl|getFileByServerRelativeUrl)\(('(?:[^']|'')*')\)(.*)$/i.exec(
+        path
+      );
+    if (_.isNull(match)) return null;
+
+    const [, type, quoted, rest] = match;
+    const url = _.trimEnd(unquote(quoted), '/');
+    const list = this._findListByUrl(url);
+    if (_.isNull(list)) throw notFound();
+    const files = _.get(list, 'files', []);
+
+    if (/^getFolder/i.test(type)) {
+      if (!folderExists(list, url)) throw notFound();
+
+      if (rest === '' && method === 'GET') {
+        return { status: 200, data: { d: this._folderInfo(list, url) } };
+      }
+      if (/^\/folders$/i.test(rest) && method === 'GET') {
+        const folders = _.get(list, 'folders', []).filter(
+          (candidate) => Path.posix.dirname(candidate) === url
+        );
+        return {
+          status: 200,
+          data: { d: { results: folders.map((folder) => this._folderInfo(list, folder)) } },
+        };
+      }
+      if (/^\/files$/i.test(rest) && method === 'GET') {
+        const results = files
+          .filter((file) => Path.posix.dirname(file.ServerRelativeUrl) === url)
+          .map((file) => this._fileInfo(file));
+        return { status: 200, data: { d: { results } } };
+      }
+
+      const add = /^\/files\/add\(url=('(?:[^']|'')*'),overwrite=(true|false)\)$/i.exec(rest);
+      if (!_.isNull(add) && method === 'POST') {
+        const fileUrl = `${url}/${unquote(add[1])}`;
+        let file = files.find((candidate) => candidate.ServerRelativeUrl === fileUrl);
+        if (!_.isUndefined(file) && add[2] !== 'true') {
+          throw mockError(
+            400,
+            `A file with the name ${fileUrl} already exists.`,
+            '-2130575257, Microsoft.SharePoint.SPException'
+          );
+        }
+        if (_.isUndefined(file)) {
+          const item = this._addItem(list, { FileLeafRef: Path.posix.basename(fileUrl) });
+          file = { ServerRelativeUrl: fileUrl, itemId: item.ID };
+          list.files = [...files, file];
+        }
+        Object.assign(file, {
+          content: raw.toString('base64'),
+          TimeLastModified: new Date().toISOString(),
+        });
+        this._saveState();
+        return { status: 200, data: { d: this._fileInfo(file) } };
+      }
+    } else {
+      const file = files.find((candidate) => candidate.ServerRelativeUrl === url);
+      if (_.isUndefined(file)) throw notFound();
+
+      if (rest === '' && method === 'GET') {
+        return { status: 200, data: { d: this._fileInfo(file) } };
+      }
+      if (/^\/\$value$/.test(rest) && method === 'GET') {
+        return { status: 200, raw: Buffer.from(file.content, 'base64') };
+      }
+      if (/^\/listItemAllFields$/i.test(rest) && method === 'GET') {
+        const item = list.items.find((candidate) => candidate.ID === file.itemId);
+        return { status: 200, data: { d: this._itemInfo(list, item, query) } };
+      }
+
+      // The chunks must be uploaded in order, the offset is the length uploaded so far
+      const upload =
+        /^\/(startUpload|continueUpload|finishUpload)\(uploadId=guid'([^']*)'(?:,fileOffset=(\d+))?\)$/i.exec(
+          rest
+        );
+      if (!_.isNull(upload) && method === 'POST') {
+        const [, action, uploadId, offset] = upload;
+        if (action === 'startUpload') {
+          this.uploads.set(uploadId, { url, content: raw });
+          return { status: 200, data: { d: { StartUpload: `${raw.length}` } } };
+        }
+
+        const session = this.uploads.get(uploadId);
+        if (_.isUndefined(session) || session.url !== url) {
+          throw mockError(400, `The upload session ${uploadId} was not found.`);
+        }
+        if (_.toNumber(offset) !== session.content.length) {
+          throw mockError(
+            400,
+            `The fileOffset ${offset} does not match the uploaded length ${session.content.length}.`
+          );
+        }
+        session.content = Buffer.concat([session.content, raw]);
+
+        if (action === 'continueUpload') {
+          return { status: 200, data: { d: { ContinueUpload: `${session.content.length}` } } };
+        }
+        this.uploads.delete(uploadId);
+        Object.assign(file, {
+          content: session.content.toString('base64'),
+          TimeLastModified: new Date().toISOString(),
+        });
+        this._saveState();
+        return { status: 200, data: { d: this._fileInfo(file) } };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Route the AttachmentFiles requests of an item, the content is kept base64 encoded
+   *
+   * @param {object} list
+   * @param {object} item
+   * @param {object} request { method, path, raw }
+   * @param {string} path The path after the item e.g. /AttachmentFiles
+   * @returns {object} The response { status, data } or { status, raw }
+   * @memberof MockSharePointServer
+   */
+  _routeAttachments(list, item, request, path) {
+    const { method } = request;
+    const files = _.get(list.attachments, item.ID, []);
+    const fileInfo = (file) => ({
+      __metadata: { type: 'SP.Attachment' },
+      FileName: file.FileName,
+      ServerRelativeUrl: `${this._listUrl(list)}/Attachments/${item.ID}/${file.FileName}`,
+    });
+    const save = (attachments) => {
+      _.set(list, ['attachments', item.ID], attachments);
+      item.Attachments = attachments.length > 0;
+      this._saveState();
+    };
+
+    if (/^\/attachmentFiles$/i.test(path) && method === 'GET') {
+      return { status: 200, data: { d: { results: files.map(fileInfo) } } };
+    }
+
+    let match = /^\/attachmentFiles\/add\(FileName=('(?:[^']|'')*')\)$/i.exec(path);
+    if (!_.isNull(match) && method === 'POST') {
+      const file = { FileName: unquote(match[1]), content: request.raw.toString('base64') };
+      if (files.some((candidate) => candidate.FileName === file.FileName)) {
+        throw mockError(500, 'The specified name is already in use.');
+      }
+      save([...files, file]);
+      return { status: 200, data: { d: fileInfo(file) } };
+    }
+
+    match = /^\/attachmentFiles\(('(?:[^']|'')*')\)(\/\$value|\/deleteObject)?$/i.exec(path);
+    if (!_.isNull(match)) {
+      const file = files.find((candidate) => candidate.FileName === unquote(match[1]));
+      if (_.isUndefined(file)) throw mockError(404, 'File Not Found.');
+
+      if (method === 'GET' && _.isUndefined(match[2])) {
+        return { status: 200, data: { d: fileInfo(file) } };
+      }
+      if (method === 'GET' && match[2] === '/$value') {
+        return { status: 200, raw: Buffer.from(file.content, 'base64') };
+      }
+      if (method === 'DELETE' || (method === 'POST' && match[2] === '/deleteObject')) {
+        save(files.filter((candidate) => candidate !== file));
+        return { status: 200, data: null };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the item changes after the ChangeTokenStart of the SP.ChangeQuery
+   *
+   * @param {object} list
+   * @param {object} changeQuery The SP.ChangeQuery
+   * @returns {object} The response data
+   * @memberof MockSharePointServer
+   */
+  _getChanges(list, changeQuery) {
+    const token = _.get(changeQuery, 'ChangeTokenStart.StringValue', '');
+    const [, , listId, , number] = _.split(token, ';');
+    if (!_.isEmpty(token) && listId !== list.Id) {
+      throw mockError(400, 'The change token is not valid for this list.');
+    }
+
+    const types = _.keys(CHANGE_TYPES).filter((type) => changeQuery[type]);
+    const changes = (changeQuery.Item ? list.changes || [] : [])
+      .filter((change) => change.number > _.toNumber(number || 0))
+      .filter((change) => types.some((type) => CHANGE_TYPES[type] === change.ChangeType))
+      .slice(0, changeQuery.FetchLimit || 1000);
+
+    return {
+      results: changes.map((change) => ({
+        __metadata: { type: 'SP.ChangeItem' },
+        ChangeToken: this._changeToken(list, change.number),
+        ChangeType: change.ChangeType,
+        ItemId: change.ItemId,
+        ListId: list.Id,
+        Time: change.Time,
+      })),
+    };
+  }
+
+  /**
+   * Format the field for the response
+   *
+   * @param {object} field
+   * @returns {object}
+   * @memberof MockSharePointServer
+   */
+  // eslint-disable-next-line class-methods-use-this
+  _fieldInfo(field) {
+    return { __metadata: { type: 'SP.Field' }, ...field };
+  }
+
+  /**
+   * Add an item to the list, the values are not validated
+   *
+   * @param {object} list
+   * @param {object} values The field values
+   * @returns {object} The item
+   * @memberof MockSharePointServer
+   */
+  _addItem(list, values) {
+    const now = new Date().toISOString();
+    const item = {
+      Title: null,
+      ...values,
+      ID: list.nextId,
+      Created: now,
+      Modified: now,
+      AuthorId: MOCK_USER.Id,
+      EditorId: MOCK_USER.Id,
+      Attachments: false,
+      version: 1,
+    };
+    list.nextId += 1;
+    list.items.push(item);
+    this._logChange(list, CHANGE_TYPES.Add, item.ID);
+    this._logVersion(list, item);
+    return item;
+  }
+
+  /**
+   * Format the item for the response
+   *
+   * @param {object} list
+   * @param {object} item
+   * @param {object} [query={}] The query string values
+   * @returns {object}
+   * @memberof MockSharePointServer
+   */
+  _itemInfo(list, item, query = {}) {
+    const expand = _.compact(_.split(query.$expand, ','));
+    const info = {
+      __metadata: {
+        id: `Web/Lists(guid'${list.Id}')/Items(${item.ID})`,
+        uri: `${this.url}/_api/Web/Lists(guid'${list.Id}')/Items(${item.ID})`,
+        etag: `"${item.version}"`,
+        type: `SP.Data.${entityName(list.Title)}ListItem`,
+      },
+      ..._.omit(item, ['version']),
+      Id: item.ID,
+    };
+
+    if (_.includes(_.split(query.$select, ','), 'HasUniqueRoleAssignments')) {
+      info.HasUniqueRoleAssignments = !_.isNil(_.get(list.itemRoleAssignments, item.ID));
+    }
+
+    ['Author', 'Editor'].forEach((field) => {
+      info[field] = expand.includes(field)
+        ? { __metadata: { type: 'SP.Data.UserInfoItem' }, ...MOCK_USER }
+        : { __deferred: { uri: `${_.get(info, '__metadata.uri')}/${field}` } };
+    });
+
+    return this._select(info, query.$select);
+  }
+
+  /**
+   * Apply the $select, the __metadata is always included
+   *
+   * @param {object} value
+   * @param {string} select The $select value
+   * @returns {object}
+   * @memberof MockSharePointServer
+   */
+  // eslint-disable-next-line class-methods-use-this
+  _select(value, select) {
+    const fields = _.compact(_.split(select, ',').map(_.trim));
+    if (fields.length === 0 || fields.includes('*')) return value;
+
+    const selected = _.pick(value, ['__metadata']);
+    fields.forEach((field) => {
+      const [name, property] = field.split('/');
+      if (!_.has(value, name)) return;
+      if (_.isNil(property) || !_.isPlainObject(value[name])) {
+        selected[name] = value[name];
+      } else {
+        selected[name] = {
+          ...(selected[name] || _.pick(value[name], ['__metadata'])),
+          [property]: _.get(value[name], property, null),
+        };
+      }
+    });
+    return selected;
+  }
+
+  /**
+   * Check the item only contains fields that exist in the list
+   *
+   * @param {object} list
+   * @param {object} values The item values
+   * @memberof MockSharePointServer
+   */
+  // eslint-disable-next-line class-methods-use-this
+  _validateItem(list, values) {
+    const names = _.flatMap(list.fields, (field) => [
+      field.InternalName,
+      ['Lookup', 'User', 'LookupMulti', 'UserMulti'].includes(field.TypeAsString)
+        ? `${field.InternalName}Id`
+        : null,
+    ]);
+
+    _.keys(_.omit(values, ['__metadata'])).forEach((name) => {
+      if (!names.includes(name)) {
+        throw mockError(
+          400,
+          `The property '${name}' does not exist on type 'SP.Data.${entityName(
+            list.Title
+          )}ListItem'. Make sure to only use property names that are defined by the type.`,
+          '-1, Microsoft.SharePoint.Client.InvalidClientQueryException'
+        );
+      }
+    });
+  }
+
+  /**
+   * Get the items matching the query, a page at a time
+   *
+   * @param {object} list
+   * @param {object} query The query string values
+   * @param {string} path The request path, used to build the __next link
+   * @returns {object} The response data
+   * @memberof MockSharePointServer
+   */
+  _queryItems(list, query, path) {
+    if (!_.isEmpty(query.$filter) && list.items.length > this.listViewThreshold) {
+      throw mockError(
+        500,
+        'The attempted operation is prohibited because it exceeds the list view threshold.',
+        '-2147024860, Microsoft.SharePoint.SPQueryThrottledException'
+      );
+    }
+
+    let items = list.items.filter(parseFilter(query.$filter));
+
+    _.split(query.$orderby, ',')
+      .map(_.trim)
+      .filter((order) => !_.isEmpty(order))
+      .reverse()
+      .forEach((order) => {
+        const [field, direction = 'asc'] = order.split(/\s+/);
+        items = _.orderBy(items, [field], [direction.toLowerCase()]);
+      });
+
+    const skip = _.toNumber(_.get(/p_Index=(\d+)/.exec(query.$skiptoken || ''), 1, 0));
+    const top = _.isNil(query.$top) ? this.pageSize : _.toNumber(query.$top);
+    const pageSize = Math.min(top, this.pageSize, 5000);
+    const page = items.slice(skip, skip + pageSize);
+
+    const data = { results: page.map((item) => this._itemInfo(list, item, query)) };
+
+    // SharePoint returns the __next link when there are more items than the page size
+    if (skip + page.length < items.length && page.length > 0) {
+      const nextQuery = new URLSearchParams(_.omit(query, ['$skiptoken']));
+      nextQuery.set(
+        '$skiptoken',
+        `Paged=TRUE&p_ID=${_.last(page).ID}&p_Index=${skip + page.length}`
+      );
+      _.set(data, '__next', `${this.url}/_api/${path}?${nextQuery.toString()}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Get the items matching the CAML query, a RowLimit page at a time after the
+   * ListItemCollectionPosition
+   *
+   * @param {object} list
+   * @param {object} camlQuery The SP.CamlQuery { ViewXml, ListItemCollectionPosition }
+   * @returns {object} The response data
+   * @memberof MockSharePointServer
+   */
+  _queryItemsByCaml(list, camlQuery) {
+    let view = null;
+    try {
+      view = parseViewXml(_.get(camlQuery, 'ViewXml'));
+    } catch (err) {
+      throw mockError(400, err.message);
+    }
+
+    const { predicate, orderBy, viewFields, rowLimit, paged } = view;
+    let items = _.orderBy(
+      list.items.filter(predicate),
+      [...orderBy.map((order) => order.field), 'ID'],
+      [...orderBy.map((order) => order.direction), 'asc']
+    );
+
+    // The page starts after the p_ID item of the PagingInfo
+    const pagingInfo = _.get(camlQuery, 'ListItemCollectionPosition.PagingInfo', '');
+    const lastId = _.toNumber(_.get(/(?:^|&)p_ID=(\d+)/.exec(pagingInfo || ''), 1, 0));
+    if (paged && lastId > 0) {
+      const index = items.findIndex((item) => item.ID === lastId);
+      items = index >= 0 ? items.slice(index + 1) : items.filter((item) => item.ID > lastId);
+    }
+
+    const page = _.isNull(rowLimit) ? items : items.slice(0, rowLimit);
+    const select = _.isEmpty(viewFields) ? {} : { $select: viewFields.join(',') };
+    // Like SharePoint GetItems there is no ListItemCollectionPositionNext
+    return { results: page.map((item) => this._itemInfo(list, item, select)) };
+  }
+
+  /**
+   * Parse the Field SchemaXml attributes into a field definition
+   *
+   * @param {string} schemaXml
+   * @returns {object}
+   * @memberof MockSharePointServer
+   */
+  _parseSchemaXml(schemaXml) {
+    const attributes = {};
+    const element = _.get(/<Field\b([^>]*)>/.exec(schemaXml), 1, '');
+    element.replace(/(\w+)="([^"]*)"/g, (match, name, value) => {
+      attributes[name] = value;
+      return match;
+    });
+
+    if (_.isEmpty(attributes.Name) && _.isEmpty(attributes.DisplayName)) {
+      throw mockError(400, 'The field SchemaXml does not have a Name');
+    }
+
+    const choices = [];
+    schemaXml.replace(/<CHOICE>([^<]*)<\/CHOICE>/g, (match, choice) => {
+      choices.push(choice);
+      return match;
+    });
+
+    const field = this._createField({
+      InternalName: (attributes.Name || attributes.DisplayName).replace(/\s/g, '_x0020_'),
+      Title: attributes.DisplayName || attributes.Name,
+      TypeAsString: attributes.Type || 'Text',
+      Description: attributes.Description || '',
+      Required: attributes.Required === 'TRUE',
+      Hidden: attributes.Hidden === 'TRUE',
+      Indexed: attributes.Indexed === 'TRUE',
+    });
+    if (choices.length > 0) field.Choices = { results: choices };
+    // SharePoint calculated fields are read only
+    if (field.TypeAsString === 'Calculated') {
+      field.ReadOnlyField = true;
+      field.Formula = _.unescape(_.get(/<Formula>([\s\S]*?)<\/Formula>/.exec(schemaXml), 1, ''));
+    }
+    field.SchemaXml = schemaXml;
+    return field;
+  }
+
+  /**
+   * Is the X-RequestDigest valid
+   *
+   * @param {string} digest
+   * @returns {boolean}
+   * @memberof MockSharePointServer
+   */
+  _isValidDigest(digest) {
+    return this.digests.has(digest) && this.digests.get(digest) > Date.now();
+  }
+
+  /**
+   * Check the IF-MATCH header matches the item etag, * or no header matches any version
+   *
+   * @param {object} item
+   * @param {string} [ifMatch] The IF-MATCH header
+   * @memberof MockSharePointServer
+   */
+  // eslint-disable-next-line class-methods-use-this
+  _checkETag(item, ifMatch) {
+    const etag = `"${item.version}"`;
+    if (_.isEmpty(ifMatch) || ifMatch === '*' || ifMatch === etag) return;
+
+    throw mockError(
+      412,
+      `The request ETag value '${ifMatch}' does not match the object's ETag value '${etag}'.`,
+      '-1, Microsoft.SharePoint.Client.ClientServiceException'
+    );
+  }
+
+  /**
+   * Format the site user for the response
+   *
+   * @param {object} user
+   * @returns {object}
+   * @memberof MockSharePointServer
+   */
+  _userInfo(user) {
+    return {
+      __metadata: {
+        id: `${this.url}/_api/Web/GetUserById(${user.Id})`,
+        uri: `${this.url}/_api/Web/GetUserById(${user.Id})`,
+        type: 'SP.User',
+      },
+      LoginName: `i:0#.f|membership|${user.Email}`,
+      PrincipalType: 1,
+      IsSiteAdmin: false,
+      ...user,
+    };
+  }
+
+  /**
+   * Add the directory user to the site users, as ensureuser does
+   *
+   * @param {string} logonName The email or login name
+   * @returns {object} The site user
+   * @memberof MockSharePointServer
+   */
+  _ensureUser(logonName) {
+    const users = this.state.users || [MOCK_USER];
+    const existing = users.find((user) => isUser(user, logonName));
+    if (!_.isUndefined(existing)) return existing;
+
+    const found = this.directory.find((user) => isUser(user, logonName));
+    if (_.isUndefined(found)) {
+      throw mockError(
+        500,
+        `The specified user ${logonName} could not be found.`,
+        USER_NOT_FOUND_CODE
+      );
+    }
+
+    const user = { ...found, Id: (_.max(users.map((candidate) => candidate.Id)) || 0) + 1 };
+    this.state.users = [...users, user];
+    this._saveState();
+    return user;
+  }
+
+  /**
+   * Route a request to the endpoint
+   *
+   * @param {object} request { method, path, query, headers, body, raw }, raw is the body Buffer
+   * @returns {object} The response { status, data }, or { status, raw } for binary content
+   * @memberof MockSharePointServer
+   */
+  _route(request) {
+    const { method, path, query, body } = request;
+    let match = null;
+
+    if (path === 'contextinfo' && method === 'POST') {
+      const digest = `0x${uuidv4().replace(/-/g, '').toUpperCase()},${new Date().toUTCString()}`;
+      this.digests.set(digest, Date.now() + this.digestTimeout * 1000);
+      return {
+        status: 200,
+        data: {
+          d: {
+            GetContextWebInformation: {
+              __metadata: { type: 'SP.ContextWebInformation' },
+              FormDigestTimeoutSeconds: this.digestTimeout,
+              FormDigestValue: digest,
+              WebFullUrl: this.url,
+            },
+          },
+        },
+      };
+    }
+
+    if (method !== 'GET' && !this._isValidDigest(request.headers['x-requestdigest'])) {
+      throw mockError(
+        403,
+        'The security validation for this page is invalid and might have expired. Please use the back button on your browser, refresh the page, and try your operation again.',
+        '-2130575251, Microsoft.SharePoint.SPException'
+      );
+    }
+
+    if (/^web\/ensureuser$/i.test(path) && method === 'POST') {
+      return { status: 200, data: { d: this._userInfo(this._ensureUser(body.logonName)) } };
+    }
+
+    match = /^web\/siteusers(?:\/(getById|getByEmail|getByLoginName)\(([^)]*)\))?$/i.exec(path);
+    if (!_.isNull(match) && method === 'GET') {
+      const users = this.state.users || [MOCK_USER];
+      if (_.isUndefined(match[1])) {
+        return { status: 200, data: { d: { results: users.map((user) => this._userInfo(user)) } } };
+      }
+
+      const value = unquote(match[2]);
+      const user = users.find((candidate) =>
+        /getById/i.test(match[1]) ? candidate.Id === _.toNumber(value) : isUser(candidate, value)
+      );
+      if (_.isUndefined(user)) throw mockError(404, 'User cannot be found.', USER_NOT_FOUND_CODE);
+      return { status: 200, data: { d: this._userInfo(user) } };
+    }
+
+    match = /^(web|site)\/recycleBin(?:\(([^)]*)\)\/restore(?:\(\))?)?$/i.exec(path);
+    if (!_.isNull(match)) {
+      if (method === 'GET' && _.isUndefined(match[2])) {
+        const results = (this.state.recycleBin || [])
+          .filter(parseFilter(query.$filter))
+          .map((recycleBinItem) => ({
+            __metadata: { type: 'SP.RecycleBinItem' },
+            ..._.omit(recycleBinItem, ['listId', 'item']),
+          }));
+        return { status: 200, data: { d: { results: _.orderBy(results, 'DeletedDate', 'desc') } } };
+      }
+      if (method === 'POST' && !_.isUndefined(match[2])) {
+        this._restoreItem(unquote(match[2]));
+        this._saveState();
+        return { status: 200, data: { d: { Restore: null } } };
+      }
+    }
+
+    match = /^web\/roleDefinitions(?:\/getByName\(([^)]*)\))?$/i.exec(path);
+    if (!_.isNull(match) && method === 'GET') {
+      const roles = ROLE_DEFINITIONS.map((role) => ({
+        __metadata: { type: 'SP.RoleDefinition' },
+        ...role,
+      }));
+      if (_.isUndefined(match[1])) return { status: 200, data: { d: { results: roles } } };
+
+      const role = roles.find((candidate) => candidate.Name === unquote(match[1]));
+      if (_.isUndefined(role)) throw mockError(404, 'The role definition cannot be found.');
+      return { status: 200, data: { d: role } };
+    }
+
+    match = /^web\/siteGroups(?:\/(getById|getByName)\(([^)]*)\))?$/i.exec(path);
+    if (!_.isNull(match) && method === 'GET') {
+      const groups = MOCK_GROUPS.map((group) => this._principalInfo(group.Id));
+      if (_.isUndefined(match[1])) return { status: 200, data: { d: { results: groups } } };
+
+      const value = unquote(match[2]);
+      const group = groups.find((candidate) =>
+        /getById/i.test(match[1])
+          ? candidate.Id === _.toNumber(value)
+          : _.toLower(candidate.Title) === _.toLower(value)
+      );
+      if (_.isUndefined(group)) throw mockError(404, 'Group cannot be found.');
+      return { status: 200, data: { d: group } };
+    }
+
+    const fileResponse = this._routeFiles(request);
+    if (!_.isNull(fileResponse)) return fileResponse;
+
+    if (/^web\/lists$/i.test(path)) {
+      if (method === 'GET') {
+        return {
+          status: 200,
+          data: { d: { results: this.state.lists.map((list) => this._listInfo(list, query)) } },
+        };
+      }
+      const list = this.createList(body.Title, body.BaseTemplate || 100);
+      return { status: 201, data: { d: this._listInfo(list, {}) } };
+    }
+
+    match = /^web\/lists(?:\/getByTitle\(([^)]*)\)|\/getById\(([^)]*)\)|\(([^)]*)\))(.*)$/i.exec(
+      path
+    );
+    if (_.isNull(match)) {
+      throw mockError(404, `Resource not found for the segment '${path}'.`);
+    }
+
+    const [, title, getById, byId, rest] = match;
+    const listTitle = _.isNil(title) ? null : unquote(title);
+    const list = this._findList(listTitle, _.isNil(title) ? unquote(getById || byId) : null);
+    if (_.isNull(list)) {
+      throw mockError(
+        404,
+        `List '${listTitle || getById || byId}' does not exist at site with URL '${this.url}'.`,
+        '-1, System.ArgumentException'
+      );
+    }
+
+    if (rest === '') {
+      if (method === 'GET') return { status: 200, data: { d: this._listInfo(list, query) } };
+      if (method === 'DELETE') {
+        this.state.lists = this.state.lists.filter((candidate) => candidate !== list);
+        this._saveState();
+        return { status: 200, data: null };
+      }
+    }
+
+    match =
+      /^(?:\/items\((\d+)\))?(\/(?:breakRoleInheritance|resetRoleInheritance|roleAssignments).*)$/i.exec(
+        rest
+      );
+    if (!_.isNull(match)) {
+      const itemid = _.isUndefined(match[1]) ? null : _.toNumber(match[1]);
+      if (!_.isNull(itemid) && !list.items.some((candidate) => candidate.ID === itemid)) {
+        throw mockError(
+          404,
+          'Item does not exist. It may have been deleted by another user.',
+          '-2130575338, Microsoft.SharePoint.SPException'
+        );
+      }
+
+      const response = this._routeRoleAssignments(list, itemid, method, match[2]);
+      if (!_.isNull(response)) {
+        this._saveState();
+        return response;
+      }
+    }
+
+    if (/^\/rootFolder$/i.test(rest) && method === 'GET') {
+      const folder = {
+        __metadata: { type: 'SP.Folder' },
+        Name: _.last(this._listUrl(list).split('/')),
+        ServerRelativeUrl: this._listUrl(list),
+      };
+      return { status: 200, data: { d: this._select(folder, query.$select) } };
+    }
+
+    if (/^\/getChanges$/i.test(rest) && method === 'POST') {
+      return { status: 200, data: { d: this._getChanges(list, body.query) } };
+    }
+
+    if (/^\/getItems$/i.test(rest) && method === 'POST') {
+      return { status: 200, data: { d: this._queryItemsByCaml(list, body.query) } };
+    }
+
+    if (/^\/fields$/i.test(rest) && method === 'GET') {
+      const fields = list.fields.filter(parseFilter(query.$filter));
+      return {
+        status: 200,
+        data: {
+          d: {
+            results: fields.map((field) => this._select(this._fieldInfo(field), query.$select)),
+          },
+        },
+      };
+    }
+
+    if (/^\/fields\/createFieldAsXml$/i.test(rest) && method === 'POST') {
+      const field = this._parseSchemaXml(_.get(body, 'parameters.SchemaXml', ''));
+      if (list.fields.some((candidate) => candidate.InternalName === field.InternalName)) {
+        throw mockError(500, `A duplicate field name "${field.InternalName}" was found.`);
+      }
+      list.fields.push(field);
+      this._saveState();
+      return { status: 201, data: { d: this._fieldInfo(field) } };
+    }
+
+    if (/^\/items$/i.test(rest)) {
+      if (method === 'GET') {
+        return { status: 200, data: { d: this._queryItems(list, query, path) } };
+      }
+
+      const values = _.omit(body, ['__metadata', 'ID', 'Id']);
+      this._validateItem(list, values);
+      const item = this._addItem(list, values);
+      this._saveState();
+      return { status: 201, data: { d: this._itemInfo(list, item) } };
+    }
+
+    match = /^\/items\((\d+)\)(\/attachmentFiles.*)$/i.exec(rest);
+    if (!_.isNull(match)) {
+      const item = list.items.find((candidate) => candidate.ID === _.toNumber(match[1]));
+      if (_.isUndefined(item)) {
+        throw mockError(
+          404,
+          'Item does not exist. It may have been deleted by another user.',
+          '-2130575338, Microsoft.SharePoint.SPException'
+        );
+      }
+
+      const response = this._routeAttachments(list, item, request, match[2]);
+      if (!_.isNull(response)) return response;
+    }
+
+    match = /^\/items\((\d+)\)(\/deleteObject|\/recycle|\/versions)?$/i.exec(rest);
+    if (!_.isNull(match)) {
+      const itemid = _.toNumber(match[1]);
+      const item = list.items.find((candidate) => candidate.ID === itemid);
+      if (_.isUndefined(item)) {
+        throw mockError(
+          404,
+          'Item does not exist. It may have been deleted by another user.',
+          '-2130575338, Microsoft.SharePoint.SPException'
+        );
+      }
+
+      if (method === 'GET' && _.isUndefined(match[2])) {
+        return { status: 200, data: { d: this._itemInfo(list, item, query) } };
+      }
+
+      if (method === 'GET' && /versions/i.test(match[2] || '')) {
+        const versions = _.get(list.versions, item.ID, []);
+        const results = versions.map((version, index) =>
+          this._versionInfo(list, version, index === versions.length - 1)
+        );
+        return { status: 200, data: { d: { results: _.reverse(results) } } };
+      }
+
+      // Like SharePoint the recycle() and deleteObject() methods ignore the IF-MATCH header
+      if (['MERGE', 'PATCH', 'DELETE'].includes(method) && _.isUndefined(match[2])) {
+        this._checkETag(item, request.headers['if-match']);
+      }
+
+      if (method === 'MERGE' || method === 'PATCH') {
+        const values = _.omit(body, ['__metadata', 'ID', 'Id']);
+        this._validateItem(list, values);
+        Object.assign(item, values, { Modified: new Date().toISOString() });
+        item.version += 1;
+        this._logChange(list, CHANGE_TYPES.Update, item.ID);
+        this._logVersion(list, item);
+        this._saveState();
+        return { status: 204, data: null };
+      }
+
+      if (method === 'DELETE' || !_.isUndefined(match[2])) {
+        list.items = list.items.filter((candidate) => candidate !== item);
+        this._logChange(list, CHANGE_TYPES.DeleteObject, item.ID);
+        const recycleBinItem = /recycle/i.test(match[2] || '')
+          ? this._recycleItem(list, item)
+          : null;
+        this._saveState();
+        return _.isNull(recycleBinItem)
+          ? { status: 200, data: null }
+          : { status: 200, data: { d: { Recycle: recycleBinItem.Id } } };
+      }
+    }
+
+    throw mockError(
+      405,
+      `The HTTP method '${method}' is not supported for '${path}'.`,
+      '-1, Microsoft.SharePoint.Client.ClientServiceException'
+    );
+  }
+
+  /**
+   * Execute a request and catch the errors as SharePoint error responses
+   *
+   * @param {object} request { method, path, query, headers, body }
+   * @returns {object} The response { status, data }
+   * @memberof MockSharePointServer
+   */
+  _execute(request) {
+    try {
+      return this._route(request);
+    } catch (err) {
+      const status = err.status || 500;
+      return {
+        status,
+        data: {
+          error: {
+            code: err.code || '-1, System.Exception',
+            message: { lang: 'en-US', value: err.message },
+          },
+        },
+      };
+    }
+  }
+
+  /**
+   * Execute the $batch request, each part is executed in order
+   *
+   * @param {string} contentType The $batch request Content-Type with the boundary
+   * @param {string} body The $batch request body
+   * @param {object} headers The $batch request headers
+   * @returns {object} The $batch response { boundary, body }
+   * @memberof MockSharePointServer
+   */
+  _executeBatch(contentType, body, headers) {
+    const boundaryOf = (value) => _.get(/boundary="?([^";]+)"?/.exec(value), 1, null);
+    const splitParts = (text, boundary) =>
+      text
+        .split(`--${boundary}`)
+        .slice(1)
+        .filter((part) => !part.startsWith('--'));
+
+    const responseBoundary = `batchresponse_${uuidv4()}`;
+    const lines = [];
+
+    const executePart = (part) => {
+      // The part headers are followed by the http request
+      const httpText = part.slice(part.search(/\r?\n\r?\n/)).trim();
+      const [head, ...bodyParts] = httpText.split(/\r?\n\r?\n/);
+      const [requestLine, ...headerLines] = head.split(/\r?\n/);
+      const [method, url] = requestLine.split(' ');
+      const partHeaders = {};
+      headerLines.forEach((line) => {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+          partHeaders[line.slice(0, separator).trim().toLowerCase()] = line
+            .slice(separator + 1)
+            .trim();
+        }
+      });
+
+      const partBody = bodyParts.join('\n\n').trim();
+      const response = this._execute({
+        ...this._parseUrl(method, url, partHeaders),
+        // The changes in a $batch are authorised by the $batch X-RequestDigest
+        headers: { ...partHeaders, 'x-requestdigest': headers['x-requestdigest'] },
+        body: _.isEmpty(partBody) ? {} : JSON.parse(partBody),
+      });
+
+      return [
+        'Content-Type: application/http',
+        'Content-Transfer-Encoding: binary',
+        '',
+        `HTTP/1.1 ${response.status} ${http.STATUS_CODES[response.status]}`,
+        `CONTENT-TYPE: ${JSON_CONTENT_TYPE}`,
+        '',
+        _.isNull(response.data) ? '' : JSON.stringify(response.data),
+      ];
+    };
+
+    splitParts(body, boundaryOf(contentType)).forEach((part) => {
+      const changesetBoundary = boundaryOf(part.split(/\r?\n\r?\n/, 1)[0]);
+      lines.push(`--${responseBoundary}`);
+
+      if (_.isNull(changesetBoundary)) {
+        lines.push(...executePart(part));
+        return;
+      }
+
+      const changesetResponseBoundary = `changesetresponse_${uuidv4()}`;
+      lines.push(`Content-Type: multipart/mixed; boundary=${changesetResponseBoundary}`, '');
+      splitParts(part, changesetBoundary).forEach((changesetPart) => {
+        lines.push(`--${changesetResponseBoundary}`, ...executePart(changesetPart));
+      });
+      lines.push(`--${changesetResponseBoundary}--`);
+    });
+
+    lines.push(`--${responseBoundary}--`, '');
+    return { boundary: responseBoundary, body: lines.join('\r\n') };
+  }
+
+  /**
+   * Parse the request url into the api path and query
+   *
+   * @param {string} method The http method
+   * @param {string} url The request url
+   * @param {object} headers The request headers
+   * @returns {object} { method, path, query }
+   * @memberof MockSharePointServer
+   */
+  _parseUrl(method, url, headers) {
+    const parsed = new URL(url, this.url || 'http://127.0.0.1');
+    const apiIndex = parsed.pathname.indexOf('/_api/');
+
+    // X-HTTP-Method overrides the POST method e.g. MERGE and DELETE
+    const override = _.toUpper(headers['x-http-method']);
+    const effectiveMethod =
+      method === 'POST' && ['MERGE', 'PATCH', 'PUT', 'DELETE'].includes(override)
+        ? override
+        : method;
+
+    return {
+      method: effectiveMethod,
+      path: apiIndex === -1 ? '' : decodeURI(parsed.pathname.slice(apiIndex + 6)),
+      query: Object.fromEntries(parsed.searchParams.entries()),
+    };
+  }
+
+  /**
+   * Handle the http request
+   *
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @memberof MockSharePointServer
+   */
+  _handle(req, res) {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', async () => {
+      const loggingOptions = {
+        label: 'MockSharePointServer',
+      };
+
+      const raw = Buffer.concat(chunks);
+      const text = raw.toString('utf8');
+      const request = { ...this._parseUrl(req.method, req.url, req.headers), headers: req.headers };
+      const description = `${request.method} /${request.path}`;
+      this.requests.push(description);
+      // SharePoint identifies each request with the SPRequestGuid correlation id
+      res.setHeader('SPRequestGuid', uuidv4());
+      this.logger.debug(`${description}`, loggingOptions);
+
+      const fault = this._takeFault(description);
+      if (!_.isNull(fault)) {
+        this.logger.info(`Injecting ${fault.type} fault for ${description}`, loggingOptions);
+
+        if (fault.delay > 0) {
+          await new Promise((resolve) => setTimeout(resolve, fault.delay));
+        }
+
+        switch (fault.type) {
+          case 'reset':
+            req.socket.destroy();
+            return;
+          case 'html':
+            res.writeHead(fault.status === 503 ? 200 : fault.status, {
+              'Content-Type': 'text/html',
+            });
+            res.end('<html><body><h1>Service Unavailable</h1></body></html>');
+            return;
+          case 'status': {
+            const headers = { 'Content-Type': JSON_CONTENT_TYPE };
+            if (!_.isNil(fault.retryAfter)) headers['Retry-After'] = `${fault.retryAfter}`;
+            res.writeHead(fault.status, headers);
+            res.end(
+              JSON.stringify({
+                error: {
+                  code: '-2147024860, Microsoft.SharePoint.SPQueryThrottledException',
+                  message: { lang: 'en-US', value: http.STATUS_CODES[fault.status] },
+                },
+              })
+            );
+            return;
+          }
+          case 'expiredDigest':
+            this.digests.clear();
+            break;
+          default:
+            break;
+        }
+      }
+
+      if (request.path === '$batch') {
+        const { boundary, body } = this._executeBatch(
+          req.headers['content-type'],
+          text,
+          req.headers
+        );
+        res.writeHead(200, { 'Content-Type': `multipart/mixed; boundary=${boundary}` });
+        res.end(body);
+        return;
+      }
+
+      let body = {};
+      try {
+        body = _.isEmpty(text) ? {} : JSON.parse(text);
+      } catch (err) {
+        // Binary content e.g. attachments are not JSON
+        body = {};
+      }
+
+      const response = this._execute({ ...request, body, raw });
+      if (!_.isUndefined(response.raw)) {
+        res.writeHead(response.status, { 'Content-Type': 'application/octet-stream' });
+        res.end(response.raw);
+        return;
+      }
+      res.writeHead(response.status, { 'Content-Type': JSON_CONTENT_TYPE });
+      res.end(_.isNull(response.data) ? '' : JSON.stringify(response.data));
+    });
+  }
+}
+
+module.exports = {
+  MockSharePointServer,
+};
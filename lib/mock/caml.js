@@ -0,0 +1,209 @@
+const _ = require('lodash');
+
+const TAG_PATTERN = /<\s*(\/)?\s*([\w:]+)((?:\s+[\w:]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/)?\s*>/g;
+const ATTRIBUTE_PATTERN = /([\w:]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Decode the XML entities
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const decodeXml = (text) =>
+  text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+/**
+ * Parse the XML into elements { name, attributes, children, text }, enough of XML
+ * for the CAML ViewXml
+ *
+ * @param {string} xml
+ * @returns {object} The root element
+ */
+const parseXml = (xml) => {
+  const root = { name: null, attributes: {}, children: [], text: '' };
+  const stack = [root];
+  let position = 0;
+
+  [...xml.matchAll(TAG_PATTERN)].forEach((match) => {
+    const [tag, closing, name, attributeText, selfClosing] = match;
+    _.last(stack).text += decodeXml(xml.slice(position, match.index));
+    position = match.index + tag.length;
+
+    if (closing) {
+      if (stack.length === 1 || _.last(stack).name !== name) {
+        throw new Error(`Invalid ViewXml, unexpected </${name}>`);
+      }
+      stack.pop();
+      return;
+    }
+
+    const attributes = {};
+    [...attributeText.matchAll(ATTRIBUTE_PATTERN)].forEach(([, key, double, single]) => {
+      attributes[key] = decodeXml(_.defaultTo(double, single));
+    });
+
+    const element = { name, attributes, children: [], text: '' };
+    _.last(stack).children.push(element);
+    if (!selfClosing) stack.push(element);
+  });
+
+  if (stack.length > 1) {
+    throw new Error(`Invalid ViewXml, <${_.last(stack).name}> not closed`);
+  }
+  return root;
+};
+
+/**
+ * Find the first child element with the name
+ *
+ * @param {object} element
+ * @param {string} name
+ * @returns {object} The child element or undefined
+ */
+const child = (element, name) =>
+  _.find(_.get(element, 'children', []), (candidate) => candidate.name === name);
+
+/**
+ * Get the item value of the FieldRef, the ID of lookup and person fields with LookupId
+ *
+ * @param {object} item
+ * @param {object} fieldRef The FieldRef element
+ * @returns {*}
+ */
+const getFieldValue = (item, fieldRef) => {
+  const { Name: name, LookupId: lookupId } = fieldRef.attributes;
+  if (_.has(item, `${name}Id`) && (lookupId === 'TRUE' || !_.has(item, name))) {
+    return item[`${name}Id`];
+  }
+  return _.get(item, name, null);
+};
+
+/**
+ * Convert the item value, or the Value element text, to the Value Type for comparison
+ *
+ * @param {*} value
+ * @param {string} type The Value Type
+ * @returns {*} null when there is no value
+ */
+const toComparable = (value, type) => {
+  if (_.isNil(value) || value === '') return null;
+  switch (type) {
+    case 'Boolean':
+      return [true, 1, '1', 'true'].includes(_.isString(value) ? _.toLower(value) : value);
+    case 'Counter':
+    case 'Integer':
+    case 'Number':
+    case 'Currency':
+      return _.toNumber(value);
+    case 'DateTime':
+      return new Date(value).getTime();
+    default:
+      return `${value}`;
+  }
+};
+
+const COMPARISONS = {
+  Eq: (a, b) => a === b,
+  Neq: (a, b) => a !== b,
+  Gt: (a, b) => a !== null && a > b,
+  Geq: (a, b) => a !== null && a >= b,
+  Lt: (a, b) => a !== null && a < b,
+  Leq: (a, b) => a !== null && a <= b,
+  BeginsWith: (a, b) => a !== null && `${a}`.startsWith(b),
+  Contains: (a, b) => a !== null && `${a}`.includes(b),
+};
+
+/**
+ * Build the predicate of the Where condition element
+ *
+ * @param {object} element
+ * @returns {Function} (item) => boolean
+ */
+const buildPredicate = (element) => {
+  const { name } = element;
+
+  if (name === 'And' || name === 'Or') {
+    const predicates = element.children.map(buildPredicate);
+    return name === 'And'
+      ? (item) => predicates.every((predicate) => predicate(item))
+      : (item) => predicates.some((predicate) => predicate(item));
+  }
+
+  const fieldRef = child(element, 'FieldRef');
+  if (_.isUndefined(fieldRef)) throw new Error(`Invalid ViewXml, <${name}> has no FieldRef`);
+
+  if (name === 'IsNull' || name === 'IsNotNull') {
+    return (item) => {
+      const value = getFieldValue(item, fieldRef);
+      const isNull = _.isNil(value) || value === '' || _.isEmpty(_.get(value, 'results', [1]));
+      return name === 'IsNull' ? isNull : !isNull;
+    };
+  }
+
+  if (name === 'In') {
+    const values = _.get(child(element, 'Values'), 'children', []);
+    return (item) =>
+      values.some(
+        (value) =>
+          toComparable(getFieldValue(item, fieldRef), value.attributes.Type) ===
+          toComparable(_.trim(value.text), value.attributes.Type)
+      );
+  }
+
+  const compare = COMPARISONS[name];
+  const value = child(element, 'Value');
+  if (_.isUndefined(compare) || _.isUndefined(value)) {
+    throw new Error(`Invalid ViewXml, unsupported <${name}>`);
+  }
+
+  const { Type: type } = value.attributes;
+  const comparable = toComparable(_.trim(value.text), type);
+  return (item) => {
+    const itemValue = getFieldValue(item, fieldRef);
+    // Multi value fields match when any of the values match
+    const itemValues = _.isArray(_.get(itemValue, 'results')) ? itemValue.results : [itemValue];
+    return itemValues.some((result) => compare(toComparable(result, type), comparable));
+  };
+};
+
+/**
+ * Parse the CAML ViewXml, supports the Where comparisons Eq, Neq, Gt, Geq, Lt, Leq,
+ * BeginsWith, Contains, In, IsNull and IsNotNull with And and Or, OrderBy, ViewFields
+ * and RowLimit
+ *
+ * @param {string} viewXml
+ * @returns {object} { predicate, orderBy: [{ field, direction }], viewFields, rowLimit, paged }
+ */
+const parseViewXml = (viewXml) => {
+  const root = parseXml(_.defaultTo(viewXml, ''));
+  const view = child(root, 'View');
+  if (_.isUndefined(view)) throw new Error('Invalid ViewXml, no <View>');
+
+  const query = child(view, 'Query');
+  const where = _.head(_.get(child(query, 'Where'), 'children', []));
+  const orderBy = _.get(child(query, 'OrderBy'), 'children', []).map((fieldRef) => ({
+    field: fieldRef.attributes.Name,
+    direction: _.toUpper(fieldRef.attributes.Ascending) === 'FALSE' ? 'desc' : 'asc',
+  }));
+  const viewFields = _.get(child(view, 'ViewFields'), 'children', []).map(
+    (fieldRef) => fieldRef.attributes.Name
+  );
+  const rowLimit = child(view, 'RowLimit');
+
+  return {
+    predicate: _.isUndefined(where) ? () => true : buildPredicate(where),
+    orderBy,
+    viewFields,
+    rowLimit: _.isUndefined(rowLimit) ? null : _.toNumber(_.trim(rowLimit.text)),
+    paged: _.toUpper(_.get(rowLimit, 'attributes.Paged')) === 'TRUE',
+  };
+};
+
+module.exports = {
+  parseViewXml,
+};
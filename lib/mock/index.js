@@ -0,0 +1,4 @@
+const { MockSharePointServer } = require('./MockSharePointServer');
+const { parseFilter } = require('./odataFilter');
+
+module.exports = { MockSharePointServer, parseFilter };
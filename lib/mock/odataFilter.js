@@ -0,0 +1,191 @@
+const _ = require('lodash');
+
+const TOKEN_PATTERN =
+  /\s*(?:(\()|(\))|(,)|(datetime'[^']*')|('(?:[^']|'')*')|(-?\d+(?:\.\d+)?)|([A-Za-z_][\w/.]*))/y;
+
+/**
+ * Split the $filter into tokens
+ *
+ * @param {string} filter The ODATA $filter
+ * @returns {object[]} The tokens { type, value }
+ */
+const tokenize = (filter) => {
+  const tokens = [];
+  const input = _.trimEnd(filter);
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < input.length) {
+    const position = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(input);
+    if (_.isNull(match)) {
+      throw new Error(`Invalid $filter at position ${position}: ${input.slice(position)}`);
+    }
+
+    const [, open, close, comma, datetime, string, number, word] = match;
+    if (open || close || comma) {
+      tokens.push({ type: open || close || comma });
+    } else if (datetime) {
+      tokens.push({ type: 'literal', value: datetime.slice(9, -1) });
+    } else if (string) {
+      tokens.push({ type: 'literal', value: string.slice(1, -1).replace(/''/g, "'") });
+    } else if (number) {
+      tokens.push({ type: 'literal', value: _.toNumber(number) });
+    } else if (['true', 'false', 'null'].includes(word)) {
+      tokens.push({ type: 'literal', value: JSON.parse(word) });
+    } else {
+      tokens.push({ type: 'word', value: word });
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Normalize a value for comparison, numeric strings are compared as numbers and booleans
+ * as 1 or 0 like the SharePoint Yes/No fields
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+const comparable = (value) => {
+  if (_.isBoolean(value)) return value ? 1 : 0;
+  if (_.isNil(value)) return null;
+  if (_.isNumber(value)) return value;
+  if (_.isString(value) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  return `${value}`;
+};
+
+const COMPARISONS = {
+  eq: (a, b) => comparable(a) === comparable(b),
+  ne: (a, b) => comparable(a) !== comparable(b),
+  gt: (a, b) => comparable(a) > comparable(b),
+  ge: (a, b) => comparable(a) >= comparable(b),
+  lt: (a, b) => comparable(a) < comparable(b),
+  le: (a, b) => comparable(a) <= comparable(b),
+};
+
+const FUNCTIONS = {
+  startswith: (value, prefix) => `${_.defaultTo(value, '')}`.startsWith(prefix),
+  endswith: (value, suffix) => `${_.defaultTo(value, '')}`.endsWith(suffix),
+  substringof: (search, value) => `${_.defaultTo(value, '')}`.includes(search),
+};
+
+/**
+ * Parse the ODATA $filter into a predicate function, supports the comparison operators,
+ * and, or, not, parentheses and the startswith, endswith and substringof functions
+ *
+ * @param {string} filter The ODATA $filter
+ * @returns {Function} The predicate (item) => boolean
+ */
+const parseFilter = (filter) => {
+  if (_.isEmpty(_.trim(filter))) return () => true;
+
+  const tokens = tokenize(filter);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => {
+    index += 1;
+    return tokens[index - 1];
+  };
+  const expect = (type) => {
+    const token = next();
+    if (_.isUndefined(token) || token.type !== type) {
+      throw new Error(`Invalid $filter, expected ${type}`);
+    }
+    return token;
+  };
+  const isWord = (value) =>
+    !_.isUndefined(peek()) && peek().type === 'word' && peek().value === value;
+
+  let parseOr = null;
+
+  const parseOperand = () => {
+    const token = next();
+    if (_.isUndefined(token)) throw new Error('Invalid $filter, unexpected end');
+
+    if (token.type === 'literal') return () => token.value;
+
+    if (token.type === '(') {
+      const expression = parseOr();
+      expect(')');
+      return expression;
+    }
+
+    if (token.type === 'word' && _.has(FUNCTIONS, token.value.toLowerCase())) {
+      expect('(');
+      const args = [parseOperand()];
+      while (!_.isUndefined(peek()) && peek().type === ',') {
+        next();
+        args.push(parseOperand());
+      }
+      expect(')');
+      const fn = FUNCTIONS[token.value.toLowerCase()];
+      return (item) => fn(...args.map((arg) => arg(item)));
+    }
+
+    if (token.type === 'word') {
+      const path = token.value.split('/');
+      return (item) => _.get(item, path, null);
+    }
+
+    throw new Error(`Invalid $filter, unexpected ${token.type}`);
+  };
+
+  const parseComparison = () => {
+    if (isWord('not')) {
+      next();
+      const operand = parseComparison();
+      return (item) => !operand(item);
+    }
+
+    const left = parseOperand();
+    const operator = peek();
+    if (
+      !_.isUndefined(operator) &&
+      operator.type === 'word' &&
+      _.has(COMPARISONS, operator.value)
+    ) {
+      next();
+      const right = parseOperand();
+      const compare = COMPARISONS[operator.value];
+      return (item) => compare(left(item), right(item));
+    }
+    return left;
+  };
+
+  const parseAnd = () => {
+    let expression = parseComparison();
+    while (isWord('and')) {
+      next();
+      const left = expression;
+      const right = parseComparison();
+      expression = (item) => Boolean(left(item)) && Boolean(right(item));
+    }
+    return expression;
+  };
+
+  parseOr = () => {
+    let expression = parseAnd();
+    while (isWord('or')) {
+      next();
+      const left = expression;
+      const right = parseAnd();
+      expression = (item) => Boolean(left(item)) || Boolean(right(item));
+    }
+    return expression;
+  };
+
+  const predicate = parseOr();
+  if (index < tokens.length) {
+    throw new Error(`Invalid $filter, unexpected ${tokens[index].value || tokens[index].type}`);
+  }
+
+  return (item) => Boolean(predicate(item));
+};
+
+module.exports = {
+  parseFilter,
+};
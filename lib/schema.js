@@ -0,0 +1,431 @@
+const $REST = require('gd-sprest');
+const fs = require('fs');
+const _ = require('lodash');
+const yaml = require('js-yaml');
+const { accessSafe } = require('access-safe');
+
+const nullLogger = require('./nulllogger');
+const { NotFoundError } = require('./sharepoint/errors');
+
+/**
+ * The SharePoint TypeAsString for each $REST.Helper.SPCfgFieldType, and when multi is set
+ */
+const FIELD_TYPES = {
+  Boolean: { type: 'Boolean' },
+  Calculated: { type: 'Calculated' },
+  Choice: { type: 'Choice', multi: 'MultiChoice' },
+  Currency: { type: 'Currency' },
+  Date: { type: 'DateTime' },
+  Geolocation: { type: 'Geolocation' },
+  Lookup: { type: 'Lookup', multi: 'LookupMulti' },
+  MMS: { type: 'TaxonomyFieldType', multi: 'TaxonomyFieldTypeMulti' },
+  Note: { type: 'Note' },
+  Number: { type: 'Number' },
+  Text: { type: 'Text' },
+  Url: { type: 'URL' },
+  User: { type: 'User', multi: 'UserMulti' },
+};
+
+/**
+ * Convert a named enum value to the gd-sprest enum value
+ *
+ * @param {object} enumType The gd-sprest enum
+ * @param {string|number} value The name or value
+ * @param {string} property The property name for errors
+ * @returns {number}
+ */
+const toEnumValue = (enumType, value, property) => {
+  if (_.isNil(value) || _.isNumber(value)) return value;
+  if (!_.has(enumType, value)) {
+    throw new Error(`Unknown ${property} ${value}`);
+  }
+  return enumType[value];
+};
+
+/**
+ * Get the name of a gd-sprest enum value
+ *
+ * @param {object} enumType The gd-sprest enum
+ * @param {string|number} value The name or value
+ * @returns {string}
+ */
+const toEnumName = (enumType, value) =>
+  _.isNumber(value) ? _.findKey(enumType, (enumValue) => enumValue === value) : value;
+
+/**
+ * Convert the field definition to the format expected by $REST.Helper.FieldSchemaXML
+ * allowing the type and noteType to be specified by name e.g. { type: 'Note' }
+ *
+ * @param {object} field The field definition
+ * @returns {object}
+ */
+const toFieldInfo = (field) => {
+  const fieldInfo = _.clone(field);
+  fieldInfo.type = toEnumValue($REST.Helper.SPCfgFieldType, field.type, 'type');
+  if (!_.isNil(field.noteType)) {
+    fieldInfo.noteType = toEnumValue($REST.SPTypes.FieldNoteType, field.noteType, 'noteType');
+  }
+  if (fieldInfo.type === $REST.Helper.SPCfgFieldType.Date && !_.isNil(field.format)) {
+    fieldInfo.format = toEnumValue($REST.SPTypes.DateFormat, field.format, 'format');
+  }
+  fieldInfo.title = field.title || field.name;
+  return fieldInfo;
+};
+
+/**
+ * Read the list schema from a JSON or YAML file
+ *
+ * @param {string} path The file path
+ * @returns {object} The schema { title, template, fields }
+ */
+const readSchema = (path) => {
+  // YAML is a superset of JSON so both are loaded the same way
+  const schema = yaml.load(fs.readFileSync(path, 'utf8'));
+
+  if (!_.isPlainObject(schema) || !_.isArray(schema.fields)) {
+    throw new Error(`Invalid schema file ${path}, expected { "fields": [] }`);
+  }
+
+  schema.fields.forEach((field, index) => {
+    if (_.isEmpty(field.name)) {
+      throw new Error(`Invalid schema file ${path}, field ${index} has no name`);
+    }
+    if (!_.has(FIELD_TYPES, toEnumName($REST.Helper.SPCfgFieldType, field.type))) {
+      throw new Error(`Invalid schema file ${path}, field ${field.name} has unknown type`);
+    }
+  });
+
+  return schema;
+};
+
+/**
+ * Normalize a list id for comparison
+ *
+ * @param {string} id
+ * @returns {string}
+ */
+const normalizeId = (id) => `${id || ''}`.replace(/[{}]/g, '').toLowerCase();
+
+/**
+ * Compare the field definition with the existing field
+ *
+ * @param {object} field The field definition from the schema
+ * @param {object} liveField The existing SharePoint field
+ * @returns {object[]} The differences { property, expected, actual }
+ */
+const diffField = (field, liveField) => {
+  const differences = [];
+  const compare = (property, expected, actual) => {
+    if (!_.isUndefined(expected) && !_.isEqual(expected, actual)) {
+      differences.push({ property, expected, actual: _.defaultTo(actual, null) });
+    }
+  };
+
+  const typeName = toEnumName($REST.Helper.SPCfgFieldType, field.type);
+  const types = FIELD_TYPES[typeName];
+  compare('type', field.multi && types.multi ? types.multi : types.type, liveField.TypeAsString);
+  compare('title', field.title, liveField.Title);
+  compare('description', field.description, liveField.Description);
+  compare('required', field.required, liveField.Required);
+  compare('hidden', field.hidden, liveField.Hidden);
+  compare('indexed', field.indexed, liveField.Indexed);
+  compare(
+    'defaultValue',
+    _.isNil(field.defaultValue) ? undefined : `${field.defaultValue}`,
+    liveField.DefaultValue
+  );
+  compare(
+    'choices',
+    field.choices,
+    accessSafe(() => liveField.Choices.results, undefined)
+  );
+
+  if (!_.isNil(field.noteType)) {
+    const noteType = toEnumValue($REST.SPTypes.FieldNoteType, field.noteType, 'noteType');
+    compare('richText', noteType !== $REST.SPTypes.FieldNoteType.TextOnly, liveField.RichText);
+  }
+
+  if (typeName === 'Date' && !_.isNil(field.format)) {
+    const format = toEnumValue($REST.SPTypes.DateFormat, field.format, 'format');
+    compare('format', format, liveField.DisplayFormat);
+  }
+
+  if (!_.isNil(field.listId)) {
+    compare('listId', normalizeId(field.listId), normalizeId(liveField.LookupList));
+  }
+  compare('showField', field.showField, liveField.LookupField);
+
+  return differences;
+};
+
+/**
+ * Resolve the lookup list title to the list id, the FieldSchemaXML helper
+ * can only resolve the listName in a browser
+ *
+ * @param {ListClient} listClient The ListClient
+ * @param {object} field The field definition
+ * @returns {Promise} Promise object with the field definition
+ */
+const resolveLookupList = async (listClient, field) => {
+  if (_.isNil(field.listName) || !_.isNil(field.listId)) {
+    return field;
+  }
+
+  const response = await listClient.getListByTitle(field.listName, { Select: ['Id'] });
+  return { ..._.omit(field, ['listName']), listId: response.data.d.Id };
+};
+
+/**
+ * Create the list if it does not exist, add any missing fields and report
+ * the drift between the schema and the existing fields
+ *
+ * @param {ListClient} listClient The ListClient
+ * @param {object} schema The schema { template, fields }
+ * @param {object} [applyOptions={}]
+ * @param {boolean} [applyOptions.dryRun=false] Report the changes without making them
+ * @param {*} [applyOptions.logger=nullLogger] The logger
+ * @returns {Promise} Promise object with the report { list, added, unchanged, drift, failed }
+ */
+const applySchema = async (listClient, schema, applyOptions = {}) => {
+  const loggingOptions = {
+    label: 'applySchema',
+  };
+
+  const { dryRun = false, logger = nullLogger } = applyOptions;
+  const report = { list: 'exists', added: [], unchanged: [], drift: [], failed: [] };
+
+  let liveFields = [];
+  try {
+    const response = await listClient.getListInfo(true);
+    liveFields = accessSafe(() => response.data.d.Fields.results, []);
+  } catch (err) {
+    if (!(err instanceof NotFoundError)) throw err;
+
+    report.list = 'created';
+    logger.info(`List ${listClient.sharepoint.list} not found, creating`, loggingOptions);
+    if (!dryRun) {
+      const template = toEnumValue(
+        $REST.SPTypes.ListTemplateType,
+        _.defaultTo(schema.template, $REST.SPTypes.ListTemplateType.GenericList),
+        'template'
+      );
+      await listClient.createList(template);
+      const response = await listClient.getListInfo(true);
+      liveFields = accessSafe(() => response.data.d.Fields.results, []);
+    }
+  }
+
+  const liveByName = _.keyBy(liveFields, 'InternalName');
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const field of schema.fields) {
+    const liveField = liveByName[field.name];
+
+    if (_.isUndefined(liveField)) {
+      logger.info(`Field ${field.name} missing, adding`, loggingOptions);
+      try {
+        if (!dryRun) {
+          // eslint-disable-next-line no-await-in-loop
+          const fieldInfo = await resolveLookupList(listClient, field);
+          // eslint-disable-next-line no-await-in-loop
+          await listClient.addField(toFieldInfo(fieldInfo));
+        }
+        report.added.push(field.name);
+      } catch (err) {
+        const { message } = err;
+        logger.error(`Field ${field.name} could not be added. ${message}`, loggingOptions);
+        report.failed.push({ name: field.name, message });
+      }
+    } else {
+      const differences = diffField(field, liveField);
+      if (differences.length === 0) {
+        report.unchanged.push(field.name);
+      } else {
+        differences.forEach(({ property, expected, actual }) =>
+          logger.warn(
+            `Field ${field.name} drift ${property} expected ${JSON.stringify(
+              expected
+            )} actual ${JSON.stringify(actual)}`,
+            loggingOptions
+          )
+        );
+        report.drift.push({ name: field.name, differences });
+      }
+    }
+  }
+
+  logger.info(
+    `Schema ${dryRun ? 'checked' : 'applied'}. List ${report.list}. Fields added: ${
+      report.added.length
+    } Unchanged: ${report.unchanged.length} Drift: ${report.drift.length} Failed: ${
+      report.failed.length
+    }`,
+    loggingOptions
+  );
+
+  return report;
+};
+
+/**
+ * Get the note type name from the existing field
+ *
+ * @param {object} liveField The existing SharePoint field
+ * @returns {string}
+ */
+const getNoteType = (liveField) => {
+  if (!liveField.RichText) return 'TextOnly';
+  // RichTextMode is only available in the SchemaXml
+  return /RichTextMode="FullHtml"/i.test(liveField.SchemaXml || '')
+    ? 'EnhancedRichText'
+    : 'RichText';
+};
+
+/**
+ * Convert the existing field to the schema field definition, fields
+ * with types that can not be created from a schema return null
+ *
+ * @param {object} liveField The existing SharePoint field
+ * @param {object} [lookupLists={}] The lookup list titles by list id
+ * @returns {object}
+ */
+const toSchemaField = (liveField, lookupLists = {}) => {
+  const typeName = _.findKey(
+    FIELD_TYPES,
+    (types) => types.type === liveField.TypeAsString || types.multi === liveField.TypeAsString
+  );
+  if (_.isUndefined(typeName)) return null;
+
+  const field = {
+    name: liveField.InternalName,
+    title: liveField.Title,
+    type: typeName,
+  };
+
+  if (FIELD_TYPES[typeName].multi === liveField.TypeAsString) field.multi = true;
+  if (!_.isEmpty(liveField.Description)) field.description = liveField.Description;
+  if (liveField.Required) field.required = true;
+  if (liveField.Indexed) field.indexed = true;
+  if (!_.isNil(liveField.DefaultValue)) field.defaultValue = liveField.DefaultValue;
+
+  switch (typeName) {
+    case 'Choice':
+      field.choices = accessSafe(() => liveField.Choices.results, []);
+      break;
+    case 'Note':
+      field.noteType = getNoteType(liveField);
+      break;
+    case 'Date':
+      field.format = toEnumName($REST.SPTypes.DateFormat, liveField.DisplayFormat);
+      break;
+    case 'Calculated':
+      field.formula = liveField.Formula;
+      break;
+    case 'Lookup': {
+      const listName = lookupLists[normalizeId(liveField.LookupList)];
+      if (_.isNil(listName)) {
+        field.listId = normalizeId(liveField.LookupList);
+      } else {
+        field.listName = listName;
+      }
+      field.showField = liveField.LookupField;
+      break;
+    }
+    default:
+      break;
+  }
+
+  return field;
+};
+
+/**
+ * Is the field a built-in or hidden system field, calculated fields are read only
+ * but are created from the schema
+ *
+ * @param {object} liveField The existing SharePoint field
+ * @returns {boolean}
+ */
+const isSystemField = (liveField) =>
+  liveField.FromBaseType ||
+  liveField.Hidden ||
+  (liveField.ReadOnlyField && liveField.TypeAsString !== 'Calculated') ||
+  liveField.Sealed ||
+  _.startsWith(liveField.InternalName, '_');
+
+/**
+ * Export the list schema, the built-in and hidden system fields are dropped
+ * and the lookup list ids are resolved to the list titles
+ *
+ * @param {ListClient} listClient The ListClient
+ * @param {*} [logger=nullLogger] The logger
+ * @returns {Promise} Promise object with the schema { title, template, description, fields }
+ */
+const exportSchema = async (listClient, logger = nullLogger) => {
+  const loggingOptions = {
+    label: 'exportSchema',
+  };
+
+  const response = await listClient.getListInfo(true);
+  const listInfo = response.data.d;
+  const liveFields = accessSafe(() => listInfo.Fields.results, []).filter(
+    (liveField) => !isSystemField(liveField)
+  );
+
+  // Resolve the lookup list ids to titles so the schema can be used on other sites
+  const lookupLists = {};
+  const listIds = _.uniq(
+    liveFields
+      .filter((liveField) => !_.isEmpty(liveField.LookupList))
+      .map((liveField) => normalizeId(liveField.LookupList))
+  );
+  // eslint-disable-next-line no-restricted-syntax
+  for (const listId of listIds) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const listResponse = await listClient.getListById(listId, { Select: ['Title'] });
+      lookupLists[listId] = listResponse.data.d.Title;
+    } catch (err) {
+      logger.warn(`Lookup list ${listId} could not be resolved, using the id`, loggingOptions);
+    }
+  }
+
+  const fields = _.sortBy(
+    liveFields.map((liveField) => toSchemaField(liveField, lookupLists)).filter(_.negate(_.isNull)),
+    'name'
+  );
+
+  const schema = {
+    title: listInfo.Title,
+    template: toEnumName($REST.SPTypes.ListTemplateType, listInfo.BaseTemplate),
+  };
+  if (!_.isEmpty(listInfo.Description)) schema.description = listInfo.Description;
+  schema.fields = fields;
+
+  logger.info(`Exported schema for ${listInfo.Title} with ${fields.length} fields`, loggingOptions);
+
+  return schema;
+};
+
+/**
+ * Write the schema to a JSON or YAML file, based on the file extension
+ *
+ * @param {string} path The file path
+ * @param {object} schema The schema
+ */
+const writeSchema = (path, schema) => {
+  const content = /\.ya?ml$/i.test(path)
+    ? yaml.dump(schema, { noRefs: true })
+    : `${JSON.stringify(schema, null, 2)}\n`;
+  fs.writeFileSync(path, content, 'utf8');
+};
+
+module.exports = {
+  FIELD_TYPES,
+  applySchema,
+  diffField,
+  exportSchema,
+  readSchema,
+  toEnumName,
+  toFieldInfo,
+  toSchemaField,
+  writeSchema,
+};
@@ -145,6 +145,60 @@ const getItems = (options, sharepointquery, axiosInstance = null) => {
   return callSharePointODATA(options, sprequest, axiosInstance);
 };
 
+/**
+ * Iterate the pages of items, following the __next links, only one page
+ * is held in memory at a time.
+ *
+ * @param {*} options The config object details see config/defaults.js
+ * @param {*} sharepointquery The ODATA Query
+ * @param {Axios} [axiosInstance=null] HTTP request client that provides an Axios like interface
+ * @yields {object[]} The page of items
+ */
+const iteratePages = async function* iteratePages(options, sharepointquery, axiosInstance = null) {
+  const query = _.omit(sharepointquery, ['custom']);
+  let response = await getItems(options, query, axiosInstance);
+
+  while (!_.isNil(response)) {
+    const records = _.get(response, 'data.d.results', []);
+    const next = _.get(response, 'data.d.__next', null);
+
+    if (records.length > 0) {
+      yield records;
+    }
+
+    if (_.isEmpty(next)) {
+      response = null;
+    } else {
+      const nextquery = {
+        url: next,
+        method: 'GET',
+        headers: {
+          Accept: 'application/json;odata=verbose',
+          'Content-Type': 'application/json;odata=verbose',
+        },
+      };
+      // eslint-disable-next-line no-await-in-loop
+      response = await callSharePointODATA(options, nextquery, axiosInstance);
+    }
+  }
+};
+
+/**
+ * Iterate the items, following the __next links, only one page
+ * is held in memory at a time.
+ *
+ * @param {*} options The config object details see config/defaults.js
+ * @param {*} sharepointquery The ODATA Query
+ * @param {Axios} [axiosInstance=null] HTTP request client that provides an Axios like interface
+ * @yields {object} The item
+ */
+const iterateItems = async function* iterateItems(options, sharepointquery, axiosInstance = null) {
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const page of iteratePages(options, sharepointquery, axiosInstance)) {
+    yield* page;
+  }
+};
+
 /**
  * Loop thru calling the ODATA Items until all items are delivered.
  *
@@ -154,66 +208,28 @@ const getItems = (options, sharepointquery, axiosInstance = null) => {
  * @returns {Promise} Promise object with Axios response object
  */
 const getAllItems = async (options, sharepointquery, axiosInstance = null) => {
-  // eslint-disable-next-line no-async-promise-executor
-  return new Promise(async (resolve, reject) => {
-    const loggingOptions = {
-      label: 'getAllItems',
-    };
+  const loggingOptions = {
+    label: 'getAllItems',
+  };
+
+  let downloadedRecords = 0;
+  let allrecords = [];
+
+  options.logger.info(`Sharepoint Query: ${stringifySafe(sharepointquery)}`, loggingOptions);
 
-    const opts = options;
-    opts.logcount = opts.logcount || 500;
-
-    const query = _.omit(sharepointquery, ['custom']);
-    let keepGoing = true;
-    let downloadedRecords = 0;
-    let allrecords = [];
-    let lastId = null;
-
-    try {
-      while (keepGoing) {
-        let response = null;
-        opts.logger.info(`Sharepoint Query: ${stringifySafe(query)}`, loggingOptions);
-
-        try {
-          // eslint-disable-next-line no-await-in-loop
-          response = await getItems(opts, query, axiosInstance);
-        } catch (err) {
-          opts.logger.error('ERROR: trying to download results', loggingOptions);
-          keepGoing = false;
-          reject(err);
-          break;
-        }
-
-        const countRecords = accessSafe(() => response.data.d.results.length, 0);
-        const records = accessSafe(() => response.data.d.results, []);
-        // eslint-disable-next-line no-underscore-dangle
-        const morerecords = accessSafe(() => !_.isEmpty(response.data.d.__next), false);
-
-        if (countRecords > 0) {
-          downloadedRecords += countRecords;
-
-          opts.logger.info(
-            `Items Downloaded ${downloadedRecords.toLocaleString()}`,
-            loggingOptions
-          );
-          allrecords = allrecords.concat(...records);
-        }
-
-        if (morerecords) {
-          // Get last ID
-          // $skiptoken=Paged=TRUE&p_ID=11
-          lastId = allrecords.pop().ID;
-          query.Custom = `$skiptoken=Paged%3dTRUE%26p_ID%3d${lastId}`;
-          keepGoing = true;
-        } else {
-          keepGoing = false;
-          resolve({ data: { d: { results: allrecords } } });
-        }
-      }
-    } catch (error) {
-      reject(error);
+  try {
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const page of iteratePages(options, sharepointquery, axiosInstance)) {
+      downloadedRecords += page.length;
+      options.logger.info(`Items Downloaded ${downloadedRecords.toLocaleString()}`, loggingOptions);
+      allrecords = allrecords.concat(page);
     }
-  });
+  } catch (err) {
+    options.logger.error('ERROR: trying to download results', loggingOptions);
+    throw err;
+  }
+
+  return { data: { d: { results: allrecords } } };
 };
 
 /**
@@ -366,6 +382,8 @@ module.exports = {
   getLists,
   getListByTitle,
   getItems,
+  iteratePages,
+  iterateItems,
   getAllItems,
   addItem,
   addItems,
@@ -2,10 +2,25 @@ const $REST = require('gd-sprest');
 const Axios = require('axios');
 const _ = require('lodash');
 const { accessSafe } = require('access-safe');
-const odatafilter = require('odata-filter-builder').ODataFilterBuilder;
 const { v4: uuidv4 } = require('uuid');
 
 const nullLogger = require('../nulllogger');
+const { buildBatchRequest, parseBatchResponse } = require('./batch');
+const { UnauthorizedError, createSharePointError } = require('./errors');
+const { QueryBuilder, encodeFilter } = require('./QueryBuilder');
+const { UserResolver } = require('./UserResolver');
+const { describePrincipal } = require('./permissions');
+
+/**
+ * The digest and auth headers are refreshed this many ms before they expire
+ */
+const REFRESH_MARGIN = 60000;
+
+/**
+ * The recycle bins, web is the site recycle bin and site is the site collection recycle bin
+ * which also has the second stage items
+ */
+const RECYCLE_BIN_SCOPES = ['web', 'site'];
 
 class BaseClient {
   /**
@@ -34,6 +49,15 @@ class BaseClient {
     this.sharepoint = options.sharepoint;
     this.logger = options.logger || nullLogger;
 
+    // Optional function returning a Promise of { headers, expiresAt }, used to
+    // refresh the auth headers when they expire or a request returns 401
+    this.authProvider = options.authProvider || null;
+    this.refreshing = null;
+    // Does the refresh in flight re-authenticate, or only refresh the digest
+    this.reauthenticating = false;
+    this.userResolver = null;
+    this.roleDefinitionIds = null;
+
     this.axiosInstance = axiosInstance;
   }
 
@@ -47,19 +71,30 @@ class BaseClient {
    */
   // eslint-disable-next-line class-methods-use-this
   _buildFilter(item, lookups) {
-    const filter = odatafilter();
-
-    if (lookups.length === 0) {
-      return '';
-    }
+    const filter = new QueryBuilder();
 
     lookups.forEach((lookupitem) => {
       if (!_.isNull(lookupitem)) {
-        filter.eq(lookupitem, _.get(item, lookupitem));
+        filter.and(lookupitem).eq(_.get(item, lookupitem));
       }
     });
 
-    return filter.toString();
+    return encodeFilter(filter.toString());
+  }
+
+  /**
+   * Escape a file name or server relative url for use as a string parameter in the url
+   *
+   * @param {string} fileName The file name or server relative url
+   * @returns {string}
+   * @memberof BaseClient
+   */
+  // eslint-disable-next-line class-methods-use-this
+  _escapeFileName(fileName) {
+    if (_.isEmpty(fileName)) {
+      throw new Error('fileName not specified');
+    }
+    return encodeURIComponent(fileName.replace(/'/g, "''"));
   }
 
   /**
@@ -90,32 +125,16 @@ class BaseClient {
   }
 
   /**
-   * This will clean the Axios Error
+   * This will clean the Axios Error, converting it to the typed SharePointError
+   * e.g. NotFoundError, ThrottledError
    *
    * @param {Object} err The error to clean.
-   * @return {Object}
+   * @return {SharePointError}
    * @memberof BaseClient
    */
   getCleanedAxiosError(err) {
     if (!this.isAxiosError(err)) return err;
-
-    const cleanedAxiosError = new Error(err.message);
-    if (err.stack != null) cleanedAxiosError.stack = err.stack;
-    if (err.errno != null) cleanedAxiosError.errno = err.errno;
-    if (err.code != null) cleanedAxiosError.code = err.code;
-
-    cleanedAxiosError.response = { data: null, status: null, statusText: null };
-    cleanedAxiosError.sperr = null;
-
-    if (err.response != null) {
-      const { data = null, status = null, statusText = null } = err.response;
-      cleanedAxiosError.status = status;
-      cleanedAxiosError.statusText = statusText;
-      cleanedAxiosError.response = data;
-      cleanedAxiosError.sperr = accessSafe(() => data.error, null);
-    }
-
-    return cleanedAxiosError;
+    return createSharePointError(err);
   }
 
   /**
@@ -135,13 +154,13 @@ class BaseClient {
   }
 
   /**
-   * Call Sharepoint ODATA API
+   * Send the request to the Sharepoint API, the current auth headers are added
    *
    * @param {Object} sprequest
    * @returns {Promise}
-   * @memberof SharePointClient
+   * @memberof BaseClient
    */
-  callSharePointODATA(sprequest) {
+  _sendRequest(sprequest) {
     return new Promise((resolve, reject) => {
       const { authheaders, timeout, correlationid } = this.sharepoint;
 
@@ -149,8 +168,9 @@ class BaseClient {
         url: sprequest.url,
         headers: { ...sprequest.headers, ...authheaders },
         method: sprequest.method === 'GET' ? 'get' : 'post',
-        timeout: timeout || 2000,
+        timeout: sprequest.timeout || timeout || 2000,
         data: sprequest.data,
+        responseType: sprequest.responseType,
         correlationid: correlationid || uuidv4(),
       };
 
@@ -165,6 +185,200 @@ class BaseClient {
     });
   }
 
+  /**
+   * Is the error a 401, or a 403 because the X-RequestDigest has expired
+   *
+   * @param {Object} err The cleaned error
+   * @returns {boolean}
+   * @memberof BaseClient
+   */
+  // eslint-disable-next-line class-methods-use-this
+  _isAuthExpiredError(err) {
+    if (!(err instanceof UnauthorizedError)) return false;
+    return err.status === 401 || /security validation/i.test(err.message);
+  }
+
+  /**
+   * Does the value expire within the refresh margin
+   *
+   * @param {number} expires The expiry time in ms
+   * @returns {boolean}
+   * @memberof BaseClient
+   */
+  // eslint-disable-next-line class-methods-use-this
+  _isExpiring(expires) {
+    return _.isNumber(expires) && Date.now() >= expires - REFRESH_MARGIN;
+  }
+
+  /**
+   * Refresh the auth headers using the authProvider, and the X-RequestDigest if one
+   * was set. Concurrent callers share the same refresh, a re-authentication requested
+   * during a digest only refresh follows it.
+   *
+   * @param {boolean} [reauthenticate=true] Refresh the auth headers, false for the digest only
+   * @returns {Promise}
+   * @memberof BaseClient
+   */
+  refreshAuth(reauthenticate = true) {
+    const reauthenticating = reauthenticate && !_.isNull(this.authProvider);
+
+    if (_.isNull(this.refreshing) || (reauthenticating && !this.reauthenticating)) {
+      const loggingOptions = {
+        label: 'BaseClient.refreshAuth',
+      };
+
+      const previous = this.refreshing || Promise.resolve();
+
+      const refreshing = previous
+        // The re-authentication is needed whether or not the digest refresh failed
+        .catch(_.noop)
+        .then(async () => {
+          const hadDigest = !_.isNil(this.sharepoint.authheaders['X-RequestDigest']);
+
+          if (reauthenticating) {
+            this.logger.info('Refreshing the authentication headers', loggingOptions);
+            const { headers, expiresAt = null } = await this.authProvider();
+            this.sharepoint.authheaders = { ...headers };
+            this.sharepoint.authexpires = expiresAt;
+          }
+          if (hadDigest) {
+            this.logger.info('Refreshing the X-RequestDigest', loggingOptions);
+            await this._refreshDigest();
+          }
+        })
+        .finally(() => {
+          if (this.refreshing === refreshing) {
+            this.refreshing = null;
+            this.reauthenticating = false;
+          }
+        });
+
+      this.refreshing = refreshing;
+      this.reauthenticating = reauthenticating;
+    }
+
+    return this.refreshing;
+  }
+
+  /**
+   * Refresh the auth headers and X-RequestDigest if they are about to expire
+   *
+   * @returns {Promise}
+   * @memberof BaseClient
+   */
+  _refreshIfExpiring() {
+    const { authexpires, digestexpires } = this.sharepoint;
+
+    if (this._isExpiring(authexpires) && !_.isNull(this.authProvider)) {
+      return this.refreshAuth(true);
+    }
+    if (this._isExpiring(digestexpires)) {
+      return this.refreshAuth(false);
+    }
+    // Wait for a refresh in flight so the request uses the refreshed headers
+    return this.refreshing || Promise.resolve();
+  }
+
+  /**
+   * Call Sharepoint ODATA API, the auth headers and X-RequestDigest are refreshed
+   * before they expire. If the request fails with 401 or an expired digest they are
+   * refreshed and the request is replayed once.
+   *
+   * @param {Object} sprequest
+   * @returns {Promise}
+   * @memberof SharePointClient
+   */
+  callSharePointODATA(sprequest) {
+    return this._refreshIfExpiring()
+      .then(() => this._sendRequest(sprequest))
+      .catch((err) => {
+        if (!this._isAuthExpiredError(err)) throw err;
+
+        this.logger.warn(`${err.status} ${err.message}, refreshing and replaying the request`, {
+          label: 'callSharePointODATA',
+        });
+        return this.refreshAuth(err.status === 401).then(() => this._sendRequest(sprequest));
+      });
+  }
+
+  /**
+   * Call Sharepoint ODATA $batch API
+   *
+   * @param {Object[]} sprequests The requests to include in the batch
+   * @returns {Promise} Promise object with the array of responses in request order
+   * @memberof BaseClient
+   */
+  callSharePointBatch(sprequests) {
+    // Write operation so confirm X-RequestDigest configured
+    this._requireDigest();
+
+    const { url } = this.sharepoint;
+
+    return this.callSharePointODATA(buildBatchRequest(url, sprequests)).then((response) =>
+      parseBatchResponse(response.data)
+    );
+  }
+
+  /**
+   * Get a list on the site by title
+   *
+   * @param {string} title The list title
+   * @param {*} [filter={}] The ODATA Query
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof BaseClient
+   */
+  getListByTitle(title, filter = {}) {
+    if (_.isNil(title)) {
+      throw new Error('title not specified');
+    }
+
+    const { url } = this.sharepoint;
+
+    const sprequest = $REST.Web(url).Lists(title).query(filter).getInfo();
+
+    return this.callSharePointODATA(sprequest);
+  }
+
+  /**
+   * Get a list on the site by id
+   *
+   * @param {string} id The list id
+   * @param {*} [filter={}] The ODATA Query
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof BaseClient
+   */
+  getListById(id, filter = {}) {
+    if (_.isNil(id)) {
+      throw new Error('id not specified');
+    }
+
+    const { url } = this.sharepoint;
+
+    const sprequest = $REST.Web(url).Lists().getById(id).query(filter).getInfo();
+
+    return this.callSharePointODATA(sprequest);
+  }
+
+  /**
+   * Get the items of a list on the site by list id, e.g. the lookup list of a field
+   *
+   * @param {string} id The list id
+   * @param {*} [filter={}] The ODATA Query
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof BaseClient
+   */
+  getItemsByListId(id, filter = {}) {
+    if (_.isNil(id)) {
+      throw new Error('id not specified');
+    }
+
+    const { url } = this.sharepoint;
+
+    const sprequest = $REST.Web(url).Lists().getById(id).Items().query(filter).getInfo();
+
+    return this.callSharePointODATA(sprequest);
+  }
+
   /**
    * Get Context Info, and set X-RequestDigest Header
    *
@@ -172,18 +386,29 @@ class BaseClient {
    * @memberof SharePointClient
    */
   getContextInfo() {
+    return this._refreshIfExpiring().then(() => this._refreshDigest());
+  }
+
+  /**
+   * Get the Context Info and set the X-RequestDigest Header and its expiry
+   *
+   * @returns {Promise} Promise object with ODATA response object
+   * @memberof BaseClient
+   */
+  _refreshDigest() {
     return new Promise((resolve, reject) => {
       const { url } = this.sharepoint;
 
       const sprequest = $REST.ContextInfo.getWeb(url).getInfo();
 
-      this.callSharePointODATA(sprequest)
+      this._sendRequest(sprequest)
         .then((response) => {
           // Extract the X-RequestDigest to enable WRITE operations on list
-          this.sharepoint.authheaders['X-RequestDigest'] = accessSafe(
-            () => response.data.d.GetContextWebInformation.FormDigestValue,
-            null
-          );
+          const info = accessSafe(() => response.data.d.GetContextWebInformation, {});
+          this.sharepoint.authheaders['X-RequestDigest'] = _.get(info, 'FormDigestValue', null);
+          this.sharepoint.digestexpires = _.isNil(info.FormDigestTimeoutSeconds)
+            ? null
+            : Date.now() + info.FormDigestTimeoutSeconds * 1000;
           resolve(response);
         })
         .catch((err) => {
@@ -192,6 +417,251 @@ class BaseClient {
     });
   }
 
+  /**
+   * Add the user to the site if needed and get the site user
+   *
+   * @param {string} logonName The email or login name e.g. i:0#.f|membership|user@contoso.com
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof BaseClient
+   */
+  ensureUser(logonName) {
+    // Write operation so confirm X-RequestDigest configured
+    this._requireDigest();
+
+    if (_.isEmpty(logonName)) {
+      throw new Error('logonName not specified');
+    }
+
+    const { url } = this.sharepoint;
+
+    const sprequest = $REST.Web(url).ensureUser(logonName).getInfo();
+
+    return this.callSharePointODATA(sprequest);
+  }
+
+  /**
+   * Get the site user by email
+   *
+   * @param {string} email The user email
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof BaseClient
+   */
+  getSiteUserByEmail(email) {
+    if (_.isEmpty(email)) {
+      throw new Error('email not specified');
+    }
+
+    const { url } = this.sharepoint;
+
+    const sprequest = $REST.Web(url).SiteUsers().getByEmail(email.replace(/'/g, "''")).getInfo();
+
+    return this.callSharePointODATA(sprequest);
+  }
+
+  /**
+   * Get the site user by ID
+   *
+   * @param {number} id The site user ID
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof BaseClient
+   */
+  getSiteUserById(id) {
+    if (_.isNil(id)) {
+      throw new Error('id not specified');
+    }
+
+    const { url } = this.sharepoint;
+
+    const sprequest = $REST.Web(url).SiteUsers().getById(id).getInfo();
+
+    return this.callSharePointODATA(sprequest);
+  }
+
+  /**
+   * Get the UserResolver, the resolved users are cached for the life of the client
+   *
+   * @returns {UserResolver}
+   * @memberof BaseClient
+   */
+  getUserResolver() {
+    if (_.isNull(this.userResolver)) {
+      this.userResolver = new UserResolver(this);
+    }
+    return this.userResolver;
+  }
+
+  /**
+   * Get the site role definitions e.g. Full Control, Contribute and Read
+   *
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof BaseClient
+   */
+  getRoleDefinitions() {
+    const { url } = this.sharepoint;
+
+    const sprequest = $REST.Web(url).RoleDefinitions().getInfo();
+
+    return this.callSharePointODATA(sprequest);
+  }
+
+  /**
+   * Get the ID of the role definition, the role definitions are loaded once
+   *
+   * @param {string} name The role definition name e.g. Contribute
+   * @returns {Promise} Promise object with the role definition ID
+   * @memberof BaseClient
+   */
+  async getRoleDefinitionId(name) {
+    if (_.isEmpty(name)) {
+      throw new Error('role not specified');
+    }
+
+    if (_.isNull(this.roleDefinitionIds)) {
+      this.roleDefinitionIds = this.getRoleDefinitions().then(
+        (response) =>
+          new Map(
+            accessSafe(() => response.data.d.results, []).map((role) => [
+              _.toLower(role.Name),
+              { id: role.Id, name: role.Name },
+            ])
+          ),
+        (err) => {
+          this.roleDefinitionIds = null;
+          throw err;
+        }
+      );
+    }
+
+    const roles = await this.roleDefinitionIds;
+    if (!roles.has(_.toLower(name))) {
+      throw new Error(
+        `Role definition '${name}' not found, expected one of ${[...roles.values()]
+          .map((role) => role.name)
+          .join(', ')}`
+      );
+    }
+    return roles.get(_.toLower(name)).id;
+  }
+
+  /**
+   * Get the site group by name
+   *
+   * @param {string} name The group name
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof BaseClient
+   */
+  getSiteGroupByName(name) {
+    if (_.isEmpty(name)) {
+      throw new Error('name not specified');
+    }
+
+    const { url } = this.sharepoint;
+
+    const sprequest = $REST.Web(url).SiteGroups().getByName(name.replace(/'/g, "''")).getInfo();
+
+    return this.callSharePointODATA(sprequest);
+  }
+
+  /**
+   * Get the ID of the user or group, users are resolved using the UserResolver
+   *
+   * @param {object|number} principal { user } the email or login name, { group } the site
+   * group name or { principalId }, or the principal ID
+   * @returns {Promise} Promise object with the principal ID
+   * @memberof BaseClient
+   */
+  async getPrincipalId(principal) {
+    if (_.isNumber(principal)) return principal;
+
+    const { user = null, group = null, principalId = null } = principal || {};
+    if (!_.isEmpty(user)) return this.getUserResolver().getUserId(user);
+    if (!_.isEmpty(group)) {
+      const response = await this.getSiteGroupByName(group);
+      return response.data.d.Id;
+    }
+    if (!_.isNil(principalId)) return principalId;
+
+    throw new Error(
+      `Invalid ${describePrincipal(principal)}, specify the user, group or principalId`
+    );
+  }
+
+  /**
+   * Build the recycle bin request
+   *
+   * @param {string} scope web or site, see RECYCLE_BIN_SCOPES
+   * @param {string} [endpoint=''] The endpoint e.g. ('<id>')/restore
+   * @param {string} [method='GET'] The http method
+   * @returns {object} The request info object
+   * @memberof BaseClient
+   */
+  _recycleBinRequest(scope, endpoint = '', method = 'GET') {
+    if (!RECYCLE_BIN_SCOPES.includes(scope)) {
+      throw new Error(`Invalid scope ${scope}, expected ${RECYCLE_BIN_SCOPES.join(', ')}`);
+    }
+
+    const { url } = this.sharepoint;
+
+    return {
+      url: `${_.trimEnd(url, '/')}/_api/${scope}/RecycleBin${endpoint}`,
+      method,
+      headers: {
+        Accept: 'application/json;odata=verbose',
+        'Content-Type': 'application/json;odata=verbose',
+      },
+    };
+  }
+
+  /**
+   * Get the recycle bin items, newest first
+   *
+   * @param {object} [recycleOptions={}]
+   * @param {string} [recycleOptions.scope='web'] web or site, see RECYCLE_BIN_SCOPES
+   * @param {string} [recycleOptions.deletedBy=null] The email, or name, of who deleted them
+   * @param {Date} [recycleOptions.since=null] Deleted at or after
+   * @param {Date} [recycleOptions.until=null] Deleted before
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof BaseClient
+   */
+  getRecycleBinItems(recycleOptions = {}) {
+    const { scope = 'web', deletedBy = null, since = null, until = null } = recycleOptions;
+
+    const query = new QueryBuilder().orderBy('DeletedDate', 'desc');
+    if (!_.isEmpty(deletedBy)) {
+      query.and(_.includes(deletedBy, '@') ? 'DeletedByEmail' : 'DeletedByName').eq(deletedBy);
+    }
+    if (!_.isNil(since)) query.and('DeletedDate').ge(new Date(since));
+    if (!_.isNil(until)) query.and('DeletedDate').lt(new Date(until));
+
+    const { Filter, OrderBy } = query.toQuery();
+    const params = [_.isEmpty(Filter) ? null : `$filter=${Filter}`, `$orderby=${OrderBy}`];
+
+    return this.callSharePointODATA(
+      this._recycleBinRequest(scope, `?${_.compact(params).join('&')}`)
+    );
+  }
+
+  /**
+   * Restore the recycle bin item to where it was deleted from
+   *
+   * @param {string} id The recycle bin item ID
+   * @param {string} [scope='web'] web or site, see RECYCLE_BIN_SCOPES
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof BaseClient
+   */
+  restoreRecycleBinItem(id, scope = 'web') {
+    // Write operation so confirm X-RequestDigest configured
+    this._requireDigest();
+
+    if (_.isEmpty(id)) {
+      throw new Error('id not specified');
+    }
+
+    return this.callSharePointODATA(
+      this._recycleBinRequest(scope, `('${encodeURIComponent(id)}')/restore()`, 'POST')
+    );
+  }
+
   /**
    * Alias for getContextInfo()
    *
@@ -205,4 +675,5 @@ class BaseClient {
 
 module.exports = {
   BaseClient,
+  RECYCLE_BIN_SCOPES,
 };
@@ -0,0 +1,575 @@
+const _ = require('lodash');
+const moment = require('moment');
+
+/**
+ * The default RowLimit, SharePoint fails queries that scan more than the list view
+ * threshold of 5000 items
+ */
+const DEFAULT_ROW_LIMIT = 1000;
+
+/**
+ * Escape the text for use in the CAML XML
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeXml = (value) =>
+  `${value}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Get the CAML Value Type of the value, when one is not specified
+ *
+ * @param {string} field The field name
+ * @param {*} value
+ * @returns {string}
+ */
+const getValueType = (field, value) => {
+  if (field === 'ID') return 'Counter';
+  if (_.isBoolean(value)) return 'Boolean';
+  if (_.isNumber(value)) return 'Number';
+  if (_.isDate(value)) return 'DateTime';
+  return 'Text';
+};
+
+/**
+ * Build the FieldRef element, lookup and person fields are compared by ID when the value
+ * is a number
+ *
+ * @param {string} field The field name
+ * @param {string} type The Value Type, inferred from the value when null
+ * @param {*} value
+ * @returns {string}
+ */
+const buildFieldRef = (field, type, value) => {
+  const lookupId = ['Lookup', 'User'].includes(type) && _.isNumber(value);
+  return `<FieldRef Name="${escapeXml(field)}"${lookupId ? ' LookupId="TRUE"' : ''} />`;
+};
+
+/**
+ * Build the Value element
+ *
+ * @param {string} field The field name
+ * @param {string} type The Value Type, inferred from the value when null
+ * @param {*} value
+ * @returns {string}
+ */
+const buildValue = (field, type, value) => {
+  const valueType = type || getValueType(field, value);
+
+  if (_.isDate(value)) {
+    return `<Value Type="${valueType}" IncludeTimeValue="TRUE">${value.toISOString()}</Value>`;
+  }
+  if (_.isBoolean(value)) {
+    return `<Value Type="${valueType}">${value ? 1 : 0}</Value>`;
+  }
+  return `<Value Type="${valueType}">${escapeXml(value)}</Value>`;
+};
+
+/**
+ * Nest the conditions in the binary And or Or elements
+ *
+ * @param {string} element And or Or
+ * @param {string[]} conditions
+ * @returns {string}
+ */
+const nest = (element, conditions) =>
+  conditions.length === 1
+    ? conditions[0]
+    : `<${element}>${conditions[0]}${nest(element, conditions.slice(1))}</${element}>`;
+
+/**
+ * Get the RowLimit of the ViewXml
+ *
+ * @param {string} viewXml
+ * @returns {object} { rowLimit, paged } rowLimit is null when there is no RowLimit
+ */
+const getRowLimit = (viewXml) => {
+  const match = /<RowLimit\b([^>]*)>\s*(\d+)\s*<\/RowLimit>/i.exec(viewXml);
+  if (_.isNull(match)) return { rowLimit: null, paged: false };
+  return { rowLimit: _.toNumber(match[2]), paged: /Paged\s*=\s*["']TRUE["']/i.test(match[1]) };
+};
+
+/**
+ * Get the OrderBy field names of the ViewXml
+ *
+ * @param {string} viewXml
+ * @returns {string[]}
+ */
+const getOrderByFields = (viewXml) => {
+  const orderBy = _.get(/<OrderBy\b[^>]*>([\s\S]*?)<\/OrderBy>/i.exec(viewXml), 1, '');
+  return [...orderBy.matchAll(/<FieldRef\b[^>]*\bName\s*=\s*["']([^"']+)["']/gi)].map(
+    (match) => match[1]
+  );
+};
+
+/**
+ * Get the PagingInfo of the page after the GetItems response, in the
+ * ListItemCollectionPositionNext format e.g. Paged=TRUE&p_Modified=20210101%2010%3a00%3a00&p_ID=42
+ *
+ * The ListItemCollectionPositionNext, or the query string of the NextHref, is used when
+ * SharePoint returns one. The GetItems endpoint does not, so the position is built from the
+ * OrderBy values and ID of the last item when the page is full.
+ *
+ * @param {string} viewXml
+ * @param {object} data The response data.d
+ * @returns {string} The PagingInfo, or null when it was the last page
+ */
+const getNextPagingInfo = (viewXml, data) => {
+  const pagingInfo = _.get(data, 'ListItemCollectionPositionNext.PagingInfo', null);
+  if (!_.isEmpty(pagingInfo)) return pagingInfo;
+
+  const nextHref = _.get(data, 'NextHref', null);
+  if (!_.isEmpty(nextHref)) return nextHref.slice(nextHref.indexOf('?') + 1);
+
+  const items = _.get(data, 'results', []);
+  const { rowLimit, paged } = getRowLimit(viewXml);
+  if (!paged || _.isEmpty(items) || items.length < rowLimit) return null;
+
+  const last = _.last(items);
+  const positions = getOrderByFields(viewXml)
+    .filter((field) => field !== 'ID')
+    .map((field) => {
+      const value = _.get(last, field, _.get(last, `${field}Id`, ''));
+      const formatted = moment(value, moment.ISO_8601, true).isValid()
+        ? moment.utc(value).format('YYYYMMDD HH:mm:ss')
+        : _.defaultTo(value, '');
+      return `p_${field}=${encodeURIComponent(formatted)}`;
+    });
+
+  return ['Paged=TRUE', ...positions, `p_ID=${last.ID}`].join('&');
+};
+
+/**
+ * Chainable CAML query of the list items, the ViewXml used by the ListClient getItemsByCaml
+ *
+ * Conditions are joined in the order they are added, And before Or, pass a function to
+ * where, and or or to group conditions. The Value Type is inferred from the value unless
+ * it is passed with the field e.g. where('Owner', 'Lookup').eq(3)
+ *
+ * @example
+ * listClient
+ *   .camlQuery()
+ *   .where('Modality').eq('READ')
+ *   .and('Title').beginsWith('X')
+ *   .viewFields('Title', 'Modality')
+ *   .orderBy('ID')
+ *   .rowLimit(2000)
+ *   .all();
+ */
+class CamlBuilder {
+  /**
+   * Creates an instance of CamlBuilder.
+   * @param {ListClient} [listClient=null] The client used by the get, all and iterate terminals
+   * @memberof CamlBuilder
+   */
+  constructor(listClient = null) {
+    this.listClient = listClient;
+    this.conditions = [];
+    this.pending = null;
+    this.fields = [];
+    this.orders = [];
+    this.limit = DEFAULT_ROW_LIMIT;
+    this.viewScope = null;
+  }
+
+  /**
+   * Start a condition on the field, or add the group of conditions built by the function
+   *
+   * @param {string|Function} field The field name, or (query) => query to build a group
+   * @param {string} type The Value Type, inferred from the value when null
+   * @param {string} conjunction And or Or
+   * @returns {CamlBuilder} this
+   * @memberof CamlBuilder
+   */
+  _start(field, type, conjunction) {
+    if (!_.isNull(this.pending)) {
+      throw new Error(`No comparison specified for the field '${this.pending.field}'`);
+    }
+
+    if (_.isFunction(field)) {
+      const group = field(new CamlBuilder()).toWhere();
+      if (!_.isEmpty(group)) this.conditions.push({ conjunction, condition: group });
+      return this;
+    }
+
+    if (_.isEmpty(field)) {
+      throw new Error('field not specified');
+    }
+
+    this.pending = { field, type: type || null, conjunction };
+    return this;
+  }
+
+  /**
+   * Complete the pending field condition
+   *
+   * @param {Function} build (field, type) => condition
+   * @returns {CamlBuilder} this
+   * @memberof CamlBuilder
+   */
+  _complete(build) {
+    if (_.isNull(this.pending)) {
+      throw new Error('No field specified, call where, and or or first');
+    }
+
+    const { field, type, conjunction } = this.pending;
+    this.pending = null;
+    this.conditions.push({ conjunction, condition: build(field, type) });
+    return this;
+  }
+
+  /**
+   * Start the first condition
+   *
+   * @param {string|Function} field The field name, or (query) => query to build a group
+   * @param {string} [type] The Value Type e.g. Text, Choice, Lookup, DateTime
+   * @returns {CamlBuilder} this
+   * @memberof CamlBuilder
+   */
+  where(field, type) {
+    return this._start(field, type, 'And');
+  }
+
+  /**
+   * Start a condition that must also match
+   *
+   * @param {string|Function} field The field name, or (query) => query to build a group
+   * @param {string} [type] The Value Type e.g. Text, Choice, Lookup, DateTime
+   * @returns {CamlBuilder} this
+   * @memberof CamlBuilder
+   */
+  and(field, type) {
+    return this._start(field, type, 'And');
+  }
+
+  /**
+   * Start a condition that may match instead
+   *
+   * @param {string|Function} field The field name, or (query) => query to build a group
+   * @param {string} [type] The Value Type e.g. Text, Choice, Lookup, DateTime
+   * @returns {CamlBuilder} this
+   * @memberof CamlBuilder
+   */
+  or(field, type) {
+    return this._start(field, type, 'Or');
+  }
+
+  /**
+   * Compare the field to the value
+   *
+   * @param {string} element The CAML comparison element e.g. Eq
+   * @param {*} value
+   * @returns {CamlBuilder} this
+   * @memberof CamlBuilder
+   */
+  _compare(element, value) {
+    if (_.isNil(value)) {
+      throw new Error(`No value specified for ${element}, use isNull or isNotNull`);
+    }
+    return this._complete(
+      (field, type) =>
+        `<${element}>${buildFieldRef(field, type, value)}${buildValue(
+          field,
+          type,
+          value
+        )}</${element}>`
+    );
+  }
+
+  /**
+   * The field equals the value
+   *
+   * @param {*} value
+   * @returns {CamlBuilder} this
+   * @memberof CamlBuilder
+   */
+  eq(value) {
+    return this._compare('Eq', value);
+  }
+
+  /**
+   * The field does not equal the value
+   *
+   * @param {*} value
+   * @returns {CamlBuilder} this
+   * @memberof CamlBuilder
+   */
+  neq(value) {
+    return this._compare('Neq', value);
+  }
+
+  /**
+   * The field is greater than the value
+   *
+   * @param {*} value
+   * @returns {CamlBuilder} this
+   * @memberof CamlBuilder
+   */
+  gt(value) {
+    return this._compare('Gt', value);
+  }
+
+  /**
+   * The field is greater than or equal to the value
+   *
+   * @param {*} value
+   * @returns {CamlBuilder} this
+   * @memberof CamlBuilder
+   */
+  geq(value) {
+    return this._compare('Geq', value);
+  }
+
+  /**
+   * The field is less than the value
+   *
+   * @param {*} value
+   * @returns {CamlBuilder} this
+   * @memberof CamlBuilder
+   */
+  lt(value) {
+    return this._compare('Lt', value);
+  }
+
+  /**
+   * The field is less than or equal to the value
+   *
+   * @param {*} value
+   * @returns {CamlBuilder} this
+   * @memberof CamlBuilder
+   */
+  leq(value) {
+    return this._compare('Leq', value);
+  }
+
+  /**
+   * The field starts with the value
+   *
+   * @param {string} value
+   * @returns {CamlBuilder} this
+   * @memberof CamlBuilder
+   */
+  beginsWith(value) {
+    return this._compare('BeginsWith', `${value}`);
+  }
+
+  /**
+   * The field contains the value
+   *
+   * @param {string} value
+   * @returns {CamlBuilder} this
+   * @memberof CamlBuilder
+   */
+  contains(value) {
+    return this._compare('Contains', `${value}`);
+  }
+
+  /**
+   * The field equals one of the values
+   *
+   * @param {Array} values
+   * @returns {CamlBuilder} this
+   * @memberof CamlBuilder
+   */
+  in(values) {
+    if (_.isEmpty(values)) {
+      throw new Error('values not specified');
+    }
+
+    const list = _.castArray(values);
+    return this._complete((field, type) => {
+      const elements = list.map((value) => buildValue(field, type, value)).join('');
+      return `<In>${buildFieldRef(field, type, list[0])}<Values>${elements}</Values></In>`;
+    });
+  }
+
+  /**
+   * The field has no value
+   *
+   * @returns {CamlBuilder} this
+   * @memberof CamlBuilder
+   */
+  isNull() {
+    return this._complete((field) => `<IsNull><FieldRef Name="${escapeXml(field)}" /></IsNull>`);
+  }
+
+  /**
+   * The field has a value
+   *
+   * @returns {CamlBuilder} this
+   * @memberof CamlBuilder
+   */
+  isNotNull() {
+    return this._complete(
+      (field) => `<IsNotNull><FieldRef Name="${escapeXml(field)}" /></IsNotNull>`
+    );
+  }
+
+  /**
+   * Add the fields to the ViewFields, all the fields are returned when there are none
+   *
+   * @param {...string} fields
+   * @returns {CamlBuilder} this
+   * @memberof CamlBuilder
+   */
+  viewFields(...fields) {
+    this.fields = _.uniq([...this.fields, ..._.flatten(fields)]);
+    return this;
+  }
+
+  /**
+   * Add the field to the OrderBy
+   *
+   * @param {string} field
+   * @param {string} [direction='asc'] asc or desc
+   * @returns {CamlBuilder} this
+   * @memberof CamlBuilder
+   */
+  orderBy(field, direction = 'asc') {
+    const order = _.toLower(direction);
+    if (!['asc', 'desc'].includes(order)) {
+      throw new Error(`Invalid order direction '${direction}', expected asc or desc`);
+    }
+
+    this.orders.push({ field, ascending: order === 'asc' });
+    return this;
+  }
+
+  /**
+   * Set the number of items in each page
+   *
+   * @param {number} count
+   * @returns {CamlBuilder} this
+   * @memberof CamlBuilder
+   */
+  rowLimit(count) {
+    this.limit = count;
+    return this;
+  }
+
+  /**
+   * Set the View Scope e.g. RecursiveAll to include the items in folders
+   *
+   * @param {string} viewScope
+   * @returns {CamlBuilder} this
+   * @memberof CamlBuilder
+   */
+  scope(viewScope) {
+    this.viewScope = viewScope;
+    return this;
+  }
+
+  /**
+   * Get the conditions, without the Where element
+   *
+   * @returns {string}
+   * @memberof CamlBuilder
+   */
+  toWhere() {
+    if (!_.isNull(this.pending)) {
+      throw new Error(`No comparison specified for the field '${this.pending.field}'`);
+    }
+
+    // Each Or starts a new group of And conditions
+    const groups = [];
+    this.conditions.forEach(({ conjunction, condition }, index) => {
+      if (index === 0 || conjunction === 'Or') groups.push([]);
+      _.last(groups).push(condition);
+    });
+
+    return groups.length === 0
+      ? ''
+      : nest(
+          'Or',
+          groups.map((group) => nest('And', group))
+        );
+  }
+
+  /**
+   * Get the ViewXml
+   *
+   * @returns {string}
+   * @memberof CamlBuilder
+   */
+  toString() {
+    const where = this.toWhere();
+    const query = [
+      _.isEmpty(where) ? '' : `<Where>${where}</Where>`,
+      _.isEmpty(this.orders)
+        ? ''
+        : `<OrderBy>${this.orders
+            .map(
+              ({ field, ascending }) =>
+                `<FieldRef Name="${escapeXml(field)}" Ascending="${
+                  ascending ? 'TRUE' : 'FALSE'
+                }" />`
+            )
+            .join('')}</OrderBy>`,
+    ].join('');
+    const fields = _.isEmpty(this.fields)
+      ? ''
+      : `<ViewFields>${_.uniq(['ID', ...this.fields])
+          .map((field) => `<FieldRef Name="${escapeXml(field)}" />`)
+          .join('')}</ViewFields>`;
+    const scope = _.isNull(this.viewScope) ? '' : ` Scope="${escapeXml(this.viewScope)}"`;
+
+    return `<View${scope}>${fields}<Query>${query}</Query><RowLimit Paged="TRUE">${this.limit}</RowLimit></View>`;
+  }
+
+  /**
+   * Get the list client of the terminals
+   *
+   * @returns {ListClient}
+   * @memberof CamlBuilder
+   */
+  _requireClient() {
+    if (_.isNull(this.listClient)) {
+      throw new Error('listClient not specified, use listClient.camlQuery()');
+    }
+    return this.listClient;
+  }
+
+  /**
+   * Get the first page of items
+   *
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof CamlBuilder
+   */
+  get() {
+    return this._requireClient().getItemsByCaml(this.toString());
+  }
+
+  /**
+   * Get all the items, a page at a time
+   *
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof CamlBuilder
+   */
+  all() {
+    return this._requireClient().getAllItemsByCaml(this.toString());
+  }
+
+  /**
+   * Iterate the items, a page at a time
+   *
+   * @returns {AsyncGenerator} The items
+   * @memberof CamlBuilder
+   */
+  iterate() {
+    return this._requireClient().iterateItemsByCaml(this.toString());
+  }
+}
+
+module.exports = {
+  CamlBuilder,
+  DEFAULT_ROW_LIMIT,
+  escapeXml,
+  getNextPagingInfo,
+  getOrderByFields,
+  getRowLimit,
+};
@@ -0,0 +1,531 @@
+const _ = require('lodash');
+const moment = require('moment');
+const { accessSafe } = require('access-safe');
+
+const { QueryBuilder } = require('./QueryBuilder');
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', ''];
+
+/**
+ * The field types where the item property is <Name>Id
+ */
+const ID_FIELD_TYPES = ['Lookup', 'LookupMulti', 'User', 'UserMulti'];
+
+/**
+ * The field types where the value is { results: [] }
+ */
+const MULTI_FIELD_TYPES = ['MultiChoice', 'LookupMulti', 'UserMulti'];
+
+/**
+ * The field types where an empty string is a value
+ */
+const TEXT_FIELD_TYPES = ['Text', 'Note'];
+
+/**
+ * Get the item property name of the field
+ *
+ * @param {object} field The SharePoint field
+ * @returns {string}
+ */
+const getPropertyName = (field) => field.EntityPropertyName || field.InternalName;
+
+/**
+ * Split a multi value, arrays are used as is and strings are split on ;
+ *
+ * @param {*} value
+ * @returns {Array}
+ */
+const toArray = (value) => {
+  if (_.isNil(value)) return [];
+  if (_.isArray(value)) return value;
+  if (_.isPlainObject(value) && _.isArray(value.results)) return value.results;
+  if (_.isString(value)) return _.compact(value.split(';').map(_.trim));
+  return [value];
+};
+
+/**
+ * Build the SharePoint multi value
+ *
+ * @param {string} type The field TypeAsString
+ * @param {Array} results The values
+ * @returns {object} { results }
+ */
+const toMultiValue = (type, results) =>
+  // Multi choice values must specify the collection type
+  type === 'MultiChoice'
+    ? { __metadata: { type: 'Collection(Edm.String)' }, results }
+    : { results };
+
+/**
+ * Get the ID of an { Id } or { ID } object or numeric string
+ *
+ * @param {*} value
+ * @returns {number} The ID or null if the value is not an ID
+ */
+const toId = (value) => {
+  if (_.isNumber(value)) return value;
+  if (_.isPlainObject(value)) return _.defaultTo(value.Id, _.defaultTo(value.ID, null));
+  if (_.isString(value) && /^\d+$/.test(value.trim())) return _.toNumber(value);
+  return null;
+};
+
+/**
+ * Are the person values the user IDs, or empty, so there is nothing to resolve
+ *
+ * @param {*} value The User or UserMulti value
+ * @returns {boolean}
+ */
+const isUserIds = (value) => toArray(value).every((v) => !_.isNull(toId(v)));
+
+/**
+ * Converts the item values between the friendly values and the SharePoint wire format
+ * using the list field definitions. The fields and looked up values are cached.
+ *
+ * Lookup fields use the display text, multi value fields arrays, dates are ISO strings
+ * or Date objects and person fields the email or login name when a user resolver is set,
+ * otherwise the user ID.
+ */
+class FieldConverter {
+  /**
+   * Creates an instance of FieldConverter.
+   * @param {ListClient} listClient The ListClient
+   * @param {object} [converterOptions={}]
+   * @param {string|number} [converterOptions.utcoffset=null] The UTC offset e.g. +10:00 dates
+   * without an offset are in, and dates are read in. Defaults to UTC.
+   * @param {object} [converterOptions.userResolver=null] Resolves the person values
+   * { getUserId(value), getUserValue(id) }
+   * @memberof FieldConverter
+   */
+  constructor(listClient, converterOptions = {}) {
+    if (_.isNil(listClient)) {
+      throw new Error('listClient not specified');
+    }
+
+    this.listClient = listClient;
+    this.utcoffset = _.defaultTo(converterOptions.utcoffset, null);
+    this.userResolver = _.defaultTo(converterOptions.userResolver, null);
+
+    this.fields = null;
+    this.lookups = new Map();
+  }
+
+  /**
+   * Get the list fields by item property name, the fields are loaded once
+   *
+   * @returns {Promise} Promise object with the fields
+   * @memberof FieldConverter
+   */
+  async getFields() {
+    if (_.isNull(this.fields)) {
+      this.fields = this.listClient.getFields().then(
+        (response) =>
+          _.keyBy(
+            accessSafe(() => response.data.d.results, []),
+            getPropertyName
+          ),
+        (err) => {
+          this.fields = null;
+          throw err;
+        }
+      );
+    }
+    return this.fields;
+  }
+
+  /**
+   * Clear the cached fields and lookup values
+   *
+   * @memberof FieldConverter
+   */
+  clearCache() {
+    this.fields = null;
+    this.lookups.clear();
+  }
+
+  /**
+   * Get the cached lookup values of the lookup field { byText, byId }, byText holds
+   * the promises of the IDs
+   *
+   * @param {object} field The SharePoint field
+   * @returns {object}
+   * @memberof FieldConverter
+   */
+  _getLookupCache(field) {
+    const key = getPropertyName(field);
+    if (!this.lookups.has(key)) {
+      this.lookups.set(key, { byText: new Map(), byId: new Map() });
+    }
+    return this.lookups.get(key);
+  }
+
+  /**
+   * Find the lookup list item by the show field value, or by ID
+   *
+   * @param {object} field The SharePoint lookup field
+   * @param {object} filter The ODATA $filter
+   * @returns {Promise} Promise object with the item or null
+   * @memberof FieldConverter
+   */
+  async _findLookupItem(field, filter) {
+    const showField = field.LookupField || 'Title';
+    const response = await this.listClient.getItemsByListId(field.LookupList, {
+      Select: ['ID', showField],
+      Filter: filter,
+      Top: 1,
+    });
+    const item = _.head(accessSafe(() => response.data.d.results, []));
+    return _.isUndefined(item) ? null : { id: item.ID, text: item[showField] };
+  }
+
+  /**
+   * Get the lookup item ID of the display text
+   *
+   * @param {object} field The SharePoint lookup field
+   * @param {*} value The display text, or the ID
+   * @returns {Promise} Promise object with the ID, rejected when the value is not found
+   * @memberof FieldConverter
+   */
+  _getLookupId(field, value) {
+    const id = toId(value);
+    if (!_.isNull(id)) return Promise.resolve(id);
+
+    const cache = this._getLookupCache(field);
+    const text = `${value}`;
+    if (!cache.byText.has(text)) {
+      const filter = new QueryBuilder()
+        .where(field.LookupField || 'Title')
+        .eq(text)
+        .toQuery().Filter;
+      // The promise is cached so concurrent lookups and values not found are only looked up
+      // once, other errors are not cached so the next lookup tries again
+      const lookup = this._findLookupItem(field, filter).then(
+        (found) => {
+          if (_.isNull(found)) {
+            throw new Error(`Lookup value '${text}' not found for field ${getPropertyName(field)}`);
+          }
+          cache.byId.set(found.id, text);
+          return found.id;
+        },
+        (err) => {
+          cache.byText.delete(text);
+          throw err;
+        }
+      );
+      cache.byText.set(text, lookup);
+    }
+    return cache.byText.get(text);
+  }
+
+  /**
+   * Get the lookup display text of the lookup item ID
+   *
+   * @param {object} field The SharePoint lookup field
+   * @param {number} id The lookup item ID
+   * @returns {Promise} Promise object with the display text
+   * @memberof FieldConverter
+   */
+  async _getLookupText(field, id) {
+    const cache = this._getLookupCache(field);
+    if (!cache.byId.has(id)) {
+      const found = await this._findLookupItem(
+        field,
+        new QueryBuilder().where('ID').eq(id).toQuery().Filter
+      );
+      // Deleted lookup items keep the ID
+      const text = _.isNull(found) ? id : found.text;
+      cache.byId.set(id, text);
+      if (!_.isNull(found) && !cache.byText.has(`${text}`)) {
+        cache.byText.set(`${text}`, Promise.resolve(id));
+      }
+    }
+    return cache.byId.get(id);
+  }
+
+  /**
+   * Get the user ID of the person value
+   *
+   * @param {object} field The SharePoint person field
+   * @param {*} value The user ID, or the login / email when there is a user resolver
+   * @returns {Promise} Promise object with the ID
+   * @memberof FieldConverter
+   */
+  async _getUserId(field, value) {
+    const id = toId(value);
+    if (!_.isNull(id)) return id;
+
+    if (_.isNull(this.userResolver)) {
+      throw new Error(`Person field ${getPropertyName(field)} requires the user ID, got ${value}`);
+    }
+
+    try {
+      return await this.userResolver.getUserId(value);
+    } catch (err) {
+      throw new Error(`${getPropertyName(field)}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Get the person value of the user ID
+   *
+   * @param {number} id The user ID
+   * @returns {Promise} Promise object with the user value, the ID when there is no user resolver
+   * @memberof FieldConverter
+   */
+  async _getUserValue(id) {
+    if (_.isNull(this.userResolver)) return id;
+    return this.userResolver.getUserValue(id);
+  }
+
+  /**
+   * Convert the date to the ISO UTC string, dates without an offset are in the utcoffset
+   *
+   * @param {object} field The SharePoint field
+   * @param {*} value The Date or date string
+   * @returns {string}
+   * @memberof FieldConverter
+   */
+  _toSharePointDate(field, value) {
+    let date = null;
+    if (_.isDate(value) || moment.isMoment(value)) {
+      date = moment(value);
+    } else if (/([zZ]|[+-]\d{2}:?\d{2})$/.test(`${value}`.trim())) {
+      date = moment.parseZone(`${value}`.trim(), moment.ISO_8601);
+    } else {
+      date = moment.utc(`${value}`.trim(), moment.ISO_8601);
+      if (!_.isNull(this.utcoffset)) date = date.utcOffset(this.utcoffset, true);
+    }
+
+    if (!date.isValid()) {
+      throw new Error(`Invalid date '${value}' for field ${getPropertyName(field)}`);
+    }
+    return date.toISOString();
+  }
+
+  /**
+   * Convert the ISO UTC string to the utcoffset
+   *
+   * @param {string} value
+   * @returns {string}
+   * @memberof FieldConverter
+   */
+  _fromSharePointDate(value) {
+    if (_.isNull(this.utcoffset)) return value;
+    return moment.utc(value).utcOffset(this.utcoffset).format();
+  }
+
+  /**
+   * Convert a friendly value to the SharePoint value
+   *
+   * @param {object} field The SharePoint field
+   * @param {*} value The friendly value
+   * @returns {Promise} Promise object with the SharePoint value
+   * @memberof FieldConverter
+   */
+  async _toSharePointValue(field, value) {
+    const name = getPropertyName(field);
+    if (_.isNil(value) || (value === '' && !TEXT_FIELD_TYPES.includes(field.TypeAsString))) {
+      return MULTI_FIELD_TYPES.includes(field.TypeAsString)
+        ? toMultiValue(field.TypeAsString, [])
+        : null;
+    }
+
+    switch (field.TypeAsString) {
+      case 'Number':
+      case 'Currency': {
+        const number = _.isNumber(value) ? value : Number(`${value}`.trim());
+        if (Number.isNaN(number)) {
+          throw new Error(`Invalid number '${value}' for field ${name}`);
+        }
+        return number;
+      }
+      case 'Boolean': {
+        if (_.isBoolean(value)) return value;
+        const text = `${value}`.trim().toLowerCase();
+        if (TRUE_VALUES.includes(text)) return true;
+        if (FALSE_VALUES.includes(text)) return false;
+        throw new Error(`Invalid boolean '${value}' for field ${name}`);
+      }
+      case 'DateTime':
+        return this._toSharePointDate(field, value);
+      case 'MultiChoice':
+        return toMultiValue(
+          field.TypeAsString,
+          toArray(value).map((choice) => `${choice}`)
+        );
+      case 'URL': {
+        const url = _.isPlainObject(value) ? value : { Url: `${value}` };
+        return {
+          __metadata: { type: 'SP.FieldUrlValue' },
+          Url: url.Url,
+          Description: _.defaultTo(url.Description, url.Url),
+        };
+      }
+      case 'Lookup':
+        return this._getLookupId(field, value);
+      case 'LookupMulti':
+        return {
+          results: await Promise.all(toArray(value).map((v) => this._getLookupId(field, v))),
+        };
+      case 'User':
+        return this._getUserId(field, value);
+      case 'UserMulti':
+        return {
+          results: await Promise.all(toArray(value).map((v) => this._getUserId(field, v))),
+        };
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Convert a SharePoint value to the friendly value
+   *
+   * @param {object} field The SharePoint field
+   * @param {*} value The SharePoint value
+   * @returns {Promise} Promise object with the friendly value
+   * @memberof FieldConverter
+   */
+  async _fromSharePointValue(field, value) {
+    if (_.isNil(value)) {
+      return MULTI_FIELD_TYPES.includes(field.TypeAsString) ? [] : null;
+    }
+
+    switch (field.TypeAsString) {
+      case 'DateTime':
+        return this._fromSharePointDate(value);
+      case 'MultiChoice':
+        return toArray(value);
+      case 'URL':
+        return value.Description === value.Url || _.isEmpty(value.Description)
+          ? value.Url
+          : { Url: value.Url, Description: value.Description };
+      case 'Lookup':
+        return this._getLookupText(field, value);
+      case 'LookupMulti':
+        return Promise.all(toArray(value).map((id) => this._getLookupText(field, id)));
+      case 'User':
+        return this._getUserValue(value);
+      case 'UserMulti':
+        return Promise.all(toArray(value).map((id) => this._getUserValue(id)));
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Convert the friendly item to the SharePoint wire format, e.g. lookup display text to
+   * <Name>Id, multi value arrays to { results: [] } and dates to ISO UTC strings.
+   * Properties that are not list fields are unchanged.
+   *
+   * @param {object} item The friendly item
+   * @returns {Promise} Promise object with the SharePoint item
+   * @memberof FieldConverter
+   */
+  async toSharePoint(item) {
+    const fields = await this.getFields();
+    const converted = {};
+
+    await Promise.all(
+      _.map(item, async (value, key) => {
+        const field = fields[key];
+        if (_.isUndefined(field) || key === 'ID' || field.ReadOnlyField) {
+          converted[key] = value;
+          return;
+        }
+
+        const spvalue = await this._toSharePointValue(field, value);
+        converted[ID_FIELD_TYPES.includes(field.TypeAsString) ? `${key}Id` : key] = spvalue;
+      })
+    );
+
+    return converted;
+  }
+
+  /**
+   * Resolve the person values that are not user IDs, the email or login name, to the
+   * <Name>Id user IDs. The other values, including the read only and deferred person values,
+   * are unchanged so the item can be in the SharePoint wire format, the person value can be
+   * <Name> or <Name>Id.
+   *
+   * @param {object} item The item
+   * @returns {Promise} Promise object with the item, or a copy with the person values resolved
+   * @memberof FieldConverter
+   */
+  async resolvePeople(item) {
+    if (_.isNull(this.userResolver) || !_.isPlainObject(item)) return item;
+
+    const fields = await this.getFields();
+    const resolved = { ...item };
+
+    await Promise.all(
+      _.map(item, async (value, key) => {
+        const field = fields[key] || (/Id$/.test(key) ? fields[key.slice(0, -2)] : undefined);
+        if (
+          _.isUndefined(field) ||
+          field.ReadOnlyField ||
+          !['User', 'UserMulti'].includes(field.TypeAsString) ||
+          _.has(value, '__deferred') ||
+          isUserIds(value)
+        ) {
+          return;
+        }
+
+        delete resolved[key];
+        resolved[`${getPropertyName(field)}Id`] = await this._toSharePointValue(field, value);
+      })
+    );
+
+    return resolved;
+  }
+
+  /**
+   * Convert the SharePoint item to the friendly format, the reverse of toSharePoint.
+   * The __metadata and deferred properties are removed.
+   *
+   * @param {object} item The SharePoint item
+   * @returns {Promise} Promise object with the friendly item
+   * @memberof FieldConverter
+   */
+  async fromSharePoint(item) {
+    const fields = await this.getFields();
+    const converted = {};
+
+    await Promise.all(
+      _.map(_.omit(item, ['__metadata']), async (value, key) => {
+        // Deferred navigation properties are not expanded so contain no data
+        if (_.has(value, '__deferred')) return;
+
+        const idField = /Id$/.test(key) ? fields[key.slice(0, -2)] : undefined;
+        if (!_.isUndefined(idField) && ID_FIELD_TYPES.includes(idField.TypeAsString)) {
+          converted[key.slice(0, -2)] = await this._fromSharePointValue(idField, value);
+          return;
+        }
+
+        const field = fields[key];
+        if (_.isUndefined(field) || ID_FIELD_TYPES.includes(field.TypeAsString)) {
+          // Expanded lookup and person values are replaced by the <Name>Id value
+          if (!_.has(item, `${key}Id`)) converted[key] = value;
+          return;
+        }
+
+        converted[key] = await this._fromSharePointValue(field, value);
+      })
+    );
+
+    // Keep the order of the item properties
+    return _.pick(
+      converted,
+      _.uniq(_.keys(item).map((key) => (_.has(converted, key) ? key : key.replace(/Id$/, ''))))
+    );
+  }
+}
+
+module.exports = {
+  FALSE_VALUES,
+  FieldConverter,
+  ID_FIELD_TYPES,
+  MULTI_FIELD_TYPES,
+  TRUE_VALUES,
+  getPropertyName,
+};
@@ -0,0 +1,424 @@
+const $REST = require('gd-sprest');
+const fs = require('fs');
+const Path = require('path');
+const Axios = require('axios');
+const _ = require('lodash');
+const { accessSafe } = require('access-safe');
+const { v4: uuidv4 } = require('uuid');
+
+const { BaseClient } = require('./BaseClient');
+
+/**
+ * Files larger than the chunk size are uploaded in chunks
+ */
+const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024;
+
+/**
+ * Default timeout ms for the upload requests
+ */
+const DEFAULT_UPLOAD_TIMEOUT = 120000;
+
+class LibraryClient extends BaseClient {
+  constructor(options, axiosInstance = Axios) {
+    super(options, axiosInstance);
+
+    if (_.isNil(accessSafe(() => options.sharepoint.library, null))) {
+      throw new Error('options.sharepoint.library not specified');
+    }
+
+    this.rootFolderUrl = null;
+  }
+
+  /**
+   * Get the server relative url of the library root folder, the url is cached
+   *
+   * @returns {Promise} Promise object with the server relative url
+   * @memberof LibraryClient
+   */
+  async getRootFolderUrl() {
+    if (_.isNull(this.rootFolderUrl)) {
+      const { url, library } = this.sharepoint;
+
+      const sprequest = $REST
+        .Web(url)
+        .Lists(library)
+        .RootFolder()
+        .query({ Select: ['ServerRelativeUrl'] })
+        .getInfo();
+
+      const response = await this.callSharePointODATA(sprequest);
+      this.rootFolderUrl = response.data.d.ServerRelativeUrl;
+    }
+
+    return this.rootFolderUrl;
+  }
+
+  /**
+   * Get the server relative url of a path in the library
+   *
+   * @param {string} [path=''] The path relative to the library root folder e.g. Reports/2023
+   * @returns {Promise} Promise object with the server relative url
+   * @memberof LibraryClient
+   */
+  async getServerRelativeUrl(path = '') {
+    const rootFolderUrl = await this.getRootFolderUrl();
+    const segments = _.split(path, '/').filter((segment) => !['', '.'].includes(segment));
+
+    return [_.trimEnd(rootFolderUrl, '/'), ...segments].join('/');
+  }
+
+  /**
+   * Build the request for the file or folder api
+   *
+   * @param {string} type getFileByServerRelativeUrl or getFolderByServerRelativeUrl
+   * @param {string} serverRelativeUrl The server relative url
+   * @param {string} [endpoint=''] The endpoint e.g. /Files
+   * @param {string} [method='GET'] The http method
+   * @returns {object} The request info object
+   * @memberof LibraryClient
+   */
+  _request(type, serverRelativeUrl, endpoint = '', method = 'GET') {
+    const { url } = this.sharepoint;
+
+    return {
+      url: `${_.trimEnd(url, '/')}/_api/web/${type}('${this._escapeFileName(
+        serverRelativeUrl
+      )}')${endpoint}`,
+      method,
+      headers: {
+        Accept: 'application/json;odata=verbose',
+        'Content-Type': 'application/json;odata=verbose',
+      },
+    };
+  }
+
+  /**
+   * Get a folder in the library
+   *
+   * @param {string} [path=''] The folder path relative to the library root folder
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof LibraryClient
+   */
+  async getFolder(path = '') {
+    const serverRelativeUrl = await this.getServerRelativeUrl(path);
+    return this.callSharePointODATA(
+      this._request('getFolderByServerRelativeUrl', serverRelativeUrl)
+    );
+  }
+
+  /**
+   * Get the sub folders of a folder in the library
+   *
+   * @param {string} [path=''] The folder path relative to the library root folder
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof LibraryClient
+   */
+  async getFolders(path = '') {
+    const serverRelativeUrl = await this.getServerRelativeUrl(path);
+    return this.callSharePointODATA(
+      this._request('getFolderByServerRelativeUrl', serverRelativeUrl, '/Folders')
+    );
+  }
+
+  /**
+   * Get the files in a folder in the library
+   *
+   * @param {string} [path=''] The folder path relative to the library root folder
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof LibraryClient
+   */
+  async getFiles(path = '') {
+    const serverRelativeUrl = await this.getServerRelativeUrl(path);
+    return this.callSharePointODATA(
+      this._request('getFolderByServerRelativeUrl', serverRelativeUrl, '/Files')
+    );
+  }
+
+  /**
+   * Create a folder in the library, missing parent folders are created as well
+   *
+   * @param {string} path The folder path relative to the library root folder
+   * @returns {Promise} Promise object with Axios response object of the folder
+   * @memberof LibraryClient
+   */
+  async createFolder(path) {
+    // Write operation so confirm X-RequestDigest configured
+    this._requireDigest();
+
+    const segments = _.split(path, '/').filter((segment) => !_.isEmpty(segment));
+    if (segments.length === 0) {
+      throw new Error('path not specified');
+    }
+
+    const { url } = this.sharepoint;
+    let response = null;
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const [index] of segments.entries()) {
+      // eslint-disable-next-line no-await-in-loop
+      const serverRelativeUrl = await this.getServerRelativeUrl(
+        segments.slice(0, index + 1).join('/')
+      );
+      // Adding a folder that exists returns the existing folder
+      const sprequest = $REST
+        .Web(url)
+        .Folders()
+        .add(this._escapeFileName(serverRelativeUrl))
+        .getInfo();
+      // eslint-disable-next-line no-await-in-loop
+      response = await this.callSharePointODATA(sprequest);
+    }
+
+    return response;
+  }
+
+  /**
+   * Build the request to upload the whole file
+   *
+   * @param {string} folderUrl The server relative url of the folder
+   * @param {string} fileName The file name
+   * @param {Buffer} content The file content
+   * @param {boolean} overwrite Overwrite an existing file
+   * @returns {object} The request info object
+   * @memberof LibraryClient
+   */
+  _addFileRequest(folderUrl, fileName, content, overwrite) {
+    return {
+      ...this._request(
+        'getFolderByServerRelativeUrl',
+        folderUrl,
+        `/Files/add(url='${this._escapeFileName(fileName)}',overwrite=${overwrite})`,
+        'POST'
+      ),
+      data: content,
+      timeout: this.sharepoint.uploadtimeout || DEFAULT_UPLOAD_TIMEOUT,
+    };
+  }
+
+  /**
+   * Build the request to upload a chunk of the file
+   *
+   * @param {string} fileUrl The server relative url of the file
+   * @param {string} action startUpload, continueUpload or finishUpload
+   * @param {string} uploadId The upload session id
+   * @param {number} offset The file offset of the chunk
+   * @param {Buffer} chunk The chunk
+   * @returns {object} The request info object
+   * @memberof LibraryClient
+   */
+  _uploadChunkRequest(fileUrl, action, uploadId, offset, chunk) {
+    const parameters =
+      action === 'startUpload'
+        ? `uploadId=guid'${uploadId}'`
+        : `uploadId=guid'${uploadId}',fileOffset=${offset}`;
+
+    return {
+      ...this._request('getFileByServerRelativeUrl', fileUrl, `/${action}(${parameters})`, 'POST'),
+      data: chunk,
+      timeout: this.sharepoint.uploadtimeout || DEFAULT_UPLOAD_TIMEOUT,
+    };
+  }
+
+  /**
+   * Upload the file in chunks, an empty file is created then the chunks
+   * are uploaded in an upload session, the file must be larger than one chunk
+   *
+   * @param {string} path The file path relative to the library root folder
+   * @param {number} size The file size
+   * @param {Function} readChunk Async function (offset, length) returning the chunk Buffer
+   * @param {boolean} overwrite Overwrite an existing file
+   * @returns {Promise} Promise object with Axios response object of the finishUpload
+   * @memberof LibraryClient
+   */
+  async _uploadChunked(path, size, readChunk, overwrite) {
+    const chunkSize = this.sharepoint.chunksize || DEFAULT_CHUNK_SIZE;
+    const folderUrl = await this.getServerRelativeUrl(Path.posix.dirname(path));
+    const fileName = Path.posix.basename(path);
+    const fileUrl = `${folderUrl}/${fileName}`;
+
+    await this.callSharePointODATA(
+      this._addFileRequest(folderUrl, fileName, Buffer.alloc(0), overwrite)
+    );
+
+    const uploadId = uuidv4();
+    let offset = 0;
+    let response = null;
+
+    while (offset < size) {
+      const length = Math.min(chunkSize, size - offset);
+      let action = offset === 0 ? 'startUpload' : 'continueUpload';
+      if (offset + length >= size) action = 'finishUpload';
+
+      // eslint-disable-next-line no-await-in-loop
+      const chunk = await readChunk(offset, length);
+
+      this.logger.debug(`Upload ${fileUrl} ${action} offset ${offset} length ${length}`, {
+        label: 'LibraryClient.upload',
+      });
+
+      // eslint-disable-next-line no-await-in-loop
+      response = await this.callSharePointODATA(
+        this._uploadChunkRequest(fileUrl, action, uploadId, offset, chunk)
+      );
+      offset += length;
+    }
+
+    return response;
+  }
+
+  /**
+   * Upload a file to the library, files larger than the chunk size
+   * are uploaded in chunks
+   *
+   * @param {string} path The file path relative to the library root folder e.g. Reports/a.pdf
+   * @param {Buffer} content The file content
+   * @param {boolean} [overwrite=true] Overwrite an existing file
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof LibraryClient
+   */
+  async uploadFile(path, content, overwrite = true) {
+    // Write operation so confirm X-RequestDigest configured
+    this._requireDigest();
+
+    if (_.isNil(content)) {
+      throw new Error('content not specified');
+    }
+
+    const chunkSize = this.sharepoint.chunksize || DEFAULT_CHUNK_SIZE;
+
+    if (content.length > chunkSize) {
+      return this._uploadChunked(
+        path,
+        content.length,
+        async (offset, length) => content.subarray(offset, offset + length),
+        overwrite
+      );
+    }
+
+    const folderUrl = await this.getServerRelativeUrl(Path.posix.dirname(path));
+    return this.callSharePointODATA(
+      this._addFileRequest(folderUrl, Path.posix.basename(path), content, overwrite)
+    );
+  }
+
+  /**
+   * Upload a local file to the library, large files are read and uploaded
+   * a chunk at a time
+   *
+   * @param {string} localPath The local file path
+   * @param {string} path The file path relative to the library root folder
+   * @param {boolean} [overwrite=true] Overwrite an existing file
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof LibraryClient
+   */
+  async uploadFileFromPath(localPath, path, overwrite = true) {
+    // Write operation so confirm X-RequestDigest configured
+    this._requireDigest();
+
+    const { size } = await fs.promises.stat(localPath);
+    const chunkSize = this.sharepoint.chunksize || DEFAULT_CHUNK_SIZE;
+
+    if (size <= chunkSize) {
+      return this.uploadFile(path, await fs.promises.readFile(localPath), overwrite);
+    }
+
+    const handle = await fs.promises.open(localPath, 'r');
+    try {
+      return await this._uploadChunked(
+        path,
+        size,
+        async (offset, length) => {
+          const buffer = Buffer.alloc(length);
+          const { bytesRead } = await handle.read(buffer, 0, length, offset);
+          return buffer.subarray(0, bytesRead);
+        },
+        overwrite
+      );
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Download a file from the library
+   *
+   * @param {string} path The file path relative to the library root folder
+   * @returns {Promise} Promise object with Axios response object, the data is a Buffer
+   * @memberof LibraryClient
+   */
+  async downloadFile(path) {
+    const serverRelativeUrl = await this.getServerRelativeUrl(path);
+    return this.callSharePointODATA({
+      ...this._request('getFileByServerRelativeUrl', serverRelativeUrl, '/$value'),
+      responseType: 'arraybuffer',
+      timeout: this.sharepoint.uploadtimeout || DEFAULT_UPLOAD_TIMEOUT,
+    });
+  }
+
+  /**
+   * Download a file from the library to a local file
+   *
+   * @param {string} path The file path relative to the library root folder
+   * @param {string} localPath The local file path
+   * @returns {Promise} Promise object with the local file path
+   * @memberof LibraryClient
+   */
+  async downloadFileToPath(path, localPath) {
+    const response = await this.downloadFile(path);
+    await fs.promises.mkdir(Path.dirname(localPath), { recursive: true });
+    await fs.promises.writeFile(localPath, Buffer.from(response.data));
+    return localPath;
+  }
+
+  /**
+   * Get the metadata fields of the file's list item
+   *
+   * @param {string} path The file path relative to the library root folder
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof LibraryClient
+   */
+  async getFileMetadata(path) {
+    const serverRelativeUrl = await this.getServerRelativeUrl(path);
+    return this.callSharePointODATA(
+      this._request('getFileByServerRelativeUrl', serverRelativeUrl, '/ListItemAllFields')
+    );
+  }
+
+  /**
+   * Set the metadata fields of the file's list item
+   *
+   * @param {string} path The file path relative to the library root folder
+   * @param {object} fields The field values to set
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof LibraryClient
+   */
+  async setFileMetadata(path, fields) {
+    // Write operation so confirm X-RequestDigest configured
+    this._requireDigest();
+
+    if (_.isEmpty(fields)) {
+      throw new Error('fields not specified');
+    }
+
+    const response = await this.getFileMetadata(path);
+    const itemid = accessSafe(() => response.data.d.ID, null);
+    if (_.isNil(itemid)) {
+      throw new Error(`No list item found for ${path}`);
+    }
+
+    const { url, library } = this.sharepoint;
+    const sprequest = $REST
+      .Web(url)
+      .Lists(library)
+      .Items(itemid)
+      .update(_.omit(fields, ['ID']))
+      .getInfo();
+
+    return this.callSharePointODATA(sprequest);
+  }
+}
+
+module.exports = {
+  DEFAULT_CHUNK_SIZE,
+  LibraryClient,
+};
@@ -1,10 +1,21 @@
 const $REST = require('gd-sprest');
+const fs = require('fs');
+const Path = require('path');
 const Axios = require('axios');
 const _ = require('lodash');
 const { accessSafe } = require('access-safe');
-const odatafilter = require('odata-filter-builder').ODataFilterBuilder;
 
 const { BaseClient } = require('./BaseClient');
+const { CamlBuilder, getNextPagingInfo } = require('./CamlBuilder');
+const { DEFAULT_FETCH_LIMIT, summarizeChanges } = require('./changes');
+const { MAX_BATCH_SIZE, getOperationItemId } = require('./batch');
+const { CONFLICT_POLICIES, getChangedFields, getConflictingFields, getETag } = require('./etag');
+const { ConflictError } = require('./errors');
+const { FieldConverter } = require('./FieldConverter');
+const { QueryBuilder } = require('./QueryBuilder');
+const { formatRoleAssignment } = require('./permissions');
+const { diffVersions, formatVersion } = require('./versions');
+const { DEFAULT_CONCURRENCY, getBulkReportPath, runBulk, writeBulkReport } = require('./bulk');
 
 class ListClient extends BaseClient {
   constructor(options, axiosInstance = Axios) {
@@ -13,6 +24,26 @@ class ListClient extends BaseClient {
     if (_.isNil(accessSafe(() => options.sharepoint.list, null))) {
       throw new Error('options.sharepoint.list not specified');
     }
+
+    this.output = options.output || null;
+    this.bulk = _.defaults({}, options.bulk, { concurrency: DEFAULT_CONCURRENCY });
+    this.fieldConverter = null;
+  }
+
+  /**
+   * Get the FieldConverter of the list, the list fields and looked up values are cached
+   *
+   * @returns {FieldConverter}
+   * @memberof ListClient
+   */
+  getFieldConverter() {
+    if (_.isNull(this.fieldConverter)) {
+      this.fieldConverter = new FieldConverter(this, {
+        utcoffset: this.sharepoint.utcoffset,
+        userResolver: this.getUserResolver(),
+      });
+    }
+    return this.fieldConverter;
   }
 
   /**
@@ -69,28 +100,33 @@ class ListClient extends BaseClient {
 
       const { url, list } = this.sharepoint;
 
-      const filter = { Filter: odatafilter().eq('Title', fieldInfo.title).toString() };
-
-      this.getFields(filter).then((fieldsResponse) => {
-        if (accessSafe(() => fieldsResponse.data.d.results.length, 0) === 0) {
-          $REST.Helper.FieldSchemaXML(fieldInfo)
-            .then((schemaResponse) => {
-              const sprequest = $REST
-                .Web(url)
-                .Lists(list)
-                .Fields()
-                .createFieldAsXml(schemaResponse)
-                .getInfo();
-
-              this.callSharePointODATA(sprequest)
-                .then((response) => resolve(response))
-                .catch((err) => reject(err));
-            })
-            .catch((schemaErr) => reject(schemaErr));
-        } else {
-          resolve(fieldsResponse);
-        }
-      });
+      // Match by InternalName, as applySchema does, the Title is not unique
+      const filter = {
+        Filter: this._buildFilter({ InternalName: fieldInfo.name }, ['InternalName']),
+      };
+
+      this.getFields(filter)
+        .then((fieldsResponse) => {
+          if (accessSafe(() => fieldsResponse.data.d.results.length, 0) === 0) {
+            $REST.Helper.FieldSchemaXML(fieldInfo)
+              .then((schemaResponse) => {
+                const sprequest = $REST
+                  .Web(url)
+                  .Lists(list)
+                  .Fields()
+                  .createFieldAsXml(schemaResponse)
+                  .getInfo();
+
+                this.callSharePointODATA(sprequest)
+                  .then((response) => resolve(response))
+                  .catch((err) => reject(err));
+              })
+              .catch((schemaErr) => reject(schemaErr));
+          } else {
+            resolve(fieldsResponse);
+          }
+        })
+        .catch((err) => reject(err));
     });
   }
 
@@ -115,6 +151,91 @@ class ListClient extends BaseClient {
     return this.callSharePointODATA(sprequest);
   }
 
+  /**
+   * Get the current change token of the list, the start of the next getChanges
+   *
+   * @returns {Promise} Promise object with the change token string
+   * @memberof ListClient
+   */
+  async getCurrentChangeToken() {
+    const { url, list } = this.sharepoint;
+
+    const sprequest = $REST
+      .Web(url)
+      .Lists(list)
+      .query({ Select: ['CurrentChangeToken'] })
+      .getInfo();
+
+    const response = await this.callSharePointODATA(sprequest);
+    return accessSafe(() => response.data.d.CurrentChangeToken.StringValue, null);
+  }
+
+  /**
+   * Get the item changes since the change token, the changes are read FetchLimit at a time
+   * until there are no more. Without a token there are no changes, only the current token
+   * to start from.
+   *
+   * @param {string} [sinceToken=null] The change token of the last getChanges
+   * @param {object} [changeOptions={}]
+   * @param {number} [changeOptions.fetchLimit=DEFAULT_FETCH_LIMIT] The changes in each request
+   * @returns {Promise} Promise object with { token, since, added, updated, deleted, changes }
+   * the added, updated and deleted item IDs, and the token to use next time
+   * @memberof ListClient
+   */
+  async getChanges(sinceToken = null, changeOptions = {}) {
+    // POST so confirm X-RequestDigest configured
+    this._requireDigest();
+
+    const { fetchLimit = DEFAULT_FETCH_LIMIT } = changeOptions;
+
+    if (_.isEmpty(sinceToken)) {
+      const token = await this.getCurrentChangeToken();
+      return { token, since: null, added: [], updated: [], deleted: [], changes: 0 };
+    }
+
+    const { url, list } = this.sharepoint;
+    const changes = [];
+    let token = sinceToken;
+    let page = [];
+
+    do {
+      const sprequest = $REST
+        .Web(url)
+        .Lists(list)
+        .getChanges({
+          Item: true,
+          Add: true,
+          Update: true,
+          DeleteObject: true,
+          Restore: true,
+          FetchLimit: fetchLimit,
+          ChangeTokenStart: { __metadata: { type: 'SP.ChangeToken' }, StringValue: token },
+        })
+        .getInfo();
+
+      // eslint-disable-next-line no-await-in-loop
+      const response = await this.callSharePointODATA(sprequest);
+      page = _.get(response, 'data.d.results', []);
+      changes.push(...page);
+      token = _.get(_.last(page), 'ChangeToken.StringValue', token);
+    } while (page.length >= fetchLimit);
+
+    return { token, since: sinceToken, ...summarizeChanges(changes), changes: changes.length };
+  }
+
+  /**
+   * Start a query of the list items
+   *
+   * @example
+   * const response = await listClient.query().where('Title').startsWith('X').top(500).get();
+   *
+   * @returns {QueryBuilder}
+   * @memberof ListClient
+   */
+  query() {
+    return new QueryBuilder(this);
+  }
+
   /**
    * Get items from list
    *
@@ -130,7 +251,7 @@ class ListClient extends BaseClient {
 
     // ensure ID always in select filter
     if (accessSafe(() => filter.Select.length, 0) > 0) {
-      filter.Select = [...new Set([filter.Select])];
+      filter.Select = _.uniq(['ID', ..._.castArray(filter.Select)]);
     }
 
     const sprequest = $REST.Web(url).Lists(list).Items().query(filter).getInfo();
@@ -138,27 +259,118 @@ class ListClient extends BaseClient {
     return this.callSharePointODATA(sprequest);
   }
 
+  /**
+   * Get item from list by ID
+   *
+   * @param {number} itemid The ID number of the item
+   * @param {*} [itemFilter={}] The ODATA Query, used for Select and Expand
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof ListClient
+   */
+  getItemById(itemid, itemFilter = {}) {
+    if (_.isNil(itemid)) {
+      throw new Error('No ID specified');
+    }
+
+    const { url, list } = this.sharepoint;
+
+    const sprequest = $REST.Web(url).Lists(list).Items(itemid).query(itemFilter).getInfo();
+
+    return this.callSharePointODATA(sprequest);
+  }
+
   /**
    * Get item from list by Title
    *
    * @param {string} [title] The Item Title
+   * @param {*} [itemFilter={}] The ODATA Query, used for Select and Expand
    * @returns {Promise} Promise object with Axios response object
    * @memberof ListClient
    */
-  getItemByTitle(title) {
+  getItemByTitle(title, itemFilter = {}) {
     if (_.isNil(title)) {
       throw new Error('title not specified');
     }
 
     const { url, list } = this.sharepoint;
 
-    const filter = { Top: 1, Filter: odatafilter().eq('Title', title).toString() };
+    const filter = {
+      ..._.pick(itemFilter, ['Select', 'Expand']),
+      Top: 1,
+      Filter: this._buildFilter({ Title: title }, ['Title']),
+    };
 
     const sprequest = $REST.Web(url).Lists(list).Items().query(filter).getInfo();
 
     return this.callSharePointODATA(sprequest);
   }
 
+  /**
+   * Get the next page of items using the __next link
+   *
+   * @param {string} next The __next url from the previous page
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof ListClient
+   */
+  _getNextItems(next) {
+    const sprequest = {
+      url: next,
+      method: 'GET',
+      headers: {
+        Accept: 'application/json;odata=verbose',
+        'Content-Type': 'application/json;odata=verbose',
+      },
+    };
+
+    return this.callSharePointODATA(sprequest);
+  }
+
+  /**
+   * Iterate the pages of items, following the __next links, only one page
+   * is held in memory at a time.
+   *
+   * @example
+   * for await (const page of listClient.iteratePages({ Top: 500 })) { ... }
+   *
+   * @param {object} [itemFilter={}] The ODATA Query
+   * @yields {object[]} The page of items
+   * @memberof ListClient
+   */
+  async *iteratePages(itemFilter = {}) {
+    const filter = _.omit(itemFilter, ['custom']);
+    let response = await this.getItems(filter);
+
+    while (!_.isNil(response)) {
+      const records = _.get(response, 'data.d.results', []);
+      const next = _.get(response, 'data.d.__next', null);
+
+      if (records.length > 0) {
+        yield records;
+      }
+
+      // eslint-disable-next-line no-await-in-loop
+      response = _.isEmpty(next) ? null : await this._getNextItems(next);
+    }
+  }
+
+  /**
+   * Iterate the items, following the __next links, only one page
+   * is held in memory at a time.
+   *
+   * @example
+   * for await (const item of listClient.iterateItems({ Select: ['Title'] })) { ... }
+   *
+   * @param {object} [itemFilter={}] The ODATA Query
+   * @yields {object} The item
+   * @memberof ListClient
+   */
+  async *iterateItems(itemFilter = {}) {
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const page of this.iteratePages(itemFilter)) {
+      yield* page;
+    }
+  }
+
   /**
    * Loop thru calling the ODATA Items until all items are delivered.
    *
@@ -167,82 +379,149 @@ class ListClient extends BaseClient {
    * @memberof ListClient
    */
   async getAllItems(itemFilter = {}) {
-    // eslint-disable-next-line no-async-promise-executor
-    return new Promise(async (resolve, reject) => {
-      const filter = _.omit(itemFilter, ['custom']);
-      let keepGoing = true;
-      let allrecords = [];
-      let lastId = null;
+    let allrecords = [];
 
-      try {
-        while (keepGoing) {
-          let response = null;
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const page of this.iteratePages(itemFilter)) {
+      allrecords = allrecords.concat(page);
+    }
 
-          try {
-            // eslint-disable-next-line no-await-in-loop
-            response = await this.getItems(filter);
-          } catch (err) {
-            keepGoing = false;
-            reject(err);
-            break;
-          }
+    return { data: { d: { results: allrecords } } };
+  }
+
+  /**
+   * Start a CAML query of the list items
+   *
+   * @example
+   * const response = await listClient.camlQuery().where('Modality').eq('READ').all();
+   *
+   * @returns {CamlBuilder}
+   * @memberof ListClient
+   */
+  camlQuery() {
+    return new CamlBuilder(this);
+  }
+
+  /**
+   * Get items from list using a CAML query, CAML queries with a paged RowLimit and an
+   * indexed OrderBy, such as ID, work on lists over the list view threshold
+   *
+   * @param {string} viewXml The CAML View e.g.
+   * <View><Query>...</Query><RowLimit Paged="TRUE">1000</RowLimit></View>
+   * @param {string} [pagingInfo=null] The ListItemCollectionPosition PagingInfo of the page
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof ListClient
+   */
+  getItemsByCaml(viewXml, pagingInfo = null) {
+    // POST so confirm X-RequestDigest configured
+    this._requireDigest();
 
-          const countRecords = accessSafe(() => response.data.d.results.length, 0);
-          const records = accessSafe(() => response.data.d.results, []);
-          // eslint-disable-next-line no-underscore-dangle
-          const morerecords = accessSafe(() => !_.isEmpty(response.data.d.__next), false);
+    if (_.isEmpty(viewXml)) {
+      throw new Error('viewXml not specified');
+    }
 
-          if (countRecords > 0) {
-            allrecords = allrecords.concat(...records);
-          }
+    const { url, list } = this.sharepoint;
 
-          if (morerecords) {
-            // Get last ID
-            // $skiptoken=Paged=TRUE&p_ID=11
-            lastId = allrecords.pop().ID;
-            filter.Custom = `$skiptoken=Paged%3dTRUE%26p_ID%3d${lastId}`;
-            keepGoing = true;
-          } else {
-            keepGoing = false;
-            resolve({ data: { d: { results: allrecords } } });
-          }
-        }
-      } catch (error) {
-        reject(error);
+    const query = { __metadata: { type: 'SP.CamlQuery' }, ViewXml: viewXml };
+    if (!_.isEmpty(pagingInfo)) {
+      query.ListItemCollectionPosition = {
+        __metadata: { type: 'SP.ListItemCollectionPosition' },
+        PagingInfo: pagingInfo,
+      };
+    }
+
+    // gd-sprest getItems only sends the ViewXml
+    const sprequest = $REST.Web(url).Lists(list).getItems(viewXml).getInfo();
+
+    return this.callSharePointODATA({ ...sprequest, data: JSON.stringify({ query }) });
+  }
+
+  /**
+   * Iterate the pages of items of the CAML query, each page starts at the position after
+   * the previous page, see getNextPagingInfo, until a page is not full.
+   * Only one page is held in memory at a time.
+   *
+   * @param {string} viewXml The CAML View, with a paged RowLimit
+   * @yields {object[]} The page of items
+   * @memberof ListClient
+   */
+  async *iteratePagesByCaml(viewXml) {
+    let pagingInfo = null;
+
+    do {
+      // eslint-disable-next-line no-await-in-loop
+      const response = await this.getItemsByCaml(viewXml, pagingInfo);
+      const records = _.get(response, 'data.d.results', []);
+
+      if (records.length > 0) {
+        yield records;
       }
-    });
+
+      pagingInfo = getNextPagingInfo(viewXml, _.get(response, 'data.d'));
+    } while (!_.isNull(pagingInfo));
   }
 
   /**
-   * Add item to list
+   * Iterate the items of the CAML query, a page at a time
    *
-   * @param {object} item The item to add
+   * @example
+   * for await (const item of listClient.iterateItemsByCaml(viewXml)) { ... }
+   *
+   * @param {string} viewXml The CAML View, with a paged RowLimit
+   * @yields {object} The item
+   * @memberof ListClient
+   */
+  async *iterateItemsByCaml(viewXml) {
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const page of this.iteratePagesByCaml(viewXml)) {
+      yield* page;
+    }
+  }
+
+  /**
+   * Get all the items of the CAML query, a page at a time
+   *
+   * @param {string} viewXml The CAML View, with a paged RowLimit
    * @returns {Promise} Promise object with Axios response object
+   * @memberof ListClient
    */
-  addItem(item) {
-    // Write operation so confirm X-RequestDigest configured
-    this._requireDigest();
+  async getAllItemsByCaml(viewXml) {
+    let allrecords = [];
+
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const page of this.iteratePagesByCaml(viewXml)) {
+      allrecords = allrecords.concat(page);
+    }
+
+    return { data: { d: { results: allrecords } } };
+  }
 
+  /**
+   * Build the add item request
+   *
+   * @param {object} item The item to add
+   * @returns {object} The gd-sprest request info object
+   * @memberof ListClient
+   */
+  _addItemRequest(item) {
     if (_.isNil(item)) {
       throw new Error('item not specified');
     }
 
     const { url, list } = this.sharepoint;
-    const sprequest = $REST.Web(url).Lists(list).Items().add(item).getInfo();
-
-    return this.callSharePointODATA(sprequest);
+    // gd-sprest adds the __metadata to the item so use a copy
+    return $REST.Web(url).Lists(list).Items().add(_.clone(item)).getInfo();
   }
 
   /**
-   * Update item to list
+   * Build the update item request
    *
    * @param {object} item The item to update, it must have ID
-   * @returns {Promise} Promise object with Axios response object
+   * @param {string} [etag=null] The expected ETag, by default any version is overwritten
+   * @returns {object} The gd-sprest request info object
+   * @memberof ListClient
    */
-  updateItem(item) {
-    // Write operation so confirm X-RequestDigest configured
-    this._requireDigest();
-
+  _updateItemRequest(item, etag = null) {
     if (_.isNil(item)) {
       throw new Error('item not specified');
     }
@@ -256,69 +535,1059 @@ class ListClient extends BaseClient {
     const updateitem = _.omit(item, ['ID']);
 
     const sprequest = $REST.Web(url).Lists(list).Items(itemid).update(updateitem).getInfo();
-
-    return this.callSharePointODATA(sprequest);
+    if (!_.isNil(etag)) {
+      sprequest.headers = { ...sprequest.headers, 'IF-MATCH': etag };
+    }
+    return sprequest;
   }
 
   /**
-   * Delete item from list
+   * Build the delete item request
+   *
+   * The recycle() method ignores the IF-MATCH header so the etag of a recycled item is
+   * not sent, check it first using _checkETag()
    *
    * @param {number} itemid The ID number of the item to delete
+   * @param {string} [etag=null] The expected ETag, by default any version is deleted
+   * @param {boolean} [recycle=true] Move the item to the recycle bin, false deletes it
+   * permanently
+   * @returns {object} The gd-sprest request info object
+   * @memberof ListClient
+   */
+  _deleteItemRequest(itemid, etag = null, recycle = true) {
+    if (_.isNil(itemid)) {
+      throw new Error('No ID specified');
+    }
+
+    const { url, list } = this.sharepoint;
+    if (recycle) {
+      return $REST.Web(url).Lists(list).Items(itemid).recycle().getInfo();
+    }
+
+    if (_.isNil(etag)) {
+      return $REST.Web(url).Lists(list).Items(itemid).delete().getInfo();
+    }
+
+    // deleteObject ignores the IF-MATCH header so DELETE the item instead
+    const sprequest = $REST.Web(url).Lists(list).Items(itemid).getInfo();
+    return {
+      ...sprequest,
+      method: 'POST',
+      headers: { ...sprequest.headers, 'X-HTTP-Method': 'DELETE', 'IF-MATCH': etag },
+    };
+  }
+
+  /**
+   * Check the item has not been changed since it was read, for the requests that ignore
+   * the IF-MATCH header
+   *
+   * @param {number} itemid The ID number of the item
+   * @param {string} [etag=null] The expected ETag, null or * matches any version
+   * @returns {Promise} Promise object that rejects with a ConflictError when the ETag differs
+   * @memberof ListClient
+   */
+  async _checkETag(itemid, etag = null) {
+    if (_.isNil(etag) || etag === '*') return;
+
+    const response = await this.getItemById(itemid, { Select: ['ID'] });
+    const current = getETag(accessSafe(() => response.data.d, {}));
+    if (current !== etag) {
+      throw new ConflictError(
+        `Item ${itemid} has been changed since it was read, ETag ${current} expected ${etag}`,
+        { status: 412, itemid, etag }
+      );
+    }
+  }
+
+  /**
+   * Are deleted items moved to the recycle bin, sharepoint.recycle defaults to true
+   *
+   * @returns {boolean}
+   * @memberof ListClient
+   */
+  _isRecycle() {
+    return _.defaultTo(this.sharepoint.recycle, true);
+  }
+
+  /**
+   * Add item to list
+   *
+   * @param {object} item The item to add, person values can be the email or login name
    * @returns {Promise} Promise object with Axios response object
    */
-  deleteItemById(itemid) {
+  async addItem(item) {
     // Write operation so confirm X-RequestDigest configured
     this._requireDigest();
 
-    if (_.isNil(itemid)) {
-      throw new Error('No ID specified');
+    const spitem = await this.getFieldConverter().resolvePeople(item);
+    return this.callSharePointODATA(this._addItemRequest(spitem));
+  }
+
+  /**
+   * Update item to list
+   *
+   * When the etag is specified the update fails with a ConflictError if the item has been
+   * changed since it was read. With the merge conflict policy the item is read again and
+   * if none of the updated fields were changed by someone else, compared to the original,
+   * the fields we changed are updated with the new ETag. Merge without the original fails.
+   *
+   * @param {object} item The item to update, it must have ID, person values can be the email
+   * or login name
+   * @param {object} [concurrency={}]
+   * @param {string} [concurrency.etag=null] The expected ETag, see getETag()
+   * @param {object} [concurrency.original=null] The item as it was read, required to merge
+   * @param {string} [concurrency.conflictpolicy] fail or merge, default sharepoint.conflictpolicy
+   * @param {number} [concurrency.retries] The merge retries, default sharepoint.conflictretries
+   * @returns {Promise} Promise object with Axios response object
+   */
+  async updateItem(item, concurrency = {}) {
+    // Write operation so confirm X-RequestDigest configured
+    this._requireDigest();
+
+    const {
+      etag = null,
+      original = null,
+      conflictpolicy = this.sharepoint.conflictpolicy || 'fail',
+      retries = _.defaultTo(this.sharepoint.conflictretries, 3),
+    } = concurrency;
+
+    if (!CONFLICT_POLICIES.includes(conflictpolicy)) {
+      throw new Error(
+        `Invalid conflict policy ${conflictpolicy}, expected ${CONFLICT_POLICIES.join(', ')}`
+      );
+    }
+    if (conflictpolicy === 'merge' && !_.isNil(etag) && _.isNil(original)) {
+      throw new Error(`The merge conflict policy requires the original of item ${item.ID}`);
     }
 
-    const { url, list } = this.sharepoint;
-    const sprequest = $REST.Web(url).Lists(list).Items(itemid).delete().getInfo();
+    const spitem = await this.getFieldConverter().resolvePeople(item);
+    try {
+      return await this.callSharePointODATA(this._updateItemRequest(spitem, etag));
+    } catch (err) {
+      if (!(err instanceof ConflictError)) throw err;
 
-    return this.callSharePointODATA(sprequest);
+      Object.assign(err, { itemid: spitem.ID, etag });
+      if (conflictpolicy !== 'merge' || _.isNil(original) || retries < 1) throw err;
+
+      // Only the fields we changed are merged, the others may have been changed since
+      const fields = getChangedFields(spitem, original);
+      const response = await this.getItemById(spitem.ID, { Select: ['ID', ...fields] });
+      const current = accessSafe(() => response.data.d, {});
+
+      err.conflicts = getConflictingFields(spitem, original, current);
+      if (err.conflicts.length > 0) throw err;
+
+      this.logger.warn(
+        `Item ${spitem.ID} changed since it was read, merging the update with ETag ${getETag(
+          current
+        )}`,
+        { label: 'updateItem' }
+      );
+
+      return this.updateItem(_.pick(spitem, ['ID', ...fields]), {
+        etag: getETag(current),
+        original: current,
+        conflictpolicy,
+        retries: retries - 1,
+      });
+    }
   }
 
   /**
-   * Upsert item to list
+   * Delete item from list, by default the item is moved to the recycle bin and the
+   * response data.d.Recycle is the recycle bin item ID
    *
-   * @param {object} item The item to add/update
-   * @param {string|string[]} lookup The field[s] on the item we try and match
+   * @param {number} itemid The ID number of the item to delete
+   * @param {object} [deleteOptions={}]
+   * @param {string} [deleteOptions.etag=null] The expected ETag, the delete fails with a
+   * ConflictError if the item has been changed since it was read
+   * @param {boolean} [deleteOptions.recycle=sharepoint.recycle] Move the item to the recycle
+   * bin, false deletes it permanently
    * @returns {Promise} Promise object with Axios response object
    */
-  async upsertItem(item, lookup = 'ID') {
+  async deleteItemById(itemid, deleteOptions = {}) {
     // Write operation so confirm X-RequestDigest configured
     this._requireDigest();
 
-    // eslint-disable-next-line no-async-promise-executor
-    return new Promise(async (resolve, reject) => {
-      const lookupArray = _.isNil(lookup) ? [] : _.castArray(lookup);
-
-      const defaultFilter = { Top: 1 };
-      const queryFilter = { Filter: this._buildFilter(item, lookupArray) };
-      const filter = _.merge({}, defaultFilter, queryFilter);
-
-      // Check for item
-      await this.getItems(filter)
-        .then(async (response) => {
-          if (accessSafe(() => response.data.d.results, []).length === 0) {
-            // Update
-            await this.addItem(_.omit(item, ['ID']))
-              .then((addResponse) => {
-                resolve(addResponse);
-              })
-              .catch((addErr) => reject(addErr));
-          }
-          const updateitem = _.merge({}, { ID: response.data.d.results[0].ID }, item);
-          await this.updateItem(updateitem)
-            .then((updateResponse) => {
-              resolve(updateResponse);
-            })
-            .catch((updateErr) => reject(updateErr));
-        })
-        .catch((err) => reject(err));
-    });
+    const { etag = null, recycle = this._isRecycle() } = deleteOptions;
+
+    try {
+      if (recycle) await this._checkETag(itemid, etag);
+      return await this.callSharePointODATA(this._deleteItemRequest(itemid, etag, recycle));
+    } catch (err) {
+      if (err instanceof ConflictError) Object.assign(err, { itemid, etag });
+      throw err;
+    }
+  }
+
+  /**
+   * Is the batch operation a delete that moves the item to the recycle bin
+   *
+   * @param {object} operation The operation
+   * @returns {boolean}
+   * @memberof ListClient
+   */
+  _isRecycleDelete(operation) {
+    return (
+      _.get(operation, 'action') === 'delete' && _.defaultTo(operation.recycle, this._isRecycle())
+    );
+  }
+
+  /**
+   * Build the request for a batch operation
+   *
+   * @param {object} operation The operation { action: 'add'|'update'|'delete', item, id }
+   * @returns {object} The gd-sprest request info object
+   * @memberof ListClient
+   */
+  _batchOperationRequest(operation) {
+    switch (accessSafe(() => operation.action, null)) {
+      case 'add':
+        return this._addItemRequest(operation.item);
+      case 'update':
+        return this._updateItemRequest(operation.item, operation.etag);
+      case 'delete':
+        return this._deleteItemRequest(
+          getOperationItemId(operation),
+          operation.etag,
+          _.defaultTo(operation.recycle, this._isRecycle())
+        );
+      default:
+        throw new Error(`Invalid batch action ${accessSafe(() => operation.action, null)}`);
+    }
+  }
+
+  /**
+   * Prepare the request for a batch operation, person values are resolved to user IDs and
+   * the ETag of a recycle delete is checked first as the recycle() method ignores IF-MATCH
+   *
+   * @param {object} operation The operation { action: 'add'|'update'|'delete', item, id }
+   * @returns {Promise} Promise object with the gd-sprest request info object
+   * @memberof ListClient
+   */
+  async _prepareBatchOperation(operation) {
+    const action = _.get(operation, 'action');
+    if ((action === 'add' || action === 'update') && _.isPlainObject(operation.item)) {
+      const item = await this.getFieldConverter().resolvePeople(operation.item);
+      return this._batchOperationRequest({ ...operation, item });
+    }
+    if (this._isRecycleDelete(operation)) {
+      await this._checkETag(getOperationItemId(operation), operation.etag);
+    }
+    return this._batchOperationRequest(operation);
+  }
+
+  /**
+   * Add, update and delete items using ODATA $batch requests.
+   * Each operation is reported separately so a failed operation does not hide the others.
+   *
+   * @param {object[]} operations The operations
+   * { action: 'add', item }, { action: 'update', item } or { action: 'delete', id },
+   * update and delete can specify the expected etag
+   * @param {number} [batchSize=MAX_BATCH_SIZE] The number of operations per $batch request
+   * @returns {Promise} Promise object with array of results in operation order
+   * { operation, ok, status, statusText, data, error }
+   */
+  async batch(operations, batchSize = MAX_BATCH_SIZE) {
+    // Write operation so confirm X-RequestDigest configured
+    this._requireDigest();
+
+    const size = _.clamp(batchSize, 1, MAX_BATCH_SIZE);
+    const results = [];
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const chunk of _.chunk(operations, size)) {
+      // eslint-disable-next-line no-await-in-loop
+      const prepared = await Promise.all(
+        chunk.map(async (operation) => {
+          try {
+            const sprequest = await this._prepareBatchOperation(operation);
+            return { operation, sprequest, error: null };
+          } catch (err) {
+            return { operation, sprequest: null, error: err.message };
+          }
+        })
+      );
+      const sprequests = prepared.filter((p) => _.isNil(p.error)).map((p) => p.sprequest);
+
+      let responses = [];
+      let batchError = null;
+      if (sprequests.length > 0) {
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          responses = await this.callSharePointBatch(sprequests);
+        } catch (err) {
+          batchError = err.message;
+        }
+      }
+
+      let responseIndex = 0;
+      prepared.forEach(({ operation, error }) => {
+        const result = {
+          operation,
+          ok: false,
+          status: null,
+          statusText: null,
+          data: null,
+          error,
+        };
+
+        if (_.isNil(error)) {
+          const response = responses[responseIndex];
+          responseIndex += 1;
+
+          if (!_.isNil(batchError) || _.isNil(response)) {
+            result.error = batchError || 'No response in $batch response';
+          } else {
+            result.status = response.status;
+            result.statusText = response.statusText;
+            result.data = accessSafe(() => response.data.d, null);
+            result.ok = response.status < 400;
+            if (!result.ok) {
+              result.error = accessSafe(
+                () => response.data.error.message.value,
+                `${response.status} ${response.statusText}`
+              );
+            }
+          }
+        }
+
+        results.push(result);
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Find the first item in the list that matches the item lookups
+   *
+   * @param {object} item The item with the lookup values
+   * @param {string|string[]} [lookup='ID'] The field[s] on the item we try and match
+   * @param {*} [itemFilter={}] The ODATA Query, used for Select and Expand
+   * @returns {Promise} Promise object with the matching item or null
+   * @memberof ListClient
+   */
+  async findItem(item, lookup = 'ID', itemFilter = {}) {
+    const lookupArray = _.isNil(lookup) ? [] : _.castArray(lookup);
+
+    const defaultFilter = { Top: 1 };
+    const queryFilter = { Filter: this._buildFilter(item, lookupArray) };
+    const filter = _.merge({}, itemFilter, defaultFilter, queryFilter);
+
+    const response = await this.getItems(filter);
+    return _.head(accessSafe(() => response.data.d.results, [])) || null;
+  }
+
+  /**
+   * Upsert item to list
+   *
+   * @param {object} item The item to add/update
+   * @param {string|string[]} lookup The field[s] on the item we try and match
+   * @returns {Promise} Promise object with Axios response object, data.d.ID is the ID of the
+   * added or updated item
+   */
+  async upsertItem(item, lookup = 'ID') {
+    // Write operation so confirm X-RequestDigest configured
+    this._requireDigest();
+
+    // Check for item
+    const existing = await this.findItem(item, lookup, { Select: ['ID'] });
+
+    if (_.isNull(existing)) {
+      // Add
+      return this.addItem(_.omit(item, ['ID']));
+    }
+
+    // Update
+    const updateitem = _.merge({}, { ID: existing.ID }, item);
+    const response = await this.updateItem(updateitem);
+    // The update responds 204 without the item, so the ID found by the lookup is returned
+    return { ...response, data: { d: { ID: updateitem.ID } } };
+  }
+
+  /**
+   * Run the bulk action, log the summary and write the report to the config output
+   *
+   * @param {string} action The action name
+   * @param {object[]} items The items
+   * @param {Function} task The async task, called with the item
+   * @param {Function} getId Get the item ID from the item and response
+   * @param {object} [bulkOptions={}]
+   * @param {number} [bulkOptions.concurrency] The maximum requests in flight,
+   * default bulk.concurrency
+   * @param {string} [bulkOptions.reportPath] The report file, default is based on the config output
+   * use null to not write the report
+   * @param {boolean} [bulkOptions.typed=false] Convert each item using the FieldConverter first
+   * @param {Function} [bulkOptions.getDetails] Get more result properties, see runBulk
+   * @returns {Promise} Promise object with the report
+   * @memberof ListClient
+   */
+  async _runBulk(action, items, task, getId, bulkOptions = {}) {
+    // Write operation so confirm X-RequestDigest configured
+    this._requireDigest();
+
+    const loggingOptions = {
+      label: `${action}Items`,
+    };
+
+    const { concurrency = this.bulk.concurrency, typed = false, getDetails = null } = bulkOptions;
+    // Converted per item so a conversion error is reported for that item only
+    const bulkTask = typed
+      ? async (item) => task(await this.getFieldConverter().toSharePoint(item))
+      : task;
+    const report = await runBulk(action, _.castArray(items), bulkTask, {
+      concurrency,
+      getId,
+      getDetails,
+    });
+
+    this.logger.info(
+      `Bulk ${action} complete. Items: ${report.total} Succeeded: ${report.succeeded} Failed: ${report.failed} Duration ms: ${report.timings.durationms}`,
+      loggingOptions
+    );
+
+    const reportPath = _.has(bulkOptions, 'reportPath')
+      ? bulkOptions.reportPath
+      : getBulkReportPath(this.output, action);
+
+    if (!_.isNil(reportPath)) {
+      await writeBulkReport(reportPath, report);
+      this.logger.info(`Bulk ${action} report written to ${reportPath}`, loggingOptions);
+    }
+
+    return report;
+  }
+
+  /**
+   * Add the items to the list, at most bulk.concurrency requests are in flight
+   * and a failed item does not stop the others
+   *
+   * @param {object[]} items The items to add
+   * @param {object} [bulkOptions={}] { concurrency, reportPath, typed }
+   * @returns {Promise} Promise object with the report { action, total, succeeded, failed,
+   * timings, results: [{ index, ID, ok, status, statusText, error, timings }] }
+   * @memberof ListClient
+   */
+  addItems(items, bulkOptions = {}) {
+    return this._runBulk(
+      'add',
+      items,
+      (item) => this.addItem(item),
+      (item, response) => accessSafe(() => response.data.d.ID, null),
+      bulkOptions
+    );
+  }
+
+  /**
+   * Update the items in the list, each item must have an ID
+   *
+   * @param {object[]} items The items to update
+   * @param {object} [bulkOptions={}] { concurrency, reportPath, typed, etags, originals,
+   * conflictpolicy }, when etags is true the __metadata.etag of each item is the expected ETag.
+   * The merge conflict policy requires the originals, the items as they were read.
+   * @returns {Promise} Promise object with the report
+   * @memberof ListClient
+   */
+  async updateItems(items, bulkOptions = {}) {
+    const {
+      etags = false,
+      originals = null,
+      conflictpolicy = this.sharepoint.conflictpolicy || 'fail',
+    } = bulkOptions;
+
+    if (etags && conflictpolicy === 'merge' && _.isNil(originals)) {
+      throw new Error(
+        'The merge conflict policy requires the originals, the items as they were read'
+      );
+    }
+
+    const originalsById = _.keyBy(_.castArray(originals || []), 'ID');
+    return this._runBulk(
+      'update',
+      items,
+      (item) =>
+        etags
+          ? this.updateItem(_.omit(item, ['__metadata']), {
+              etag: getETag(item),
+              original: _.get(originalsById, item.ID, null),
+              conflictpolicy,
+            })
+          : this.updateItem(item),
+      (item) => accessSafe(() => item.ID, null),
+      bulkOptions
+    );
+  }
+
+  /**
+   * Add or update the items in the list, matching on the lookup fields
+   *
+   * @param {object[]} items The items to add/update
+   * @param {string|string[]} [lookup='ID'] The field[s] on the item we try and match
+   * @param {object} [bulkOptions={}] { concurrency, reportPath, typed }
+   * @returns {Promise} Promise object with the report
+   * @memberof ListClient
+   */
+  upsertItems(items, lookup = 'ID', bulkOptions = {}) {
+    return this._runBulk(
+      'upsert',
+      items,
+      (item) => this.upsertItem(item, lookup),
+      (item, response) =>
+        accessSafe(
+          () => response.data.d.ID,
+          accessSafe(() => item.ID, null)
+        ) || null,
+      bulkOptions
+    );
+  }
+
+  /**
+   * Delete the items from the list, by default the items are moved to the recycle bin and
+   * the report has the RecycleBinItemId of each item
+   *
+   * @param {number[]|object[]} itemids The ID numbers of the items to delete, or the items
+   * @param {object} [bulkOptions={}] { concurrency, reportPath, recycle, etags }, when etags is
+   * true the items are passed and the __metadata.etag of each item is the expected ETag
+   * @returns {Promise} Promise object with the report
+   * @memberof ListClient
+   */
+  deleteItems(itemids, bulkOptions = {}) {
+    const { recycle = this._isRecycle(), etags = false } = bulkOptions;
+    const getItemId = (entry) => (_.isPlainObject(entry) ? _.get(entry, 'ID', null) : entry);
+    return this._runBulk(
+      'delete',
+      itemids,
+      (entry) =>
+        this.deleteItemById(getItemId(entry), {
+          recycle,
+          etag: etags ? getETag(entry) : null,
+        }),
+      getItemId,
+      {
+        ..._.omit(bulkOptions, ['typed', 'recycle', 'etags']),
+        getDetails: recycle
+          ? (entry, response) => ({
+              RecycleBinItemId: accessSafe(() => response.data.d.Recycle, null),
+            })
+          : null,
+      }
+    );
+  }
+
+  /**
+   * Get the recycle bin items deleted from the list, newest first
+   *
+   * @param {object} [recycleOptions={}] { scope, deletedBy, since, until } see getRecycleBinItems
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof ListClient
+   */
+  async getListRecycleBinItems(recycleOptions = {}) {
+    const { url, list } = this.sharepoint;
+
+    const sprequest = $REST
+      .Web(url)
+      .Lists(list)
+      .RootFolder()
+      .query({ Select: ['ServerRelativeUrl'] })
+      .getInfo();
+    const folder = await this.callSharePointODATA(sprequest);
+    const listUrl = _.toLower(_.trim(folder.data.d.ServerRelativeUrl, '/'));
+
+    // The recycle bins are per site so the items are matched on the folder they were deleted from
+    const response = await this.getRecycleBinItems(recycleOptions);
+    const results = response.data.d.results.filter((recycleBinItem) => {
+      const dirName = _.toLower(_.trim(recycleBinItem.DirName, '/'));
+      return dirName === listUrl || dirName.startsWith(`${listUrl}/`);
+    });
+
+    return { ...response, data: { d: { results } } };
+  }
+
+  /**
+   * Restore the recycle bin items
+   *
+   * @param {string[]} ids The recycle bin item IDs
+   * @param {object} [bulkOptions={}] { concurrency, reportPath, scope } the scope is web or site,
+   * see RECYCLE_BIN_SCOPES
+   * @returns {Promise} Promise object with the report
+   * @memberof ListClient
+   */
+  restoreRecycleBinItems(ids, bulkOptions = {}) {
+    const { scope = 'web' } = bulkOptions;
+    return this._runBulk(
+      'restore',
+      ids,
+      (id) => this.restoreRecycleBinItem(id, scope),
+      (id) => id,
+      _.omit(bulkOptions, ['typed', 'scope'])
+    );
+  }
+
+  /**
+   * Get the versions of the item, newest first, with the field values, editor and timestamp
+   * of each version. The values are in the getItemById format, lookup and person fields are
+   * the <Name>Id ID values, and only include the fields that can be restored.
+   *
+   * @param {number} itemid The ID number of the item
+   * @returns {Promise} Promise object with the versions [{ versionLabel, versionId,
+   * isCurrentVersion, created, editor: { id, title, email }, values }]
+   * @memberof ListClient
+   */
+  async getItemVersions(itemid) {
+    if (_.isNil(itemid)) {
+      throw new Error('No ID specified');
+    }
+
+    const { url, list } = this.sharepoint;
+
+    // gd-sprest has no item Versions so the item request is used
+    const sprequest = $REST.Web(url).Lists(list).Items(itemid).getInfo();
+    const [response, fields] = await Promise.all([
+      this.callSharePointODATA({ ...sprequest, url: `${sprequest.url}/Versions` }),
+      this.getFieldConverter().getFields(),
+    ]);
+
+    const versions = accessSafe(() => response.data.d.results, []).map((version) =>
+      formatVersion(version, _.values(fields))
+    );
+    return _.orderBy(versions, ['versionId'], ['desc']);
+  }
+
+  /**
+   * Find the version by label
+   *
+   * @param {object[]} versions The getItemVersions versions
+   * @param {number} itemid The ID number of the item
+   * @param {string} [versionLabel=null] The version label e.g. 2.0, the current version if null
+   * @returns {object} The version
+   * @memberof ListClient
+   */
+  // eslint-disable-next-line class-methods-use-this
+  _findVersion(versions, itemid, versionLabel = null) {
+    const version = _.isNil(versionLabel)
+      ? versions.find((candidate) => candidate.isCurrentVersion) || _.head(versions)
+      : versions.find((candidate) => candidate.versionLabel === `${versionLabel}`);
+
+    if (_.isUndefined(version)) {
+      throw new Error(`Item ${itemid} has no version ${_.defaultTo(versionLabel, 'current')}`);
+    }
+    return version;
+  }
+
+  /**
+   * Get the field level differences between two versions of the item
+   *
+   * @param {number} itemid The ID number of the item
+   * @param {string} fromLabel The older version label e.g. 1.0
+   * @param {string} [toLabel=null] The newer version label, the current version if null
+   * @returns {Promise} Promise object with { ID, from, to, changes: [{ field, from, to }] }
+   * @memberof ListClient
+   */
+  async compareItemVersions(itemid, fromLabel, toLabel = null) {
+    const versions = await this.getItemVersions(itemid);
+    const from = this._findVersion(versions, itemid, fromLabel);
+    const to = this._findVersion(versions, itemid, toLabel);
+
+    return {
+      ID: itemid,
+      from: from.versionLabel,
+      to: to.versionLabel,
+      changes: diffVersions(from.values, to.values),
+    };
+  }
+
+  /**
+   * Restore the field values of the item version. The fields changed since the version are
+   * updated, which creates a new version, and the update fails with a ConflictError if the
+   * item is changed while it is being restored.
+   *
+   * @param {number} itemid The ID number of the item
+   * @param {string} versionLabel The version label e.g. 2.0
+   * @returns {Promise} Promise object with { ID, versionLabel, changes: [{ field, from, to }] }
+   * the restored fields, none when the item already has the version values
+   * @memberof ListClient
+   */
+  async restoreItemVersion(itemid, versionLabel) {
+    // Write operation so confirm X-RequestDigest configured
+    this._requireDigest();
+
+    // The ETag is read first so any change after the versions are read is a conflict
+    const response = await this.getItemById(itemid, { Select: ['ID'] });
+    const etag = getETag(accessSafe(() => response.data.d, null));
+
+    const versions = await this.getItemVersions(itemid);
+    const version = this._findVersion(versions, itemid, versionLabel);
+    const changes = diffVersions(this._findVersion(versions, itemid).values, version.values);
+
+    if (changes.length > 0) {
+      const item = { ID: itemid, ..._.pick(version.values, _.map(changes, 'field')) };
+      await this.updateItem(item, { etag, conflictpolicy: 'fail' });
+      this.logger.info(
+        `Item ${itemid} restored to version ${version.versionLabel}, fields: ${_.map(
+          changes,
+          'field'
+        ).join(', ')}`,
+        { label: 'restoreItemVersion' }
+      );
+    }
+
+    return { ID: itemid, versionLabel: version.versionLabel, changes };
+  }
+
+  /**
+   * Get the gd-sprest securable object, the item or the list
+   *
+   * @param {number} [itemid=null] The ID number of the item, the list if null
+   * @returns {object}
+   * @memberof ListClient
+   */
+  _securable(itemid = null) {
+    const { url, list } = this.sharepoint;
+
+    const securable = $REST.Web(url).Lists(list);
+    return _.isNil(itemid) ? securable : securable.Items(itemid);
+  }
+
+  /**
+   * Give the item, or the list, its own permissions rather than inheriting them
+   *
+   * @param {number} [itemid=null] The ID number of the item, the list if null
+   * @param {object} [inheritanceOptions={}]
+   * @param {boolean} [inheritanceOptions.copyRoleAssignments=true] Start with a copy of the
+   * inherited role assignments, false starts with none
+   * @param {boolean} [inheritanceOptions.clearSubscopes=false] Reset the items of the list, or
+   * the child items, with their own permissions to inherit
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof ListClient
+   */
+  breakRoleInheritance(itemid = null, inheritanceOptions = {}) {
+    // Write operation so confirm X-RequestDigest configured
+    this._requireDigest();
+
+    const { copyRoleAssignments = true, clearSubscopes = false } = inheritanceOptions;
+
+    const sprequest = this._securable(itemid)
+      .breakRoleInheritance(copyRoleAssignments, clearSubscopes)
+      .getInfo();
+
+    return this.callSharePointODATA(sprequest);
+  }
+
+  /**
+   * Remove the permissions of the item, or the list, so it inherits them again
+   *
+   * @param {number} [itemid=null] The ID number of the item, the list if null
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof ListClient
+   */
+  resetRoleInheritance(itemid = null) {
+    // Write operation so confirm X-RequestDigest configured
+    this._requireDigest();
+
+    const sprequest = this._securable(itemid).resetRoleInheritance().getInfo();
+
+    return this.callSharePointODATA(sprequest);
+  }
+
+  /**
+   * Get the role assignments in effect on the item, or the list, which are the inherited
+   * role assignments unless it has its own
+   *
+   * @param {number} [itemid=null] The ID number of the item, the list if null
+   * @returns {Promise} Promise object with { ID, hasUniqueRoleAssignments, assignments:
+   * [{ principalId, principalType, title, loginName, email, roles }] }
+   * @memberof ListClient
+   */
+  async getRoleAssignments(itemid = null) {
+    const [securable, assignments] = await Promise.all([
+      this.callSharePointODATA(
+        this._securable(itemid)
+          .query({ Select: ['HasUniqueRoleAssignments'] })
+          .getInfo()
+      ),
+      this.callSharePointODATA(
+        this._securable(itemid)
+          .RoleAssignments()
+          .query({ Expand: ['Member', 'RoleDefinitionBindings'] })
+          .getInfo()
+      ),
+    ]);
+
+    return {
+      ID: itemid,
+      hasUniqueRoleAssignments: accessSafe(() => securable.data.d.HasUniqueRoleAssignments, null),
+      assignments: accessSafe(() => assignments.data.d.results, []).map(formatRoleAssignment),
+    };
+  }
+
+  /**
+   * Give the user or group the role on the item, or the list. The item must have its own
+   * permissions, see breakRoleInheritance.
+   *
+   * @param {number} itemid The ID number of the item, the list if null
+   * @param {object|number} principal { user } the email or login name, { group } the site
+   * group name or { principalId }, or the principal ID
+   * @param {string} role The role definition name e.g. Contribute
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof ListClient
+   */
+  async addRoleAssignment(itemid, principal, role) {
+    // Write operation so confirm X-RequestDigest configured
+    this._requireDigest();
+
+    const [principalId, roleDefId] = await Promise.all([
+      this.getPrincipalId(principal),
+      this.getRoleDefinitionId(role),
+    ]);
+
+    const sprequest = this._securable(itemid)
+      .RoleAssignments()
+      .addRoleAssignment(principalId, roleDefId)
+      .getInfo();
+
+    return this.callSharePointODATA(sprequest);
+  }
+
+  /**
+   * Remove the role of the user or group on the item, or the list
+   *
+   * @param {number} itemid The ID number of the item, the list if null
+   * @param {object|number} principal { user } the email or login name, { group } the site
+   * group name or { principalId }, or the principal ID
+   * @param {string} [role=null] The role definition name e.g. Contribute, all the roles of the
+   * user or group if null
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof ListClient
+   */
+  async removeRoleAssignment(itemid, principal, role = null) {
+    // Write operation so confirm X-RequestDigest configured
+    this._requireDigest();
+
+    const principalId = await this.getPrincipalId(principal);
+    const assignments = this._securable(itemid).RoleAssignments();
+
+    const sprequest = _.isEmpty(role)
+      ? assignments.getByPrincipalId(principalId).delete().getInfo()
+      : assignments
+          .removeRoleAssignment(principalId, await this.getRoleDefinitionId(role))
+          .getInfo();
+
+    return this.callSharePointODATA(sprequest);
+  }
+
+  /**
+   * Apply the permissions mapping of the item, or the list. Inheritance is broken first,
+   * then the role assignments are removed and then added.
+   *
+   * @param {object} mapping { ID, inherit, copyRoleAssignments, clearSubscopes, remove, add }
+   * see applyPermissions
+   * @returns {Promise} Promise object with the Axios response object of the last request
+   * @memberof ListClient
+   */
+  async _applyPermissions(mapping) {
+    const {
+      ID: itemid = null,
+      inherit = null,
+      copyRoleAssignments = true,
+      clearSubscopes = false,
+      remove = [],
+      add = [],
+    } = mapping;
+
+    if (inherit === true) {
+      if (!_.isEmpty(remove) || !_.isEmpty(add)) {
+        throw new Error(
+          'inherit true resets the permissions so can not be used with remove or add'
+        );
+      }
+      return this.resetRoleInheritance(itemid);
+    }
+
+    let response = null;
+    if (inherit === false) {
+      response = await this.breakRoleInheritance(itemid, { copyRoleAssignments, clearSubscopes });
+    }
+
+    // In order, a role can be removed and added again
+    // eslint-disable-next-line no-restricted-syntax
+    for (const assignment of _.castArray(remove)) {
+      // eslint-disable-next-line no-await-in-loop
+      response = await this.removeRoleAssignment(itemid, assignment, assignment.role);
+    }
+    // eslint-disable-next-line no-restricted-syntax
+    for (const assignment of _.castArray(add)) {
+      // eslint-disable-next-line no-await-in-loop
+      response = await this.addRoleAssignment(itemid, assignment, assignment.role);
+    }
+    return response;
+  }
+
+  /**
+   * Apply the permissions mappings, each mapping is applied in turn to its item, or the list
+   * when there is no ID
+   *
+   * @example
+   * listClient.applyPermissions([
+   *   {
+   *     ID: 12,
+   *     inherit: false,
+   *     copyRoleAssignments: false,
+   *     add: [
+   *       { user: 'owner@contoso.com', role: 'Contribute' },
+   *       { group: 'Course Admins', role: 'Full Control' },
+   *     ],
+   *   },
+   *   { ID: 13, remove: [{ user: 'leaver@contoso.com' }] },
+   *   { ID: 14, inherit: true },
+   * ]);
+   *
+   * @param {object[]} mappings [{ ID, inherit, copyRoleAssignments, clearSubscopes, remove,
+   * add }] inherit true resets the permissions, false breaks the inheritance. The remove and
+   * add role assignments are { user, group or principalId, role }, a remove without the role
+   * removes all the roles of the user or group.
+   * @param {object} [bulkOptions={}] { concurrency, reportPath }
+   * @returns {Promise} Promise object with the report
+   * @memberof ListClient
+   */
+  applyPermissions(mappings, bulkOptions = {}) {
+    return this._runBulk(
+      'permissions',
+      mappings,
+      (mapping) => this._applyPermissions(mapping),
+      (mapping) => _.get(mapping, 'ID', null),
+      _.omit(bulkOptions, ['typed'])
+    );
+  }
+
+  /**
+   * Get the attachments of an item
+   *
+   * @param {number} itemid The ID number of the item
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof ListClient
+   */
+  getAttachments(itemid) {
+    if (_.isNil(itemid)) {
+      throw new Error('No ID specified');
+    }
+
+    const { url, list } = this.sharepoint;
+    const sprequest = $REST.Web(url).Lists(list).Items(itemid).AttachmentFiles().getInfo();
+
+    return this.callSharePointODATA(sprequest);
+  }
+
+  /**
+   * Add an attachment to an item
+   *
+   * @param {number} itemid The ID number of the item
+   * @param {string} fileName The attachment file name
+   * @param {Buffer} content The attachment content
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof ListClient
+   */
+  addAttachment(itemid, fileName, content) {
+    // Write operation so confirm X-RequestDigest configured
+    this._requireDigest();
+
+    if (_.isNil(itemid)) {
+      throw new Error('No ID specified');
+    }
+
+    if (_.isNil(content)) {
+      throw new Error('content not specified');
+    }
+
+    const { url, list } = this.sharepoint;
+    const sprequest = $REST
+      .Web(url)
+      .Lists(list)
+      .Items(itemid)
+      .AttachmentFiles()
+      .add(this._escapeFileName(fileName), content)
+      .getInfo();
+
+    return this.callSharePointODATA(sprequest);
+  }
+
+  /**
+   * Add a local file as an attachment to an item
+   *
+   * @param {number} itemid The ID number of the item
+   * @param {string} path The local file path
+   * @param {string} [fileName] The attachment file name, defaults to the local file name
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof ListClient
+   */
+  async addAttachmentFromFile(itemid, path, fileName = Path.basename(path)) {
+    const content = await fs.promises.readFile(path);
+    return this.addAttachment(itemid, fileName, content);
+  }
+
+  /**
+   * Download an attachment of an item
+   *
+   * @param {number} itemid The ID number of the item
+   * @param {string} fileName The attachment file name
+   * @returns {Promise} Promise object with Axios response object, the data is a Buffer
+   * @memberof ListClient
+   */
+  downloadAttachment(itemid, fileName) {
+    if (_.isNil(itemid)) {
+      throw new Error('No ID specified');
+    }
+
+    if (_.isEmpty(fileName)) {
+      throw new Error('fileName not specified');
+    }
+
+    const { url, list } = this.sharepoint;
+    // gd-sprest doubles the quotes of the AttachmentFiles name so it is only url encoded
+    const sprequest = $REST
+      .Web(url)
+      .Lists(list)
+      .Items(itemid)
+      .AttachmentFiles(encodeURIComponent(fileName))
+      .getInfo();
+
+    return this.callSharePointODATA({
+      ...sprequest,
+      url: `${sprequest.url}/$value`,
+      responseType: 'arraybuffer',
+    });
+  }
+
+  /**
+   * Delete an attachment from an item
+   *
+   * @param {number} itemid The ID number of the item
+   * @param {string} fileName The attachment file name
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof ListClient
+   */
+  deleteAttachment(itemid, fileName) {
+    // Write operation so confirm X-RequestDigest configured
+    this._requireDigest();
+
+    if (_.isNil(itemid)) {
+      throw new Error('No ID specified');
+    }
+
+    if (_.isEmpty(fileName)) {
+      throw new Error('fileName not specified');
+    }
+
+    const { url, list } = this.sharepoint;
+    const sprequest = $REST
+      .Web(url)
+      .Lists(list)
+      .Items(itemid)
+      .AttachmentFiles(encodeURIComponent(fileName))
+      .delete()
+      .getInfo();
+
+    return this.callSharePointODATA(sprequest);
   }
 }
 
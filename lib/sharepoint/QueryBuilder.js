@@ -0,0 +1,425 @@
+const _ = require('lodash');
+
+/**
+ * Format the value as an ODATA literal, strings are quoted with any quotes doubled,
+ * booleans are 1 or 0 as SharePoint expects and dates are datetime literals
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+const formatValue = (value) => {
+  if (_.isNil(value)) return 'null';
+  if (_.isBoolean(value)) return value ? '1' : '0';
+  if (_.isNumber(value) && Number.isFinite(value)) return `${value}`;
+  if (_.isDate(value)) return `datetime'${value.toISOString()}'`;
+  if (_.isString(value)) return `'${value.replace(/'/g, "''")}'`;
+
+  throw new Error(`Unable to use the value '${value}' in a filter`);
+};
+
+/**
+ * Percent encode the characters that would otherwise end or change the query string,
+ * the request url is not encoded again before it is sent
+ *
+ * @param {string} filter The ODATA $filter
+ * @returns {string}
+ */
+const encodeFilter = (filter) => filter.replace(/[%&#+]/g, encodeURIComponent);
+
+/**
+ * Chainable ODATA query of the list items
+ *
+ * Conditions are joined in the order they are added and follow the ODATA precedence,
+ * and before or, pass a function to where, and or or to group conditions.
+ *
+ * @example
+ * listClient
+ *   .query()
+ *   .where('Modality').eq('READ')
+ *   .and('Title').startsWith('X')
+ *   .select('Title')
+ *   .orderBy('Modified', 'desc')
+ *   .top(500)
+ *   .all();
+ */
+class QueryBuilder {
+  /**
+   * Creates an instance of QueryBuilder.
+   * @param {ListClient} [listClient=null] The client used by the get, all and iterate terminals
+   * @memberof QueryBuilder
+   */
+  constructor(listClient = null) {
+    this.listClient = listClient;
+    this.conditions = [];
+    this.pending = null;
+    this.fields = [];
+    this.expands = [];
+    this.orders = [];
+    this.limit = null;
+  }
+
+  /**
+   * Start a condition on the field, or add the group of conditions built by the function
+   *
+   * @param {string|Function} field The field name, or (query) => query to build a group
+   * @param {string} [conjunction='and'] and or or
+   * @returns {QueryBuilder} this
+   * @memberof QueryBuilder
+   */
+  _start(field, conjunction = 'and') {
+    if (!_.isNull(this.pending)) {
+      throw new Error(`No comparison specified for the field '${this.pending.field}'`);
+    }
+
+    if (_.isFunction(field)) {
+      const group = field(new QueryBuilder()).toString();
+      if (!_.isEmpty(group)) this._add(conjunction, `(${group})`);
+      return this;
+    }
+
+    if (_.isEmpty(field)) {
+      throw new Error('field not specified');
+    }
+
+    this.pending = { field, conjunction };
+    return this;
+  }
+
+  /**
+   * Add the condition
+   *
+   * @param {string} conjunction and or or
+   * @param {string} condition
+   * @memberof QueryBuilder
+   */
+  _add(conjunction, condition) {
+    this.conditions.push(_.isEmpty(this.conditions) ? condition : `${conjunction} ${condition}`);
+  }
+
+  /**
+   * Complete the pending field condition
+   *
+   * @param {Function} build (field) => condition
+   * @returns {QueryBuilder} this
+   * @memberof QueryBuilder
+   */
+  _complete(build) {
+    if (_.isNull(this.pending)) {
+      throw new Error('No field specified, call where, and or or first');
+    }
+
+    const { field, conjunction } = this.pending;
+    this.pending = null;
+    this._add(conjunction, build(field));
+    return this;
+  }
+
+  /**
+   * Start the first condition
+   *
+   * @param {string|Function} field The field name, or (query) => query to build a group
+   * @returns {QueryBuilder} this
+   * @memberof QueryBuilder
+   */
+  where(field) {
+    return this._start(field, 'and');
+  }
+
+  /**
+   * Start a condition that must also match
+   *
+   * @param {string|Function} field The field name, or (query) => query to build a group
+   * @returns {QueryBuilder} this
+   * @memberof QueryBuilder
+   */
+  and(field) {
+    return this._start(field, 'and');
+  }
+
+  /**
+   * Start a condition that may match instead
+   *
+   * @param {string|Function} field The field name, or (query) => query to build a group
+   * @returns {QueryBuilder} this
+   * @memberof QueryBuilder
+   */
+  or(field) {
+    return this._start(field, 'or');
+  }
+
+  /**
+   * Compare the field to the value
+   *
+   * @param {string} operator eq, ne, gt, ge, lt or le
+   * @param {*} value
+   * @returns {QueryBuilder} this
+   * @memberof QueryBuilder
+   */
+  _compare(operator, value) {
+    return this._complete((field) => `${field} ${operator} ${formatValue(value)}`);
+  }
+
+  /**
+   * The field equals the value
+   *
+   * @param {*} value
+   * @returns {QueryBuilder} this
+   * @memberof QueryBuilder
+   */
+  eq(value) {
+    return this._compare('eq', value);
+  }
+
+  /**
+   * The field does not equal the value
+   *
+   * @param {*} value
+   * @returns {QueryBuilder} this
+   * @memberof QueryBuilder
+   */
+  ne(value) {
+    return this._compare('ne', value);
+  }
+
+  /**
+   * The field is greater than the value
+   *
+   * @param {*} value
+   * @returns {QueryBuilder} this
+   * @memberof QueryBuilder
+   */
+  gt(value) {
+    return this._compare('gt', value);
+  }
+
+  /**
+   * The field is greater than or equal to the value
+   *
+   * @param {*} value
+   * @returns {QueryBuilder} this
+   * @memberof QueryBuilder
+   */
+  ge(value) {
+    return this._compare('ge', value);
+  }
+
+  /**
+   * The field is less than the value
+   *
+   * @param {*} value
+   * @returns {QueryBuilder} this
+   * @memberof QueryBuilder
+   */
+  lt(value) {
+    return this._compare('lt', value);
+  }
+
+  /**
+   * The field is less than or equal to the value
+   *
+   * @param {*} value
+   * @returns {QueryBuilder} this
+   * @memberof QueryBuilder
+   */
+  le(value) {
+    return this._compare('le', value);
+  }
+
+  /**
+   * The field starts with the value
+   *
+   * @param {string} value
+   * @returns {QueryBuilder} this
+   * @memberof QueryBuilder
+   */
+  startsWith(value) {
+    return this._complete((field) => `startswith(${field},${formatValue(`${value}`)})`);
+  }
+
+  /**
+   * The field contains the value
+   *
+   * @param {string} value
+   * @returns {QueryBuilder} this
+   * @memberof QueryBuilder
+   */
+  contains(value) {
+    return this._complete((field) => `substringof(${formatValue(`${value}`)},${field})`);
+  }
+
+  /**
+   * The field equals one of the values
+   *
+   * @param {Array} values
+   * @returns {QueryBuilder} this
+   * @memberof QueryBuilder
+   */
+  in(values) {
+    if (_.isEmpty(values)) {
+      throw new Error('values not specified');
+    }
+
+    return this._complete((field) => {
+      const conditions = _.castArray(values).map((value) => `${field} eq ${formatValue(value)}`);
+      return conditions.length === 1 ? conditions[0] : `(${conditions.join(' or ')})`;
+    });
+  }
+
+  /**
+   * The field has no value
+   *
+   * @returns {QueryBuilder} this
+   * @memberof QueryBuilder
+   */
+  isNull() {
+    return this.eq(null);
+  }
+
+  /**
+   * The field has a value
+   *
+   * @returns {QueryBuilder} this
+   * @memberof QueryBuilder
+   */
+  isNotNull() {
+    return this.ne(null);
+  }
+
+  /**
+   * Add the fields to $select, ID is always selected
+   *
+   * @param {...string} fields
+   * @returns {QueryBuilder} this
+   * @memberof QueryBuilder
+   */
+  select(...fields) {
+    this.fields = _.uniq([...this.fields, ..._.flatten(fields)]);
+    return this;
+  }
+
+  /**
+   * Add the fields to $expand
+   *
+   * @param {...string} fields
+   * @returns {QueryBuilder} this
+   * @memberof QueryBuilder
+   */
+  expand(...fields) {
+    this.expands = _.uniq([...this.expands, ..._.flatten(fields)]);
+    return this;
+  }
+
+  /**
+   * Add the field to $orderby
+   *
+   * @param {string} field
+   * @param {string} [direction='asc'] asc or desc
+   * @returns {QueryBuilder} this
+   * @memberof QueryBuilder
+   */
+  orderBy(field, direction = 'asc') {
+    const order = _.toLower(direction);
+    if (!['asc', 'desc'].includes(order)) {
+      throw new Error(`Invalid order direction '${direction}', expected asc or desc`);
+    }
+
+    this.orders.push(`${field} ${order}`);
+    return this;
+  }
+
+  /**
+   * Set the maximum number of items per request
+   *
+   * @param {number} count
+   * @returns {QueryBuilder} this
+   * @memberof QueryBuilder
+   */
+  top(count) {
+    this.limit = count;
+    return this;
+  }
+
+  /**
+   * Get the $filter
+   *
+   * @returns {string}
+   * @memberof QueryBuilder
+   */
+  toString() {
+    if (!_.isNull(this.pending)) {
+      throw new Error(`No comparison specified for the field '${this.pending.field}'`);
+    }
+    return this.conditions.join(' ');
+  }
+
+  /**
+   * Get the ODATA query object used by the ListClient getItems
+   *
+   * @returns {object} { Filter, Select, Expand, OrderBy, Top }
+   * @memberof QueryBuilder
+   */
+  toQuery() {
+    const query = {};
+    const filter = this.toString();
+
+    if (!_.isEmpty(filter)) query.Filter = encodeFilter(filter);
+    if (!_.isEmpty(this.fields)) query.Select = _.uniq(['ID', ...this.fields]);
+    if (!_.isEmpty(this.expands)) query.Expand = [...this.expands];
+    if (!_.isEmpty(this.orders)) query.OrderBy = [...this.orders];
+    if (!_.isNull(this.limit)) query.Top = this.limit;
+
+    return query;
+  }
+
+  /**
+   * Get the list client of the terminals
+   *
+   * @returns {ListClient}
+   * @memberof QueryBuilder
+   */
+  _requireClient() {
+    if (_.isNull(this.listClient)) {
+      throw new Error('listClient not specified, use listClient.query()');
+    }
+    return this.listClient;
+  }
+
+  /**
+   * Get the first page of items
+   *
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof QueryBuilder
+   */
+  get() {
+    return this._requireClient().getItems(this.toQuery());
+  }
+
+  /**
+   * Get all the items, following the __next links
+   *
+   * @returns {Promise} Promise object with Axios response object
+   * @memberof QueryBuilder
+   */
+  all() {
+    return this._requireClient().getAllItems(this.toQuery());
+  }
+
+  /**
+   * Iterate the items, following the __next links
+   *
+   * @example
+   * for await (const item of listClient.query().where('Title').eq('X').iterate()) { ... }
+   *
+   * @returns {AsyncGenerator} The items
+   * @memberof QueryBuilder
+   */
+  iterate() {
+    return this._requireClient().iterateItems(this.toQuery());
+  }
+}
+
+module.exports = {
+  QueryBuilder,
+  encodeFilter,
+  formatValue,
+};
@@ -0,0 +1,130 @@
+const _ = require('lodash');
+
+const { NotFoundError } = require('./errors');
+
+/**
+ * Is the value an email address rather than a login name
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isEmail = (value) => /^[^\s@|]+@[^\s@|]+$/.test(value);
+
+/**
+ * Resolves people between the email or login name and the site user ID, the results are
+ * cached for the life of the resolver. Emails are looked up in the site users first,
+ * anything else is added to the site using ensureuser.
+ */
+class UserResolver {
+  /**
+   * Creates an instance of UserResolver.
+   * @param {BaseClient} client The client used to call SharePoint
+   * @memberof UserResolver
+   */
+  constructor(client) {
+    if (_.isNil(client)) {
+      throw new Error('client not specified');
+    }
+
+    this.client = client;
+    this.ids = new Map();
+    this.values = new Map();
+  }
+
+  /**
+   * Find the site user of the email or login name
+   *
+   * @param {string} value The email or login name
+   * @returns {Promise} Promise object with the site user
+   * @memberof UserResolver
+   */
+  async _findUser(value) {
+    if (isEmail(value)) {
+      try {
+        const response = await this.client.getSiteUserByEmail(value);
+        return response.data.d;
+      } catch (err) {
+        // Not yet a site user, ensureuser adds the user from the directory
+        if (!(err instanceof NotFoundError)) throw err;
+      }
+    }
+
+    try {
+      const response = await this.client.ensureUser(value);
+      return response.data.d;
+    } catch (err) {
+      // SharePoint responds 500 when the user is not in the directory
+      if (err.status === 500 && /could not be found/i.test(err.message)) {
+        throw new NotFoundError(err.message, err);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Get the site user ID of the email or login name
+   *
+   * @param {string} value The email or login name
+   * @returns {Promise} Promise object with the user ID, rejected when the user can not be found
+   * @memberof UserResolver
+   */
+  getUserId(value) {
+    const key = _.toLower(_.trim(value));
+    if (_.isEmpty(key)) {
+      return Promise.reject(new Error('Unable to resolve an empty person value'));
+    }
+
+    if (!this.ids.has(key)) {
+      // The promise is cached so concurrent lookups and users not found are only looked up
+      // once, other errors are not cached so the next lookup tries again
+      const lookup = this._findUser(key).then(
+        (user) => {
+          this.values.set(user.Id, user.Email || user.LoginName);
+          return user.Id;
+        },
+        (err) => {
+          if (!(err instanceof NotFoundError)) this.ids.delete(key);
+          throw new Error(`Unable to resolve the person '${value}'. ${err.message}`);
+        }
+      );
+      this.ids.set(key, lookup);
+    }
+    return this.ids.get(key);
+  }
+
+  /**
+   * Get the email, or login name when there is no email, of the site user ID
+   *
+   * @param {number} id The site user ID
+   * @returns {Promise} Promise object with the email or login name, the ID when the user
+   * no longer exists
+   * @memberof UserResolver
+   */
+  async getUserValue(id) {
+    if (!this.values.has(id)) {
+      try {
+        const response = await this.client.getSiteUserById(id);
+        const user = response.data.d;
+        this.values.set(id, user.Email || user.LoginName);
+      } catch (err) {
+        if (!(err instanceof NotFoundError)) throw err;
+        this.values.set(id, id);
+      }
+    }
+    return this.values.get(id);
+  }
+
+  /**
+   * Clear the cached users
+   *
+   * @memberof UserResolver
+   */
+  clearCache() {
+    this.ids.clear();
+    this.values.clear();
+  }
+}
+
+module.exports = {
+  UserResolver,
+};
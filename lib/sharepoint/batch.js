@@ -0,0 +1,152 @@
+const _ = require('lodash');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Maximum number of requests in a single $batch request
+ */
+const MAX_BATCH_SIZE = 100;
+
+/**
+ * Build the $batch request, each write request is placed in its own changeset
+ * so a failure is reported for that request only
+ *
+ * @param {string} url The Sharepoint Site Url
+ * @param {object[]} sprequests The gd-sprest request info objects { url, method, headers, data }
+ * @returns {object} The $batch request info object
+ */
+const buildBatchRequest = (url, sprequests) => {
+  const batchBoundary = `batch_${uuidv4()}`;
+  const lines = [];
+
+  sprequests.forEach((sprequest) => {
+    const changesetBoundary = `changeset_${uuidv4()}`;
+    const headers = _.omit(sprequest.headers, ['X-RequestDigest']);
+
+    lines.push(`--${batchBoundary}`);
+    lines.push(`Content-Type: multipart/mixed; boundary="${changesetBoundary}"`);
+    lines.push('Content-Transfer-Encoding: binary');
+    lines.push('');
+    lines.push(`--${changesetBoundary}`);
+    lines.push('Content-Type: application/http');
+    lines.push('Content-Transfer-Encoding: binary');
+    lines.push('');
+    lines.push(`POST ${sprequest.url} HTTP/1.1`);
+    _.forEach(headers, (value, name) => lines.push(`${name}: ${value}`));
+    lines.push('');
+    if (!_.isNil(sprequest.data)) {
+      lines.push(_.isString(sprequest.data) ? sprequest.data : JSON.stringify(sprequest.data));
+    }
+    lines.push('');
+    lines.push(`--${changesetBoundary}--`);
+    lines.push('');
+  });
+
+  lines.push(`--${batchBoundary}--`);
+  lines.push('');
+
+  return {
+    url: `${_.trimEnd(url, '/')}/_api/$batch`,
+    method: 'POST',
+    headers: {
+      Accept: 'application/json;odata=verbose',
+      'Content-Type': `multipart/mixed; boundary="${batchBoundary}"`,
+    },
+    data: lines.join('\r\n'),
+    responseType: 'text',
+  };
+};
+
+/**
+ * Parse the body of a response within the $batch response
+ *
+ * @param {string} body
+ * @returns {*} The parsed JSON, or the body if not JSON
+ */
+const parseBody = (body) => {
+  if (_.isEmpty(body)) return null;
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return body;
+  }
+};
+
+/**
+ * Parse the $batch multipart response into the individual responses
+ *
+ * @param {string} data The $batch response body
+ * @returns {object[]} The responses in request order { status, statusText, headers, data }
+ */
+const parseBatchResponse = (data) => {
+  const responses = [];
+  const lines = `${data || ''}`.split(/\r?\n/);
+
+  let current = null;
+  let state = 'boundary';
+
+  const complete = () => {
+    if (!_.isNull(current)) {
+      current.data = parseBody(_.trim(current.body.join('\n')));
+      responses.push(_.omit(current, ['body']));
+      current = null;
+    }
+  };
+
+  lines.forEach((line) => {
+    // Any boundary ends the current response
+    if (line.startsWith('--batchresponse_') || line.startsWith('--changesetresponse_')) {
+      complete();
+      state = 'boundary';
+      return;
+    }
+
+    const statusMatch = state === 'boundary' && line.match(/^HTTP\/\d\.\d (\d{3}) ?(.*)$/);
+    if (statusMatch) {
+      current = {
+        status: _.toNumber(statusMatch[1]),
+        statusText: statusMatch[2],
+        headers: {},
+        body: [],
+      };
+      state = 'headers';
+      return;
+    }
+
+    if (state === 'headers') {
+      if (line === '') {
+        state = 'body';
+        return;
+      }
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        current.headers[line.slice(0, separator).trim().toLowerCase()] = line
+          .slice(separator + 1)
+          .trim();
+      }
+      return;
+    }
+
+    if (state === 'body') {
+      current.body.push(line);
+    }
+  });
+  complete();
+
+  return responses;
+};
+
+/**
+ * Get the ID number of the item of a batch operation, the id or the item ID
+ *
+ * @param {object} operation The operation { action, item, id }
+ * @returns {number} The ID number, or null
+ */
+const getOperationItemId = (operation) =>
+  _.isNil(operation.id) ? _.get(operation, 'item.ID', null) : operation.id;
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  buildBatchRequest,
+  getOperationItemId,
+  parseBatchResponse,
+};
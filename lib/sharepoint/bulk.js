@@ -0,0 +1,127 @@
+const fs = require('fs');
+const Path = require('path');
+const _ = require('lodash');
+const stringifySafe = require('json-stringify-safe');
+const { accessSafe } = require('access-safe');
+
+/**
+ * Default number of bulk requests in flight at the same time
+ */
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Call the task for each item with at most concurrency tasks running at the same time
+ *
+ * @param {object[]} items
+ * @param {number} concurrency The maximum number of running tasks
+ * @param {Function} task The async task, called with the item and index
+ * @returns {Promise} Promise object with the array of results in item order
+ */
+const mapConcurrent = async (items, concurrency, task) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      // eslint-disable-next-line no-await-in-loop
+      results[index] = await task(items[index], index);
+    }
+  };
+
+  const workers = _.clamp(_.toInteger(concurrency) || 1, 1, Math.max(items.length, 1));
+  await Promise.all(_.times(workers, worker));
+  return results;
+};
+
+/**
+ * Run the bulk action for each item and report the outcome of each item,
+ * a failed item does not stop the others
+ *
+ * @param {string} action The action name e.g. add
+ * @param {object[]} items The items
+ * @param {Function} task The async task, called with the item, returns the Axios response object
+ * @param {object} [bulkOptions={}]
+ * @param {number} [bulkOptions.concurrency=DEFAULT_CONCURRENCY] The maximum requests in flight
+ * @param {Function} [bulkOptions.getId] Get the item ID from the item and response
+ * @param {Function} [bulkOptions.getDetails] Get more result properties from the item and
+ * response of a successful item
+ * @returns {Promise} Promise object with the report { action, total, succeeded, failed,
+ * timings, results: [{ index, ID, ok, status, statusText, error, timings }] }
+ */
+const runBulk = async (action, items, task, bulkOptions = {}) => {
+  const { concurrency = DEFAULT_CONCURRENCY, getId = () => null, getDetails = null } = bulkOptions;
+  const started = new Date();
+
+  const results = await mapConcurrent(items, concurrency, async (item, index) => {
+    const sent = new Date();
+    const result = { index, ID: null, ok: false, status: null, statusText: null, error: null };
+
+    try {
+      const response = await task(item);
+      result.ok = true;
+      result.status = accessSafe(() => response.status, null);
+      result.statusText = accessSafe(() => response.statusText, null);
+      result.ID = getId(item, response);
+      if (_.isFunction(getDetails)) Object.assign(result, getDetails(item, response));
+    } catch (err) {
+      result.ID = getId(item, null);
+      result.status = accessSafe(() => err.status, null);
+      result.statusText = accessSafe(() => err.statusText, null);
+      result.error = err.message;
+    }
+
+    const received = new Date();
+    result.timings = { sent, received, durationms: received - sent };
+    return result;
+  });
+
+  const finished = new Date();
+  const succeeded = results.filter((result) => result.ok).length;
+
+  return {
+    action,
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    timings: { started, finished, durationms: finished - started },
+    results,
+  };
+};
+
+/**
+ * Get the bulk report path using the config output.path and output.filename
+ * e.g. results/20210101_120000_results_add.json
+ *
+ * @param {object} output The config output options
+ * @param {string} action The action name
+ * @returns {string} The path or null if output.path is not set
+ */
+const getBulkReportPath = (output, action) => {
+  const { path = null, filename = null } = output || {};
+  if (_.isNil(path) || _.isNil(filename)) return null;
+
+  const { name } = Path.parse(filename);
+  return Path.join(path, `${name}_${action}.json`);
+};
+
+/**
+ * Write the bulk report to the file as JSON
+ *
+ * @param {string} path The file path
+ * @param {object} report The bulk report
+ * @returns {Promise}
+ */
+const writeBulkReport = async (path, report) => {
+  await fs.promises.mkdir(Path.dirname(path), { recursive: true });
+  await fs.promises.writeFile(path, stringifySafe(report, null, 2), 'utf8');
+};
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  getBulkReportPath,
+  mapConcurrent,
+  runBulk,
+  writeBulkReport,
+};
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const Path = require('path');
+const _ = require('lodash');
+
+/**
+ * The SP.ChangeType values of the item changes
+ */
+const CHANGE_TYPES = {
+  Add: 1,
+  Update: 2,
+  DeleteObject: 3,
+  Restore: 7,
+};
+
+/**
+ * Default number of changes in each GetChanges request
+ */
+const DEFAULT_FETCH_LIMIT = 1000;
+
+/**
+ * Reduce the SP.ChangeItem changes, oldest first, to the added, updated and deleted item IDs.
+ * An item added then updated is added, and an item deleted is deleted whatever came before.
+ *
+ * @param {object[]} changes The SP.ChangeItem changes
+ * @returns {object} { added, updated, deleted } the item IDs
+ */
+const summarizeChanges = (changes) => {
+  const states = new Map();
+
+  changes.forEach(({ ChangeType: changeType, ItemId: itemid }) => {
+    const state = states.get(itemid);
+    switch (changeType) {
+      case CHANGE_TYPES.Add:
+      case CHANGE_TYPES.Restore:
+        states.set(itemid, 'added');
+        break;
+      case CHANGE_TYPES.Update:
+        states.set(itemid, state === 'added' ? 'added' : 'updated');
+        break;
+      case CHANGE_TYPES.DeleteObject:
+        states.set(itemid, 'deleted');
+        break;
+      default:
+    }
+  });
+
+  const ids = (type) =>
+    _.sortBy([...states.keys()].filter((itemid) => states.get(itemid) === type));
+  return { added: ids('added'), updated: ids('updated'), deleted: ids('deleted') };
+};
+
+/**
+ * Get the change token path using the config output.path, one file for each list
+ * e.g. results/Courses_changetoken.json
+ *
+ * @param {object} output The config output options
+ * @param {string} list The list title
+ * @returns {string} The path or null if output.path is not set
+ */
+const getChangeTokenPath = (output, list) => {
+  const { path = null } = output || {};
+  if (_.isNil(path)) return null;
+
+  return Path.join(path, `${`${list}`.replace(/[^\w.-]/g, '_')}_changetoken.json`);
+};
+
+/**
+ * Read the saved change token
+ *
+ * @param {string} path The file path
+ * @returns {Promise} Promise object with the change token, null when none has been saved
+ */
+const readChangeToken = async (path) => {
+  try {
+    const saved = JSON.parse(await fs.promises.readFile(path, 'utf8'));
+    return _.get(saved, 'token', null);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+};
+
+/**
+ * Save the change token
+ *
+ * @param {string} path The file path
+ * @param {string} token The change token
+ * @param {object} [details={}] Saved with the token e.g. the list and url
+ * @returns {Promise}
+ */
+const writeChangeToken = async (path, token, details = {}) => {
+  await fs.promises.mkdir(Path.dirname(path), { recursive: true });
+  const saved = { ...details, token, saved: new Date().toISOString() };
+  await fs.promises.writeFile(path, JSON.stringify(saved, null, 2), 'utf8');
+};
+
+module.exports = {
+  CHANGE_TYPES,
+  DEFAULT_FETCH_LIMIT,
+  getChangeTokenPath,
+  readChangeToken,
+  summarizeChanges,
+  writeChangeToken,
+};
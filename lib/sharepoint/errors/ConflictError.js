@@ -0,0 +1,28 @@
+const _ = require('lodash');
+
+const { SharePointError } = require('./SharePointError');
+
+/**
+ * The item has been changed since it was read, the ETag did not match, http status 409 or 412
+ */
+class ConflictError extends SharePointError {
+  /**
+   * Creates an instance of ConflictError.
+   * @param {string} message The error message
+   * @param {object} [details={}] See SharePointError
+   * @param {number} [details.itemid] The ID number of the item
+   * @param {string} [details.etag] The expected ETag
+   * @param {string[]} [details.conflicts] The fields changed by us and someone else
+   * @memberof ConflictError
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.itemid = _.defaultTo(details.itemid, null);
+    this.etag = _.defaultTo(details.etag, null);
+    this.conflicts = _.defaultTo(details.conflicts, []);
+  }
+}
+
+module.exports = {
+  ConflictError,
+};
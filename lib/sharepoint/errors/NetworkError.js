@@ -0,0 +1,10 @@
+const { SharePointError } = require('./SharePointError');
+
+/**
+ * No response was received e.g. the connection was reset or timed out
+ */
+class NetworkError extends SharePointError {}
+
+module.exports = {
+  NetworkError,
+};
@@ -0,0 +1,10 @@
+const { SharePointError } = require('./SharePointError');
+
+/**
+ * The item, list, file or user does not exist, http status 404
+ */
+class NotFoundError extends SharePointError {}
+
+module.exports = {
+  NotFoundError,
+};
@@ -0,0 +1,39 @@
+const _ = require('lodash');
+
+/**
+ * An error calling the SharePoint API, the base of the typed SharePoint errors
+ */
+class SharePointError extends Error {
+  /**
+   * Creates an instance of SharePointError.
+   * @param {string} message The SharePoint error message, or the error message
+   * @param {object} [details={}]
+   * @param {number} [details.status] The http status
+   * @param {string} [details.statusText] The http status text
+   * @param {string} [details.code] The SharePoint error code
+   * e.g. -2130575338, Microsoft.SharePoint.SPException, or the network error code
+   * @param {string} [details.correlationid] The SPRequestGuid, or the request correlation id
+   * @param {string} [details.url] The request url
+   * @param {string} [details.method] The request method
+   * @param {*} [details.response] The response data
+   * @param {object} [details.sperr] The SharePoint error { code, message: { value } }
+   * @memberof SharePointError
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+
+    this.status = _.defaultTo(details.status, null);
+    this.statusText = _.defaultTo(details.statusText, null);
+    this.code = _.defaultTo(details.code, null);
+    this.correlationid = _.defaultTo(details.correlationid, null);
+    this.url = _.defaultTo(details.url, null);
+    this.method = _.defaultTo(details.method, null);
+    this.response = _.defaultTo(details.response, null);
+    this.sperr = _.defaultTo(details.sperr, null);
+  }
+}
+
+module.exports = {
+  SharePointError,
+};
@@ -0,0 +1,24 @@
+const _ = require('lodash');
+
+const { SharePointError } = require('./SharePointError');
+
+/**
+ * SharePoint is throttling the requests and the retries were exhausted, http status 429 or 503
+ */
+class ThrottledError extends SharePointError {
+  /**
+   * Creates an instance of ThrottledError.
+   * @param {string} message The error message
+   * @param {object} [details={}] See SharePointError
+   * @param {number} [details.retryAfter] The ms the server asked us to wait
+   * @memberof ThrottledError
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfter = _.defaultTo(details.retryAfter, null);
+  }
+}
+
+module.exports = {
+  ThrottledError,
+};
@@ -0,0 +1,10 @@
+const { SharePointError } = require('./SharePointError');
+
+/**
+ * The request is not authenticated or not allowed, http status 401 or 403
+ */
+class UnauthorizedError extends SharePointError {}
+
+module.exports = {
+  UnauthorizedError,
+};
@@ -0,0 +1,10 @@
+const { SharePointError } = require('./SharePointError');
+
+/**
+ * The request is invalid e.g. an invalid field name, http status 400
+ */
+class ValidationError extends SharePointError {}
+
+module.exports = {
+  ValidationError,
+};
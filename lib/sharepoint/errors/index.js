@@ -0,0 +1,72 @@
+const _ = require('lodash');
+const { accessSafe } = require('access-safe');
+
+const { getRetryAfter } = require('../../adaptiveRateLimit');
+const { ConflictError } = require('./ConflictError');
+const { NetworkError } = require('./NetworkError');
+const { NotFoundError } = require('./NotFoundError');
+const { SharePointError } = require('./SharePointError');
+const { ThrottledError } = require('./ThrottledError');
+const { UnauthorizedError } = require('./UnauthorizedError');
+const { ValidationError } = require('./ValidationError');
+
+/**
+ * The error class of each http status
+ */
+const STATUS_ERRORS = {
+  400: ValidationError,
+  401: UnauthorizedError,
+  403: UnauthorizedError,
+  404: NotFoundError,
+  409: ConflictError,
+  412: ConflictError,
+  429: ThrottledError,
+  503: ThrottledError,
+};
+
+/**
+ * Create the typed SharePoint error of the Axios error, the message is the SharePoint
+ * error message when there is one
+ *
+ * @param {Error} err The Axios error
+ * @returns {SharePointError}
+ */
+const createSharePointError = (err) => {
+  const { response = null, config = {} } = err;
+  const sperr = accessSafe(() => response.data.error, null);
+
+  const details = {
+    status: accessSafe(() => response.status, null),
+    statusText: accessSafe(() => response.statusText, null),
+    code: accessSafe(() => sperr.code, null) || err.code,
+    correlationid: accessSafe(() => response.headers.sprequestguid, null) || config.correlationid,
+    url: config.url,
+    method: _.toUpper(accessSafe(() => config.headers['X-HTTP-Method'], null) || config.method),
+    response: accessSafe(() => response.data, null),
+    sperr,
+  };
+  const message = accessSafe(() => sperr.message.value, null) || err.message;
+
+  let sharePointError = null;
+  if (_.isNull(response)) {
+    sharePointError = new NetworkError(message, details);
+  } else {
+    const ErrorType = STATUS_ERRORS[details.status] || SharePointError;
+    sharePointError = new ErrorType(message, { ...details, retryAfter: getRetryAfter(err) });
+  }
+
+  if (err.stack != null) sharePointError.stack = err.stack;
+  if (err.errno != null) sharePointError.errno = err.errno;
+  return sharePointError;
+};
+
+module.exports = {
+  ConflictError,
+  NetworkError,
+  NotFoundError,
+  SharePointError,
+  ThrottledError,
+  UnauthorizedError,
+  ValidationError,
+  createSharePointError,
+};
@@ -0,0 +1,53 @@
+const _ = require('lodash');
+
+/**
+ * The conflict policies
+ * fail - the update fails with a ConflictError
+ * merge - the item is read again and when none of the updated fields were changed by
+ * someone else the fields we changed are updated with the new ETag
+ */
+const CONFLICT_POLICIES = ['fail', 'merge'];
+
+/**
+ * Get the ETag of the item read from SharePoint
+ *
+ * @param {object} item The item
+ * @returns {string} The ETag or null
+ */
+const getETag = (item) => _.get(item, ['__metadata', 'etag'], null) || null;
+
+/**
+ * Get the fields we are changing, the values being written that differ from the item as it
+ * was read
+ *
+ * @param {object} item The values being written
+ * @param {object} original The item as it was read
+ * @returns {string[]} The changed field names
+ */
+const getChangedFields = (item, original) =>
+  _.keys(_.omit(item, ['ID', '__metadata'])).filter(
+    (field) => !_.isEqual(_.get(item, field), _.get(original, field))
+  );
+
+/**
+ * Get the fields that were changed by us and by someone else, a field is only a conflict
+ * when the current value is neither the value we read nor the value we are writing
+ *
+ * @param {object} item The values being written
+ * @param {object} original The item as it was read
+ * @param {object} current The item as it is now
+ * @returns {string[]} The conflicting field names
+ */
+const getConflictingFields = (item, original, current) =>
+  getChangedFields(item, original).filter(
+    (field) =>
+      !_.isEqual(_.get(current, field), _.get(original, field)) &&
+      !_.isEqual(_.get(current, field), _.get(item, field))
+  );
+
+module.exports = {
+  CONFLICT_POLICIES,
+  getChangedFields,
+  getConflictingFields,
+  getETag,
+};
@@ -1,4 +1,37 @@
 const { BaseClient } = require('./BaseClient');
+const { CamlBuilder } = require('./CamlBuilder');
+const { LibraryClient } = require('./LibraryClient');
 const { ListClient } = require('./ListClient');
+const {
+  ConflictError,
+  NetworkError,
+  NotFoundError,
+  SharePointError,
+  ThrottledError,
+  UnauthorizedError,
+  ValidationError,
+} = require('./errors');
+const { FieldConverter } = require('./FieldConverter');
+const { QueryBuilder } = require('./QueryBuilder');
+const { UserResolver } = require('./UserResolver');
+const { getETag } = require('./etag');
+const { diffVersions } = require('./versions');
 
-module.exports = { BaseClient, ListClient };
+module.exports = {
+  BaseClient,
+  CamlBuilder,
+  ConflictError,
+  FieldConverter,
+  LibraryClient,
+  ListClient,
+  NetworkError,
+  NotFoundError,
+  QueryBuilder,
+  SharePointError,
+  ThrottledError,
+  UnauthorizedError,
+  UserResolver,
+  ValidationError,
+  diffVersions,
+  getETag,
+};
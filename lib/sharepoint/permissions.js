@@ -0,0 +1,46 @@
+const _ = require('lodash');
+
+/**
+ * The SP.Utilities.PrincipalType names
+ */
+const PRINCIPAL_TYPES = {
+  1: 'User',
+  2: 'DistributionList',
+  4: 'SecurityGroup',
+  8: 'SharePointGroup',
+};
+
+/**
+ * Describe the principal for logging and errors
+ *
+ * @param {object|number} principal { user }, { group } or { principalId }, or the principal ID
+ * @returns {string}
+ */
+const describePrincipal = (principal) => {
+  if (_.isNumber(principal)) return `principal ${principal}`;
+  if (!_.isEmpty(_.get(principal, 'user'))) return `user ${principal.user}`;
+  if (!_.isEmpty(_.get(principal, 'group'))) return `group ${principal.group}`;
+  return `principal ${_.get(principal, 'principalId')}`;
+};
+
+/**
+ * Format the SP.RoleAssignment expanded with the Member and RoleDefinitionBindings
+ *
+ * @param {object} assignment The SP.RoleAssignment
+ * @returns {object} { principalId, principalType, title, loginName, email, roles }
+ * the roles are the role definition names
+ */
+const formatRoleAssignment = (assignment) => ({
+  principalId: assignment.PrincipalId,
+  principalType: _.get(PRINCIPAL_TYPES, _.get(assignment, 'Member.PrincipalType'), null),
+  title: _.get(assignment, 'Member.Title', null),
+  loginName: _.get(assignment, 'Member.LoginName', null),
+  email: _.get(assignment, 'Member.Email', null) || null,
+  roles: _.get(assignment, 'RoleDefinitionBindings.results', []).map((role) => role.Name),
+});
+
+module.exports = {
+  PRINCIPAL_TYPES,
+  describePrincipal,
+  formatRoleAssignment,
+};
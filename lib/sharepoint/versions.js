@@ -0,0 +1,108 @@
+const _ = require('lodash');
+
+const { ID_FIELD_TYPES, MULTI_FIELD_TYPES } = require('./FieldConverter');
+
+/**
+ * The field types that can not be written so are not restored
+ */
+const COMPUTED_FIELD_TYPES = ['Attachments', 'Calculated', 'Computed', 'Counter'];
+
+/**
+ * Is the field a value that can be restored from a version
+ *
+ * @param {object} field The SharePoint field
+ * @returns {boolean}
+ */
+const isVersionedField = (field) =>
+  !field.ReadOnlyField && !field.Hidden && !COMPUTED_FIELD_TYPES.includes(field.TypeAsString);
+
+/**
+ * Get the values of a multi value, versions return either { results } or an array
+ *
+ * @param {*} value
+ * @returns {Array}
+ */
+const toResults = (value) => {
+  if (_.isNil(value) || value === '') return [];
+  if (_.isArray(_.get(value, 'results'))) return value.results;
+  return _.castArray(value);
+};
+
+/**
+ * Get the lookup ID of a lookup or person version value { LookupId, LookupValue }
+ *
+ * @param {*} value
+ * @returns {number} The ID or null
+ */
+const toLookupId = (value) => _.get(value, 'LookupId', _.isNumber(value) ? value : null);
+
+/**
+ * Convert the version values, keyed by field InternalName, to the item format used by
+ * getItemById and updateItem, lookup and person fields are the <Name>Id ID values
+ *
+ * @param {object} version The SP.ListItemVersion
+ * @param {object[]} fields The list fields
+ * @returns {object} The item values of the fields that can be restored
+ */
+const getVersionValues = (version, fields) => {
+  const values = {};
+
+  fields.filter(isVersionedField).forEach((field) => {
+    const { InternalName: name, TypeAsString: type } = field;
+    if (!_.has(version, name)) return;
+
+    const property = field.EntityPropertyName || name;
+    const value = version[name];
+    const multi = MULTI_FIELD_TYPES.includes(type);
+
+    if (ID_FIELD_TYPES.includes(type)) {
+      values[`${property}Id`] = multi
+        ? { results: toResults(value).map(toLookupId) }
+        : toLookupId(value);
+    } else {
+      values[property] = multi ? { results: toResults(value) } : _.defaultTo(value, null);
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Format the SP.ListItemVersion
+ *
+ * @param {object} version The SP.ListItemVersion
+ * @param {object[]} fields The list fields
+ * @returns {object} { versionLabel, versionId, isCurrentVersion, created, editor, values }
+ * the editor { id, title, email }
+ */
+const formatVersion = (version, fields) => ({
+  versionLabel: version.VersionLabel,
+  versionId: version.VersionId,
+  isCurrentVersion: version.IsCurrentVersion === true,
+  created: version.Created,
+  editor: {
+    id: _.get(version, 'Editor.LookupId', null),
+    title: _.get(version, 'Editor.LookupValue', null),
+    email: _.get(version, 'Editor.Email', null),
+  },
+  values: getVersionValues(version, fields),
+});
+
+/**
+ * Get the field level differences between the values of two versions
+ *
+ * @param {object} from The values of the older version
+ * @param {object} to The values of the newer version
+ * @returns {object[]} [{ field, from, to }] the changed fields
+ */
+const diffVersions = (from, to) =>
+  _.union(_.keys(from), _.keys(to))
+    .filter((field) => !_.isEqual(_.get(from, field, null), _.get(to, field, null)))
+    .map((field) => ({ field, from: _.get(from, field, null), to: _.get(to, field, null) }));
+
+module.exports = {
+  diffVersions,
+  formatVersion,
+  getVersionValues,
+  isVersionedField,
+};
@@ -0,0 +1,321 @@
+const _ = require('lodash');
+const moment = require('moment');
+const stringifySafe = require('json-stringify-safe');
+
+const nullLogger = require('./nulllogger');
+const {
+  FALSE_VALUES,
+  ID_FIELD_TYPES,
+  TRUE_VALUES,
+  getPropertyName,
+} = require('./sharepoint/FieldConverter');
+
+/**
+ * What happens to live items that are not in the desired items
+ * none - the items are left alone, so the sync only adds and updates
+ * delete - the items are deleted
+ */
+const DELETE_POLICIES = ['none', 'delete'];
+
+/**
+ * The field types compared as numbers, the lookup and person <Name>Id values are IDs
+ */
+const NUMBER_FIELD_TYPES = ['Number', 'Currency', 'Integer', 'Counter', ...ID_FIELD_TYPES];
+
+/**
+ * Normalize a primitive value of the field type, values that are not valid for the type
+ * are left as strings so they are still compared
+ *
+ * @param {*} value
+ * @param {string} type The field TypeAsString
+ * @returns {*}
+ */
+const normalizePrimitive = (value, type) => {
+  if (type === 'DateTime') {
+    const date =
+      _.isDate(value) || moment.isMoment(value)
+        ? moment.utc(value)
+        : moment.utc(`${value}`.trim(), moment.ISO_8601, true);
+    if (date.isValid()) return date.toISOString();
+  } else if (NUMBER_FIELD_TYPES.includes(type)) {
+    const number = _.isNumber(value) ? value : Number(`${value}`.trim());
+    if (!Number.isNaN(number)) return number;
+  } else if (type === 'Boolean') {
+    if (_.isBoolean(value)) return value;
+    const text = `${value}`.trim().toLowerCase();
+    if (TRUE_VALUES.includes(text)) return true;
+    if (FALSE_VALUES.includes(text)) return false;
+  }
+  return `${value}`;
+};
+
+/**
+ * Normalize a SharePoint value for comparison, multi value fields { results: [] }
+ * are compared as arrays and empty values are null. Dates are ISO UTC strings,
+ * numbers and booleans are compared by value when the field type is known, otherwise
+ * primitives are strings.
+ *
+ * @param {*} value
+ * @param {string} [type=null] The field TypeAsString
+ * @returns {*}
+ */
+const normalizeValue = (value, type = null) => {
+  if (_.isNil(value) || value === '') return null;
+  if (_.isPlainObject(value) && _.isArray(value.results)) {
+    return normalizeValue(value.results, type);
+  }
+  if (_.isArray(value)) {
+    return value.length === 0 ? null : value.map((element) => normalizeValue(element, type));
+  }
+  if (_.isPlainObject(value)) {
+    return _.mapValues(_.omit(value, ['__metadata']), (property) => normalizeValue(property));
+  }
+  return normalizePrimitive(value, type);
+};
+
+/**
+ * Get the field type of each item property, including the <Name>Id property of the
+ * lookup and person fields
+ *
+ * @param {object[]} fields The list fields
+ * @returns {object} The TypeAsString by item property name
+ */
+const getFieldTypes = (fields) => {
+  const types = {};
+  fields.forEach((field) => {
+    const property = getPropertyName(field);
+    types[property] = field.TypeAsString;
+    if (ID_FIELD_TYPES.includes(field.TypeAsString)) types[`${property}Id`] = field.TypeAsString;
+  });
+  return types;
+};
+
+/**
+ * Build the key used to match the desired and live items
+ *
+ * @param {object} item
+ * @param {string[]} keys The key fields
+ * @param {object} [types={}] The field types by item property name
+ * @returns {string}
+ */
+const itemKey = (item, keys, types = {}) =>
+  JSON.stringify(keys.map((key) => normalizeValue(_.get(item, key), _.get(types, key, null))));
+
+/**
+ * Diff the desired items against the live items
+ *
+ * @param {object[]} desiredItems The items the list should contain
+ * @param {object[]} liveItems The items in the list
+ * @param {object} [syncOptions={}]
+ * @param {string[]} [syncOptions.keys=['Title']] The fields used to match the items
+ * @param {string} [syncOptions.deletePolicy='none'] See DELETE_POLICIES
+ * @param {object[]} [syncOptions.fields=[]] The list fields, the values are compared
+ * by the field type
+ * @returns {object} The plan { adds, updates, deletes, unchanged, duplicates }
+ */
+const planSync = (desiredItems, liveItems, syncOptions = {}) => {
+  const { keys = ['Title'], deletePolicy = 'none', fields = [] } = syncOptions;
+  const types = getFieldTypes(fields);
+
+  if (!DELETE_POLICIES.includes(deletePolicy)) {
+    throw new Error(`Invalid deletePolicy ${deletePolicy}, expected ${DELETE_POLICIES.join(', ')}`);
+  }
+
+  const desired = new Map();
+  desiredItems.forEach((item, index) => {
+    const key = itemKey(item, keys, types);
+    if (keys.some((field) => _.isNil(normalizeValue(_.get(item, field))))) {
+      throw new Error(`Desired item ${index} is missing a value for the keys ${keys.join(', ')}`);
+    }
+    if (desired.has(key)) {
+      throw new Error(`Desired item ${index} has a duplicate key ${key}`);
+    }
+    desired.set(key, item);
+  });
+
+  const live = new Map();
+  const syncPlan = {
+    keys,
+    deletePolicy,
+    adds: [],
+    updates: [],
+    deletes: [],
+    unchanged: 0,
+    duplicates: [],
+  };
+
+  liveItems.forEach((item) => {
+    const key = itemKey(item, keys, types);
+    if (live.has(key)) {
+      // Only the first live item with a key is synced, the duplicates are reported
+      syncPlan.duplicates.push({ ID: item.ID, key });
+      return;
+    }
+    live.set(key, item);
+  });
+
+  desired.forEach((item, key) => {
+    const liveItem = live.get(key);
+    if (_.isUndefined(liveItem)) {
+      syncPlan.adds.push({ key, item: _.omit(item, ['ID']) });
+      return;
+    }
+
+    const changes = {};
+    _.forEach(_.omit(item, ['ID', '__metadata']), (value, field) => {
+      const type = _.get(types, field, null);
+      if (!_.isEqual(normalizeValue(value, type), normalizeValue(liveItem[field], type))) {
+        changes[field] = { from: _.defaultTo(liveItem[field], null), to: value };
+      }
+    });
+
+    if (_.isEmpty(changes)) {
+      syncPlan.unchanged += 1;
+    } else {
+      syncPlan.updates.push({ ID: liveItem.ID, key, changes });
+    }
+  });
+
+  if (deletePolicy === 'delete') {
+    live.forEach((item, key) => {
+      if (!desired.has(key)) {
+        syncPlan.deletes.push({ ID: item.ID, key });
+      }
+    });
+  }
+
+  return syncPlan;
+};
+
+/**
+ * Format the plan as readable lines
+ *
+ * @param {object} syncPlan The plan from planSync
+ * @returns {string[]}
+ */
+const formatPlan = (syncPlan) => {
+  const lines = [];
+
+  syncPlan.adds.forEach(({ key, item }) => {
+    lines.push(`+ add ${key}`);
+    _.forEach(item, (value, field) => lines.push(`    ${field}: ${stringifySafe(value)}`));
+  });
+  syncPlan.updates.forEach(({ ID, key, changes }) => {
+    lines.push(`~ update ID ${ID} ${key}`);
+    _.forEach(changes, ({ from, to }, field) =>
+      lines.push(`    ${field}: ${stringifySafe(from)} -> ${stringifySafe(to)}`)
+    );
+  });
+  syncPlan.deletes.forEach(({ ID, key }) => lines.push(`- delete ID ${ID} ${key}`));
+  syncPlan.duplicates.forEach(({ ID, key }) => lines.push(`! duplicate ID ${ID} ${key} ignored`));
+
+  lines.push(
+    `Plan: ${syncPlan.adds.length} to add, ${syncPlan.updates.length} to update, ${syncPlan.deletes.length} to delete, ${syncPlan.unchanged} unchanged.`
+  );
+
+  return lines;
+};
+
+/**
+ * Get the live items, only selecting the fields in the desired items
+ *
+ * @param {ListClient} listClient The ListClient
+ * @param {object[]} desiredItems The items the list should contain
+ * @param {string[]} keys The key fields
+ * @param {string} [filter] Optional ODATA filter limiting the live items that are synced,
+ * encoded with encodeFilter
+ * @returns {Promise} Promise object with the array of live items
+ */
+const getLiveItems = async (listClient, desiredItems, keys, filter) => {
+  const fields = _.uniq(['ID', ...keys, ..._.flatMap(desiredItems, _.keys)]).filter(
+    (field) => field !== '__metadata'
+  );
+  const query = _.omitBy({ Select: fields, Filter: filter }, _.isEmpty);
+
+  const response = await listClient.getAllItems(query);
+  return _.get(response, 'data.d.results', []);
+};
+
+/**
+ * Plan the sync of the desired items with the list
+ *
+ * @param {ListClient} listClient The ListClient
+ * @param {object[]} desiredItems The items the list should contain
+ * @param {object} [syncOptions={}] See planSync, plus filter to limit the live items,
+ * the fields are the list fields
+ * @returns {Promise} Promise object with the plan
+ */
+const plan = async (listClient, desiredItems, syncOptions = {}) => {
+  const { keys = ['Title'], filter } = syncOptions;
+  const fields = _.values(await listClient.getFieldConverter().getFields());
+  const liveItems = await getLiveItems(listClient, desiredItems, keys, filter);
+  return planSync(desiredItems, liveItems, { ...syncOptions, fields });
+};
+
+/**
+ * Apply the plan using $batch requests
+ *
+ * @param {ListClient} listClient The ListClient
+ * @param {object} syncPlan The plan from planSync
+ * @param {object} [applyOptions={}]
+ * @param {number} [applyOptions.batchSize] The number of operations per $batch request
+ * @param {*} [applyOptions.logger=nullLogger] The logger
+ * @returns {Promise} Promise object with the summary and results of each operation
+ */
+const apply = async (listClient, syncPlan, applyOptions = {}) => {
+  const loggingOptions = {
+    label: 'sync.apply',
+  };
+
+  const { batchSize, logger = nullLogger } = applyOptions;
+
+  const operations = [
+    ...syncPlan.adds.map(({ item }) => ({ action: 'add', item })),
+    ...syncPlan.updates.map(({ ID, changes }) => ({
+      action: 'update',
+      item: { ID, ..._.mapValues(changes, 'to') },
+    })),
+    ...syncPlan.deletes.map(({ ID }) => ({ action: 'delete', id: ID })),
+  ];
+
+  if (operations.length === 0) {
+    logger.info('Nothing to apply', loggingOptions);
+    return { summary: { operations: 0, succeeded: 0, failed: 0 }, results: [] };
+  }
+
+  const results = await listClient.batch(operations, batchSize);
+  const failed = results.filter((result) => !result.ok);
+
+  failed.forEach((result) => {
+    logger.error(
+      `${result.operation.action} ${stringifySafe(
+        result.operation.item || result.operation.id
+      )} failed. ${result.error}`,
+      loggingOptions
+    );
+  });
+  logger.info(
+    `Apply complete. Operations: ${results.length} Succeeded: ${
+      results.length - failed.length
+    } Failed: ${failed.length}`,
+    loggingOptions
+  );
+
+  return {
+    summary: {
+      operations: results.length,
+      succeeded: results.length - failed.length,
+      failed: failed.length,
+    },
+    results,
+  };
+};
+
+module.exports = {
+  DELETE_POLICIES,
+  apply,
+  formatPlan,
+  normalizeValue,
+  plan,
+  planSync,
+};
@@ -0,0 +1,109 @@
+const assert = require('assert/strict');
+const { describe, it } = require('node:test');
+
+const {
+  CamlBuilder,
+  escapeXml,
+  getNextPagingInfo,
+  getOrderByFields,
+  getRowLimit,
+} = require('../lib/sharepoint/CamlBuilder');
+
+describe('CamlBuilder', () => {
+  it('builds the paged View with the escaped values', () => {
+    const viewXml = new CamlBuilder()
+      .where('Title')
+      .eq('a<b')
+      .and('Count')
+      .gt(2)
+      .orderBy('ID')
+      .rowLimit(50)
+      .viewFields('Title')
+      .toString();
+
+    assert.equal(
+      viewXml,
+      '<View><ViewFields><FieldRef Name="ID" /><FieldRef Name="Title" /></ViewFields><Query><Where><And><Eq><FieldRef Name="Title" /><Value Type="Text">a&lt;b</Value></Eq><Gt><FieldRef Name="Count" /><Value Type="Number">2</Value></Gt></And></Where><OrderBy><FieldRef Name="ID" Ascending="TRUE" /></OrderBy></Query><RowLimit Paged="TRUE">50</RowLimit></View>'
+    );
+  });
+
+  it('uses the Value Type passed with the field', () => {
+    const viewXml = new CamlBuilder().where('Owner', 'Lookup').eq(3).toString();
+
+    assert.match(
+      viewXml,
+      /<FieldRef Name="Owner" LookupId="TRUE" \/><Value Type="Lookup">3<\/Value>/
+    );
+  });
+
+  it('defaults to a paged RowLimit of 1000', () => {
+    assert.deepEqual(getRowLimit(new CamlBuilder().toString()), { rowLimit: 1000, paged: true });
+  });
+
+  it('escapes the XML characters', () => {
+    assert.equal(
+      escapeXml(`<a href="x">&'</a>`),
+      '&lt;a href=&quot;x&quot;&gt;&amp;&apos;&lt;/a&gt;'
+    );
+  });
+});
+
+describe('getRowLimit', () => {
+  it('reads the RowLimit and whether it is paged', () => {
+    assert.deepEqual(getRowLimit('<View><RowLimit Paged="TRUE">10</RowLimit></View>'), {
+      rowLimit: 10,
+      paged: true,
+    });
+    assert.deepEqual(getRowLimit('<View><RowLimit>10</RowLimit></View>'), {
+      rowLimit: 10,
+      paged: false,
+    });
+    assert.deepEqual(getRowLimit('<View />'), { rowLimit: null, paged: false });
+  });
+});
+
+describe('getOrderByFields', () => {
+  it('reads the OrderBy field names', () => {
+    const viewXml = new CamlBuilder().orderBy('Modified', 'desc').orderBy('Title').toString();
+
+    assert.deepEqual(getOrderByFields(viewXml), ['Modified', 'Title']);
+  });
+});
+
+describe('getNextPagingInfo', () => {
+  const viewXml = new CamlBuilder().orderBy('Modified', 'desc').rowLimit(2).toString();
+  const results = [
+    { ID: 7, Modified: '2024-01-02T10:00:00Z' },
+    { ID: 3, Modified: '2024-01-01T10:00:00Z' },
+  ];
+
+  it('uses the ListItemCollectionPositionNext', () => {
+    const data = {
+      results,
+      ListItemCollectionPositionNext: { PagingInfo: 'Paged=TRUE&p_ID=42' },
+    };
+
+    assert.equal(getNextPagingInfo(viewXml, data), 'Paged=TRUE&p_ID=42');
+  });
+
+  it('uses the query string of the NextHref', () => {
+    assert.equal(
+      getNextPagingInfo(viewXml, { NextHref: '?Paged=TRUE&p_ID=42&PageFirstRow=43' }),
+      'Paged=TRUE&p_ID=42&PageFirstRow=43'
+    );
+  });
+
+  it('builds the position from the OrderBy values of the last item of a full page', () => {
+    assert.equal(
+      getNextPagingInfo(viewXml, { results, ListItemCollectionPositionNext: null }),
+      'Paged=TRUE&p_Modified=20240101%2010%3A00%3A00&p_ID=3'
+    );
+  });
+
+  it('is null on the last page', () => {
+    assert.equal(getNextPagingInfo(viewXml, { results: [{ ID: 1 }] }), null);
+    assert.equal(getNextPagingInfo(viewXml, { results: [] }), null);
+    assert.equal(getNextPagingInfo('<View><RowLimit>2</RowLimit></View>', { results }), null);
+    assert.equal(getNextPagingInfo(viewXml, undefined), null);
+  });
+});
@@ -0,0 +1,183 @@
+const assert = require('assert/strict');
+const { describe, it } = require('node:test');
+const _ = require('lodash');
+
+const { FieldConverter } = require('../lib/sharepoint/FieldConverter');
+
+const FIELDS = [
+  { InternalName: 'ID', TypeAsString: 'Counter', ReadOnlyField: true },
+  { InternalName: 'Title', TypeAsString: 'Text' },
+  { InternalName: 'Count', TypeAsString: 'Number' },
+  { InternalName: 'Done', TypeAsString: 'Boolean' },
+  { InternalName: 'Due', TypeAsString: 'DateTime' },
+  { InternalName: 'Tags', TypeAsString: 'MultiChoice' },
+  { InternalName: 'Link', TypeAsString: 'URL' },
+  { InternalName: 'Category', TypeAsString: 'Lookup', LookupList: 'categories' },
+  { InternalName: 'Owner', TypeAsString: 'User' },
+];
+
+const CATEGORIES = [
+  { ID: 1, Title: 'Red' },
+  { ID: 2, Title: 'Blue' },
+];
+
+/**
+ * Create a list client returning the FIELDS, and the CATEGORIES lookup items
+ * matching the Title or ID of the filter
+ *
+ * @returns {object} The list client, requests counts the lookup requests
+ */
+const createListClient = () => {
+  const listClient = {
+    requests: 0,
+    getFields: async () => ({ data: { d: { results: FIELDS } } }),
+    getItemsByListId: async (id, filter) => {
+      listClient.requests += 1;
+      const [, field, value] = /^(\w+) eq '?([^']*)'?$/.exec(filter.Filter);
+      const results = CATEGORIES.filter((item) => `${item[field]}` === value);
+      return { data: { d: { results } } };
+    },
+  };
+  return listClient;
+};
+
+describe('FieldConverter', () => {
+  it('requires the list client', () => {
+    assert.throws(() => new FieldConverter(), /listClient not specified/);
+  });
+
+  it('converts the friendly values to the SharePoint values', async () => {
+    const converter = new FieldConverter(createListClient());
+
+    const item = await converter.toSharePoint({
+      ID: 7,
+      Title: 'x',
+      Count: '1.5',
+      Done: 'yes',
+      Due: '2024-01-01',
+      Tags: 'a; b',
+      Link: 'https://example.com',
+      Category: 'Blue',
+      Owner: 3,
+      Other: 'unchanged',
+    });
+
+    assert.deepEqual(item, {
+      ID: 7,
+      Title: 'x',
+      Count: 1.5,
+      Done: true,
+      Due: '2024-01-01T00:00:00.000Z',
+      Tags: { __metadata: { type: 'Collection(Edm.String)' }, results: ['a', 'b'] },
+      Link: {
+        __metadata: { type: 'SP.FieldUrlValue' },
+        Url: 'https://example.com',
+        Description: 'https://example.com',
+      },
+      CategoryId: 2,
+      OwnerId: 3,
+      Other: 'unchanged',
+    });
+  });
+
+  it('applies the utcoffset to dates without an offset', async () => {
+    const converter = new FieldConverter(createListClient(), { utcoffset: '+10:00' });
+
+    const item = await converter.toSharePoint({
+      Due: '2024-01-01T10:00:00',
+      Other: '2024-01-01',
+    });
+
+    assert.deepEqual(item, { Due: '2024-01-01T00:00:00.000Z', Other: '2024-01-01' });
+  });
+
+  it('rejects the values that are not valid for the field', async () => {
+    const converter = new FieldConverter(createListClient());
+
+    await assert.rejects(converter.toSharePoint({ Count: 'x' }), /Invalid number 'x'/);
+    await assert.rejects(converter.toSharePoint({ Done: 'maybe' }), /Invalid boolean 'maybe'/);
+    await assert.rejects(converter.toSharePoint({ Due: 'soon' }), /Invalid date 'soon'/);
+    await assert.rejects(
+      converter.toSharePoint({ Category: 'Green' }),
+      /Lookup value 'Green' not found/
+    );
+    await assert.rejects(converter.toSharePoint({ Owner: 'a@b.com' }), /requires the user ID/);
+  });
+
+  it('converts the SharePoint values to the friendly values', async () => {
+    const converter = new FieldConverter(createListClient());
+
+    const item = await converter.fromSharePoint({
+      __metadata: { type: 'SP.Data.TestListItem' },
+      ID: 7,
+      Title: 'x',
+      Tags: { results: ['a', 'b'] },
+      Link: { Url: 'https://example.com', Description: 'Example' },
+      CategoryId: 1,
+      OwnerId: 3,
+      Author: { __deferred: {} },
+    });
+
+    assert.deepEqual(item, {
+      ID: 7,
+      Title: 'x',
+      Tags: ['a', 'b'],
+      Link: { Url: 'https://example.com', Description: 'Example' },
+      Category: 'Red',
+      Owner: 3,
+    });
+  });
+
+  it('makes one lookup request for concurrent values with the same text', async () => {
+    const listClient = createListClient();
+    const converter = new FieldConverter(listClient);
+
+    const items = await Promise.all(_.times(5, () => converter.toSharePoint({ Category: 'Red' })));
+
+    assert.deepEqual(
+      items,
+      _.times(5, () => ({ CategoryId: 1 }))
+    );
+    assert.equal(listClient.requests, 1);
+
+    // The text of the looked up ID is cached as well
+    assert.deepEqual(await converter.fromSharePoint({ CategoryId: 1 }), { Category: 'Red' });
+    assert.equal(listClient.requests, 1);
+  });
+
+  it('makes one lookup request for a value that is not found', async () => {
+    const listClient = createListClient();
+    const converter = new FieldConverter(listClient);
+
+    const results = await Promise.allSettled(
+      _.times(3, () => converter.toSharePoint({ Category: 'Green' }))
+    );
+
+    assert.ok(results.every((result) => result.status === 'rejected'));
+    assert.equal(listClient.requests, 1);
+  });
+
+  it('looks up the value again after a failed lookup request', async () => {
+    const listClient = createListClient();
+    const { getItemsByListId } = listClient;
+    listClient.getItemsByListId = async () => {
+      listClient.getItemsByListId = getItemsByListId;
+      throw new Error('Service unavailable');
+    };
+    const converter = new FieldConverter(listClient);
+
+    await assert.rejects(converter.toSharePoint({ Category: 'Red' }), /Service unavailable/);
+    assert.deepEqual(await converter.toSharePoint({ Category: 'Red' }), { CategoryId: 1 });
+  });
+
+  it('loads the fields again after clearCache', async () => {
+    const listClient = createListClient();
+    const converter = new FieldConverter(listClient);
+
+    await converter.toSharePoint({ Category: 'Red' });
+    converter.clearCache();
+    await converter.toSharePoint({ Category: 'Red' });
+
+    assert.equal(listClient.requests, 2);
+  });
+});
@@ -0,0 +1,132 @@
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const Path = require('path');
+const { after, before, describe, it } = require('node:test');
+const _ = require('lodash');
+
+const { LibraryClient, NotFoundError, ValidationError } = require('../lib/sharepoint/');
+const { createLibraryClient, startServer } = require('./helpers');
+
+describe('LibraryClient', () => {
+  let server = null;
+  let url = null;
+  let libraryClient = null;
+  let folder = null;
+
+  before(async () => {
+    ({ server, url } = await startServer({ lists: ['Documents'] }));
+    libraryClient = await createLibraryClient(url, 'Documents', { sharepoint: { chunksize: 4 } });
+    folder = await fs.promises.mkdtemp(Path.join(os.tmpdir(), 'splm-'));
+  });
+
+  after(async () => {
+    server.close();
+    await fs.promises.rm(folder, { recursive: true, force: true });
+  });
+
+  /**
+   * Get the upload requests made by the function
+   *
+   * @param {Function} fn The async function
+   * @returns {Promise} Promise object with the upload request actions
+   */
+  const uploadActions = async (fn) => {
+    const start = server.requests.length;
+    await fn();
+    return server.requests
+      .slice(start)
+      .map((request) => _.get(/\/(Files\/add|\w+Upload)\(/.exec(request), 1))
+      .filter(_.negate(_.isUndefined));
+  };
+
+  it('requires the library', () => {
+    assert.throws(
+      () => new LibraryClient({ sharepoint: { url, authheaders: {} } }),
+      /options.sharepoint.library not specified/
+    );
+  });
+
+  it('resolves the paths relative to the library root folder', async () => {
+    const root = await libraryClient.getRootFolderUrl();
+
+    assert.equal(await libraryClient.getServerRelativeUrl(), root);
+    assert.equal(
+      await libraryClient.getServerRelativeUrl('./Reports//2023/'),
+      `${root}/Reports/2023`
+    );
+  });
+
+  it('creates the folder and the missing parent folders', async () => {
+    const response = await libraryClient.createFolder('Reports/2023/Q1');
+    await libraryClient.createFolder('Reports/2023');
+
+    assert.equal(response.data.d.Name, 'Q1');
+    const folders = await libraryClient.getFolders('Reports');
+    assert.deepEqual(_.map(folders.data.d.results, 'Name'), ['2023']);
+    assert.equal(folders.data.d.results[0].ItemCount, 1);
+  });
+
+  it('uploads and downloads a file smaller than a chunk in one request', async () => {
+    const actions = await uploadActions(() =>
+      libraryClient.uploadFile("Reports/O'Neil.txt", Buffer.from('abcd'))
+    );
+
+    assert.deepEqual(actions, ['Files/add']);
+    const response = await libraryClient.downloadFile("Reports/O'Neil.txt");
+    assert.equal(Buffer.from(response.data).toString(), 'abcd');
+  });
+
+  it('uploads a file larger than a chunk in an upload session', async () => {
+    const content = Buffer.from('0123456789');
+
+    const actions = await uploadActions(() => libraryClient.uploadFile('Reports/big.txt', content));
+
+    assert.deepEqual(actions, ['Files/add', 'startUpload', 'continueUpload', 'finishUpload']);
+    const files = await libraryClient.getFiles('Reports');
+    const big = _.find(files.data.d.results, { Name: 'big.txt' });
+    assert.equal(big.Length, '10');
+    assert.deepEqual(
+      Buffer.from((await libraryClient.downloadFile('Reports/big.txt')).data),
+      content
+    );
+  });
+
+  it('uploads and downloads the local files, reading the large files a chunk at a time', async () => {
+    const localPath = Path.join(folder, 'local.bin');
+    const content = Buffer.from([0, 1, 2, 3, 4, 5, 6, 7, 255]);
+    await fs.promises.writeFile(localPath, content);
+
+    const actions = await uploadActions(() =>
+      libraryClient.uploadFileFromPath(localPath, 'Reports/2023/local.bin')
+    );
+    const downloaded = await libraryClient.downloadFileToPath(
+      'Reports/2023/local.bin',
+      Path.join(folder, 'out', 'local.bin')
+    );
+
+    assert.deepEqual(actions, ['Files/add', 'startUpload', 'continueUpload', 'finishUpload']);
+    assert.deepEqual(await fs.promises.readFile(downloaded), content);
+  });
+
+  it('does not overwrite a file when overwrite is false', async () => {
+    await libraryClient.uploadFile('Reports/keep.txt', Buffer.from('one'));
+
+    await assert.rejects(
+      libraryClient.uploadFile('Reports/keep.txt', Buffer.from('two'), false),
+      ValidationError
+    );
+    await assert.rejects(libraryClient.downloadFile('Reports/missing.txt'), NotFoundError);
+  });
+
+  it('sets and gets the metadata fields of a file', async () => {
+    await libraryClient.uploadFile('Reports/meta.txt', Buffer.from('m'));
+
+    await libraryClient.setFileMetadata('Reports/meta.txt', { ID: 999, Title: 'Meta' });
+    const response = await libraryClient.getFileMetadata('Reports/meta.txt');
+
+    assert.equal(response.data.d.Title, 'Meta');
+    assert.equal(response.data.d.FileLeafRef, 'meta.txt');
+    await assert.rejects(libraryClient.setFileMetadata('Reports/meta.txt', {}), /fields not/);
+  });
+});
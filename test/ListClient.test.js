@@ -0,0 +1,472 @@
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const Path = require('path');
+const { after, before, describe, it } = require('node:test');
+const _ = require('lodash');
+
+const { ConflictError, getETag } = require('../lib/sharepoint/');
+const { createListClient, startServer } = require('./helpers');
+
+describe('ListClient', () => {
+  let server = null;
+  let url = null;
+  let listClient = null;
+
+  before(async () => {
+    ({ server, url } = await startServer({ pageSize: 2 }));
+    listClient = await createListClient(url);
+  });
+
+  after(() => server.close());
+
+  /**
+   * Get the titles of the items
+   *
+   * @param {object} response The Axios response of the items
+   * @returns {string[]}
+   */
+  const titles = (response) => _.map(response.data.d.results, 'Title');
+
+  /**
+   * Count the mock requests made by the function
+   *
+   * @param {RegExp} pattern The "METHOD /path" of the requests counted
+   * @param {Function} fn
+   * @returns {Promise} Promise object with the number of requests
+   */
+  const countRequests = async (pattern, fn) => {
+    const start = server.requests.length;
+    await fn();
+    return server.requests.slice(start).filter((request) => pattern.test(request)).length;
+  };
+
+  describe('items', () => {
+    it('adds, updates and deletes an item', async () => {
+      const added = await listClient.addItem({ Title: 'first' });
+      const id = added.data.d.ID;
+
+      await listClient.updateItem({ ID: id, Title: 'updated' });
+      const updated = await listClient.getItemById(id);
+      assert.equal(updated.data.d.Title, 'updated');
+
+      await listClient.deleteItemById(id);
+      await assert.rejects(listClient.getItemById(id), { status: 404 });
+    });
+
+    it('gets an item by Title with the selected properties', async () => {
+      await listClient.addItem({ Title: 'by title' });
+
+      const response = await listClient.getItemByTitle('by title', {
+        Select: ['ID', 'Title'],
+        Filter: 'ID eq 0',
+      });
+
+      assert.deepEqual(_.keys(_.omit(response.data.d.results[0], ['__metadata'])), ['ID', 'Title']);
+    });
+
+    it('fails the update when the ETag has changed', async () => {
+      const { data } = await listClient.addItem({ Title: 'etag' });
+      const etag = getETag(data.d);
+      await listClient.updateItem({ ID: data.d.ID, Title: 'changed' });
+
+      await assert.rejects(
+        listClient.updateItem({ ID: data.d.ID, Title: 'stale' }, { etag, conflictpolicy: 'fail' }),
+        ConflictError
+      );
+    });
+
+    it('merges the bulk updates of the items changed since the originals were read', async () => {
+      await listClient.addField({ name: 'Code', title: 'Code', type: 2 });
+      const report = await listClient.addItems([{ Title: 'm1' }, { Title: 'm2' }]);
+      const ids = _.map(report.results, 'ID');
+      const response = await listClient.getItems({ Filter: `ID ge ${_.min(ids)}`, Top: 2 });
+      const originals = response.data.d.results;
+      await listClient.updateItem({ ID: ids[0], Code: 'theirs' });
+      await listClient.updateItem({ ID: ids[1], Title: 'theirs' });
+
+      const items = originals.map((original) => ({ ...original, Title: `${original.Title} ours` }));
+      const updated = await listClient.updateItems(items, {
+        etags: true,
+        originals,
+        conflictpolicy: 'merge',
+      });
+
+      assert.deepEqual(_.map(updated.results, 'ok'), [true, false]);
+      assert.equal(updated.results[1].status, 412);
+      const merged = await listClient.getItemById(ids[0]);
+      assert.deepEqual(_.pick(merged.data.d, ['Title', 'Code']), {
+        Title: 'm1 ours',
+        Code: 'theirs',
+      });
+    });
+
+    it('rejects the merge conflict policy without the originals', async () => {
+      const { data } = await listClient.addItem({ Title: 'no original' });
+
+      await assert.rejects(
+        listClient.updateItems([data.d], { etags: true, conflictpolicy: 'merge' }),
+        /requires the originals/
+      );
+      await assert.rejects(
+        listClient.updateItem(
+          { ID: data.d.ID, Title: 'x' },
+          { etag: getETag(data.d), conflictpolicy: 'merge' }
+        ),
+        /requires the original of item/
+      );
+    });
+
+    it('fails the bulk delete of the items changed since they were read', async () => {
+      const report = await listClient.addItems([{ Title: 'd1' }, { Title: 'd2' }]);
+      const ids = _.map(report.results, 'ID');
+      const response = await listClient.getItems({ Filter: `ID ge ${_.min(ids)}`, Top: 2 });
+      await listClient.updateItem({ ID: ids[1], Title: 'd2 changed' });
+
+      const deleted = await listClient.deleteItems(response.data.d.results, { etags: true });
+
+      assert.deepEqual(_.map(deleted.results, 'ID'), ids);
+      assert.deepEqual(_.map(deleted.results, 'ok'), [true, false]);
+      assert.equal(deleted.results[1].status, 412);
+    });
+
+    it('reports each item of a bulk add', async () => {
+      const report = await listClient.addItems([{ Title: 'b1' }, { Title: 'b2' }, { Title: 'b3' }]);
+
+      assert.equal(report.total, 3);
+      assert.equal(report.succeeded, 3);
+      assert.equal(report.failed, 0);
+      assert.ok(report.results.every((result) => _.isNumber(result.ID)));
+    });
+
+    it('reports the added, updated and failed items of a bulk upsert', async () => {
+      const { data } = await listClient.addItem({ Title: 'u1' });
+
+      const report = await listClient.upsertItems(
+        [{ Title: 'u1' }, { Title: 'u2' }, { Title: 'u3', Missing: 'x' }],
+        'Title'
+      );
+
+      assert.deepEqual(_.pick(report, ['action', 'total', 'succeeded', 'failed']), {
+        action: 'upsert',
+        total: 3,
+        succeeded: 2,
+        failed: 1,
+      });
+      assert.deepEqual(_.map(report.results, 'index'), [0, 1, 2]);
+      assert.deepEqual(_.map(report.results, 'status'), [204, 201, 400]);
+      assert.equal(report.results[0].ID, data.d.ID);
+      assert.ok(report.results[1].ID > data.d.ID);
+      assert.equal(report.results[2].ID, null);
+      assert.match(report.results[2].error, /Missing/);
+    });
+
+    it('writes the bulk delete report with the recycle bin IDs', async () => {
+      const folder = await fs.promises.mkdtemp(Path.join(os.tmpdir(), 'splm-'));
+      const reportPath = Path.join(folder, 'delete.json');
+      const { data } = await listClient.addItem({ Title: 'd1' });
+
+      try {
+        const report = await listClient.deleteItems([data.d.ID, 999999], { reportPath });
+
+        assert.deepEqual(_.map(report.results, 'status'), [200, 404]);
+        assert.equal(report.results[0].ID, data.d.ID);
+        assert.ok(_.isString(report.results[0].RecycleBinItemId));
+        assert.deepEqual(
+          JSON.parse(await fs.promises.readFile(reportPath, 'utf8')),
+          JSON.parse(JSON.stringify(report))
+        );
+      } finally {
+        await fs.promises.rm(folder, { recursive: true, force: true });
+      }
+    });
+
+    it('follows the __next pages', async () => {
+      // eslint-disable-next-line no-restricted-syntax
+      for (const Title of ['p1', 'p2', 'p3']) {
+        // eslint-disable-next-line no-await-in-loop
+        await listClient.addItem({ Title });
+      }
+
+      const response = await listClient.getAllItems({
+        Filter: "startswith(Title,'p')",
+        OrderBy: ['ID'],
+      });
+
+      assert.deepEqual(titles(response), ['p1', 'p2', 'p3']);
+    });
+
+    it('filters using the query builder values as is', async () => {
+      await listClient.addItem({ Title: "O'Neil & Co #1+" });
+
+      const response = await listClient.query().where('Title').eq("O'Neil & Co #1+").get();
+
+      assert.deepEqual(titles(response), ["O'Neil & Co #1+"]);
+    });
+  });
+
+  describe('faults', () => {
+    it('fails the matching request with the injected status', async () => {
+      server.injectFault({ status: 503, match: /Items/ });
+
+      await assert.rejects(listClient.getItems({ Top: 1 }), { status: 503 });
+      const response = await listClient.getItems({ Top: 1 });
+      assert.equal(response.status, 200);
+    });
+  });
+
+  describe('CAML queries', () => {
+    it('pages using the position of the last item until a page is not full', async () => {
+      const viewXml = listClient
+        .camlQuery()
+        .where('Title')
+        .beginsWith('p')
+        .orderBy('Title', 'desc')
+        .rowLimit(2)
+        .toString();
+
+      let response = null;
+      const requests = await countRequests(/GetItems/i, async () => {
+        response = await listClient.getAllItemsByCaml(viewXml);
+      });
+
+      assert.deepEqual(titles(response), ['p3', 'p2', 'p1']);
+      assert.equal(requests, 2);
+    });
+
+    it('makes one request when the page is not full', async () => {
+      const viewXml = listClient.camlQuery().where('Title').beginsWith('p').rowLimit(4).toString();
+
+      const requests = await countRequests(/GetItems/i, () =>
+        listClient.getAllItemsByCaml(viewXml)
+      );
+
+      assert.equal(requests, 1);
+    });
+  });
+
+  describe('batch', () => {
+    it('reports the result of each operation', async () => {
+      const { data } = await listClient.addItem({ Title: "batch 'quoted'" });
+
+      const results = await listClient.batch([
+        { action: 'add', item: { Title: 'batch added' } },
+        { action: 'update', item: { ID: data.d.ID, Title: 'batch updated' } },
+        { action: 'update', item: { ID: 9999, Title: 'missing' } },
+      ]);
+
+      assert.deepEqual(_.map(results, 'ok'), [true, true, false]);
+      assert.deepEqual(_.map(results, 'status'), [201, 204, 404]);
+      const updated = await listClient.getItemById(data.d.ID);
+      assert.equal(updated.data.d.Title, 'batch updated');
+    });
+  });
+
+  describe('changes', () => {
+    it('summarizes the changes since the token', async () => {
+      const token = await listClient.getCurrentChangeToken();
+      const { data } = await listClient.addItem({ Title: 'changed' });
+      await listClient.updateItem({ ID: data.d.ID, Title: 'changed again' });
+
+      const changes = await listClient.getChanges(token);
+
+      assert.deepEqual(_.pick(changes, ['added', 'updated', 'deleted']), {
+        added: [data.d.ID],
+        updated: [],
+        deleted: [],
+      });
+      assert.notEqual(changes.token, token);
+    });
+  });
+
+  describe('versions', () => {
+    it('compares and restores the versions', async () => {
+      const { data } = await listClient.addItem({ Title: 'v1' });
+      await listClient.updateItem({ ID: data.d.ID, Title: 'v2' });
+
+      const versions = await listClient.getItemVersions(data.d.ID);
+      assert.deepEqual(_.map(versions, 'versionLabel'), ['2.0', '1.0']);
+
+      const comparison = await listClient.compareItemVersions(data.d.ID, '1.0');
+      assert.deepEqual(comparison.changes, [{ field: 'Title', from: 'v1', to: 'v2' }]);
+
+      await listClient.restoreItemVersion(data.d.ID, '1.0');
+      const restored = await listClient.getItemById(data.d.ID);
+      assert.equal(restored.data.d.Title, 'v1');
+    });
+  });
+
+  describe('recycle bin', () => {
+    it('recycles the deleted items and restores them', async () => {
+      const { data } = await listClient.addItem({ Title: 'recycled' });
+      await listClient.deleteItemById(data.d.ID);
+
+      const response = await listClient.getListRecycleBinItems();
+      const recycled = _.find(response.data.d.results, { Title: 'recycled' });
+      assert.ok(recycled);
+
+      const report = await listClient.restoreRecycleBinItems([recycled.Id]);
+      assert.equal(report.succeeded, 1);
+      const restored = await listClient.getItemById(data.d.ID);
+      assert.equal(restored.data.d.Title, 'recycled');
+    });
+
+    it('fails to recycle the item when the ETag has changed', async () => {
+      const { data } = await listClient.addItem({ Title: 'stale recycle' });
+      const etag = getETag(data.d);
+      await listClient.updateItem({ ID: data.d.ID, Title: 'stale recycle changed' });
+
+      await assert.rejects(listClient.deleteItemById(data.d.ID, { etag }), ConflictError);
+      const results = await listClient.batch([{ action: 'delete', id: data.d.ID, etag }]);
+      assert.equal(results[0].ok, false);
+      assert.match(results[0].error, /changed since it was read/);
+
+      const response = await listClient.getItemById(data.d.ID);
+      assert.equal(response.data.d.Title, 'stale recycle changed');
+    });
+
+    it('recycles the item when the ETag matches', async () => {
+      const { data } = await listClient.addItem({ Title: 'current recycle' });
+
+      const response = await listClient.deleteItemById(data.d.ID, { etag: getETag(data.d) });
+
+      assert.ok(response.data.d.Recycle);
+    });
+
+    it('deletes permanently when recycle is false', async () => {
+      const { data } = await listClient.addItem({ Title: 'permanent' });
+      await listClient.deleteItemById(data.d.ID, { recycle: false });
+
+      const response = await listClient.getListRecycleBinItems();
+      assert.equal(_.find(response.data.d.results, { Title: 'permanent' }), undefined);
+    });
+  });
+
+  describe('permissions', () => {
+    it('grants and revokes the roles of an item with its own permissions', async () => {
+      const { data } = await listClient.addItem({ Title: 'secured' });
+      const id = data.d.ID;
+
+      await listClient.breakRoleInheritance(id, { copyRoleAssignments: false });
+      await listClient.addRoleAssignment(id, { group: 'Mock Visitors' }, 'Contribute');
+      let permissions = await listClient.getRoleAssignments(id);
+      assert.equal(permissions.hasUniqueRoleAssignments, true);
+      assert.deepEqual(
+        permissions.assignments.map(({ title, roles }) => ({ title, roles })),
+        [{ title: 'Mock Visitors', roles: ['Contribute'] }]
+      );
+
+      await listClient.removeRoleAssignment(id, { group: 'Mock Visitors' });
+      permissions = await listClient.getRoleAssignments(id);
+      assert.deepEqual(permissions.assignments, []);
+
+      await listClient.resetRoleInheritance(id);
+      permissions = await listClient.getRoleAssignments(id);
+      assert.equal(permissions.hasUniqueRoleAssignments, false);
+    });
+
+    it('rejects an unknown role', async () => {
+      await assert.rejects(
+        listClient.addRoleAssignment(null, { group: 'Mock Visitors' }, 'Unknown'),
+        /Unknown/
+      );
+    });
+  });
+
+  describe('fields', () => {
+    it('adds a field whose title is already used by another field', async () => {
+      await listClient.addField({ name: 'Heading', title: 'Title', type: 2 });
+      await listClient.addField({ name: 'Heading', title: 'Heading', type: 2 });
+
+      const response = await listClient.getFields({ Filter: "InternalName eq 'Heading'" });
+      assert.equal(response.data.d.results.length, 1);
+    });
+  });
+
+  describe('people', () => {
+    const ANN = {
+      Title: 'Ann',
+      Email: 'ann@example.com',
+      LoginName: 'i:0#.f|membership|ann@example.com',
+    };
+    let peopleServer = null;
+    let client = null;
+
+    before(async () => {
+      let peopleUrl = null;
+      ({ server: peopleServer, url: peopleUrl } = await startServer({ users: [ANN] }));
+      client = await createListClient(peopleUrl);
+      await client.addField({ name: 'Owner', title: 'Owner', type: 12 });
+    });
+
+    after(() => peopleServer.close());
+
+    it('resolves the person emails and login names of the added and updated items', async () => {
+      const added = await client.addItem({ Title: 'p1', Owner: 'ann@example.com' });
+      const annId = added.data.d.OwnerId;
+      assert.notEqual(annId, 1);
+
+      await client.updateItem({ ID: added.data.d.ID, OwnerId: 'mock.user@example.com' });
+      assert.equal((await client.getItemById(added.data.d.ID)).data.d.OwnerId, 1);
+
+      await client.updateItem({ ID: added.data.d.ID, Owner: ANN.LoginName });
+      assert.equal((await client.getItemById(added.data.d.ID)).data.d.OwnerId, annId);
+    });
+
+    it('leaves the person values that are already user IDs', async () => {
+      const ensures = () => peopleServer.requests.filter((r) => /ensureUser/.test(r)).length;
+      const count = ensures();
+
+      const response = await client.addItem({ Title: 'p2', OwnerId: 1 });
+
+      assert.equal(response.data.d.OwnerId, 1);
+      assert.equal(ensures(), count);
+    });
+
+    it('resolves the person values of the batch operations and reports the unknown', async () => {
+      const results = await client.batch([
+        { action: 'add', item: { Title: 'p3', Owner: 'ann@example.com' } },
+        { action: 'add', item: { Title: 'p4', Owner: 'nobody@example.com' } },
+      ]);
+
+      assert.deepEqual(_.map(results, 'ok'), [true, false]);
+      assert.equal(results[0].data.OwnerId, await client.getUserResolver().getUserId(ANN.Email));
+      assert.match(results[1].error, /Unable to resolve the person 'nobody@example.com'/);
+      assert.equal(results[1].operation.item.Owner, 'nobody@example.com');
+    });
+  });
+
+  describe('authentication', () => {
+    it('refreshes the auth headers and replays the request after a 401', async () => {
+      const client = await createListClient(url);
+      let refreshes = 0;
+      client.authProvider = async () => {
+        refreshes += 1;
+        return { headers: {} };
+      };
+
+      server.injectFault({ status: 401, match: /Items/ });
+      const response = await client.getItems({ Top: 1 });
+
+      assert.equal(response.status, 200);
+      assert.equal(refreshes, 1);
+    });
+
+    it('re-authenticates when a 401 arrives during a digest only refresh', async () => {
+      const client = await createListClient(url);
+      let refreshes = 0;
+      client.authProvider = async () => {
+        refreshes += 1;
+        return { headers: {} };
+      };
+
+      const digestRefresh = client.refreshAuth(false);
+      const reauthentication = client.refreshAuth(true);
+      await Promise.all([digestRefresh, reauthentication, client.refreshAuth(true)]);
+
+      assert.notEqual(reauthentication, digestRefresh);
+      assert.equal(refreshes, 1);
+      assert.ok(client.sharepoint.authheaders['X-RequestDigest']);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const assert = require('assert/strict');
+const { describe, it } = require('node:test');
+
+const { QueryBuilder, encodeFilter, formatValue } = require('../lib/sharepoint/QueryBuilder');
+
+describe('QueryBuilder', () => {
+  it('joins the conditions and escapes the string values', () => {
+    const filter = new QueryBuilder()
+      .where('Title')
+      .eq("O'Neil & Co")
+      .and('Count')
+      .gt(3)
+      .toString();
+
+    assert.equal(filter, "Title eq 'O''Neil & Co' and Count gt 3");
+  });
+
+  it('groups the conditions of a function', () => {
+    const filter = new QueryBuilder()
+      .where((group) => group.where('A').eq(1).or('B').eq(2))
+      .and('C')
+      .isNull()
+      .toString();
+
+    assert.equal(filter, '(A eq 1 or B eq 2) and C eq null');
+  });
+
+  it('builds the query object with the filter encoded', () => {
+    const query = new QueryBuilder()
+      .where('Modified')
+      .ge(new Date('2024-01-01T00:00:00Z'))
+      .and('Title')
+      .eq('a&b')
+      .and('Id')
+      .in([1, 2])
+      .select('Title')
+      .orderBy('Modified', 'desc')
+      .top(5)
+      .toQuery();
+
+    assert.deepEqual(query, {
+      Filter:
+        "Modified ge datetime'2024-01-01T00:00:00.000Z' and Title eq 'a%26b' and (Id eq 1 or Id eq 2)",
+      Select: ['ID', 'Title'],
+      OrderBy: ['Modified desc'],
+      Top: 5,
+    });
+  });
+
+  it('throws when a field has no comparison', () => {
+    assert.throws(() => new QueryBuilder().where('Title').toString(), /No comparison/);
+  });
+
+  it('formats the values by type', () => {
+    assert.equal(formatValue(true), '1');
+    assert.equal(formatValue(null), 'null');
+    assert.throws(() => formatValue({}), /Unable to use the value/);
+  });
+});
+
+describe('encodeFilter', () => {
+  it('percent encodes the characters that end or change the query string', () => {
+    assert.equal(encodeFilter("Title eq 'a&b#c+d%'"), "Title eq 'a%26b%23c%2Bd%25'");
+  });
+
+  it('leaves the other characters', () => {
+    assert.equal(encodeFilter("Title eq 'it''s (1)'"), "Title eq 'it''s (1)'");
+  });
+});
@@ -0,0 +1,83 @@
+const assert = require('assert/strict');
+const { describe, it } = require('node:test');
+
+const { NotFoundError, UserResolver } = require('../lib/sharepoint/');
+
+const ANN = { Id: 7, Email: 'ann@example.com', LoginName: 'i:0#.f|membership|ann@example.com' };
+
+/**
+ * Create a client knowing ANN, requests counts the user requests and failures are the
+ * errors thrown by the next ensureuser requests
+ *
+ * @returns {object} The client
+ */
+const createClient = () => {
+  const client = {
+    requests: 0,
+    failures: [],
+    getSiteUserByEmail: async (email) => {
+      client.requests += 1;
+      if (email === ANN.Email) return { data: { d: ANN } };
+      throw new NotFoundError(`User ${email} not found`);
+    },
+    ensureUser: async (logonName) => {
+      client.requests += 1;
+      if (client.failures.length > 0) throw client.failures.shift();
+      if (logonName === ANN.LoginName || logonName === ANN.Email) return { data: { d: ANN } };
+      throw Object.assign(new Error(`The specified user ${logonName} could not be found.`), {
+        status: 500,
+      });
+    },
+  };
+  return client;
+};
+
+describe('UserResolver', () => {
+  it('requires the client', () => {
+    assert.throws(() => new UserResolver(), /client not specified/);
+  });
+
+  it('resolves the emails and login names ignoring case and caches the users', async () => {
+    const client = createClient();
+    const resolver = new UserResolver(client);
+
+    assert.equal(await resolver.getUserId('Ann@Example.com'), 7);
+    assert.equal(await resolver.getUserId(ANN.LoginName), 7);
+    assert.equal(await resolver.getUserId(' ann@example.com '), 7);
+    assert.equal(client.requests, 2);
+    assert.equal(await resolver.getUserValue(7), ANN.Email);
+  });
+
+  it('looks up concurrent requests for the same user once', async () => {
+    const client = createClient();
+    const resolver = new UserResolver(client);
+
+    const ids = await Promise.all([resolver.getUserId(ANN.Email), resolver.getUserId(ANN.Email)]);
+
+    assert.deepEqual(ids, [7, 7]);
+    assert.equal(client.requests, 1);
+  });
+
+  it('caches the users not found', async () => {
+    const client = createClient();
+    const resolver = new UserResolver(client);
+
+    await assert.rejects(resolver.getUserId('nobody'), /Unable to resolve the person 'nobody'/);
+    await assert.rejects(resolver.getUserId('nobody'), /could not be found/);
+    assert.equal(client.requests, 1);
+  });
+
+  it('does not cache the other errors so the next lookup tries again', async () => {
+    const client = createClient();
+    client.failures.push(Object.assign(new Error('Service unavailable'), { status: 503 }));
+    const resolver = new UserResolver(client);
+
+    await assert.rejects(resolver.getUserId(ANN.LoginName), /Service unavailable/);
+    assert.equal(await resolver.getUserId(ANN.LoginName), 7);
+    assert.equal(client.requests, 2);
+  });
+
+  it('rejects the empty values', async () => {
+    await assert.rejects(new UserResolver(createClient()).getUserId(' '), /empty person/);
+  });
+});
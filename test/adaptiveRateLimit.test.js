@@ -0,0 +1,166 @@
+const assert = require('assert/strict');
+const { after, before, describe, it } = require('node:test');
+const _ = require('lodash');
+
+const { createAdaptiveRateLimit, getRetryAfter, isThrottled } = require('../lib/adaptiveRateLimit');
+const createAxiosInstance = require('../lib/axiosInstance');
+const { ListClient } = require('../lib/sharepoint/');
+const { createListClient, startServer } = require('./helpers');
+
+/**
+ * Create an axios error with the response
+ *
+ * @param {number} status The response status
+ * @param {object} [headers={}] The response headers
+ * @returns {Error}
+ */
+const responseError = (status, headers = {}) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), {
+    config: {},
+    response: { status, headers },
+  });
+
+/**
+ * Create an axios instance double recording the rate limit options
+ *
+ * @returns {object} The instance, options is the last rate limit set
+ */
+const createRateLimitedInstance = () => {
+  const instance = {
+    options: null,
+    setRateLimitOptions: (options) => {
+      instance.options = options;
+    },
+  };
+  return instance;
+};
+
+describe('adaptiveRateLimit', () => {
+  describe('getRetryAfter', () => {
+    it('converts the seconds to ms', () => {
+      assert.equal(getRetryAfter(responseError(429, { 'retry-after': '2' })), 2000);
+      assert.equal(getRetryAfter(responseError(429, { 'retry-after': '0.5' })), 500);
+    });
+
+    it('converts the http date to the ms from now', () => {
+      const date = new Date(Date.now() + 10000).toUTCString();
+      const retryAfter = getRetryAfter(responseError(503, { 'retry-after': date }));
+
+      assert.ok(retryAfter > 8000 && retryAfter <= 10000, `${retryAfter}`);
+      assert.equal(
+        getRetryAfter(responseError(503, { 'retry-after': 'Thu, 01 Jan 1970 00:00:00 GMT' })),
+        0
+      );
+    });
+
+    it('is null without a valid Retry-After', () => {
+      assert.equal(getRetryAfter(responseError(429)), null);
+      assert.equal(getRetryAfter(responseError(429, { 'retry-after': '' })), null);
+      assert.equal(getRetryAfter(responseError(429, { 'retry-after': 'soon' })), null);
+      assert.equal(getRetryAfter(new Error('ECONNRESET')), null);
+    });
+  });
+
+  it('treats the 429 and 503 responses as throttled', () => {
+    assert.deepEqual(
+      [429, 503, 500, 404].map((status) => isThrottled(responseError(status))),
+      [true, true, false, false]
+    );
+    assert.equal(isThrottled(new Error('ECONNRESET')), false);
+  });
+
+  describe('createAdaptiveRateLimit', () => {
+    const ratelimit = {
+      maxRequests: 1,
+      perMilliseconds: 1000,
+      adaptive: { maxPerMilliseconds: 10000, increaseAfter: 2, speedup: 0.5, slowdown: 2 },
+    };
+
+    it('slows down when throttled, waiting at least the Retry-After', () => {
+      const instance = createRateLimitedInstance();
+      const adaptive = createAdaptiveRateLimit(instance, ratelimit);
+
+      adaptive.onThrottle(responseError(429));
+      assert.deepEqual(instance.options, { maxRequests: 1, perMilliseconds: 2000 });
+
+      adaptive.onThrottle(responseError(429, { 'retry-after': '9' }));
+      assert.equal(adaptive.getRate().perMilliseconds, 9000);
+
+      adaptive.onThrottle(responseError(503));
+      assert.equal(adaptive.getRate().perMilliseconds, 10000);
+    });
+
+    it('speeds up after the successes but never faster than the configured rate', () => {
+      const instance = createRateLimitedInstance();
+      const adaptive = createAdaptiveRateLimit(instance, ratelimit);
+
+      _.times(4, () => adaptive.onSuccess());
+      assert.equal(instance.options, null);
+
+      adaptive.onThrottle(responseError(429));
+      adaptive.onThrottle(responseError(429));
+      adaptive.onSuccess();
+      adaptive.onSuccess();
+      assert.equal(adaptive.getRate().perMilliseconds, 2000);
+
+      _.times(10, () => adaptive.onSuccess());
+      assert.deepEqual(adaptive.getRate(), {
+        maxRequests: 1,
+        perMilliseconds: 1000,
+        requestsPerSecond: 1,
+      });
+    });
+
+    it('keeps the configured rate when disabled', () => {
+      const instance = createRateLimitedInstance();
+      const adaptive = createAdaptiveRateLimit(
+        instance,
+        _.merge({}, ratelimit, { adaptive: { enabled: false } })
+      );
+
+      adaptive.onThrottle(responseError(429, { 'retry-after': '5' }));
+      _.times(4, () => adaptive.onSuccess());
+      assert.equal(instance.options, null);
+    });
+  });
+
+  describe('createAxiosInstance', () => {
+    let server = null;
+    let url = null;
+
+    before(async () => {
+      ({ server, url } = await startServer());
+    });
+
+    after(() => server.close());
+
+    it('retries a throttled request and slows down the rate limit', async () => {
+      const listClient = await createListClient(url, 'Test', { rax: { retry: 1 } });
+      const rps = listClient.axiosInstance.getMaxRPS();
+      const count = () => server.requests.filter((r) => /Items/.test(r)).length;
+      const requests = count();
+
+      server.injectFault({ status: 429, retryAfter: 0, match: /Items/ });
+      const response = await listClient.getItems({ Top: 1 });
+
+      assert.equal(response.status, 200);
+      assert.equal(count() - requests, 2);
+      assert.equal(listClient.axiosInstance.getMaxRPS(), rps / 2);
+    });
+
+    it('waits for the Retry-After without the rax maxRetryAfter', async () => {
+      const options = {
+        sharepoint: { url, list: 'Test', authheaders: {} },
+        ratelimit: { maxRequests: 100, perMilliseconds: 10 },
+        rax: { retry: 1 },
+      };
+      const listClient = new ListClient(options, createAxiosInstance(options));
+
+      server.injectFault({ status: 429, retryAfter: 1, match: /Items/ });
+      const start = Date.now();
+      await listClient.getItems({ Top: 1 });
+
+      assert.ok(Date.now() - start >= 900, `${Date.now() - start}ms`);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const Path = require('path');
+const { after, before, describe, it } = require('node:test');
+
+const {
+  downloadAttachments,
+  getAttachmentNames,
+  parseAttachmentPaths,
+  uploadAttachments,
+} = require('../lib/attachments');
+const { NotFoundError } = require('../lib/sharepoint/');
+const { createListClient, startServer } = require('./helpers');
+
+describe('attachments', () => {
+  let server = null;
+  let listClient = null;
+  let folder = null;
+
+  before(async () => {
+    let url = null;
+    ({ server, url } = await startServer());
+    listClient = await createListClient(url);
+    folder = await fs.promises.mkdtemp(Path.join(os.tmpdir(), 'splm-'));
+  });
+
+  after(async () => {
+    server.close();
+    await fs.promises.rm(folder, { recursive: true, force: true });
+  });
+
+  it('splits the attachments cell into the paths', () => {
+    assert.deepEqual(parseAttachmentPaths(' a.pdf ;; docs/b.pdf;', '/data'), [
+      Path.resolve('/data', 'a.pdf'),
+      Path.resolve('/data', 'docs/b.pdf'),
+    ]);
+    assert.deepEqual(parseAttachmentPaths(null), []);
+  });
+
+  it('adds, downloads and deletes the attachments of an item', async () => {
+    const { data } = await listClient.addItem({ Title: 'attached' });
+    const content = Buffer.from([0, 1, 2, 255, 254]);
+
+    await listClient.addAttachment(data.d.ID, "O'Neil & Co.bin", content);
+    assert.equal((await listClient.getItemById(data.d.ID)).data.d.Attachments, true);
+    assert.deepEqual(await getAttachmentNames(listClient, data.d.ID), ["O'Neil & Co.bin"]);
+
+    const response = await listClient.downloadAttachment(data.d.ID, "O'Neil & Co.bin");
+    assert.deepEqual(Buffer.from(response.data), content);
+
+    await listClient.deleteAttachment(data.d.ID, "O'Neil & Co.bin");
+    assert.deepEqual(await getAttachmentNames(listClient, data.d.ID), []);
+    await assert.rejects(
+      listClient.downloadAttachment(data.d.ID, "O'Neil & Co.bin"),
+      NotFoundError
+    );
+  });
+
+  it('uploads the files skipping the names already attached and reports the failures', async () => {
+    const { data } = await listClient.addItem({ Title: 'uploaded' });
+    const paths = ['a.txt', 'b.txt'].map((name) => Path.join(folder, name));
+    await Promise.all(paths.map((path) => fs.promises.writeFile(path, Path.basename(path))));
+    await listClient.addAttachmentFromFile(data.d.ID, paths[0]);
+
+    const summary = await uploadAttachments(listClient, data.d.ID, [
+      ...paths,
+      paths[1],
+      Path.join(folder, 'missing.txt'),
+    ]);
+
+    assert.deepEqual(summary.added, ['b.txt']);
+    assert.deepEqual(summary.skipped, ['a.txt', 'b.txt']);
+    assert.equal(summary.failed, 1);
+    assert.equal(summary.errors[0].path, Path.join(folder, 'missing.txt'));
+  });
+
+  it('downloads the attachments of an item to the folder', async () => {
+    const { data } = await listClient.addItem({ Title: 'downloaded' });
+    await listClient.addAttachment(data.d.ID, 'c.txt', Buffer.from('see'));
+    const target = Path.join(folder, 'download');
+
+    const paths = await downloadAttachments(listClient, data.d.ID, target);
+
+    assert.deepEqual(paths, [Path.join(target, 'c.txt')]);
+    assert.equal(await fs.promises.readFile(paths[0], 'utf8'), 'see');
+
+    const empty = await listClient.addItem({ Title: 'no attachments' });
+    const none = Path.join(folder, 'none');
+    assert.deepEqual(await downloadAttachments(listClient, empty.data.d.ID, none), []);
+    assert.equal(fs.existsSync(none), false);
+  });
+});
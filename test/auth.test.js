@@ -0,0 +1,231 @@
+const assert = require('assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const Path = require('path');
+const { after, afterEach, before, describe, it, mock } = require('node:test');
+const spauth = require('node-sp-auth');
+
+const { authenticate, getAuthConfig } = require('../lib/auth');
+const { buildClientAssertion, getCertificateAuth } = require('../lib/auth/certificate');
+
+const url = 'https://contoso.sharepoint.com/sites/test';
+const thumbprint = '0A:1B:2C:3D:4E:5F:60:71:82:93:A4:B5:C6:D7:E8:F9:00:11:22:33';
+
+/**
+ * Decode a part of the JWT
+ *
+ * @param {string} part The base64url encoded part
+ * @returns {object}
+ */
+const decode = (part) => JSON.parse(Buffer.from(part, 'base64url').toString());
+
+describe('auth', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('getAuthConfig', () => {
+    it('defaults to the online strategy with the sharepoint username and password', () => {
+      const auth = getAuthConfig({
+        sharepoint: { username: 'ann', password: 'secret' },
+        auth: { strategy: null, clientId: null, ttl: 60 },
+      });
+
+      assert.deepEqual(auth, { strategy: 'online', username: 'ann', password: 'secret', ttl: 60 });
+    });
+
+    it('prefers the auth username and password', () => {
+      const auth = getAuthConfig({
+        sharepoint: { username: 'ann', password: 'secret' },
+        auth: { strategy: 'onpremise', username: 'bob', password: 'other' },
+      });
+
+      assert.deepEqual(auth, { strategy: 'onpremise', username: 'bob', password: 'other' });
+    });
+  });
+
+  describe('authenticate', () => {
+    it('rejects an invalid strategy or a missing auth config', async () => {
+      await assert.rejects(
+        authenticate({ sharepoint: { url }, auth: { strategy: 'kerberos' } }),
+        /Invalid auth strategy kerberos, expected online, addin, certificate, onpremise, static/
+      );
+      await assert.rejects(
+        authenticate({ sharepoint: { url }, auth: { strategy: 'addin', clientId: 'id' } }),
+        /The addin auth strategy requires auth.clientSecret$/
+      );
+      await assert.rejects(
+        authenticate({ sharepoint: { url }, auth: { strategy: 'certificate' } }),
+        /requires auth.tenantId, auth.clientId, auth.certificatePath, auth.thumbprint$/
+      );
+      await assert.rejects(
+        authenticate({ sharepoint: { url }, auth: { strategy: 'static' } }),
+        /The static auth strategy requires auth.headers or auth.cookie/
+      );
+    });
+
+    it('returns the static headers and cookie without an expiry', async () => {
+      const response = await authenticate({
+        sharepoint: { url },
+        auth: { strategy: 'static', headers: { 'X-Test': '1' }, cookie: 'FedAuth=abc' },
+      });
+
+      assert.deepEqual(response, {
+        headers: { 'X-Test': '1', Cookie: 'FedAuth=abc' },
+        expiresAt: null,
+      });
+    });
+
+    it('passes the strategy credentials to node-sp-auth and expires after the ttl', async () => {
+      const getAuth = mock.method(spauth, 'getAuth', async () => ({
+        headers: { Cookie: 'FedAuth=abc' },
+      }));
+      const options = (auth) => ({
+        sharepoint: { url, username: 'ann', password: 'secret' },
+        auth: { ttl: 60, ...auth },
+      });
+
+      const start = Date.now();
+      const response = await authenticate(options({}));
+      await authenticate(options({ strategy: 'addin', clientId: 'id', clientSecret: 's' }));
+      await authenticate(options({ strategy: 'onpremise', domain: 'CONTOSO', ttl: null }));
+
+      assert.deepEqual(response.headers, { Cookie: 'FedAuth=abc' });
+      assert.ok(response.expiresAt >= start + 60000 && response.expiresAt <= Date.now() + 60000);
+      assert.deepEqual(
+        getAuth.mock.calls.map((call) => call.arguments),
+        [
+          [url, { username: 'ann', password: 'secret', online: true }],
+          [url, { clientId: 'id', clientSecret: 's' }],
+          [url, { username: 'ann', password: 'secret', domain: 'CONTOSO', online: false }],
+        ]
+      );
+      assert.equal((await authenticate(options({ ttl: null }))).expiresAt, null);
+    });
+
+    it('reports the strategy of a failed authentication', async () => {
+      mock.method(spauth, 'getAuth', async () => {
+        throw new Error('Invalid credentials');
+      });
+
+      await assert.rejects(
+        authenticate({ sharepoint: { url, username: 'ann', password: 'wrong' } }),
+        /^Error: Authentication failed using the online strategy. Invalid credentials$/
+      );
+      await assert.rejects(
+        authenticate({
+          sharepoint: { url },
+          auth: {
+            strategy: 'certificate',
+            tenantId: 't',
+            clientId: 'id',
+            certificatePath: '/missing/key.pem',
+            thumbprint,
+          },
+        }),
+        /Authentication failed using the certificate strategy. ENOENT/
+      );
+    });
+  });
+
+  describe('certificate', () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const tokenUrl = 'https://login.microsoftonline.com/tenant/oauth2/v2.0/token';
+    let folder = null;
+    let auth = null;
+
+    before(async () => {
+      folder = await fs.promises.mkdtemp(Path.join(os.tmpdir(), 'splm-'));
+      const certificatePath = Path.join(folder, 'key.pem');
+      await fs.promises.writeFile(
+        certificatePath,
+        privateKey.export({ type: 'pkcs8', format: 'pem' })
+      );
+      auth = { tenantId: 'tenant', clientId: 'app', certificatePath, thumbprint };
+    });
+
+    after(() => fs.promises.rm(folder, { recursive: true, force: true }));
+
+    it('signs the client assertion with the certificate private key', () => {
+      const jwt = buildClientAssertion({
+        tokenUrl,
+        clientId: 'app',
+        privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+        thumbprint,
+      });
+      const [header, payload, signature] = jwt.split('.');
+
+      assert.deepEqual(decode(header), {
+        alg: 'RS256',
+        typ: 'JWT',
+        x5t: Buffer.from(thumbprint.replace(/:/g, ''), 'hex').toString('base64url'),
+      });
+      const claims = decode(payload);
+      assert.deepEqual([claims.aud, claims.iss, claims.sub], [tokenUrl, 'app', 'app']);
+      assert.equal(claims.exp - claims.nbf, 600);
+      assert.ok(Math.abs(claims.nbf - Date.now() / 1000) < 5);
+      assert.match(claims.jti, /^[0-9a-f-]{36}$/);
+      assert.ok(
+        crypto
+          .createVerify('RSA-SHA256')
+          .update(`${header}.${payload}`)
+          .verify(publicKey, Buffer.from(signature, 'base64url'))
+      );
+    });
+
+    it('requests an app-only token for the site origin', async () => {
+      const requests = [];
+      const axiosInstance = {
+        post: async (...args) => {
+          requests.push(args);
+          return { data: { access_token: 'token', expires_in: '3600' } };
+        },
+      };
+
+      const start = Date.now();
+      const response = await getCertificateAuth(url, auth, axiosInstance);
+
+      assert.deepEqual(response.headers, { Authorization: 'Bearer token' });
+      assert.ok(
+        response.expiresAt >= start + 3600000 && response.expiresAt <= Date.now() + 3600000
+      );
+      const [[postUrl, body, config]] = requests;
+      const form = Object.fromEntries(new URLSearchParams(body));
+      assert.equal(postUrl, tokenUrl);
+      assert.equal(config.headers['Content-Type'], 'application/x-www-form-urlencoded');
+      assert.deepEqual(Object.keys(form), [
+        'grant_type',
+        'client_id',
+        'scope',
+        'client_assertion_type',
+        'client_assertion',
+      ]);
+      assert.equal(form.grant_type, 'client_credentials');
+      assert.equal(form.client_id, 'app');
+      assert.equal(form.scope, 'https://contoso.sharepoint.com/.default');
+      assert.equal(
+        form.client_assertion_type,
+        'urn:ietf:params:oauth:client-assertion-type:jwt-bearer'
+      );
+      assert.equal(decode(form.client_assertion.split('.')[1]).aud, tokenUrl);
+    });
+
+    it('rejects with the Azure AD error description', async () => {
+      const failure = (data) => ({
+        post: async () => {
+          throw Object.assign(new Error('Request failed with status code 401'), {
+            response: { status: 401, data },
+          });
+        },
+      });
+
+      await assert.rejects(
+        getCertificateAuth(url, auth, failure({ error_description: 'AADSTS700027: bad key' })),
+        /^Error: AADSTS700027: bad key$/
+      );
+      await assert.rejects(
+        getCertificateAuth(url, auth, failure('')),
+        /^Error: Request failed with status code 401$/
+      );
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const assert = require('assert/strict');
+const { describe, it } = require('node:test');
+
+const { buildBatchRequest, parseBatchResponse } = require('../lib/sharepoint/batch');
+
+describe('buildBatchRequest', () => {
+  const sprequests = [
+    {
+      url: "https://contoso/_api/web/lists/getByTitle('A%27B')/items",
+      method: 'POST',
+      headers: { Accept: 'application/json;odata=verbose', 'X-RequestDigest': 'digest' },
+      data: { Title: 'x' },
+    },
+    {
+      url: 'https://contoso/_api/web/lists/getByTitle(%27Test%27)/items(1)',
+      method: 'POST',
+      headers: { 'X-HTTP-Method': 'DELETE', 'IF-MATCH': '*' },
+    },
+  ];
+
+  it('posts to the $batch endpoint with the batch boundary', () => {
+    const request = buildBatchRequest('https://contoso/', sprequests);
+
+    assert.equal(request.url, 'https://contoso/_api/$batch');
+    assert.equal(request.method, 'POST');
+    assert.match(request.headers['Content-Type'], /^multipart\/mixed; boundary="batch_[\w-]+"$/);
+  });
+
+  it('writes each request in its own changeset with the url as is', () => {
+    const { data } = buildBatchRequest('https://contoso', sprequests);
+    const lines = data.split('\r\n');
+
+    assert.deepEqual(
+      lines.filter((line) => line.startsWith('POST ')),
+      [
+        "POST https://contoso/_api/web/lists/getByTitle('A%27B')/items HTTP/1.1",
+        'POST https://contoso/_api/web/lists/getByTitle(%27Test%27)/items(1) HTTP/1.1',
+      ]
+    );
+    assert.equal(lines.filter((line) => /^Content-Type: multipart\/mixed/.test(line)).length, 2);
+    assert.ok(lines.includes('{"Title":"x"}'));
+    assert.ok(lines.includes('X-HTTP-Method: DELETE'));
+    assert.ok(!lines.some((line) => line.startsWith('X-RequestDigest')));
+    assert.match(lines[lines.length - 2], /^--batch_[\w-]+--$/);
+  });
+});
+
+describe('parseBatchResponse', () => {
+  it('parses the status, headers and body of each response in order', () => {
+    const data = [
+      '--batchresponse_1',
+      'Content-Type: multipart/mixed; boundary=changesetresponse_1',
+      '',
+      '--changesetresponse_1',
+      'Content-Type: application/http',
+      'Content-Transfer-Encoding: binary',
+      '',
+      'HTTP/1.1 201 Created',
+      'CONTENT-TYPE: application/json;odata=verbose;charset=utf-8',
+      '',
+      '{"d":{"ID":1}}',
+      '--changesetresponse_1--',
+      '--batchresponse_1',
+      'Content-Type: multipart/mixed; boundary=changesetresponse_2',
+      '',
+      '--changesetresponse_2',
+      'Content-Type: application/http',
+      '',
+      'HTTP/1.1 204 No Content',
+      '',
+      '',
+      '--changesetresponse_2--',
+      '--batchresponse_1',
+      'Content-Type: application/http',
+      '',
+      'HTTP/1.1 404 Not Found',
+      'CONTENT-TYPE: text/plain',
+      '',
+      'Item does not exist',
+      '--batchresponse_1--',
+      '',
+    ].join('\r\n');
+
+    assert.deepEqual(parseBatchResponse(data), [
+      {
+        status: 201,
+        statusText: 'Created',
+        headers: { 'content-type': 'application/json;odata=verbose;charset=utf-8' },
+        data: { d: { ID: 1 } },
+      },
+      { status: 204, statusText: 'No Content', headers: {}, data: null },
+      {
+        status: 404,
+        statusText: 'Not Found',
+        headers: { 'content-type': 'text/plain' },
+        data: 'Item does not exist',
+      },
+    ]);
+  });
+
+  it('returns no responses for an empty body', () => {
+    assert.deepEqual(parseBatchResponse(''), []);
+  });
+});
@@ -0,0 +1,59 @@
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const Path = require('path');
+const { describe, it } = require('node:test');
+
+const {
+  CHANGE_TYPES,
+  getChangeTokenPath,
+  readChangeToken,
+  summarizeChanges,
+  writeChangeToken,
+} = require('../lib/sharepoint/changes');
+
+const change = (ChangeType, ItemId) => ({ ChangeType, ItemId });
+
+describe('summarizeChanges', () => {
+  it('reduces the changes to the added, updated and deleted item IDs', () => {
+    const summary = summarizeChanges([
+      change(CHANGE_TYPES.Add, 3),
+      change(CHANGE_TYPES.Update, 3),
+      change(CHANGE_TYPES.Update, 1),
+      change(CHANGE_TYPES.Add, 2),
+      change(CHANGE_TYPES.DeleteObject, 2),
+      change(CHANGE_TYPES.DeleteObject, 4),
+      change(CHANGE_TYPES.Restore, 4),
+      change(CHANGE_TYPES.Update, 1),
+    ]);
+
+    assert.deepEqual(summary, { added: [3, 4], updated: [1], deleted: [2] });
+  });
+
+  it('ignores the other change types', () => {
+    assert.deepEqual(summarizeChanges([change(4, 1)]), { added: [], updated: [], deleted: [] });
+  });
+});
+
+describe('change tokens', () => {
+  it('builds one token file path for each list', () => {
+    assert.equal(
+      getChangeTokenPath({ path: 'results' }, 'My List/1'),
+      Path.join('results', 'My_List_1_changetoken.json')
+    );
+    assert.equal(getChangeTokenPath({}, 'Test'), null);
+  });
+
+  it('saves and reads the token', async () => {
+    const folder = await fs.promises.mkdtemp(Path.join(os.tmpdir(), 'splm-'));
+    try {
+      const path = Path.join(folder, 'tokens', 'Test_changetoken.json');
+
+      assert.equal(await readChangeToken(path), null);
+      await writeChangeToken(path, '1;3;abc;1;5', { list: 'Test' });
+      assert.equal(await readChangeToken(path), '1;3;abc;1;5');
+    } finally {
+      await fs.promises.rm(folder, { recursive: true, force: true });
+    }
+  });
+});
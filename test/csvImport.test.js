@@ -0,0 +1,101 @@
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const Path = require('path');
+const { after, before, describe, it } = require('node:test');
+const _ = require('lodash');
+
+const { importCsv } = require('../lib/csvImport');
+const { createListClient, startServer } = require('./helpers');
+
+describe('importCsv', () => {
+  let server = null;
+  let listClient = null;
+  let folder = null;
+
+  before(async () => {
+    let url = null;
+    ({ server, url } = await startServer());
+    listClient = await createListClient(url);
+    await listClient.addField({ name: 'Code', title: 'Code', type: 2 });
+    folder = await fs.promises.mkdtemp(Path.join(os.tmpdir(), 'splm-'));
+  });
+
+  after(async () => {
+    await fs.promises.rm(folder, { recursive: true, force: true });
+    await server.close();
+  });
+
+  /**
+   * Write the CSV file to the test folder
+   *
+   * @param {string} name The file name
+   * @param {string[]} lines
+   * @returns {Promise} Promise object with the file path
+   */
+  const writeCsv = async (name, lines) => {
+    const path = Path.join(folder, name);
+    await fs.promises.writeFile(path, lines.join('\n'), 'utf8');
+    return path;
+  };
+
+  /**
+   * Get the Title and Code of all the items
+   *
+   * @returns {Promise} Promise object with the items ordered by ID
+   */
+  const getItems = async () => {
+    const response = await listClient.getAllItems({ Select: ['Title', 'Code'], OrderBy: ['ID'] });
+    return response.data.d.results.map((item) => _.pick(item, ['Title', 'Code']));
+  };
+
+  it('adds the new rows, updates the existing rows and skips the rows without a lookup', async () => {
+    const path = await writeCsv('items.csv', ['Title,Code', 'a,1', 'b,2', ',3', 'a,4']);
+
+    const summary = await importCsv(listClient, { path });
+
+    assert.deepEqual(_.omit(summary, ['errors']), {
+      rows: 4,
+      added: 2,
+      updated: 1,
+      skipped: 1,
+      failed: 0,
+    });
+    assert.deepEqual(await getItems(), [
+      { Title: 'a', Code: '4' },
+      { Title: 'b', Code: '2' },
+    ]);
+  });
+
+  it('keeps the whitespace of the cells unless trim is set', async () => {
+    const path = await writeCsv('whitespace.csv', ['Title,Code', 'b, 5 ', ' c ,6']);
+
+    await importCsv(listClient, { path });
+    let items = await getItems();
+    assert.deepEqual(items.slice(1), [
+      { Title: 'b', Code: ' 5 ' },
+      { Title: ' c ', Code: '6' },
+    ]);
+
+    await importCsv(listClient, { path, trim: true });
+    items = await getItems();
+    assert.deepEqual(items.slice(1), [
+      { Title: 'b', Code: '5' },
+      { Title: ' c ', Code: '6' },
+      { Title: 'c', Code: '6' },
+    ]);
+  });
+
+  it('rejects when the file can not be read', async () => {
+    await assert.rejects(importCsv(listClient, { path: Path.join(folder, 'missing.csv') }), {
+      code: 'ENOENT',
+    });
+  });
+
+  it('rejects the invalid options', async () => {
+    const path = await writeCsv('options.csv', ['Title', 'x']);
+
+    await assert.rejects(importCsv(listClient, { path, encoding: 'nope' }), /Unsupported encoding/);
+    await assert.rejects(importCsv(listClient, { path, emptyCells: 'nope' }), /Invalid emptyCells/);
+  });
+});
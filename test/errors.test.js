@@ -0,0 +1,120 @@
+const assert = require('assert/strict');
+const { after, before, describe, it } = require('node:test');
+
+const {
+  ConflictError,
+  NetworkError,
+  NotFoundError,
+  SharePointError,
+  ThrottledError,
+  UnauthorizedError,
+  ValidationError,
+} = require('../lib/sharepoint/');
+const { createSharePointError } = require('../lib/sharepoint/errors');
+const { createListClient, startServer } = require('./helpers');
+
+/**
+ * Create an Axios error with the SharePoint error response
+ *
+ * @param {number} status The response status
+ * @param {object} [headers={}] The response headers
+ * @returns {Error}
+ */
+const axiosError = (status, headers = {}) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), {
+    config: {
+      url: 'https://contoso.sharepoint.com/_api/web',
+      method: 'post',
+      headers: { 'X-HTTP-Method': 'MERGE' },
+      correlationid: 'c1',
+    },
+    response: {
+      status,
+      statusText: 'Status',
+      headers,
+      data: { error: { code: '-1, Microsoft.SharePoint.SPException', message: { value: 'Oops' } } },
+    },
+  });
+
+describe('errors', () => {
+  it('maps the http status to the error class', () => {
+    const classes = [
+      [400, ValidationError],
+      [401, UnauthorizedError],
+      [403, UnauthorizedError],
+      [404, NotFoundError],
+      [409, ConflictError],
+      [412, ConflictError],
+      [429, ThrottledError],
+      [503, ThrottledError],
+      [500, SharePointError],
+    ];
+
+    classes.forEach(([status, ErrorClass]) => {
+      const err = createSharePointError(axiosError(status));
+      assert.equal(err.constructor, ErrorClass, `${status}`);
+      assert.ok(err instanceof SharePointError);
+      assert.equal(err.name, ErrorClass.name);
+      assert.equal(err.status, status);
+    });
+  });
+
+  it('uses the SharePoint error details', () => {
+    const err = createSharePointError(axiosError(500, { sprequestguid: 'g1' }));
+
+    assert.equal(err.message, 'Oops');
+    assert.equal(err.code, '-1, Microsoft.SharePoint.SPException');
+    assert.equal(err.correlationid, 'g1');
+    assert.equal(err.method, 'MERGE');
+    assert.equal(err.url, 'https://contoso.sharepoint.com/_api/web');
+    assert.deepEqual(err.sperr.message, { value: 'Oops' });
+  });
+
+  it('has the Retry-After of the throttled responses', () => {
+    assert.equal(createSharePointError(axiosError(429, { 'retry-after': '3' })).retryAfter, 3000);
+    assert.equal(createSharePointError(axiosError(503)).retryAfter, null);
+  });
+
+  it('is a NetworkError without a response', () => {
+    const err = createSharePointError(
+      Object.assign(new Error('connect ECONNREFUSED'), {
+        code: 'ECONNREFUSED',
+        errno: -111,
+        config: { url: 'https://contoso.sharepoint.com', method: 'get', correlationid: 'c2' },
+      })
+    );
+
+    assert.ok(err instanceof NetworkError);
+    assert.deepEqual(
+      [err.status, err.code, err.errno, err.correlationid, err.method],
+      [null, 'ECONNREFUSED', -111, 'c2', 'GET']
+    );
+  });
+
+  describe('client requests', () => {
+    let server = null;
+    let listClient = null;
+
+    before(async () => {
+      let url = null;
+      ({ server, url } = await startServer());
+      listClient = await createListClient(url);
+    });
+
+    after(() => server.close());
+
+    it('rejects with the typed error of the response', async () => {
+      await assert.rejects(listClient.getItemById(999999), NotFoundError);
+
+      server.injectFault({ status: 400, match: /Items/ });
+      await assert.rejects(listClient.getItems(), ValidationError);
+
+      server.injectFault({ status: 500, match: /Items/ });
+      await assert.rejects(listClient.getItems(), (err) => {
+        assert.equal(err.constructor, SharePointError);
+        assert.equal(err.status, 500);
+        return true;
+      });
+    });
+  });
+});
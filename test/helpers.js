@@ -0,0 +1,77 @@
+const config = require('config');
+const _ = require('lodash');
+
+const createAxiosInstance = require('../lib/axiosInstance');
+const { MockSharePointServer } = require('../lib/mock');
+const { LibraryClient, ListClient } = require('../lib/sharepoint/');
+
+/**
+ * Start a mock SharePoint server on a free port
+ *
+ * @param {object} [serverOptions={}] The MockSharePointServer options
+ * @returns {Promise} Promise object with { server, url }
+ */
+const startServer = async (serverOptions = {}) => {
+  const server = new MockSharePointServer({ lists: ['Test'], ...serverOptions });
+  const url = await server.listen(0);
+  return { server, url };
+};
+
+/**
+ * Build the client options of the mock server, without retries or rate limiting
+ *
+ * @param {string} url The mock site url
+ * @param {object} sharepoint The sharepoint options e.g. { list }
+ * @param {object} [overrides={}] Deep merged into the options
+ * @returns {object} The options
+ */
+const createOptions = (url, sharepoint, overrides = {}) =>
+  _.merge(
+    {},
+    config,
+    {
+      output: { path: null },
+      rax: { retry: 0 },
+      ratelimit: { maxRequests: 100, perMilliseconds: 10 },
+      sharepoint: { url, authheaders: {}, ...sharepoint },
+    },
+    overrides
+  );
+
+/**
+ * Create a ListClient of the mock server list, without retries or rate limiting and
+ * with the X-RequestDigest
+ *
+ * @param {string} url The mock site url
+ * @param {string} [list='Test'] The list title
+ * @param {object} [overrides={}] Deep merged into the options
+ * @returns {Promise} Promise object with the ListClient
+ */
+const createListClient = async (url, list = 'Test', overrides = {}) => {
+  const options = createOptions(url, { list }, overrides);
+  const listClient = new ListClient(options, createAxiosInstance(options));
+  await listClient.getContextInfo();
+  return listClient;
+};
+
+/**
+ * Create a LibraryClient of the mock server list, without retries or rate limiting and
+ * with the X-RequestDigest
+ *
+ * @param {string} url The mock site url
+ * @param {string} [library='Test'] The library title
+ * @param {object} [overrides={}] Deep merged into the options
+ * @returns {Promise} Promise object with the LibraryClient
+ */
+const createLibraryClient = async (url, library = 'Test', overrides = {}) => {
+  const options = createOptions(url, { library }, overrides);
+  const libraryClient = new LibraryClient(options, createAxiosInstance(options));
+  await libraryClient.getContextInfo();
+  return libraryClient;
+};
+
+module.exports = {
+  createLibraryClient,
+  createListClient,
+  startServer,
+};
@@ -0,0 +1,120 @@
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const Path = require('path');
+const { after, before, describe, it } = require('node:test');
+
+const { exportChanges, exportItems, flattenItem } = require('../lib/itemExport');
+const { createListClient, startServer } = require('./helpers');
+
+describe('flattenItem', () => {
+  it('removes the metadata and deferred properties and flattens the values', () => {
+    const flattened = flattenItem({
+      __metadata: { type: 'SP.Data.TestListItem' },
+      ID: 1,
+      Author: { __metadata: { type: 'SP.Data.UserInfoItem' }, Title: 'Mock User' },
+      Editor: { __deferred: { uri: 'x' } },
+      Tags: { results: ['a', 'b'] },
+      Reviewers: { results: [{ Title: 'A' }, { Title: 'B' }] },
+    });
+
+    assert.deepEqual(flattened, {
+      ID: 1,
+      'Author/Title': 'Mock User',
+      Tags: ['a', 'b'],
+      'Reviewers/Title': ['A', 'B'],
+    });
+  });
+});
+
+describe('exportItems', () => {
+  let server = null;
+  let listClient = null;
+  let folder = null;
+
+  before(async () => {
+    let url = null;
+    ({ server, url } = await startServer({ pageSize: 2 }));
+    listClient = await createListClient(url);
+    await listClient.addItems([{ Title: 'a' }, { Title: 'b' }, { Title: 'c' }]);
+    folder = await fs.promises.mkdtemp(Path.join(os.tmpdir(), 'splm-'));
+  });
+
+  after(async () => {
+    await fs.promises.rm(folder, { recursive: true, force: true });
+    await server.close();
+  });
+
+  const query = { Select: ['ID', 'Title'], OrderBy: ['ID'] };
+
+  it('writes all the pages to the json file', async () => {
+    const path = Path.join(folder, 'items.json');
+
+    const summary = await exportItems(listClient, { path, query });
+
+    assert.deepEqual(summary, { path, format: 'json', items: 3, columns: ['ID', 'Title'] });
+    assert.deepEqual(JSON.parse(await fs.promises.readFile(path, 'utf8')), [
+      { ID: 1, Title: 'a' },
+      { ID: 2, Title: 'b' },
+      { ID: 3, Title: 'c' },
+    ]);
+  });
+
+  it('writes the csv columns in order', async () => {
+    const path = Path.join(folder, 'items.csv');
+
+    await exportItems(listClient, { path, format: 'csv', query, columns: ['Title', 'ID'] });
+
+    assert.equal(await fs.promises.readFile(path, 'utf8'), '\ufeffTitle,ID\na,1\nb,2\nc,3\n');
+  });
+
+  it('fails before fetching any pages when the file can not be opened', async () => {
+    const start = server.requests.length;
+
+    await assert.rejects(
+      exportItems(listClient, { path: Path.join(folder, 'missing', 'items.json'), query }),
+      { code: 'ENOENT' }
+    );
+    assert.deepEqual(server.requests.slice(start), []);
+  });
+});
+
+describe('exportChanges', () => {
+  let server = null;
+  let listClient = null;
+  let folder = null;
+
+  before(async () => {
+    let url = null;
+    ({ server, url } = await startServer());
+    listClient = await createListClient(url);
+    await listClient.addItems([{ Title: 'a' }, { Title: 'b' }, { Title: 'c' }]);
+    folder = await fs.promises.mkdtemp(Path.join(os.tmpdir(), 'splm-'));
+  });
+
+  after(async () => {
+    await fs.promises.rm(folder, { recursive: true, force: true });
+    await server.close();
+  });
+
+  const query = { Select: ['ID', 'Title'], OrderBy: ['ID'] };
+
+  it('exports the changes since the saved change token', async () => {
+    const path = Path.join(folder, 'delta.json');
+    const tokenPath = Path.join(folder, 'Test_changetoken.json');
+
+    const full = await exportChanges(listClient, { path, tokenPath, query });
+    assert.equal(full.delta, false);
+    assert.equal(full.items, 3);
+
+    await listClient.updateItem({ ID: 2, Title: 'b2' });
+    await listClient.deleteItemById(3);
+
+    const delta = await exportChanges(listClient, { path, tokenPath, query });
+    assert.equal(delta.delta, true);
+    assert.deepEqual(JSON.parse(await fs.promises.readFile(path, 'utf8')), [
+      { ID: 2, Title: 'b2' },
+    ]);
+    assert.deepEqual(JSON.parse(await fs.promises.readFile(delta.deletedPath, 'utf8')), [3]);
+  });
+});
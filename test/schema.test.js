@@ -0,0 +1,62 @@
+const assert = require('assert/strict');
+const { after, before, describe, it } = require('node:test');
+
+const { applySchema, exportSchema } = require('../lib/schema');
+const { createListClient, startServer } = require('./helpers');
+
+describe('schema', () => {
+  let server = null;
+  let listClient = null;
+
+  before(async () => {
+    let url = null;
+    ({ server, url } = await startServer({ lists: [] }));
+    listClient = await createListClient(url, 'Courses');
+  });
+
+  after(() => server.close());
+
+  const schema = {
+    fields: [
+      { name: 'Language', title: 'Language', type: 'Choice', choices: ['en', 'fr'] },
+      { name: 'Total', title: 'Total', type: 'Calculated', formula: '=[ID]*2' },
+    ],
+  };
+
+  it('creates the list and adds the fields', async () => {
+    const report = await applySchema(listClient, schema);
+
+    assert.equal(report.list, 'created');
+    assert.deepEqual(report.added, ['Language', 'Total']);
+    assert.deepEqual(report.failed, []);
+  });
+
+  it('leaves the existing fields unchanged', async () => {
+    const report = await applySchema(listClient, schema);
+
+    assert.equal(report.list, 'exists');
+    assert.deepEqual(report.added, []);
+    assert.deepEqual(report.unchanged, ['Language', 'Total']);
+  });
+
+  it('reports the drift of the existing fields', async () => {
+    const report = await applySchema(
+      listClient,
+      { fields: [{ name: 'Language', title: 'Spoken Language', type: 'Choice', choices: ['en'] }] },
+      { dryRun: true }
+    );
+
+    assert.deepEqual(report.drift[0].name, 'Language');
+    assert.ok(report.drift[0].differences.some(({ property }) => property === 'title'));
+  });
+
+  it('exports the fields including the calculated fields', async () => {
+    const exported = await exportSchema(listClient);
+
+    assert.equal(exported.title, 'Courses');
+    assert.deepEqual(exported.fields, [
+      { name: 'Language', title: 'Language', type: 'Choice', choices: ['en', 'fr'] },
+      { name: 'Total', title: 'Total', type: 'Calculated', formula: '=[ID]*2' },
+    ]);
+  });
+});
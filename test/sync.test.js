@@ -0,0 +1,135 @@
+const assert = require('assert/strict');
+const { describe, it } = require('node:test');
+
+const { formatPlan, normalizeValue, planSync } = require('../lib/sync');
+
+const FIELDS = [
+  { InternalName: 'Title', TypeAsString: 'Text' },
+  { InternalName: 'Due', TypeAsString: 'DateTime' },
+  { InternalName: 'Count', TypeAsString: 'Number' },
+  { InternalName: 'Done', TypeAsString: 'Boolean' },
+  { InternalName: 'Category', TypeAsString: 'Lookup' },
+];
+
+describe('normalizeValue', () => {
+  it('treats empty values as null', () => {
+    assert.equal(normalizeValue(undefined), null);
+    assert.equal(normalizeValue(''), null);
+    assert.equal(normalizeValue({ results: [] }), null);
+  });
+
+  it('compares multi values as arrays', () => {
+    assert.deepEqual(normalizeValue({ results: [1, 2] }), ['1', '2']);
+    assert.deepEqual(normalizeValue({ results: ['1', 2] }, 'LookupMulti'), [1, 2]);
+  });
+
+  it('normalizes dates to ISO UTC', () => {
+    assert.equal(normalizeValue('2024-01-01', 'DateTime'), '2024-01-01T00:00:00.000Z');
+    assert.equal(normalizeValue('2024-01-01T00:00:00Z', 'DateTime'), '2024-01-01T00:00:00.000Z');
+    assert.equal(
+      normalizeValue('2024-01-01T10:00:00+10:00', 'DateTime'),
+      '2024-01-01T00:00:00.000Z'
+    );
+    assert.equal(normalizeValue('soon', 'DateTime'), 'soon');
+  });
+
+  it('normalizes numbers and booleans', () => {
+    assert.equal(normalizeValue('1.0', 'Number'), 1);
+    assert.equal(normalizeValue('3', 'Lookup'), 3);
+    assert.equal(normalizeValue('yes', 'Boolean'), true);
+    assert.equal(normalizeValue(0, 'Boolean'), false);
+  });
+
+  it('compares primitives as strings when the type is not known', () => {
+    assert.equal(normalizeValue(1), '1');
+    assert.equal(normalizeValue(true), 'true');
+  });
+});
+
+describe('planSync', () => {
+  const liveItems = [
+    {
+      ID: 1,
+      Title: 'a',
+      Due: '2024-01-01T00:00:00Z',
+      Count: 1,
+      Done: true,
+      CategoryId: 3,
+    },
+    { ID: 2, Title: 'b', Due: '2024-01-01T00:00:00Z' },
+    { ID: 3, Title: 'c' },
+    { ID: 4, Title: 'c' },
+  ];
+
+  it('plans the adds and field level updates', () => {
+    const plan = planSync(
+      [
+        { Title: 'a', Due: '2024-01-01', Count: '1.0', Done: 'yes', CategoryId: '3' },
+        { Title: 'b', Due: '2024-01-02' },
+        { Title: 'd' },
+      ],
+      liveItems,
+      { fields: FIELDS }
+    );
+
+    assert.deepEqual(plan.adds, [{ key: '["d"]', item: { Title: 'd' } }]);
+    assert.deepEqual(plan.updates, [
+      {
+        ID: 2,
+        key: '["b"]',
+        changes: { Due: { from: '2024-01-01T00:00:00Z', to: '2024-01-02' } },
+      },
+    ]);
+    assert.equal(plan.unchanged, 1);
+    assert.deepEqual(plan.deletes, []);
+    assert.deepEqual(plan.duplicates, [{ ID: 4, key: '["c"]' }]);
+  });
+
+  it('compares the values as strings without the fields', () => {
+    const plan = planSync([{ Title: 'a', Count: '1.0' }], liveItems);
+
+    assert.deepEqual(plan.updates[0].changes, { Count: { from: 1, to: '1.0' } });
+  });
+
+  it('deletes the live items not in the desired items with the delete policy', () => {
+    const plan = planSync([{ Title: 'a' }], liveItems, { deletePolicy: 'delete' });
+
+    assert.deepEqual(plan.deletes, [
+      { ID: 2, key: '["b"]' },
+      { ID: 3, key: '["c"]' },
+    ]);
+  });
+
+  it('matches the items by the keys', () => {
+    const plan = planSync([{ Title: 'renamed', ID: 9, Count: 1 }], [{ ID: 1, Count: 1 }], {
+      keys: ['Count'],
+      fields: FIELDS,
+    });
+
+    assert.deepEqual(plan.updates, [
+      { ID: 1, key: '[1]', changes: { Title: { from: null, to: 'renamed' } } },
+    ]);
+  });
+
+  it('rejects the desired items with a missing or duplicate key', () => {
+    assert.throws(() => planSync([{ Count: 1 }], []), /missing a value for the keys Title/);
+    assert.throws(() => planSync([{ Title: 'a' }, { Title: 'a' }], []), /duplicate key/);
+    assert.throws(() => planSync([], [], { deletePolicy: 'all' }), /Invalid deletePolicy/);
+  });
+});
+
+describe('formatPlan', () => {
+  it('lists the changes and the totals', () => {
+    const lines = formatPlan(
+      planSync([{ Title: 'a', Count: 2 }, { Title: 'x' }], [{ ID: 1, Title: 'a', Count: 1 }])
+    );
+
+    assert.deepEqual(lines, [
+      '+ add ["x"]',
+      '    Title: "x"',
+      '~ update ID 1 ["a"]',
+      '    Count: 1 -> 2',
+      'Plan: 1 to add, 1 to update, 0 to delete, 0 unchanged.',
+    ]);
+  });
+});
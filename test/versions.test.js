@@ -0,0 +1,107 @@
+const assert = require('assert/strict');
+const { describe, it } = require('node:test');
+
+const {
+  diffVersions,
+  formatVersion,
+  getVersionValues,
+  isVersionedField,
+} = require('../lib/sharepoint/versions');
+
+const FIELDS = [
+  { InternalName: 'ID', TypeAsString: 'Counter', ReadOnlyField: true },
+  { InternalName: 'Title', TypeAsString: 'Text' },
+  { InternalName: 'Total', TypeAsString: 'Calculated' },
+  { InternalName: 'Secret', TypeAsString: 'Text', Hidden: true },
+  { InternalName: 'Tags', TypeAsString: 'MultiChoice' },
+  { InternalName: 'Category', TypeAsString: 'Lookup' },
+  { InternalName: 'Reviewers', TypeAsString: 'UserMulti' },
+  { InternalName: 'Course_x0020_Name', EntityPropertyName: 'CourseName', TypeAsString: 'Text' },
+];
+
+describe('isVersionedField', () => {
+  it('excludes the read only, hidden and computed fields', () => {
+    assert.deepEqual(
+      FIELDS.filter(isVersionedField).map((field) => field.InternalName),
+      ['Title', 'Tags', 'Category', 'Reviewers', 'Course_x0020_Name']
+    );
+  });
+});
+
+describe('getVersionValues', () => {
+  it('converts the version values to the item format', () => {
+    const values = getVersionValues(
+      {
+        ID: 1,
+        Title: 'x',
+        Total: 3,
+        Secret: 's',
+        Tags: { results: ['a'] },
+        Category: { LookupId: 2, LookupValue: 'Blue' },
+        Reviewers: [{ LookupId: 5 }, { LookupId: 6 }],
+        Course_x0020_Name: 'Course',
+      },
+      FIELDS
+    );
+
+    assert.deepEqual(values, {
+      Title: 'x',
+      Tags: { results: ['a'] },
+      CategoryId: 2,
+      ReviewersId: { results: [5, 6] },
+      CourseName: 'Course',
+    });
+  });
+
+  it('clears the empty values', () => {
+    assert.deepEqual(getVersionValues({ Title: null, Category: null, Tags: '' }, FIELDS), {
+      Title: null,
+      Tags: { results: [] },
+      CategoryId: null,
+    });
+  });
+});
+
+describe('formatVersion', () => {
+  it('formats the version details and values', () => {
+    const version = formatVersion(
+      {
+        VersionLabel: '2.0',
+        VersionId: 1024,
+        IsCurrentVersion: true,
+        Created: '2024-01-01T00:00:00Z',
+        Editor: { LookupId: 1, LookupValue: 'Mock User', Email: 'mock.user@example.com' },
+        Title: 'x',
+      },
+      FIELDS
+    );
+
+    assert.deepEqual(version, {
+      versionLabel: '2.0',
+      versionId: 1024,
+      isCurrentVersion: true,
+      created: '2024-01-01T00:00:00Z',
+      editor: { id: 1, title: 'Mock User', email: 'mock.user@example.com' },
+      values: { Title: 'x' },
+    });
+  });
+});
+
+describe('diffVersions', () => {
+  it('lists the changed fields', () => {
+    const changes = diffVersions(
+      { Title: 'a', Tags: { results: ['x'] }, CategoryId: 1, Removed: 'y' },
+      { Title: 'b', Tags: { results: ['x'] }, CategoryId: 1, Added: 'z' }
+    );
+
+    assert.deepEqual(changes, [
+      { field: 'Title', from: 'a', to: 'b' },
+      { field: 'Removed', from: 'y', to: null },
+      { field: 'Added', from: null, to: 'z' },
+    ]);
+  });
+
+  it('is empty when the values are the same', () => {
+    assert.deepEqual(diffVersions({ Title: 'a' }, { Title: 'a' }), []);
+  });
+});